@@ -1,5 +1,7 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Setting = require('../models/Setting');
+const { verifyAccessToken } = require('../services/sessionService');
+const { getUserPermissions, hasAdminAccess } = require('../services/permissionService');
 
 const auth = async (req, res, next) => {
   try {
@@ -15,8 +17,8 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ success: false, message: 'No authentication token, access denied' });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_secret_key');
+    // Verify token and make sure its session is still active
+    const { decoded, session } = await verifyAccessToken(token);
     
     console.log('🔑 Auth Debug - Token decoded:', { userId: decoded.userId });
     
@@ -34,9 +36,18 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ success: false, message: 'Account is deactivated' });
     }
 
+    if (user.isSuspended()) {
+      return res.status(403).json({
+        success: false,
+        code: 'ACCOUNT_SUSPENDED',
+        message: `Account is suspended until ${user.suspendedUntil.toISOString()}`
+      });
+    }
+
     // Attach user to request
     req.user = user;
     req.userId = decoded.userId;
+    req.sessionId = session._id.toString();
     
     next();
   } catch (error) {
@@ -110,16 +121,17 @@ const optionalAuth = async (req, res, next) => {
       return next();
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_secret_key');
+    // Verify token and session
+    const { decoded, session } = await verifyAccessToken(token);
     
     // Find user
     const user = await User.findById(decoded.userId).select('-password');
     
-    if (user && user.isActive) {
+    if (user && user.isActive && !user.isSuspended()) {
       // Attach user to request if found and active
       req.user = user;
       req.userId = decoded.userId;
+      req.sessionId = session._id.toString();
     }
     
     next();
@@ -129,16 +141,64 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Check if user is admin
-const isAdmin = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({ success: false, message: 'Authentication required' });
+// Resolve the user's permissions once per request
+const loadPermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = await getUserPermissions(req.user);
   }
-  
-  if (!req.user.isAdmin && req.user.userType !== 'admin') {
-    return res.status(403).json({ success: false, message: 'Access denied. Admin only.' });
+  return req.permissions;
+};
+
+// Check if user has access to the admin panel (any admin permission)
+const isAdmin = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+    
+    const permissions = await loadPermissions(req);
+    if (!hasAdminAccess(permissions)) {
+      return res.status(403).json({ success: false, message: 'Access denied. Admin only.' });
+    }
+
+    // Admins must enroll in 2FA before using admin routes when the platform requires it
+    if (!req.user.twoFactor?.enabled && await Setting.getValue('security.requireAdminTwoFactor', false)) {
+      return res.status(403).json({
+        success: false,
+        code: 'MFA_SETUP_REQUIRED',
+        message: 'Two-factor authentication is required for admin accounts. Please enable it to continue.'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Admin check error:', error);
+    res.status(500).json({ success: false, message: 'Error checking admin access' });
+  }
+};
+
+// Require every listed permission
+const requirePermission = (...required) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const permissions = await loadPermissions(req);
+    const missing = required.filter(permission => !permissions.has(permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Missing permission: ${missing.join(', ')}`
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({ success: false, message: 'Error checking permissions' });
   }
-  next();
 };
 
-module.exports = { auth, isDoctor, isVendor, hasActiveSubscription, optionalAuth, isAdmin, isParaMedical, isAttorneys,isDoctorOrParaMedical };
\ No newline at end of file
+module.exports = { auth, isDoctor, isVendor, hasActiveSubscription, optionalAuth, isAdmin, requirePermission, isParaMedical, isAttorneys,isDoctorOrParaMedical };
\ No newline at end of file
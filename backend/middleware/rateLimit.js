@@ -0,0 +1,46 @@
+// Simple fixed-window, in-memory rate limiter (per process)
+const createRateLimiter = ({
+  windowMs = 15 * 60 * 1000,
+  max = 100,
+  keyGenerator = (req) => req.ip,
+  message = 'Too many requests, please try again later.'
+} = {}) => {
+  const hits = new Map(); // key -> { count, resetAt }
+
+  // Drop expired windows so the map doesn't grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        hits.delete(key);
+      }
+    });
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const key = keyGenerator(req);
+    const now = Date.now();
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count += 1;
+
+    res.set('X-RateLimit-Limit', String(max));
+    res.set('X-RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ success: false, message, retryAfter });
+    }
+
+    next();
+  };
+};
+
+module.exports = { createRateLimiter };
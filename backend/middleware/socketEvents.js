@@ -0,0 +1,239 @@
+const { socketError } = require('../services/errors');
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+// Payload contracts for inbound socket events. Unknown fields are dropped.
+const EVENT_SCHEMAS = {
+  joinRoom: {
+    fields: {
+      roomId: { type: 'string', required: true, maxLength: 100 }
+    }
+  },
+  leaveRoom: {
+    fields: {
+      roomId: { type: 'string', required: true, maxLength: 100 }
+    }
+  },
+  sendMessage: {
+    fields: {
+      recipient: { type: 'objectId' },
+      conversationId: { type: 'objectId' },
+      content: { type: 'string', maxLength: 5000 },
+      attachmentIds: { type: 'objectIdArray', maxItems: 5 }
+    },
+    check: (payload) => {
+      if (!payload.recipient && !payload.conversationId) {
+        return 'recipient or conversationId is required';
+      }
+      if (!(payload.content || '').trim() && !(payload.attachmentIds || []).length) {
+        return 'Message content or an attachment is required';
+      }
+      return null;
+    }
+  },
+  typing: {
+    fields: {
+      roomId: { type: 'string', maxLength: 100 },
+      conversationId: { type: 'objectId' }
+    },
+    check: (payload) => (!payload.roomId && !payload.conversationId ? 'roomId or conversationId is required' : null)
+  },
+  stopTyping: {
+    fields: {
+      roomId: { type: 'string', maxLength: 100 },
+      conversationId: { type: 'objectId' }
+    },
+    check: (payload) => (!payload.roomId && !payload.conversationId ? 'roomId or conversationId is required' : null)
+  },
+  markDelivered: {
+    fields: {
+      messageIds: { type: 'objectIdArray', required: true, maxItems: 100 }
+    }
+  },
+  markRead: {
+    fields: {
+      conversationId: { type: 'objectId', required: true },
+      messageId: { type: 'objectId' }
+    }
+  },
+  resume: {
+    fields: {
+      since: { type: 'integer', required: true, min: 0 }
+    }
+  }
+};
+
+// Per-socket limits for each event (fixed window)
+const EVENT_RATE_LIMITS = {
+  joinRoom: { windowMs: 60 * 1000, max: 60 },
+  leaveRoom: { windowMs: 60 * 1000, max: 60 },
+  sendMessage: { windowMs: 10 * 1000, max: 20 },
+  typing: { windowMs: 10 * 1000, max: 30 },
+  stopTyping: { windowMs: 10 * 1000, max: 30 },
+  markDelivered: { windowMs: 10 * 1000, max: 60 },
+  markRead: { windowMs: 10 * 1000, max: 60 },
+  resume: { windowMs: 60 * 1000, max: 10 }
+};
+
+const DEFAULT_RATE_LIMIT = { windowMs: 10 * 1000, max: 30 };
+
+const checkField = (field, rules, value) => {
+  switch (rules.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${field} must be a string`;
+      if (rules.maxLength && value.length > rules.maxLength) {
+        return `${field} cannot exceed ${rules.maxLength} characters`;
+      }
+      return null;
+    case 'objectId':
+      return OBJECT_ID_PATTERN.test(String(value)) ? null : `${field} must be a valid ID`;
+    case 'objectIdArray':
+      if (!Array.isArray(value)) return `${field} must be an array`;
+      if (rules.maxItems && value.length > rules.maxItems) {
+        return `${field} cannot have more than ${rules.maxItems} items`;
+      }
+      return value.every(id => OBJECT_ID_PATTERN.test(String(id))) ? null : `${field} must contain valid IDs`;
+    case 'integer':
+      if (!Number.isInteger(value)) return `${field} must be an integer`;
+      if (rules.min !== undefined && value < rules.min) return `${field} must be at least ${rules.min}`;
+      return null;
+    case 'date':
+      return isNaN(new Date(value).getTime()) ? `${field} must be a valid date` : null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${field} must be true or false`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Validate a payload against an event schema.
+ * Returns { value } with only known fields, or { errors }.
+ */
+const validatePayload = (schema, payload) => {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { errors: [{ field: null, message: 'Payload must be an object' }] };
+  }
+
+  const errors = [];
+  const value = {};
+
+  Object.entries(schema.fields).forEach(([field, rules]) => {
+    const fieldValue = payload[field];
+
+    if (fieldValue === undefined || fieldValue === null || fieldValue === '') {
+      if (rules.required) {
+        errors.push({ field, message: `${field} is required` });
+      }
+      return;
+    }
+
+    const message = checkField(field, rules, fieldValue);
+    if (message) {
+      errors.push({ field, message });
+      return;
+    }
+
+    value[field] = fieldValue;
+  });
+
+  if (errors.length === 0 && schema.check) {
+    const message = schema.check(value);
+    if (message) {
+      errors.push({ field: null, message });
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { value };
+};
+
+/**
+ * Fixed-window limiter kept on the socket itself, so limits are per connection
+ */
+const consumeRateLimit = (socket, event) => {
+  const { windowMs, max } = EVENT_RATE_LIMITS[event] || DEFAULT_RATE_LIMIT;
+  const now = Date.now();
+
+  if (!socket.rateLimits) {
+    socket.rateLimits = new Map();
+  }
+
+  let entry = socket.rateLimits.get(event);
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + windowMs };
+    socket.rateLimits.set(event, entry);
+  }
+
+  entry.count += 1;
+
+  return entry.count <= max ? null : Math.ceil((entry.resetAt - now) / 1000);
+};
+
+/**
+ * Register a socket event handler behind validation, rate limiting and structured acks.
+ *
+ * The handler receives the validated payload and may return data for the ack.
+ * Errors thrown with socketError() are reported to the client by code; anything
+ * else is logged and reported as INTERNAL_ERROR. Clients that don't pass an ack
+ * callback get a `socketError` event (or options.errorEvent) instead.
+ */
+const registerEvent = (socket, event, handler, options = {}) => {
+  const schema = EVENT_SCHEMAS[event];
+
+  socket.on(event, async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : null;
+
+    const fail = (error) => {
+      const body = {
+        ok: false,
+        event,
+        error: {
+          code: error.code,
+          message: error.message,
+          ...(error.details ? { details: error.details } : {})
+        }
+      };
+
+      if (respond) {
+        respond(body);
+      } else {
+        socket.emit(options.errorEvent || 'socketError', body);
+      }
+    };
+
+    try {
+      const retryAfter = consumeRateLimit(socket, event);
+      if (retryAfter !== null) {
+        return fail(socketError('RATE_LIMITED', 'Too many requests, please slow down.', { retryAfter }));
+      }
+
+      let value = payload;
+      if (schema) {
+        const result = validatePayload(schema, payload);
+        if (result.errors) {
+          return fail(socketError('VALIDATION_ERROR', 'Invalid payload', result.errors));
+        }
+        value = result.value;
+      }
+
+      const data = await handler(value);
+
+      if (respond) {
+        respond({ ok: true, ...(data || {}) });
+      }
+    } catch (error) {
+      if (error.expose) {
+        return fail(error);
+      }
+
+      console.error(`❌ Socket event ${event} error for user ${socket.userId}:`, error);
+      fail(socketError('INTERNAL_ERROR', 'Something went wrong'));
+    }
+  });
+};
+
+module.exports = {
+  EVENT_SCHEMAS,
+  registerEvent,
+  validatePayload
+};
@@ -1,27 +1,20 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const { putFile, isPublicKey, publicUrl } = require('../services/storage');
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, '../uploads');
-const documentsDir = path.join(uploadsDir, 'documents');
-const imagesDir = path.join(uploadsDir, 'images');
+// Multer stages uploads here; persistUploads then moves them into storage
+const stagingDir = path.join(os.tmpdir(), 'drsclub-uploads');
 
-[uploadsDir, documentsDir, imagesDir].forEach(dir => {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-});
+if (!fs.existsSync(stagingDir)) {
+  fs.mkdirSync(stagingDir, { recursive: true });
+}
 
 // Combined storage configuration that handles both images and documents
 const combinedStorage = multer.diskStorage({
   destination: function (req, file, cb) {
-    // Determine destination based on field name
-    if (file.fieldname === 'profilePicture' || file.fieldname === 'companyLogo') {
-      cb(null, imagesDir);
-    } else {
-      cb(null, documentsDir);
-    }
+    cb(null, stagingDir);
   },
   filename: function (req, file, cb) {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -60,7 +53,7 @@ const combinedFilter = (req, file, cb) => {
 // Storage configuration for documents
 const documentStorage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, documentsDir);
+    cb(null, stagingDir);
   },
   filename: function (req, file, cb) {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -71,7 +64,7 @@ const documentStorage = multer.diskStorage({
 // Storage configuration for images
 const imageStorage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, imagesDir);
+    cb(null, stagingDir);
   },
   filename: function (req, file, cb) {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -105,28 +98,110 @@ const imageFilter = (req, file, cb) => {
   }
 };
 
+// Storage configuration for chat attachments
+const attachmentStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, stagingDir);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'att-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+  }
+});
+
+// File filter for chat attachments (images and PDFs)
+const attachmentFilter = (req, file, cb) => {
+  const allowedTypes = /pdf|jpg|jpeg|png|gif/;
+  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+  const mimetype = allowedTypes.test(file.mimetype);
+
+  if (mimetype && extname) {
+    return cb(null, true);
+  } else {
+    cb(new Error('Only PDF, JPG, JPEG, PNG, and GIF files can be attached'));
+  }
+};
+
+// Storage configuration for report evidence
+const evidenceStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, stagingDir);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'evidence-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+  }
+});
+
+/**
+ * Move staged uploads into storage under `${area}/${filename}`. Each file gets
+ * `key` (what models store) and, for public areas, `url`.
+ */
+const persistUploads = (areaFor) => async (req, res, next) => {
+  const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+
+  try {
+    for (const file of files) {
+      file.key = `${areaFor(file)}/${file.filename}`;
+      await putFile(file.key, await fs.promises.readFile(file.path), { contentType: file.mimetype });
+      if (isPublicKey(file.key)) {
+        file.url = publicUrl(file.key);
+      }
+    }
+    next();
+  } catch (error) {
+    next(error);
+  } finally {
+    files.forEach(file => fs.unlink(file.path, () => {}));
+  }
+};
+
+// Wrap a multer instance so each of its middlewares also persists the files
+const storedUpload = (instance, areaFor) => ({
+  single: (field) => [instance.single(field), persistUploads(areaFor)],
+  array: (field, maxCount) => [instance.array(field, maxCount), persistUploads(areaFor)],
+  fields: (fields) => [instance.fields(fields), persistUploads(areaFor)]
+});
+
+const isImageField = (file) => file.fieldname === 'profilePicture' || file.fieldname === 'companyLogo';
+
 // Multer upload instances
-const uploadDocument = multer({
+const uploadDocument = storedUpload(multer({
   storage: documentStorage,
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
   fileFilter: documentFilter
-});
+}), () => 'documents');
 
-const uploadImage = multer({
+const uploadImage = storedUpload(multer({
   storage: imageStorage,
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
   fileFilter: imageFilter
-});
+}), () => 'images');
 
 // Combined upload for onboarding (handles both images and documents)
-const uploadOnboarding = multer({
+const uploadOnboarding = storedUpload(multer({
   storage: combinedStorage,
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
   fileFilter: combinedFilter
-});
+}), (file) => (isImageField(file) ? 'images' : 'documents'));
+
+const uploadAttachment = storedUpload(multer({
+  storage: attachmentStorage,
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: attachmentFilter
+}), () => 'attachments');
+
+// Screenshots and PDFs attached to a report
+const uploadEvidence = storedUpload(multer({
+  storage: evidenceStorage,
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: attachmentFilter
+}), () => 'reports');
 
 module.exports = {
   uploadDocument,
   uploadImage,
-  uploadOnboarding
-};
\ No newline at end of file
+  uploadOnboarding,
+  uploadAttachment,
+  uploadEvidence
+};
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set when the attachment is sent - until then only the uploader can access it
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  // Storage keys (see services/storage)
+  filePath: {
+    type: String,
+    required: true
+  },
+  fileSize: Number,
+  mimeType: String,
+  // Images only
+  thumbnailPath: String,
+  width: Number,
+  height: Number
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      // Files are never exposed by path - clients go through the authenticated download route
+      return {
+        _id: ret._id,
+        fileName: ret.fileName,
+        fileSize: ret.fileSize,
+        mimeType: ret.mimeType,
+        width: ret.width,
+        height: ret.height,
+        url: `/api/chat/attachments/${ret._id}`,
+        thumbnailUrl: ret.thumbnailPath ? `/api/chat/attachments/${ret._id}/thumbnail` : null,
+        createdAt: ret.createdAt
+      };
+    }
+  }
+});
+
+// Index for faster queries
+attachmentSchema.index({ uploader: 1, message: 1 });
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+module.exports = Attachment;
@@ -11,21 +11,50 @@ const connectionSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Sorted pair of user IDs - one record per pair, reused when they request again
+  pairKey: {
+    type: String,
+    required: true
+  },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected'],
+    enum: ['pending', 'accepted', 'rejected', 'withdrawn', 'expired', 'removed'],
     default: 'pending'
   },
   message: {
     type: String,
     maxlength: 500
-  }
+  },
+  // When the current request was sent (pending requests expire from here)
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the request was accepted, rejected, withdrawn, expired or the connection removed
+  respondedAt: Date,
+  // After a rejection the requester can't ask again until this date
+  cooldownUntil: Date
 }, {
   timestamps: true
 });
 
-// Ensure unique connection requests
-connectionSchema.index({ requester: 1, recipient: 1 }, { unique: true });
+// One record per pair of users, whichever way round the request went
+connectionSchema.index({ pairKey: 1 }, { unique: true });
+connectionSchema.index({ requester: 1, status: 1 });
+connectionSchema.index({ recipient: 1, status: 1 });
+connectionSchema.index({ status: 1, requestedAt: 1 });
+
+// Build the pair key for two users
+connectionSchema.statics.pairKeyFor = function(userId1, userId2) {
+  return [userId1.toString(), userId2.toString()].sort().join('_');
+};
+
+connectionSchema.pre('validate', function(next) {
+  if (this.requester && this.recipient) {
+    this.pairKey = this.constructor.pairKeyFor(this.requester, this.recipient);
+  }
+  next();
+});
 
 const Connection = mongoose.model('Connection', connectionSchema);
 
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['direct', 'group'],
+    required: true
+  },
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Group admins can rename the group and add/remove members
+  admins: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  avatar: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Sorted "<userId>_<userId>" pair - one direct conversation per pair of users
+  directKey: String,
+  lastMessageAt: Date,
+  // Per-participant read position - messages after lastReadAt are unread
+  readCursors: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    lastReadAt: Date
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+conversationSchema.index({ directKey: 1 }, { unique: true, sparse: true });
+
+// Build the direct key for a pair of users
+conversationSchema.statics.directKeyFor = function(userId1, userId2) {
+  return [userId1.toString(), userId2.toString()].sort().join('_');
+};
+
+// Find the direct conversation between two users, creating it if needed
+conversationSchema.statics.findOrCreateDirect = async function(userId1, userId2) {
+  const directKey = this.directKeyFor(userId1, userId2);
+
+  try {
+    return await this.findOneAndUpdate(
+      { directKey },
+      {
+        $setOnInsert: {
+          type: 'direct',
+          directKey,
+          participants: [userId1, userId2]
+        }
+      },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // Two concurrent upserts can race on the unique index - the other one won
+    if (error.code === 11000) {
+      return this.findOne({ directKey });
+    }
+    throw error;
+  }
+};
+
+// Move a user's read cursor forward (never backwards)
+conversationSchema.statics.advanceReadCursor = async function(conversationId, userId, lastReadAt) {
+  const result = await this.updateOne(
+    { _id: conversationId, 'readCursors.user': userId },
+    { $max: { 'readCursors.$.lastReadAt': lastReadAt } }
+  );
+
+  if (result.matchedCount === 0) {
+    await this.updateOne(
+      { _id: conversationId, 'readCursors.user': { $ne: userId } },
+      { $push: { readCursors: { user: userId, lastReadAt } } }
+    );
+  }
+};
+
+// Get when a user last read the conversation (null if never)
+conversationSchema.methods.lastReadAtFor = function(userId) {
+  const cursor = this.readCursors.find(c => c.user.toString() === userId.toString());
+  return cursor ? cursor.lastReadAt : null;
+};
+
+// Check if a user is a current participant
+conversationSchema.methods.hasParticipant = function(userId) {
+  return this.participants.some(p => (p._id || p).toString() === userId.toString());
+};
+
+// Check if a user is a group admin
+conversationSchema.methods.isAdmin = function(userId) {
+  return this.admins.some(a => (a._id || a).toString() === userId.toString());
+};
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+module.exports = Conversation;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { DOCUMENT_TYPES } = require('./Document');
+
+// A credential (licence, degree, certification) and its document versions.
+// Each upload is a Document with its own review status; only the current one counts.
+const credentialSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: DOCUMENT_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    trim: true
+  },
+  // Newest version - superseded ones keep their own status and history
+  currentVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  },
+  // Highest version number issued so far
+  versionCount: {
+    type: Number,
+    default: 0
+  },
+  // Deleted by the owner - its versions are kept for audit
+  archivedAt: Date
+}, {
+  timestamps: true
+});
+
+credentialSchema.index({ user: 1, archivedAt: 1 });
+
+const Credential = mongoose.model('Credential', credentialSchema);
+
+module.exports = Credential;
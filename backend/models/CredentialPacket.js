@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// How a packet can be shared: a link anyone holding it can open (optionally with a
+// password), or with one signed-in user such as the poster of a job
+const SHARE_KINDS = ['link', 'user'];
+
+const shareSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: SHARE_KINDS,
+    required: true
+  },
+  // SHA-256 of the link token (the raw token is only returned when the link is created)
+  tokenHash: String,
+  passwordHash: String,
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Job the packet was sent for, when shared with its poster
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date
+}, {
+  timestamps: true
+});
+
+// Selected credentials a user shares together, e.g. licence, degree and board certification.
+// Recipients always get each credential's current version.
+const credentialPacketSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  credentials: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Credential'
+  }],
+  shares: [shareSchema]
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.shares = (ret.shares || []).map(({ tokenHash, passwordHash, ...share }) => ({
+        ...share,
+        hasPassword: Boolean(passwordHash)
+      }));
+      return ret;
+    }
+  }
+});
+
+credentialPacketSchema.index({ user: 1, createdAt: -1 });
+credentialPacketSchema.index({ 'shares.tokenHash': 1 });
+credentialPacketSchema.index({ 'shares.recipient': 1 });
+
+const CredentialPacket = mongoose.model('CredentialPacket', credentialPacketSchema);
+
+module.exports = CredentialPacket;
+module.exports.SHARE_KINDS = SHARE_KINDS;
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 
+const DOCUMENT_TYPES = ['medical-license', 'degree', 'board-certification', 'other'];
+
+const DOCUMENT_STATUSES = ['submitted', 'in_review', 'approved', 'rejected', 'needs_resubmission', 'expired'];
+
 const documentSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -13,17 +17,34 @@ const documentSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['medical-license', 'degree', 'board-certification', 'other'],
+    enum: DOCUMENT_TYPES,
     required: true
   },
   category: {
     type: String,
     trim: true
   },
+  // Credential this is a version of (1 = first upload) - see services/credentialService.js
+  credential: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Credential'
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  // When this stopped being the credential's current version: replaced by
+  // supersededBy, or the credential was deleted. Kept, and downloadable, for audit.
+  retiredAt: Date,
+  supersededBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  },
   fileName: {
     type: String,
     required: true
   },
+  // Storage key, e.g. documents/doc-123.pdf (see services/storage)
   filePath: {
     type: String,
     required: true
@@ -32,6 +53,46 @@ const documentSchema = new mongoose.Schema({
   mimeType: String,
   startDate: Date,
   expiryDate: Date,
+  // Set by the expiry job (services/credentialExpiryService.js) when expiryDate passes
+  expiredAt: Date,
+  // Reminder thresholds (days before expiry) already sent for the current expiryDate
+  expiryRemindersSent: {
+    type: [Number],
+    default: undefined
+  },
+  // Review workflow - see services/credentialReviewService.js for the allowed moves
+  status: {
+    type: String,
+    enum: DOCUMENT_STATUSES,
+    default: 'submitted'
+  },
+  // Reviewer who took the document from the queue
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Shown to the owner when the document is rejected or needs resubmitting
+  rejectionReason: String,
+  // Every status change, oldest first
+  reviewHistory: [{
+    status: {
+      type: String,
+      enum: DOCUMENT_STATUSES,
+      required: true
+    },
+    reason: String,
+    // Internal note, only shown to reviewers
+    note: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Kept in step with status === 'approved'
   isVerified: {
     type: Boolean,
     default: false
@@ -61,11 +122,17 @@ const documentSchema = new mongoose.Schema({
         name: ret.title,
         documentType: typeMap[ret.type] || ret.type,
         category: ret.category,
-        fileUrl: ret.filePath,
+        // Files are private - the owner's download route redirects to a signed URL
+        fileUrl: `/api/documents/download/${ret._id}`,
         uploadDate: ret.createdAt,
         startDate: ret.startDate,
         expiryDate: ret.expiryDate,
         verified: ret.isVerified,
+        status: ret.status,
+        rejectionReason: ret.rejectionReason,
+        credentialId: ret.credential,
+        version: ret.version,
+        retiredAt: ret.retiredAt,
         fileSize: ret.fileSize,
         mimeType: ret.mimeType
       };
@@ -73,6 +140,28 @@ const documentSchema = new mongoose.Schema({
   }
 });
 
+// Credential lookups per user (directory search, profile badges)
+documentSchema.index({ user: 1, type: 1 });
+// Review queue, oldest first per status
+documentSchema.index({ status: 1, createdAt: 1 });
+// Expiry job and the expiring-soon report
+documentSchema.index({ status: 1, expiryDate: 1 });
+// One document per version number (documents from before versioning have no credential)
+documentSchema.index(
+  { credential: 1, version: 1 },
+  { unique: true, partialFilterExpression: { credential: { $exists: true } } }
+);
+
+// Start the review history with the upload
+documentSchema.pre('save', function(next) {
+  if (this.isNew && this.reviewHistory.length === 0) {
+    this.reviewHistory.push({ status: this.status, by: this.user });
+  }
+  next();
+});
+
 const Document = mongoose.model('Document', documentSchema);
 
-module.exports = Document;
\ No newline at end of file
+module.exports = Document;
+module.exports.DOCUMENT_TYPES = DOCUMENT_TYPES;
+module.exports.DOCUMENT_STATUSES = DOCUMENT_STATUSES;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { geocodeZip } = require('../services/geoService');
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -19,6 +20,12 @@ const eventSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  zip: String,
+  // Centroid of zip, kept in sync on save - used for radius search
+  geo: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined }
+  },
   type: {
     type: String,
     enum: ['conference', 'webinar', 'networking', 'workshop', 'other'],
@@ -61,6 +68,18 @@ const eventSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Events a user attended, for shared-attendance suggestions
+eventSchema.index({ 'attendees.user': 1 });
+eventSchema.index({ geo: '2dsphere' });
+
+// Geocode the ZIP code for radius search - virtual events have no location
+eventSchema.pre('save', function(next) {
+  if (this.isModified('zip') || this.isModified('isVirtual')) {
+    this.geo = (!this.isVirtual && geocodeZip(this.zip)) || undefined;
+  }
+  next();
+});
+
 const Event = mongoose.model('Event', eventSchema);
 
 module.exports = Event;
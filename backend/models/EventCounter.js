@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Last event sequence number handed out per user (_id is the user's ID)
+const eventCounterSchema = new mongoose.Schema({
+  _id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+const EventCounter = mongoose.model('EventCounter', eventCounterSchema);
+
+module.exports = EventCounter;
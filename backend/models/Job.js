@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { geocodeZip } = require('../services/geoService');
 
 const jobSchema = new mongoose.Schema({
   title: {
@@ -19,6 +20,12 @@ const jobSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  zip: String,
+  // Centroid of zip, kept in sync on save - used for radius search
+  geo: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined }
+  },
   salary: {
     type: String
   },
@@ -65,6 +72,16 @@ const jobSchema = new mongoose.Schema({
   timestamps: true
 });
 
+jobSchema.index({ geo: '2dsphere' });
+
+// Geocode the ZIP code for radius search
+jobSchema.pre('save', function(next) {
+  if (this.isModified('zip')) {
+    this.geo = geocodeZip(this.zip) || undefined;
+  }
+  next();
+});
+
 const Job = mongoose.model('Job', jobSchema);
 
 module.exports = Job;
\ No newline at end of file
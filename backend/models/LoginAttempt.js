@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Username or email exactly as entered (normalized to lowercase)
+  identifier: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  ipAddress: String,
+  userAgent: String,
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['success', 'invalid-credentials', 'invalid-mfa-code', 'account-locked', 'ip-locked', 'account-deactivated', 'account-suspended', 'mfa-reset'],
+    required: true
+  },
+  // Admin who changed the account's sign-in security (e.g. 'mfa-reset' entries, which are not sign-ins)
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for faster queries
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ ipAddress: 1, createdAt: -1 });
+
+// Keep login history for 90 days
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const loginThrottleSchema = new mongoose.Schema({
+  // 'account:<userId>', 'identifier:<username/email>' or 'ip:<address>'
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  // Number of full lockouts - each one doubles the next lockout duration
+  lockouts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: Date,
+  isLockedOut: {
+    type: Boolean,
+    default: false
+  },
+  lastFailureAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Forget throttle state once it has been idle long enough
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+module.exports = LoginThrottle;
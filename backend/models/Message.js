@@ -1,32 +1,77 @@
 const mongoose = require('mongoose');
 
 const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
   sender: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Set for direct (1:1) messages only - group messages fan out to the conversation
   recipient: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
+  },
+  // 'system' messages record group events such as members joining or leaving
+  kind: {
+    type: String,
+    enum: ['text', 'system'],
+    default: 'text'
   },
+  // Optional when the message carries attachments
   content: {
     type: String,
-    required: true,
+    required: function() {
+      return !this.deletedAt && (!this.attachments || this.attachments.length === 0);
+    },
     maxlength: 5000
   },
-  read: {
-    type: Boolean,
-    default: false
+  attachments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment'
+  }],
+  // Delivery state across all recipients: sent -> delivered -> read (never moves backwards)
+  status: {
+    type: String,
+    enum: ['sent', 'delivered', 'read'],
+    default: 'sent'
   },
-  readAt: Date
+  // Per-recipient receipts
+  deliveredTo: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  readBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Previous versions of the content, oldest first
+  editHistory: [{
+    content: String,
+    editedAt: Date
+  }],
+  editedAt: Date,
+  // "Delete for me" - hidden for these users only
+  deletedFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // "Delete for everyone" - content and attachments are removed, the message stays as a placeholder
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
 }, {
   timestamps: true
 });
 
 // Index for faster queries
 messageSchema.index({ sender: 1, recipient: 1, createdAt: -1 });
+messageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
 
 const Message = mongoose.model('Message', messageSchema);
 
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Notification types and their default delivery channels
+const NOTIFICATION_TYPES = {
+  connection_request: { inApp: true, email: false },
+  connection_accepted: { inApp: true, email: false },
+  job_application: { inApp: true, email: true },
+  event_registration: { inApp: true, email: false },
+  // Only sent while the recipient has no open socket
+  new_message: { inApp: true, email: false },
+  moderation_warning: { inApp: true, email: true },
+  credential_review: { inApp: true, email: true },
+  credential_expiry: { inApp: true, email: true },
+  credential_packet: { inApp: true, email: true }
+};
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // User whose action triggered the notification (if any)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: Object.keys(NOTIFICATION_TYPES),
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  body: {
+    type: String,
+    maxlength: 1000
+  },
+  // Related entity IDs (connectionId, jobId, eventId, ...)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Frontend path to open when the notification is clicked
+  link: String,
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, read: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One view or download of a shared credential packet, shown to its owner
+const packetAccessSchema = new mongoose.Schema({
+  packet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CredentialPacket',
+    required: true
+  },
+  // The share it was opened through
+  share: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Signed-in viewer, if any (anonymous for most link views)
+  viewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    enum: ['view', 'download'],
+    required: true
+  },
+  // Document downloaded
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  },
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+packetAccessSchema.index({ packet: 1, createdAt: -1 });
+
+const PacketAccess = mongoose.model('PacketAccess', packetAccessSchema);
+
+module.exports = PacketAccess;
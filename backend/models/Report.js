@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// What can be reported, and the model each target ID refers to
+const REPORT_TARGETS = {
+  user: 'User',
+  message: 'Message',
+  event: 'Event',
+  job: 'Job'
+};
+
+const REPORT_CATEGORIES = ['spam', 'harassment', 'inappropriate_content', 'fraud', 'impersonation', 'other'];
+
+// Outcomes an admin can record when closing a report
+const REPORT_ACTIONS = ['dismiss', 'none', 'warn', 'suspend', 'deactivate'];
+
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: Object.keys(REPORT_TARGETS),
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetModel',
+    required: true
+  },
+  targetModel: {
+    type: String,
+    enum: Object.values(REPORT_TARGETS),
+    required: true
+  },
+  // Account responsible for the target (the user, message sender, event organizer or job poster)
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: REPORT_CATEGORIES,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  // Copy of the reported content at report time - it may be edited or deleted later
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Uploaded screenshots / PDFs, only served through the admin routes
+  evidence: [{
+    fileName: String,
+    filePath: String, // storage key
+    fileSize: Number,
+    mimeType: String
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'in_review', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolution: {
+    action: {
+      type: String,
+      enum: REPORT_ACTIONS
+    },
+    note: String,
+    suspendedUntil: Date,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      // Evidence is downloaded through /api/admin/reports/:id/evidence/:index
+      if (ret.evidence) {
+        ret.evidence = ret.evidence.map(({ fileName, fileSize, mimeType }) => ({ fileName, fileSize, mimeType }));
+      }
+      return ret;
+    }
+  }
+});
+
+// Index for faster queries
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ targetUser: 1, createdAt: -1 });
+reportSchema.index({ reporter: 1, targetType: 1, target: 1 });
+
+const Report = mongoose.model('Report', reportSchema);
+
+module.exports = Report;
+module.exports.REPORT_TARGETS = REPORT_TARGETS;
+module.exports.REPORT_CATEGORIES = REPORT_CATEGORIES;
+module.exports.REPORT_ACTIONS = REPORT_ACTIONS;
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Catalogue of admin permissions that can be granted through roles
+const PERMISSIONS = {
+  'dashboard.view': 'View admin dashboard statistics',
+  'users.read': 'View user accounts and their activity',
+  'users.manage': 'Edit, activate, deactivate and verify users; manage sessions, lockouts and 2FA',
+  'awards.manage': 'Grant and revoke awards',
+  'tax-records.manage': 'Manage user tax records',
+  'events.manage': 'Moderate and delete events',
+  'jobs.manage': 'Moderate and delete jobs',
+  'contacts.read': 'Read contact form submissions',
+  'contacts.manage': 'Update and delete contact form submissions',
+  'documents.read': 'View uploaded credential documents',
+  'documents.review': 'Approve, reject or request resubmission of credential documents',
+  'connections.read': 'View connections between users',
+  'connections.manage': 'Check and repair connection data',
+  'messages.read': 'Read messages for moderation',
+  'reports.read': 'View the report queue and report evidence',
+  'reports.manage': 'Triage reports and warn, suspend or deactivate reported users',
+  'specialities.manage': 'Create, edit and delete specialities',
+  'wallets.read': 'View user wallets and transactions',
+  'wallets.adjust': 'Manually credit or debit wallets',
+  'withdrawals.read': 'View withdrawal requests',
+  'withdrawals.approve': 'Approve, reject and complete withdrawal requests',
+  'settings.manage': 'Change platform security settings',
+  'roles.manage': 'Define roles and assign them to users'
+};
+
+// Permissions members get from their account type (see USER_TYPE_PERMISSIONS in
+// services/permissionService.js) - never granted through roles
+const MEMBER_PERMISSIONS = {
+  'documents.manage': 'Upload, version and resubmit own credential documents and share them in packets'
+};
+
+// Roles created by scripts/seedRoles.js - cannot be deleted or renamed
+const SYSTEM_ROLES = [
+  {
+    name: 'super-admin',
+    description: 'Full access to the admin panel',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  {
+    name: 'support',
+    description: 'Support staff - read users and handle contact submissions',
+    permissions: ['dashboard.view', 'users.read', 'contacts.read', 'contacts.manage', 'documents.read']
+  }
+];
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]+$/, 'Role name may only contain letters, numbers and dashes']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  permissions: [{
+    type: String,
+    enum: Object.keys(PERMISSIONS)
+  }],
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
+module.exports.PERMISSIONS = PERMISSIONS;
+module.exports.MEMBER_PERMISSIONS = MEMBER_PERMISSIONS;
+module.exports.SYSTEM_ROLES = SYSTEM_ROLES;
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { geocodeZip } = require('../services/geoService');
+
+// Who can see a part of a profile: anyone, connections, or only the user
+const PROFILE_AUDIENCES = ['public', 'connections', 'private'];
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -30,6 +34,11 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Admin roles granting named permissions (see models/Role.js)
+  roles: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role'
+  }],
   isOnboarded: {
     type: Boolean,
     default: false
@@ -45,6 +54,11 @@ const userSchema = new mongoose.Schema({
   city: String,
   state: String,
   zip: String,
+  // Centroid of zip, kept in sync on save - used for radius search
+  geo: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined }
+  },
   bio: String,
   profilePicture: String,
   
@@ -55,24 +69,18 @@ const userSchema = new mongoose.Schema({
     default: 'none'
   },
   
-  // Privacy settings
-  showJobStatus: {
-    type: Boolean,
-    default: true
-  },
-  showPhone: {
-    type: Boolean,
-    default: true
-  },
-  showEmail: {
-    type: Boolean,
-    default: false
-  },
-  showLocation: {
-    type: Boolean,
-    default: true
+  // Privacy settings - who sees each part of the profile. Which fields each
+  // setting covers, and the fields nobody else sees, live in services/profileVisibilityService.js
+  profileVisibility: {
+    email: { type: String, enum: PROFILE_AUDIENCES, default: 'private' },
+    phone: { type: String, enum: PROFILE_AUDIENCES, default: 'connections' },
+    location: { type: String, enum: PROFILE_AUDIENCES, default: 'public' },
+    address: { type: String, enum: PROFILE_AUDIENCES, default: 'connections' },
+    bio: { type: String, enum: PROFILE_AUDIENCES, default: 'connections' },
+    jobStatus: { type: String, enum: PROFILE_AUDIENCES, default: 'public' }
   },
-  showBio: {
+  // Online / last-seen status shown to connections
+  showOnlineStatus: {
     type: Boolean,
     default: true
   },
@@ -96,7 +104,7 @@ const userSchema = new mongoose.Schema({
   description: String,
   servicesOffered: String,
   companyLogo: String,
-  businessLicense: String,
+  businessLicense: String, // storage key of the uploaded licence
   
   // Subscription for vendors
   subscription: {
@@ -166,16 +174,107 @@ const userSchema = new mongoose.Schema({
     ref: 'User'
   }],
   
+  // Users this user has blocked - hidden from each other in both directions
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  
+  // Per-type notification preferences, e.g. { job_application: { inApp: true, email: false } }
+  // Types without an entry use the defaults in models/Notification.js
+  notificationPreferences: {
+    type: Map,
+    of: new mongoose.Schema({
+      inApp: Boolean,
+      email: Boolean
+    }, { _id: false }),
+    default: {}
+  },
+  
+  // Two-factor authentication (TOTP) - secrets are never selected by default
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated during setup, promoted to `secret` once a code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Last accepted TOTP time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  
   isActive: {
     type: Boolean,
     default: true
   },
   
-  lastLogin: Date
+  // Moderation - set from the admin report queue
+  suspendedUntil: Date,
+  suspensionReason: String,
+  moderationWarnings: [{
+    reason: String,
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Report'
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  lastLogin: Date,
+  // Last time the user's final socket disconnected
+  lastSeenAt: Date
 }, {
   timestamps: true
 });
 
+// Candidate lookups for connection suggestions
+userSchema.index({ specialty: 1, isActive: 1 });
+userSchema.index({ subSpecialty: 1, isActive: 1 });
+userSchema.index({ state: 1, city: 1, isActive: 1 });
+userSchema.index({ blockedUsers: 1 });
+userSchema.index({ geo: '2dsphere' });
+
+// Directory search (GET /api/users/search) - public fields only, like TEXT_FIELDS in services/directoryService.js
+userSchema.index(
+  {
+    firstName: 'text',
+    lastName: 'text',
+    companyName: 'text',
+    specialty: 'text',
+    subSpecialty: 'text',
+    description: 'text'
+  },
+  {
+    name: 'directory_text',
+    weights: { firstName: 10, lastName: 10, companyName: 8, specialty: 5, subSpecialty: 4, description: 1 }
+  }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
@@ -191,55 +290,37 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Geocode the ZIP code for radius search
+userSchema.pre('save', function(next) {
+  if (this.isModified('zip')) {
+    this.geo = geocodeZip(this.zip) || undefined;
+  }
+  next();
+});
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Get public profile (limited info before connection)
-userSchema.methods.getPublicProfile = function() {
-  const publicProfile = {
-    _id: this._id,
-    username: this.username,
-    userType: this.userType,
-    firstName: this.firstName,
-    lastName: this.lastName,
-    companyName: this.companyName,
-    city: this.city,
-    state: this.state,
-    specialty: this.specialty,
-    category: this.category,
-    profilePicture: this.profilePicture,
-    companyLogo: this.companyLogo,
-    emailVerified: this.emailVerified,
-    phoneVerified: this.phoneVerified,
-    isFeatured: this.isFeatured
-  };
-  
-  // Include job status if doctor and set to show
-  if (this.userType === 'doctor' && this.showJobStatus && this.jobStatus) {
-    publicProfile.jobStatus = this.jobStatus;
-  }
-  
-  return publicProfile;
+// Whether an admin suspension is still in force
+userSchema.methods.isSuspended = function() {
+  return Boolean(this.suspendedUntil && this.suspendedUntil > new Date());
 };
 
-// Get full profile (after connection)
+// The user's own profile - everything but credentials and moderation data.
+// Other members' profiles go through services/profileVisibilityService.js
 userSchema.methods.getFullProfile = function() {
   const profile = this.toObject();
   delete profile.password;
-  
-  // Respect privacy settings for job status only
-  if (this.userType === 'doctor') {
-    // Hide job status if privacy setting is off
-    if (this.showJobStatus === false || !this.jobStatus || this.jobStatus === 'none') {
-      delete profile.jobStatus;
-    }
-  }
+  delete profile.blockedUsers;
+  delete profile.moderationWarnings;
+  delete profile.suspensionReason;
   
   return profile;
 };
 
 const User = mongoose.model('User', userSchema);
 
-module.exports = User;
\ No newline at end of file
+module.exports = User;
+module.exports.PROFILE_AUDIENCES = PROFILE_AUDIENCES;
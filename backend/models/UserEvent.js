@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Real-time events recorded per user so clients can catch up after reconnecting
+const userEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Per-user, monotonically increasing
+  seq: {
+    type: Number,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+userEventSchema.index({ user: 1, seq: 1 }, { unique: true });
+
+// Clients offline for longer than this do a full refresh instead of a replay
+userEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const UserEvent = mongoose.model('UserEvent', userEventSchema);
+
+module.exports = UserEvent;
@@ -1,5 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const path = require('path');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Event = require('../models/Event');
 const Job = require('../models/Job');
@@ -9,9 +11,25 @@ const Connection = require('../models/Connection');
 const Contact = require('../models/Contact');
 const Wallet = require('../models/Wallet');
 const WithdrawalRequest = require('../models/WithdrawalRequest');
-const { auth, isAdmin } = require('../middleware/auth');
-
-// Apply auth and isAdmin middleware to all admin routes
+const { auth, isAdmin, requirePermission } = require('../middleware/auth');
+const LoginAttempt = require('../models/LoginAttempt');
+const Setting = require('../models/Setting');
+const Role = require('../models/Role');
+const Report = require('../models/Report');
+const { revokeAllSessions } = require('../services/sessionService');
+const { getAccountLockout, clearAccountLockout } = require('../services/loginThrottleService');
+const { MAX_SUSPENSION_DAYS, resolveReport } = require('../services/reportService');
+const { fileExists, signedUrl } = require('../services/storage');
+const { startReconcileJob, getReconcileJob } = require('../services/connectionService');
+const {
+  REVIEW_DECISIONS,
+  PENDING_STATUSES,
+  claimDocument,
+  decideDocument
+} = require('../services/credentialReviewService');
+const { EXPIRY_POLICY, getExpiringCredentials } = require('../services/credentialExpiryService');
+
+// Apply auth and isAdmin middleware to all admin routes (individual routes check their own permission)
 router.use(auth);
 router.use(isAdmin);
 
@@ -19,8 +37,8 @@ router.use(isAdmin);
 
 // @route   GET /api/admin/stats
 // @desc    Get dashboard statistics
-// @access  Admin only
-router.get('/stats', async (req, res) => {
+// @access  Admin (dashboard.view)
+router.get('/stats', requirePermission('dashboard.view'), async (req, res) => {
   try {
     const [
       totalDoctors,
@@ -138,8 +156,8 @@ router.get('/stats', async (req, res) => {
 
 // @route   GET /api/admin/recent-users
 // @desc    Get recently signed up users (last 7 days)
-// @access  Admin only
-router.get('/recent-users', async (req, res) => {
+// @access  Admin (dashboard.view)
+router.get('/recent-users', requirePermission('dashboard.view'), async (req, res) => {
   try {
     const { limit = 10 } = req.query;
     
@@ -171,8 +189,8 @@ router.get('/recent-users', async (req, res) => {
 
 // @route   GET /api/admin/users
 // @desc    Get all users with filtering and pagination
-// @access  Admin only
-router.get('/users', async (req, res) => {
+// @access  Admin (users.read)
+router.get('/users', requirePermission('users.read'), async (req, res) => {
   try {
     const { 
       userType, 
@@ -238,8 +256,8 @@ router.get('/users', async (req, res) => {
 
 // @route   GET /api/admin/users/:id
 // @desc    Get user details by ID
-// @access  Admin only
-router.get('/users/:id', async (req, res) => {
+// @access  Admin (users.read)
+router.get('/users/:id', requirePermission('users.read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
       .select('-password')
@@ -281,15 +299,67 @@ router.get('/users/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/users/:id/business-license
+// @desc    Download a vendor's business licence (redirects to a short-lived signed URL)
+// @access  Admin (documents.read)
+router.get('/users/:id/business-license', requirePermission('documents.read'), async (req, res) => {
+  try {
+    const user = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await User.findById(req.params.id).select('username businessLicense')
+      : null;
+
+    if (!user || !user.businessLicense || !(await fileExists(user.businessLicense))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business license not found'
+      });
+    }
+
+    res.redirect(await signedUrl(user.businessLicense, {
+      fileName: `${user.username}-business-license${path.extname(user.businessLicense)}`
+    }));
+  } catch (error) {
+    console.error('Download business license error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download business license'
+    });
+  }
+});
+
+// Fields editable through PUT /users/:id. Password, roles, 2FA, suspension and
+// other security state have their own routes and are never set from this body.
+const EDITABLE_USER_FIELDS = [
+  'username', 'email', 'userType', 'isAdmin', 'isActive', 'isOnboarded', 'emailVerified', 'phoneVerified',
+  'firstName', 'lastName', 'specialty', 'subSpecialty', 'phone', 'location', 'city', 'state', 'zip', 'bio', 'jobStatus',
+  'companyName', 'contactPerson', 'category', 'website', 'address', 'description', 'servicesOffered',
+  'isFeatured', 'featuredUntil'
+];
+
 // @route   PUT /api/admin/users/:id
 // @desc    Update user details
-// @access  Admin only
-router.put('/users/:id', async (req, res) => {
+// @access  Admin (users.manage)
+router.put('/users/:id', requirePermission('users.manage'), async (req, res) => {
   try {
-    const updates = req.body;
-    
-    // Prevent updating password through this route
-    delete updates.password;
+    // Whole top-level fields only - dotted or unknown keys could reach roles or 2FA state
+    const invalidUpdates = Object.keys(req.body).filter(field => !EDITABLE_USER_FIELDS.includes(field));
+
+    if (invalidUpdates.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid updates: ${invalidUpdates.join(', ')}`
+      });
+    }
+
+    const updates = { ...req.body };
+
+    // Only role managers may grant legacy full-admin access
+    if (!req.permissions.has('roles.manage')) {
+      delete updates.isAdmin;
+      if (updates.userType === 'admin') {
+        delete updates.userType;
+      }
+    }
     
     // Prevent users from making themselves non-admin
     if (req.params.id === req.user.id) {
@@ -310,6 +380,11 @@ router.put('/users/:id', async (req, res) => {
       });
     }
 
+    // End all live sessions when an account is deactivated
+    if (updates.isActive === false || updates.isActive === 'false') {
+      await revokeAllSessions(user._id, 'account-deactivated', req.app.get('io'));
+    }
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -326,8 +401,8 @@ router.put('/users/:id', async (req, res) => {
 
 // @route   DELETE /api/admin/users/:id
 // @desc    Delete user (soft delete)
-// @access  Admin only
-router.delete('/users/:id', async (req, res) => {
+// @access  Admin (users.manage)
+router.delete('/users/:id', requirePermission('users.manage'), async (req, res) => {
   try {
     // Prevent admin from deleting themselves
     if (req.params.id === req.user.id) {
@@ -350,6 +425,9 @@ router.delete('/users/:id', async (req, res) => {
       });
     }
 
+    // End all live sessions (API and Socket.IO) for the deactivated user
+    await revokeAllSessions(user._id, 'account-deactivated', req.app.get('io'));
+
     res.json({
       success: true,
       message: 'User deactivated successfully',
@@ -366,8 +444,8 @@ router.delete('/users/:id', async (req, res) => {
 
 // @route   POST /api/admin/users/:id/activate
 // @desc    Activate user account
-// @access  Admin only
-router.post('/users/:id/activate', async (req, res) => {
+// @access  Admin (users.manage)
+router.post('/users/:id/activate', requirePermission('users.manage'), async (req, res) => {
   try {
     const user = await User.findByIdAndUpdate(
       req.params.id,
@@ -396,10 +474,161 @@ router.post('/users/:id/activate', async (req, res) => {
   }
 });
 
+// @route   POST /api/admin/users/:id/revoke-sessions
+// @desc    Sign a user out of every device
+// @access  Admin (users.manage)
+router.post('/users/:id/revoke-sessions', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const revoked = await revokeAllSessions(user._id, 'admin-revoked', req.app.get('io'));
+
+    res.json({
+      success: true,
+      message: `Revoked ${revoked} session${revoked === 1 ? '' : 's'}`,
+      revoked
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id/lockout
+// @desc    Get sign-in lockout state and recent login history for a user
+// @access  Admin (users.read)
+router.get('/users/:id/lockout', requirePermission('users.read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('username email');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [lockout, recentAttempts] = await Promise.all([
+      getAccountLockout(user._id),
+      LoginAttempt.find({ user: user._id })
+        .sort({ createdAt: -1 })
+        .limit(parseInt(req.query.limit) || 20)
+    ]);
+
+    res.json({
+      success: true,
+      lockout,
+      recentAttempts
+    });
+  } catch (error) {
+    console.error('Get lockout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve lockout status'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/lockout
+// @desc    Clear a user's sign-in lockout
+// @access  Admin (users.manage)
+router.delete('/users/:id/lockout', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const cleared = await clearAccountLockout(user._id);
+
+    res.json({
+      success: true,
+      message: cleared ? 'Lockout cleared successfully' : 'User was not locked out',
+      cleared
+    });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear lockout'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/2fa
+// @desc    Reset a user's two-factor authentication (e.g. lost device)
+// @access  Admin (users.manage)
+router.delete('/users/:id/2fa', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': '',
+          'twoFactor.pendingSecret': '',
+          'twoFactor.recoveryCodes': '',
+          'twoFactor.lastUsedStep': '',
+          'twoFactor.enabledAt': ''
+        }
+      },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Sessions opened with the old factor must not outlive it
+    const revoked = await revokeAllSessions(user._id, 'mfa-reset', req.app.get('io'));
+
+    // Shows up in the user's login history and the admin lockout view
+    await LoginAttempt.create({
+      user: user._id,
+      identifier: user.email,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      success: false,
+      reason: 'mfa-reset',
+      performedBy: req.userId
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully',
+      user,
+      revoked
+    });
+  } catch (error) {
+    console.error('Reset 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset two-factor authentication'
+    });
+  }
+});
+
 // @route   POST /api/admin/users/:id/verify
 // @desc    Verify user email/phone
-// @access  Admin only
-router.post('/users/:id/verify', async (req, res) => {
+// @access  Admin (users.manage)
+router.post('/users/:id/verify', requirePermission('users.manage'), async (req, res) => {
   try {
     const { emailVerified, phoneVerified } = req.body;
     
@@ -436,8 +665,8 @@ router.post('/users/:id/verify', async (req, res) => {
 
 // @route   POST /api/admin/users/:id/featured
 // @desc    Toggle vendor featured status
-// @access  Admin only
-router.post('/users/:id/featured', async (req, res) => {
+// @access  Admin (users.manage)
+router.post('/users/:id/featured', requirePermission('users.manage'), async (req, res) => {
   try {
     const { isFeatured, featuredUntil } = req.body;
     
@@ -482,8 +711,8 @@ router.post('/users/:id/featured', async (req, res) => {
 
 // @route   GET /api/admin/users/:id/awards
 // @desc    Get all awards for a user
-// @access  Admin only
-router.get('/users/:id/awards', async (req, res) => {
+// @access  Admin (users.read)
+router.get('/users/:id/awards', requirePermission('users.read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
       .select('awards username email userType')
@@ -511,8 +740,8 @@ router.get('/users/:id/awards', async (req, res) => {
 
 // @route   POST /api/admin/users/:id/awards
 // @desc    Grant an award to a user
-// @access  Admin only
-router.post('/users/:id/awards', async (req, res) => {
+// @access  Admin (awards.manage)
+router.post('/users/:id/awards', requirePermission('awards.manage'), async (req, res) => {
   try {
     const { awardType, notes } = req.body;
 
@@ -569,8 +798,8 @@ router.post('/users/:id/awards', async (req, res) => {
 
 // @route   DELETE /api/admin/users/:id/awards/:awardType
 // @desc    Revoke an award from a user
-// @access  Admin only
-router.delete('/users/:id/awards/:awardType', async (req, res) => {
+// @access  Admin (awards.manage)
+router.delete('/users/:id/awards/:awardType', requirePermission('awards.manage'), async (req, res) => {
   try {
     const { id, awardType } = req.params;
 
@@ -613,8 +842,8 @@ router.delete('/users/:id/awards/:awardType', async (req, res) => {
 
 // @route   GET /api/admin/users/:id/tax-records
 // @desc    Get all tax records for a user
-// @access  Admin only
-router.get('/users/:id/tax-records', async (req, res) => {
+// @access  Admin (tax-records.manage)
+router.get('/users/:id/tax-records', requirePermission('tax-records.manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
       .select('taxRecords username email userType');
@@ -659,8 +888,8 @@ router.get('/users/:id/tax-records', async (req, res) => {
 
 // @route   POST /api/admin/users/:id/tax-records
 // @desc    Create a new tax record for a user
-// @access  Admin only
-router.post('/users/:id/tax-records', async (req, res) => {
+// @access  Admin (tax-records.manage)
+router.post('/users/:id/tax-records', requirePermission('tax-records.manage'), async (req, res) => {
   try {
     const { year, quarter, amount, status, paidDate, dueDate, notes } = req.body;
 
@@ -740,8 +969,8 @@ router.post('/users/:id/tax-records', async (req, res) => {
 
 // @route   PUT /api/admin/users/:id/tax-records/:recordId
 // @desc    Update a tax record
-// @access  Admin only
-router.put('/users/:id/tax-records/:recordId', async (req, res) => {
+// @access  Admin (tax-records.manage)
+router.put('/users/:id/tax-records/:recordId', requirePermission('tax-records.manage'), async (req, res) => {
   try {
     const { year, quarter, amount, status, paidDate, dueDate, notes } = req.body;
 
@@ -813,8 +1042,8 @@ router.put('/users/:id/tax-records/:recordId', async (req, res) => {
 
 // @route   DELETE /api/admin/users/:id/tax-records/:recordId
 // @desc    Delete a tax record
-// @access  Admin only
-router.delete('/users/:id/tax-records/:recordId', async (req, res) => {
+// @access  Admin (tax-records.manage)
+router.delete('/users/:id/tax-records/:recordId', requirePermission('tax-records.manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -850,12 +1079,83 @@ router.delete('/users/:id/tax-records/:recordId', async (req, res) => {
   }
 });
 
+// ==================== SECURITY SETTINGS ====================
+
+// @route   GET /api/admin/settings/security
+// @desc    Get platform security settings
+// @access  Admin (settings.manage)
+router.get('/settings/security', requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const [requireAdminTwoFactor, adminsWithoutTwoFactor] = await Promise.all([
+      Setting.getValue('security.requireAdminTwoFactor', false),
+      User.countDocuments({
+        $or: [{ isAdmin: true }, { userType: 'admin' }, { 'roles.0': { $exists: true } }],
+        'twoFactor.enabled': { $ne: true }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      settings: {
+        requireAdminTwoFactor
+      },
+      adminsWithoutTwoFactor
+    });
+  } catch (error) {
+    console.error('Get security settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve security settings'
+    });
+  }
+});
+
+// @route   PUT /api/admin/settings/security
+// @desc    Update platform security settings
+// @access  Admin (settings.manage)
+router.put('/settings/security', requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const { requireAdminTwoFactor } = req.body;
+
+    if (typeof requireAdminTwoFactor !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'requireAdminTwoFactor must be true or false'
+      });
+    }
+
+    // Don't let an admin lock themselves out of the admin panel
+    if (requireAdminTwoFactor && !req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account first'
+      });
+    }
+
+    await Setting.setValue('security.requireAdminTwoFactor', requireAdminTwoFactor, req.userId);
+
+    res.json({
+      success: true,
+      message: 'Security settings updated',
+      settings: {
+        requireAdminTwoFactor
+      }
+    });
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update security settings'
+    });
+  }
+});
+
 // ==================== EVENT MANAGEMENT ====================
 
 // @route   GET /api/admin/events
 // @desc    Get all events
-// @access  Admin only
-router.get('/events', async (req, res) => {
+// @access  Admin (events.manage)
+router.get('/events', requirePermission('events.manage'), async (req, res) => {
   try {
     const { page = 1, limit = 20, sortBy = 'date', sortOrder = 'desc' } = req.query;
 
@@ -890,8 +1190,8 @@ router.get('/events', async (req, res) => {
 
 // @route   DELETE /api/admin/events/:id
 // @desc    Delete event (admin override)
-// @access  Admin only
-router.delete('/events/:id', async (req, res) => {
+// @access  Admin (events.manage)
+router.delete('/events/:id', requirePermission('events.manage'), async (req, res) => {
   try {
     const event = await Event.findByIdAndDelete(req.params.id);
 
@@ -919,8 +1219,8 @@ router.delete('/events/:id', async (req, res) => {
 
 // @route   GET /api/admin/jobs
 // @desc    Get all jobs
-// @access  Admin only
-router.get('/jobs', async (req, res) => {
+// @access  Admin (jobs.manage)
+router.get('/jobs', requirePermission('jobs.manage'), async (req, res) => {
   try {
     const { page = 1, limit = 20, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
 
@@ -955,8 +1255,8 @@ router.get('/jobs', async (req, res) => {
 
 // @route   DELETE /api/admin/jobs/:id
 // @desc    Delete job (admin override)
-// @access  Admin only
-router.delete('/jobs/:id', async (req, res) => {
+// @access  Admin (jobs.manage)
+router.delete('/jobs/:id', requirePermission('jobs.manage'), async (req, res) => {
   try {
     const job = await Job.findByIdAndDelete(req.params.id);
 
@@ -984,8 +1284,8 @@ router.delete('/jobs/:id', async (req, res) => {
 
 // @route   GET /api/admin/contacts
 // @desc    Get all contact submissions
-// @access  Admin only
-router.get('/contacts', async (req, res) => {
+// @access  Admin (contacts.read)
+router.get('/contacts', requirePermission('contacts.read'), async (req, res) => {
   try {
     const { status, page = 1, limit = 20, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
 
@@ -1023,8 +1323,8 @@ router.get('/contacts', async (req, res) => {
 
 // @route   PUT /api/admin/contacts/:id
 // @desc    Update contact status
-// @access  Admin only
-router.put('/contacts/:id', async (req, res) => {
+// @access  Admin (contacts.manage)
+router.put('/contacts/:id', requirePermission('contacts.manage'), async (req, res) => {
   try {
     const { status } = req.body;
 
@@ -1064,8 +1364,8 @@ router.put('/contacts/:id', async (req, res) => {
 
 // @route   DELETE /api/admin/contacts/:id
 // @desc    Delete contact submission
-// @access  Admin only
-router.delete('/contacts/:id', async (req, res) => {
+// @access  Admin (contacts.manage)
+router.delete('/contacts/:id', requirePermission('contacts.manage'), async (req, res) => {
   try {
     const contact = await Contact.findByIdAndDelete(req.params.id);
 
@@ -1092,23 +1392,49 @@ router.delete('/contacts/:id', async (req, res) => {
 // ==================== DOCUMENT MANAGEMENT ====================
 
 // @route   GET /api/admin/documents
-// @desc    Get all documents
-// @access  Admin only
-router.get('/documents', async (req, res) => {
+// @desc    Credential review queue - ?status=pending|all|<status>&type=&user=&assigned=me|unassigned
+//          Pending documents come oldest first
+// @access  Admin (documents.read)
+router.get('/documents', requirePermission('documents.read'), async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const { status = 'pending', type, user, assigned, page = 1, limit = 20 } = req.query;
 
-    const documents = await Document.find()
-      .populate('user', 'username email userType firstName lastName companyName')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    const query = {};
+    if (status === 'pending') {
+      // Superseded versions leave the queue
+      query.status = { $in: PENDING_STATUSES };
+      query.retiredAt = null;
+    } else if (status !== 'all') {
+      query.status = status;
+    }
+    if (type) {
+      query.type = type;
+    }
+    if (user && mongoose.Types.ObjectId.isValid(user)) {
+      query.user = user;
+    }
+    if (assigned === 'me') {
+      query.assignedTo = req.user._id;
+    } else if (assigned === 'unassigned') {
+      query.assignedTo = null;
+    }
 
-    const count = await Document.countDocuments();
+    const [documents, count, statusCounts] = await Promise.all([
+      Document.find(query)
+        .select('-reviewHistory')
+        .populate('user', 'username email userType firstName lastName companyName')
+        .populate('assignedTo', 'username firstName lastName')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Document.countDocuments(query),
+      Document.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
 
     res.json({
       success: true,
-      documents,
+      documents: documents.map(document => document.toObject()),
+      counts: statusCounts.reduce((counts, { _id, count }) => ({ ...counts, [_id]: count }), {}),
       totalPages: Math.ceil(count / limit),
       currentPage: parseInt(page),
       total: count
@@ -1122,85 +1448,602 @@ router.get('/documents', async (req, res) => {
   }
 });
 
-// ==================== CONNECTION MANAGEMENT ====================
-
-// @route   GET /api/admin/connections
-// @desc    Get all connections
-// @access  Admin only
-router.get('/connections', async (req, res) => {
+// @route   GET /api/admin/documents/expiring
+// @desc    Credentials expiring soon - ?days=90&type= ; soonest first, with counts per reminder window
+// @access  Admin (documents.read)
+router.get('/documents/expiring', requirePermission('documents.read'), async (req, res) => {
   try {
-    const { status, page = 1, limit = 20 } = req.query;
+    const days = req.query.days === undefined ? 90 : parseInt(req.query.days);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
 
-    const query = {};
-    if (status && status !== 'all') {
-      query.status = status;
+    if (!(days >= 1 && days <= EXPIRY_POLICY.maxReportDays)) {
+      return res.status(400).json({
+        success: false,
+        message: `days must be between 1 and ${EXPIRY_POLICY.maxReportDays}`
+      });
     }
 
-    const connections = await Connection.find(query)
-      .populate('requester', 'username email userType firstName lastName companyName')
-      .populate('recipient', 'username email userType firstName lastName companyName')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const count = await Connection.countDocuments(query);
+    const { documents, counts, total } = await getExpiringCredentials({ days, type: req.query.type, page, limit });
 
     res.json({
       success: true,
-      connections,
-      totalPages: Math.ceil(count / limit),
-      currentPage: parseInt(page),
-      total: count
+      documents,
+      counts,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
     });
   } catch (error) {
-    console.error('Get connections error:', error);
+    console.error('Get expiring documents error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve connections'
+      message: 'Failed to retrieve expiring documents'
     });
   }
 });
 
-// ==================== MESSAGE MANAGEMENT ====================
+// @route   GET /api/admin/documents/:id
+// @desc    Get a document with its decision history, the credential's other versions
+//          and the owner's other current credentials
+// @access  Admin (documents.read)
+router.get('/documents/:id', requirePermission('documents.read'), async (req, res) => {
+  try {
+    const document = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Document.findById(req.params.id)
+        .populate('user', 'username email userType firstName lastName companyName specialty subSpecialty state')
+        .populate('assignedTo', 'username firstName lastName')
+        .populate('verifiedBy', 'username firstName lastName')
+        .populate('reviewHistory.by', 'username firstName lastName')
+      : null;
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
 
-// @route   GET /api/admin/messages
-// @desc    Get all messages (for moderation)
-// @access  Admin only
-router.get('/messages', async (req, res) => {
+    const [versions, otherDocuments] = await Promise.all([
+      document.credential
+        ? Document.find({ credential: document.credential, _id: { $ne: document._id } })
+          .select('version status startDate expiryDate retiredAt verifiedAt createdAt')
+          .sort({ version: -1 })
+        : [],
+      Document.find({
+        user: document.user._id,
+        retiredAt: null,
+        _id: { $ne: document._id },
+        ...(document.credential && { credential: { $ne: document.credential } })
+      })
+        .select('title type status version startDate expiryDate createdAt')
+        .sort({ createdAt: -1 })
+    ]);
+
+    res.json({
+      success: true,
+      document: document.toObject(),
+      versions: versions.map(version => version.toObject()),
+      otherDocuments: otherDocuments.map(other => other.toObject())
+    });
+  } catch (error) {
+    console.error('Get document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve document'
+    });
+  }
+});
+
+// @route   GET /api/admin/documents/:id/file
+// @desc    View a document's file inline in the browser (redirects to a short-lived signed URL)
+// @access  Admin (documents.read)
+router.get('/documents/:id/file', requirePermission('documents.read'), async (req, res) => {
   try {
-    const { page = 1, limit = 50 } = req.query;
+    const document = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Document.findById(req.params.id).select('fileName filePath mimeType')
+      : null;
 
-    const messages = await Message.find()
-      .populate('sender', 'username email userType firstName lastName companyName')
-      .populate('receiver', 'username email userType firstName lastName companyName')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    if (!document || !(await fileExists(document.filePath))) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
 
-    const count = await Message.countDocuments();
+    res.redirect(await signedUrl(document.filePath, {
+      fileName: document.fileName,
+      contentType: document.mimeType || 'application/octet-stream',
+      disposition: 'inline'
+    }));
+  } catch (error) {
+    console.error('View document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load document'
+    });
+  }
+});
+
+// @route   PUT /api/admin/documents/:id/assign
+// @desc    Take a pending document for review
+// @access  Admin (documents.review)
+router.put('/documents/:id/assign', requirePermission('documents.review'), async (req, res) => {
+  try {
+    const document = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await claimDocument(req.params.id, req.user)
+      : null;
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending document not found'
+      });
+    }
 
     res.json({
       success: true,
-      messages,
-      totalPages: Math.ceil(count / limit),
-      currentPage: parseInt(page),
-      total: count
+      message: 'Document assigned to you',
+      document: document.toObject()
     });
   } catch (error) {
-    console.error('Get messages error:', error);
+    console.error('Assign document error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve messages'
+      message: 'Failed to assign document'
     });
   }
 });
 
-// ==================== SPECIALITY MANAGEMENT ====================
-
-// @route   GET /api/admin/specialities
-// @desc    Get all specialities with doctor count
-// @access  Admin only
-router.get('/specialities', async (req, res) => {
+// @route   POST /api/admin/documents/:id/review
+// @desc    Record a decision: approved, rejected or needs_resubmission (with a reason for the owner)
+// @access  Admin (documents.review)
+router.post('/documents/:id/review', requirePermission('documents.review'), async (req, res) => {
+  try {
+    const { decision } = req.body;
+    const reason = (req.body.reason || '').trim();
+    const note = (req.body.note || '').trim() || undefined;
+
+    if (!REVIEW_DECISIONS.includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: `decision must be one of: ${REVIEW_DECISIONS.join(', ')}`
+      });
+    }
+
+    if (decision !== 'approved' && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason for the document owner is required'
+      });
+    }
+
+    const current = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Document.findById(req.params.id).select('user status expiryDate')
+      : null;
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (current.user.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot review your own credentials'
+      });
+    }
+
+    if (decision === 'approved' && current.expiryDate && current.expiryDate <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This credential has already expired'
+      });
+    }
+
+    const document = await decideDocument(req.app, current._id, {
+      decision,
+      reason: reason || undefined,
+      note,
+      reviewer: req.user
+    });
+
+    if (!document) {
+      return res.status(409).json({
+        success: false,
+        message: `A document that is ${current.status.replace('_', ' ')} cannot be marked ${decision.replace('_', ' ')}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Review recorded',
+      document: document.toObject()
+    });
+  } catch (error) {
+    console.error('Review document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review document'
+    });
+  }
+});
+
+// ==================== CONNECTION MANAGEMENT ====================
+
+// @route   GET /api/admin/connections
+// @desc    Get all connections
+// @access  Admin (connections.read)
+router.get('/connections', requirePermission('connections.read'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    const connections = await Connection.find(query)
+      .populate('requester', 'username email userType firstName lastName companyName')
+      .populate('recipient', 'username email userType firstName lastName companyName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const count = await Connection.countDocuments(query);
+
+    res.json({
+      success: true,
+      connections,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page),
+      total: count
+    });
+  } catch (error) {
+    console.error('Get connections error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve connections'
+    });
+  }
+});
+
+// @route   GET /api/admin/connections/reconcile
+// @desc    Get the status and findings of the latest connection reconciliation run
+// @access  Admin (connections.manage)
+router.get('/connections/reconcile', requirePermission('connections.manage'), async (req, res) => {
+  res.json({
+    success: true,
+    job: getReconcileJob()
+  });
+});
+
+// @route   POST /api/admin/connections/reconcile
+// @desc    Check User.connections / pendingRequests against the Connection collection
+//          in the background; with { fix: true } drift is repaired as well
+// @access  Admin (connections.manage)
+router.post('/connections/reconcile', requirePermission('connections.manage'), async (req, res) => {
+  const fix = req.body.fix === true;
+
+  if (!startReconcileJob({ fix, startedBy: req.userId })) {
+    return res.status(409).json({
+      success: false,
+      message: 'A reconciliation run is already in progress'
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    message: fix ? 'Reconciliation started - drift will be repaired' : 'Reconciliation check started',
+    job: getReconcileJob()
+  });
+});
+
+// ==================== MESSAGE MANAGEMENT ====================
+
+// @route   GET /api/admin/messages
+// @desc    Get all messages (for moderation)
+// @access  Admin (messages.read)
+router.get('/messages', requirePermission('messages.read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const messages = await Message.find()
+      .populate('sender', 'username email userType firstName lastName companyName')
+      .populate('receiver', 'username email userType firstName lastName companyName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const count = await Message.countDocuments();
+
+    res.json({
+      success: true,
+      messages,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page),
+      total: count
+    });
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve messages'
+    });
+  }
+});
+
+// ==================== REPORT MODERATION ====================
+
+// @route   GET /api/admin/reports
+// @desc    Get the report queue (open reports oldest first by default)
+// @access  Admin (reports.read)
+router.get('/reports', requirePermission('reports.read'), async (req, res) => {
+  try {
+    const { status = 'pending', category, targetType, targetUser, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status === 'pending') {
+      query.status = { $in: ['open', 'in_review'] };
+    } else if (status !== 'all') {
+      query.status = status;
+    }
+    if (category) {
+      query.category = category;
+    }
+    if (targetType) {
+      query.targetType = targetType;
+    }
+    if (targetUser && mongoose.Types.ObjectId.isValid(targetUser)) {
+      query.targetUser = targetUser;
+    }
+
+    const [reports, count, statusCounts] = await Promise.all([
+      Report.find(query)
+        .populate('reporter', 'username email userType firstName lastName companyName')
+        .populate('targetUser', 'username email userType firstName lastName companyName isActive suspendedUntil')
+        .populate('assignedTo', 'username firstName lastName')
+        .sort({ createdAt: query.status && query.status.$in ? 1 : -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Report.countDocuments(query),
+      Report.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    res.json({
+      success: true,
+      reports,
+      counts: statusCounts.reduce((counts, { _id, count }) => ({ ...counts, [_id]: count }), {}),
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page),
+      total: count
+    });
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve reports'
+    });
+  }
+});
+
+// @route   GET /api/admin/reports/:id
+// @desc    Get a report with the reported account's moderation history
+// @access  Admin (reports.read)
+router.get('/reports/:id', requirePermission('reports.read'), async (req, res) => {
+  try {
+    const report = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Report.findById(req.params.id)
+        .populate('reporter', 'username email userType firstName lastName companyName')
+        .populate('targetUser', 'username email userType firstName lastName companyName isActive suspendedUntil suspensionReason moderationWarnings')
+        .populate('assignedTo', 'username firstName lastName')
+        .populate('resolution.resolvedBy', 'username firstName lastName')
+      : null;
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const previousReports = await Report.find({
+      targetUser: report.targetUser._id,
+      _id: { $ne: report._id }
+    })
+      .select('targetType category status resolution.action createdAt')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({
+      success: true,
+      report,
+      previousReports
+    });
+  } catch (error) {
+    console.error('Get report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve report'
+    });
+  }
+});
+
+// @route   GET /api/admin/reports/:id/evidence/:index
+// @desc    Download an evidence file attached to a report (redirects to a short-lived signed URL)
+// @access  Admin (reports.read)
+router.get('/reports/:id/evidence/:index', requirePermission('reports.read'), async (req, res) => {
+  try {
+    const report = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Report.findById(req.params.id).select('evidence')
+      : null;
+    const evidence = report && report.evidence[parseInt(req.params.index)];
+
+    if (!evidence || !(await fileExists(evidence.filePath))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Evidence not found'
+      });
+    }
+
+    res.redirect(await signedUrl(evidence.filePath, {
+      fileName: evidence.fileName,
+      contentType: evidence.mimeType
+    }));
+  } catch (error) {
+    console.error('Download evidence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download evidence'
+    });
+  }
+});
+
+// @route   PUT /api/admin/reports/:id/assign
+// @desc    Take a report for review
+// @access  Admin (reports.manage)
+router.put('/reports/:id/assign', requirePermission('reports.manage'), async (req, res) => {
+  try {
+    const report = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Report.findOneAndUpdate(
+        { _id: req.params.id, status: { $in: ['open', 'in_review'] } },
+        { assignedTo: req.user._id, status: 'in_review' },
+        { new: true }
+      )
+      : null;
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Open report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Report assigned to you',
+      report
+    });
+  } catch (error) {
+    console.error('Assign report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign report'
+    });
+  }
+});
+
+// @route   POST /api/admin/reports/:id/resolve
+// @desc    Close a report and record the outcome: dismiss, none, warn, suspend or deactivate
+// @access  Admin (reports.manage)
+router.post('/reports/:id/resolve', requirePermission('reports.manage'), async (req, res) => {
+  try {
+    const { action } = req.body;
+    const note = (req.body.note || '').trim();
+    const suspendDays = parseInt(req.body.suspendDays);
+
+    if (!Report.REPORT_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `action must be one of: ${Report.REPORT_ACTIONS.join(', ')}`
+      });
+    }
+
+    if (['warn', 'suspend', 'deactivate'].includes(action) && !note) {
+      return res.status(400).json({
+        success: false,
+        message: 'A note explaining the decision is required'
+      });
+    }
+
+    if (action === 'suspend' && !(suspendDays >= 1 && suspendDays <= MAX_SUSPENSION_DAYS)) {
+      return res.status(400).json({
+        success: false,
+        message: `suspendDays must be between 1 and ${MAX_SUSPENSION_DAYS}`
+      });
+    }
+
+    const report = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Report.findById(req.params.id)
+      : null;
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (!['open', 'in_review'].includes(report.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Report has already been closed'
+      });
+    }
+
+    if (report.targetUser.toString() === req.user.id && action !== 'dismiss') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot take action against your own account'
+      });
+    }
+
+    await resolveReport(req.app, report, { action, note, suspendDays, admin: req.user });
+
+    res.json({
+      success: true,
+      message: action === 'dismiss' ? 'Report dismissed' : 'Report resolved',
+      report
+    });
+  } catch (error) {
+    console.error('Resolve report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve report'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/suspension
+// @desc    Lift a user's suspension early
+// @access  Admin (users.manage)
+router.delete('/users/:id/suspension', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $unset: { suspendedUntil: 1, suspensionReason: 1 } },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Suspension lifted',
+      user
+    });
+  } catch (error) {
+    console.error('Lift suspension error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to lift suspension'
+    });
+  }
+});
+
+// ==================== SPECIALITY MANAGEMENT ====================
+
+// @route   GET /api/admin/specialities
+// @desc    Get all specialities with doctor count
+// @access  Admin (specialities.manage)
+router.get('/specialities', requirePermission('specialities.manage'), async (req, res) => {
   try {
     const Speciality = require('../models/Speciality');
     
@@ -1257,8 +2100,8 @@ router.get('/specialities', async (req, res) => {
 
 // @route   POST /api/admin/specialities
 // @desc    Create new speciality
-// @access  Admin only
-router.post('/specialities', async (req, res) => {
+// @access  Admin (specialities.manage)
+router.post('/specialities', requirePermission('specialities.manage'), async (req, res) => {
   try {
     const Speciality = require('../models/Speciality');
     const { name, description, isActive } = req.body;
@@ -1310,8 +2153,8 @@ router.post('/specialities', async (req, res) => {
 
 // @route   PUT /api/admin/specialities/:id
 // @desc    Update speciality
-// @access  Admin only
-router.put('/specialities/:id', async (req, res) => {
+// @access  Admin (specialities.manage)
+router.put('/specialities/:id', requirePermission('specialities.manage'), async (req, res) => {
   try {
     const Speciality = require('../models/Speciality');
     const { id } = req.params;
@@ -1365,8 +2208,8 @@ router.put('/specialities/:id', async (req, res) => {
 
 // @route   DELETE /api/admin/specialities/:id
 // @desc    Delete speciality
-// @access  Admin only
-router.delete('/specialities/:id', async (req, res) => {
+// @access  Admin (specialities.manage)
+router.delete('/specialities/:id', requirePermission('specialities.manage'), async (req, res) => {
   try {
     const Speciality = require('../models/Speciality');
     const { id } = req.params;
@@ -1414,8 +2257,8 @@ router.delete('/specialities/:id', async (req, res) => {
 
 // @route   GET /api/admin/wallets
 // @desc    Get all wallets with user details
-// @access  Admin only
-router.get('/wallets', async (req, res) => {
+// @access  Admin (wallets.read)
+router.get('/wallets', requirePermission('wallets.read'), async (req, res) => {
   try {
     const { page = 1, limit = 20, userType, sortBy = 'balance', sortOrder = 'desc' } = req.query;
 
@@ -1465,8 +2308,8 @@ router.get('/wallets', async (req, res) => {
 
 // @route   GET /api/admin/wallets/:userId
 // @desc    Get wallet details for a specific user
-// @access  Admin only
-router.get('/wallets/:userId', async (req, res) => {
+// @access  Admin (wallets.read)
+router.get('/wallets/:userId', requirePermission('wallets.read'), async (req, res) => {
   try {
     let wallet = await Wallet.findOne({ user: req.params.userId })
       .populate('user', 'username email userType firstName lastName companyName')
@@ -1502,8 +2345,8 @@ router.get('/wallets/:userId', async (req, res) => {
 
 // @route   POST /api/admin/wallets/:userId/credit
 // @desc    Manually credit amount to user wallet (admin)
-// @access  Admin only
-router.post('/wallets/:userId/credit', async (req, res) => {
+// @access  Admin (wallets.adjust)
+router.post('/wallets/:userId/credit', requirePermission('wallets.adjust'), async (req, res) => {
   try {
     const { amount, description } = req.body;
 
@@ -1553,8 +2396,8 @@ router.post('/wallets/:userId/credit', async (req, res) => {
 
 // @route   POST /api/admin/wallets/:userId/debit
 // @desc    Manually debit amount from user wallet (admin)
-// @access  Admin only
-router.post('/wallets/:userId/debit', async (req, res) => {
+// @access  Admin (wallets.adjust)
+router.post('/wallets/:userId/debit', requirePermission('wallets.adjust'), async (req, res) => {
   try {
     const { amount, description } = req.body;
 
@@ -1608,8 +2451,8 @@ router.post('/wallets/:userId/debit', async (req, res) => {
 
 // @route   GET /api/admin/withdrawal-requests
 // @desc    Get all withdrawal requests
-// @access  Admin only
-router.get('/withdrawal-requests', async (req, res) => {
+// @access  Admin (withdrawals.read)
+router.get('/withdrawal-requests', requirePermission('withdrawals.read'), async (req, res) => {
   try {
     const { status, page = 1, limit = 20, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
 
@@ -1660,8 +2503,8 @@ router.get('/withdrawal-requests', async (req, res) => {
 
 // @route   PUT /api/admin/withdrawal-requests/:id
 // @desc    Update withdrawal request status (approve/reject/complete)
-// @access  Admin only
-router.put('/withdrawal-requests/:id', async (req, res) => {
+// @access  Admin (withdrawals.approve)
+router.put('/withdrawal-requests/:id', requirePermission('withdrawals.approve'), async (req, res) => {
   try {
     const { status, adminNote, transactionId } = req.body;
 
@@ -1724,4 +2567,261 @@ router.put('/withdrawal-requests/:id', async (req, res) => {
   }
 });
 
+// ==================== ROLE MANAGEMENT ====================
+
+// @route   GET /api/admin/permissions
+// @desc    List all permissions that can be granted through roles
+// @access  Admin (roles.manage)
+router.get('/permissions', requirePermission('roles.manage'), async (req, res) => {
+  res.json({
+    success: true,
+    permissions: Object.entries(Role.PERMISSIONS).map(([key, description]) => ({ key, description }))
+  });
+});
+
+// @route   GET /api/admin/roles
+// @desc    List roles with the number of users holding each
+// @access  Admin (roles.manage)
+router.get('/roles', requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 }).lean();
+
+    const counts = await User.aggregate([
+      { $match: { roles: { $in: roles.map(role => role._id) } } },
+      { $unwind: '$roles' },
+      { $group: { _id: '$roles', count: { $sum: 1 } } }
+    ]);
+    const countMap = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+    res.json({
+      success: true,
+      roles: roles.map(role => ({
+        ...role,
+        userCount: countMap.get(role._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve roles'
+    });
+  }
+});
+
+// @route   POST /api/admin/roles
+// @desc    Create a role
+// @access  Admin (roles.manage)
+router.post('/roles', requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role name is required'
+      });
+    }
+
+    const invalid = permissions.filter(permission => !Role.PERMISSIONS[permission]);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permissions: ${invalid.join(', ')}`
+      });
+    }
+
+    const existing = await Role.findOne({ name: name.trim().toLowerCase() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create role'
+    });
+  }
+});
+
+// @route   PUT /api/admin/roles/:id
+// @desc    Update a role's description and permissions
+// @access  Admin (roles.manage)
+router.put('/roles/:id', requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem && ((name && name !== role.name) || permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'System roles cannot be renamed or have their permissions changed'
+      });
+    }
+
+    if (permissions) {
+      const invalid = permissions.filter(permission => !Role.PERMISSIONS[permission]);
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown permissions: ${invalid.join(', ')}`
+        });
+      }
+      role.permissions = [...new Set(permissions)];
+    }
+
+    if (name) role.name = name;
+    if (description !== undefined) role.description = description;
+
+    await role.save();
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 11000 ? 'A role with this name already exists' : error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/roles/:id
+// @desc    Delete a role and remove it from all users
+// @access  Admin (roles.manage)
+router.delete('/roles/:id', requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'System roles cannot be deleted'
+      });
+    }
+
+    await User.updateMany({ roles: role._id }, { $pull: { roles: role._id } });
+    await role.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete role'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/roles
+// @desc    Replace the roles assigned to a user
+// @access  Admin (roles.manage)
+router.put('/users/:id/roles', requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const { roles } = req.body;
+
+    if (!Array.isArray(roles)) {
+      return res.status(400).json({
+        success: false,
+        message: 'roles must be an array of role IDs'
+      });
+    }
+
+    // Prevent admins from changing their own access
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change your own roles'
+      });
+    }
+
+    const found = await Role.find({ _id: { $in: roles } }).select('_id');
+    if (found.length !== new Set(roles).size) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more roles do not exist'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { roles: found.map(role => role._id) } },
+      { new: true }
+    )
+      .select('-password')
+      .populate('roles', 'name description permissions');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User roles updated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Update user roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user roles'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,15 +1,188 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const { getUserPermissions, hasAdminAccess } = require('../services/permissionService');
 const { auth } = require('../middleware/auth');
 const { uploadImage, uploadDocument, uploadOnboarding } = require('../middleware/upload');
+const { createSession, rotateRefreshToken, revokeSession, revokeAllSessions } = require('../services/sessionService');
+const { createCredential } = require('../services/credentialService');
+const {
+  signEmailVerificationToken,
+  verifyEmailVerificationToken,
+  signPasswordResetToken,
+  verifyPasswordResetToken,
+  isPasswordResetTokenCurrent,
+  signMfaPendingToken,
+  verifyMfaPendingToken
+} = require('../services/accountTokenService');
+const {
+  generateSecret,
+  buildProvisioningUri,
+  verifyCode,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../services/totpService');
+const { sendMail } = require('../services/mail');
+const mailTemplates = require('../services/mail/templates');
+const {
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  logLoginAttempt
+} = require('../services/loginThrottleService');
+const { createRateLimiter } = require('../middleware/rateLimit');
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET || 'your_secret_key', {
-    expiresIn: '30d'
+// Coarse per-IP limit on credential endpoints (fine-grained throttling is in loginThrottleService)
+const credentialRateLimit = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 100,
+  message: 'Too many requests from this IP, please try again later.'
+});
+
+// Send an email verification link to the user's current address
+const sendVerificationEmail = async (user) => {
+  const token = signEmailVerificationToken(user);
+  await sendMail({ to: user.email, ...mailTemplates.emailVerification(user, token) });
+};
+
+// Respond to a sign-in attempt blocked by throttling
+const sendThrottled = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfter));
+  res.status(429).json({
+    success: false,
+    message: throttle.isLockedOut
+      ? `Too many failed attempts. Sign-in is locked for ${Math.ceil(throttle.retryAfter / 60)} minute(s).`
+      : `Too many failed attempts. Please wait ${throttle.retryAfter} second(s) before trying again.`,
+    retryAfter: throttle.retryAfter
+  });
+};
+
+// Run throttling, password check and login history for a sign-in attempt.
+// Sends the error response and returns false if the attempt is rejected.
+const verifyLoginAttempt = async (req, res, user, identifier, password) => {
+  const throttle = await checkLoginAllowed({ ipAddress: req.ip, userId: user?._id, identifier });
+
+  if (!throttle.allowed) {
+    await logLoginAttempt({
+      req,
+      user,
+      identifier,
+      success: false,
+      reason: throttle.scope === 'ip' ? 'ip-locked' : 'account-locked'
+    });
+
+    sendThrottled(res, throttle);
+    return false;
+  }
+
+  const isMatch = user ? await user.comparePassword(password) : false;
+
+  if (!isMatch) {
+    await recordFailedLogin({ ipAddress: req.ip, userId: user?._id, identifier });
+    await logLoginAttempt({ req, user, identifier, success: false, reason: 'invalid-credentials' });
+    res.status(401).json({ success: false, message: 'Invalid credentials' });
+    return false;
+  }
+
+  if (!user.isActive) {
+    await logLoginAttempt({ req, user, identifier, success: false, reason: 'account-deactivated' });
+    res.status(401).json({ success: false, message: 'Account is deactivated' });
+    return false;
+  }
+
+  if (user.isSuspended()) {
+    await logLoginAttempt({ req, user, identifier, success: false, reason: 'account-suspended' });
+    res.status(403).json({
+      success: false,
+      code: 'ACCOUNT_SUSPENDED',
+      message: `Account is suspended until ${user.suspendedUntil.toISOString()}`
+    });
+    return false;
+  }
+
+  // With 2FA enabled, counters are only reset once the second factor is verified too
+  if (user.twoFactor?.enabled) {
+    return true;
+  }
+
+  await recordSuccessfulLogin({ userId: user._id, identifier });
+  await logLoginAttempt({ req, user, identifier, success: true, reason: 'success' });
+  return true;
+};
+
+// Whether a user has any admin-panel permission
+const isStaff = async (user) => hasAdminAccess(await getUserPermissions(user));
+
+// Whether a user may enroll in two-factor authentication (staff and doctors)
+const canUseTwoFactor = async (user) => user.userType === 'doctor' || await isStaff(user);
+
+// Fields holding 2FA secrets (excluded from queries by default)
+const TWO_FACTOR_SECRETS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Check a TOTP code or an unused recovery code for a user loaded with TWO_FACTOR_SECRETS.
+// Updates are conditional so the same code can't be accepted twice, even concurrently.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep);
+    if (step === null) {
+      return false;
+    }
+
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  if (recoveryCode) {
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash: hashRecoveryCode(recoveryCode), usedAt: null } } },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return false;
+};
+
+// Finish a sign-in: update last login, open a session and send tokens with the user summary
+const completeSignIn = async (req, res, user, message) => {
+  // Update last login - use updateOne to bypass validation
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { lastLogin: new Date() } }
+  );
+
+  // Open a session and issue access/refresh tokens
+  const tokens = await createSession(user._id, req);
+
+  const mfaSetupRequired = !user.twoFactor?.enabled &&
+    await Setting.getValue('security.requireAdminTwoFactor', false) &&
+    await isStaff(user);
+
+  res.json({
+    success: true,
+    message,
+    ...tokens,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      userType: user.userType,
+      isAdmin: user.isAdmin,
+      isOnboarded: user.isOnboarded,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      companyName: user.companyName,
+      profilePicture: user.profilePicture,
+      companyLogo: user.companyLogo,
+      twoFactorEnabled: !!user.twoFactor?.enabled,
+      mfaSetupRequired
+    }
   });
 };
 
@@ -54,13 +227,20 @@ router.post('/signup', [
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send verification email - don't fail signup if mail delivery fails
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Open a session and issue access/refresh tokens
+    const tokens = await createSession(user._id, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         username: user.username,
@@ -78,7 +258,7 @@ router.post('/signup', [
 // @route   POST /api/auth/signin
 // @desc    Sign in user
 // @access  Public
-router.post('/signin', [
+router.post('/signin', credentialRateLimit, [
   body('username').trim().notEmpty(),
   body('password').notEmpty(),
   body('userType').isIn(['doctor', 'vendor', 'paramedical', 'attorneys','admin'])
@@ -91,57 +271,37 @@ router.post('/signin', [
 
     const { username, password, userType } = req.body;
 
-    // Find user - for admin, check both userType and isAdmin flag
+    // Find user - for admin, check userType, isAdmin flag and assigned roles
     let user;
     if (userType === 'admin') {
       user = await User.findOne({ 
         username: username.toLowerCase(),
         $or: [
           { userType: 'admin' },
-          { isAdmin: true }
+          { isAdmin: true },
+          { 'roles.0': { $exists: true } }
         ]
       });
     } else {
       user = await User.findOne({ username: username.toLowerCase(), userType });
     }
     
-    if (!user) {
-      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    // Check throttling and password
+    if (!(await verifyLoginAttempt(req, res, user, username.toLowerCase(), password))) {
+      return;
     }
 
-    // Check password
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    // Second step required when two-factor authentication is enabled
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        mfaRequired: true,
+        mfaToken: signMfaPendingToken(user, username.toLowerCase()),
+        message: 'Enter the code from your authenticator app'
+      });
     }
 
-    // Update last login - use updateOne to bypass validation
-    await User.updateOne(
-      { _id: user._id },
-      { $set: { lastLogin: new Date() } }
-    );
-
-    // Generate token
-    const token = generateToken(user._id);
-
-    res.json({
-      success: true,
-      message: 'Signed in successfully',
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        userType: user.userType,
-        isAdmin: user.isAdmin,
-        isOnboarded: user.isOnboarded,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        companyName: user.companyName,
-        profilePicture: user.profilePicture,
-        companyLogo: user.companyLogo
-      }
-    });
+    await completeSignIn(req, res, user, 'Signed in successfully');
   } catch (error) {
     console.error('Signin error:', error);
     console.error('Error details:', {
@@ -161,7 +321,7 @@ router.post('/signin', [
 // @route   POST /api/auth/login
 // @desc    Login user (alias for signin, accepts email or username)
 // @access  Public
-router.post('/login', [
+router.post('/login', credentialRateLimit, [
   body('email').trim().notEmpty(),
   body('password').notEmpty()
 ], async (req, res) => {
@@ -185,7 +345,8 @@ router.post('/login', [
           {
             $or: [
               { userType: 'admin' },
-              { isAdmin: true }
+              { isAdmin: true },
+              { 'roles.0': { $exists: true } }
             ]
           }
         ]
@@ -206,43 +367,22 @@ router.post('/login', [
       user = await User.findOne(query);
     }
     
-    if (!user) {
-      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    // Check throttling and password
+    if (!(await verifyLoginAttempt(req, res, user, email.toLowerCase(), password))) {
+      return;
     }
 
-    // Check password
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    // Second step required when two-factor authentication is enabled
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        mfaRequired: true,
+        mfaToken: signMfaPendingToken(user, email.toLowerCase()),
+        message: 'Enter the code from your authenticator app'
+      });
     }
 
-    // Update last login - use updateOne to bypass validation
-    await User.updateOne(
-      { _id: user._id },
-      { $set: { lastLogin: new Date() } }
-    );
-
-    // Generate token
-    const token = generateToken(user._id);
-
-    res.json({
-      success: true,
-      message: 'Logged in successfully',
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        userType: user.userType,
-        isAdmin: user.isAdmin,
-        isOnboarded: user.isOnboarded,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        companyName: user.companyName,
-        profilePicture: user.profilePicture,
-        companyLogo: user.companyLogo
-      }
-    });
+    await completeSignIn(req, res, user, 'Logged in successfully');
   } catch (error) {
     console.error('Login error:', error);
     console.error('Error details:', {
@@ -300,54 +440,35 @@ router.post('/onboarding/doctor', auth, uploadOnboarding.fields([
 
     // Handle file uploads
     if (req.files?.profilePicture) {
-      req.user.profilePicture = '/uploads/images/' + req.files.profilePicture[0].filename;
+      req.user.profilePicture = req.files.profilePicture[0].url;
     }
 
     await req.user.save();
 
     // Save documents
-    const Document = require('../models/Document');
     const documents = [];
 
     if (req.files?.medicalLicense) {
-      const doc = new Document({
-        user: req.user._id,
+      const doc = await createCredential(req.user._id, {
         title: 'Medical License',
-        type: 'medical-license',
-        fileName: req.files.medicalLicense[0].originalname,
-        filePath: '/uploads/documents/' + req.files.medicalLicense[0].filename,
-        fileSize: req.files.medicalLicense[0].size,
-        mimeType: req.files.medicalLicense[0].mimetype
-      });
-      await doc.save();
+        type: 'medical-license'
+      }, req.files.medicalLicense[0]);
       documents.push(doc);
     }
 
     if (req.files?.degreeCertificate) {
-      const doc = new Document({
-        user: req.user._id,
+      const doc = await createCredential(req.user._id, {
         title: 'Degree Certificate',
-        type: 'degree',
-        fileName: req.files.degreeCertificate[0].originalname,
-        filePath: '/uploads/documents/' + req.files.degreeCertificate[0].filename,
-        fileSize: req.files.degreeCertificate[0].size,
-        mimeType: req.files.degreeCertificate[0].mimetype
-      });
-      await doc.save();
+        type: 'degree'
+      }, req.files.degreeCertificate[0]);
       documents.push(doc);
     }
 
     if (req.files?.boardCertification) {
-      const doc = new Document({
-        user: req.user._id,
+      const doc = await createCredential(req.user._id, {
         title: 'Board Certification',
-        type: 'board-certification',
-        fileName: req.files.boardCertification[0].originalname,
-        filePath: '/uploads/documents/' + req.files.boardCertification[0].filename,
-        fileSize: req.files.boardCertification[0].size,
-        mimeType: req.files.boardCertification[0].mimetype
-      });
-      await doc.save();
+        type: 'board-certification'
+      }, req.files.boardCertification[0]);
       documents.push(doc);
     }
 
@@ -411,11 +532,11 @@ router.post('/onboarding/vendor', auth, uploadOnboarding.fields([
 
     // Handle file uploads
     if (req.files?.companyLogo) {
-      req.user.companyLogo = '/uploads/images/' + req.files.companyLogo[0].filename;
+      req.user.companyLogo = req.files.companyLogo[0].url;
     }
 
     if (req.files?.businessLicense) {
-      req.user.businessLicense = '/uploads/documents/' + req.files.businessLicense[0].filename;
+      req.user.businessLicense = req.files.businessLicense[0].key;
     }
 
     await req.user.save();
@@ -475,40 +596,27 @@ router.post('/onboarding/attorneys', auth, uploadOnboarding.fields([
 
     // Handle file uploads
     if (req.files?.profilePicture) {
-      req.user.profilePicture = '/uploads/images/' + req.files.profilePicture[0].filename;
+      req.user.profilePicture = req.files.profilePicture[0].url;
     }
 
     await req.user.save();
 
     // Save documents
-    const Document = require('../models/Document');
     const documents = [];
 
     if (req.files?.collegeDegree) {
-      const doc = new Document({
-        user: req.user._id,
+      const doc = await createCredential(req.user._id, {
         title: 'College Degree',
-        type: 'college-degree',
-        fileName: req.files.collegeDegree[0].originalname,
-        filePath: '/uploads/documents/' + req.files.collegeDegree[0].filename,
-        fileSize: req.files.collegeDegree[0].size,
-        mimeType: req.files.collegeDegree[0].mimetype
-      });
-      await doc.save();
+        type: 'college-degree'
+      }, req.files.collegeDegree[0]);
       documents.push(doc);
     }
 
     if (req.files?.stateLicense) {
-      const doc = new Document({
-        user: req.user._id,
+      const doc = await createCredential(req.user._id, {
         title: 'State License',
-        type: 'state-license',
-        fileName: req.files.stateLicense[0].originalname,
-        filePath: '/uploads/documents/' + req.files.stateLicense[0].filename,
-        fileSize: req.files.stateLicense[0].size,
-        mimeType: req.files.stateLicense[0].mimetype
-      });
-      await doc.save();
+        type: 'state-license'
+      }, req.files.stateLicense[0]);
       documents.push(doc);
     }
 
@@ -571,40 +679,27 @@ router.post('/onboarding/paramedical', auth, uploadOnboarding.fields([
 
     // Handle file uploads
     if (req.files?.profilePicture) {
-      req.user.profilePicture = '/uploads/images/' + req.files.profilePicture[0].filename;
+      req.user.profilePicture = req.files.profilePicture[0].url;
     }
 
     await req.user.save();
 
     // Save documents
-    const Document = require('../models/Document');
     const documents = [];
 
     if (req.files?.degreeCertificate) {
-      const doc = new Document({
-        user: req.user._id,
+      const doc = await createCredential(req.user._id, {
         title: 'Degree Certificate',
-        type: 'degree',
-        fileName: req.files.degreeCertificate[0].originalname,
-        filePath: '/uploads/documents/' + req.files.degreeCertificate[0].filename,
-        fileSize: req.files.degreeCertificate[0].size,
-        mimeType: req.files.degreeCertificate[0].mimetype
-      });
-      await doc.save();
+        type: 'degree'
+      }, req.files.degreeCertificate[0]);
       documents.push(doc);
     }
 
     if (req.files?.boardCertification) {
-      const doc = new Document({
-        user: req.user._id,
+      const doc = await createCredential(req.user._id, {
         title: 'Board Certification',
-        type: 'board-certification',
-        fileName: req.files.boardCertification[0].originalname,
-        filePath: '/uploads/documents/' + req.files.boardCertification[0].filename,
-        fileSize: req.files.boardCertification[0].size,
-        mimeType: req.files.boardCertification[0].mimetype
-      });
-      await doc.save();
+        type: 'board-certification'
+      }, req.files.boardCertification[0]);
       documents.push(doc);
     }
 
@@ -626,14 +721,557 @@ router.post('/onboarding/paramedical', auth, uploadOnboarding.fields([
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', credentialRateLimit, [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const result = await rotateRefreshToken(req.body.refreshToken, req);
+
+    if (!result) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+    }
+
+    const user = await User.findById(result.session.user).select('isActive suspendedUntil');
+
+    if (!user || !user.isActive) {
+      await revokeSession(result.session._id, 'account-deactivated', req.app.get('io'));
+      return res.status(401).json({ success: false, message: 'Account is deactivated' });
+    }
+
+    if (user.isSuspended()) {
+      await revokeSession(result.session._id, 'account-suspended', req.app.get('io'));
+      return res.status(403).json({
+        success: false,
+        code: 'ACCOUNT_SUSPENDED',
+        message: `Account is suspended until ${user.suspendedUntil.toISOString()}`
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result.tokens
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ success: false, message: 'Error refreshing token' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session (or every session with allDevices: true)
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    const io = req.app.get('io');
+
+    if (req.body.allDevices) {
+      const count = await revokeAllSessions(req.userId, 'logout', io);
+      return res.json({
+        success: true,
+        message: `Logged out from ${count} device${count === 1 ? '' : 's'}`
+      });
+    }
+
+    await revokeSession(req.sessionId, 'logout', io);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false, message: 'Error logging out' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions (devices)
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+    .select('userAgent ipAddress lastUsedAt createdAt expiresAt')
+    .sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        lastUsedAt: session.lastUsedAt,
+        createdAt: session.createdAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching sessions' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.userId, revokedAt: null });
+
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    await revokeSession(session._id, 'user-revoked', req.app.get('io'));
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ success: false, message: 'Error revoking session' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all of the current user's sessions except the current one
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.userId, 'user-revoked', req.app.get('io'), req.sessionId);
+
+    res.json({
+      success: true,
+      message: `Revoked ${count} other session${count === 1 ? '' : 's'}`,
+      revoked: count
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ success: false, message: 'Error revoking sessions' });
+  }
+});
+
+// @route   POST /api/auth/verify-email/send
+// @desc    Send (or resend) the email verification link
+// @access  Private
+router.post('/verify-email/send', auth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ success: false, message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+  } catch (error) {
+    console.error('Send verification email error:', error);
+    res.status(500).json({ success: false, message: 'Error sending verification email' });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address using the emailed token
+// @access  Public
+router.post('/verify-email', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyEmailVerificationToken(req.body.token);
+    } catch (tokenError) {
+      return res.status(400).json({ success: false, message: 'Verification link is invalid or has expired' });
+    }
+
+    const user = await User.findById(decoded.userId);
+
+    // Token is only valid for the address it was sent to
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ success: false, message: 'Verification link is invalid or has expired' });
+    }
+
+    if (!user.emailVerified) {
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { emailVerified: true } }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ success: false, message: 'Error verifying email' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', credentialRateLimit, [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+
+    if (user) {
+      const token = signPasswordResetToken(user);
+      await sendMail({ to: user.email, ...mailTemplates.passwordReset(user, token) });
+    }
+
+    // Same response whether or not the account exists, so emails can't be enumerated
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ success: false, message: 'Error sending password reset email' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using the emailed reset token
+// @access  Public
+router.post('/reset-password', credentialRateLimit, [
+  body('token').isString().notEmpty(),
+  body('password')
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyPasswordResetToken(req.body.token);
+    } catch (tokenError) {
+      return res.status(400).json({ success: false, message: 'Reset link is invalid or has expired' });
+    }
+
+    const user = await User.findById(decoded.userId);
+
+    // Token is single-use: it stops matching as soon as the password changes
+    if (!user || !user.isActive || !isPasswordResetTokenCurrent(decoded, user)) {
+      return res.status(400).json({ success: false, message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    await user.save();
+
+    // Sign out every device that used the old password
+    await revokeAllSessions(user._id, 'password-changed', req.app.get('io'));
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please sign in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ success: false, message: 'Error resetting password' });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify-login
+// @desc    Second sign-in step: exchange the mfa token and a TOTP or recovery code for a session
+// @access  Public
+router.post('/2fa/verify-login', credentialRateLimit, [
+  body('mfaToken').isString().notEmpty(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ success: false, message: 'Authentication code or recovery code is required' });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyMfaPendingToken(mfaToken);
+    } catch (tokenError) {
+      return res.status(401).json({ success: false, message: 'Sign-in session expired. Please sign in again.' });
+    }
+
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_SECRETS);
+
+    if (!user || !user.isActive || !user.twoFactor?.enabled || user.isSuspended()) {
+      return res.status(401).json({ success: false, message: 'Sign-in session expired. Please sign in again.' });
+    }
+
+    const identifier = decoded.identifier;
+
+    const throttle = await checkLoginAllowed({ ipAddress: req.ip, userId: user._id, identifier });
+    if (!throttle.allowed) {
+      await logLoginAttempt({ req, user, identifier, success: false, reason: throttle.scope === 'ip' ? 'ip-locked' : 'account-locked' });
+      return sendThrottled(res, throttle);
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      await recordFailedLogin({ ipAddress: req.ip, userId: user._id, identifier });
+      await logLoginAttempt({ req, user, identifier, success: false, reason: 'invalid-mfa-code' });
+      return res.status(401).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    await recordSuccessfulLogin({ userId: user._id, identifier });
+    await logLoginAttempt({ req, user, identifier, success: true, reason: 'success' });
+
+    await completeSignIn(req, res, user, 'Signed in successfully');
+  } catch (error) {
+    console.error('2FA verify login error:', error);
+    res.status(500).json({ success: false, message: 'Server error during sign-in' });
+  }
+});
+
+// @route   GET /api/auth/2fa/status
+// @desc    Get the current user's two-factor authentication status
+// @access  Private
+router.get('/2fa/status', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('isAdmin userType roles twoFactor.enabled twoFactor.enabledAt +twoFactor.recoveryCodes');
+
+    res.json({
+      success: true,
+      twoFactor: {
+        available: await canUseTwoFactor(user),
+        enabled: !!user.twoFactor?.enabled,
+        enabledAt: user.twoFactor?.enabledAt,
+        required: await Setting.getValue('security.requireAdminTwoFactor', false) && await isStaff(user),
+        recoveryCodesRemaining: user.twoFactor?.enabled
+          ? (user.twoFactor.recoveryCodes || []).filter(rc => !rc.usedAt).length
+          : 0
+      }
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching two-factor status' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment - returns the secret and otpauth:// provisioning URI for a QR code
+// @access  Private (Admins and doctors)
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    if (!(await canUseTwoFactor(req.user))) {
+      return res.status(403).json({ success: false, message: 'Two-factor authentication is available to admins and doctors only' });
+    }
+
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+
+    await User.updateOne(
+      { _id: req.userId },
+      { $set: { 'twoFactor.pendingSecret': secret } }
+    );
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri: buildProvisioningUri(secret, req.user.email || req.user.username)
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ success: false, message: 'Error starting two-factor setup' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the authenticator app; returns recovery codes
+// @access  Private (Admins and doctors)
+router.post('/2fa/enable', auth, [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const user = await User.findById(req.userId).select(TWO_FACTOR_SECRETS);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ success: false, message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashed } = generateRecoveryCodes();
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': user.twoFactor.pendingSecret,
+          'twoFactor.recoveryCodes': hashed,
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.enabledAt': new Date()
+        },
+        $unset: { 'twoFactor.pendingSecret': '' }
+      }
+    );
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe - they will not be shown again.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ success: false, message: 'Error enabling two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (requires password and a current code or recovery code)
+// @access  Private
+router.post('/2fa/disable', auth, [
+  body('password').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.userId).select(TWO_FACTOR_SECRETS);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await Setting.getValue('security.requireAdminTwoFactor', false) && await isStaff(user)) {
+      return res.status(403).json({ success: false, message: 'Two-factor authentication is required for admin accounts' });
+    }
+
+    if (!(await user.comparePassword(password)) || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ success: false, message: 'Invalid password or authentication code' });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': '',
+          'twoFactor.pendingSecret': '',
+          'twoFactor.recoveryCodes': '',
+          'twoFactor.lastUsedStep': '',
+          'twoFactor.enabledAt': ''
+        }
+      }
+    );
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ success: false, message: 'Error disabling two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes (requires a current authenticator code)
+// @access  Private
+router.post('/2fa/recovery-codes', auth, [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const user = await User.findById(req.userId).select(TWO_FACTOR_SECRETS);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(401).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashed } = generateRecoveryCodes();
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.recoveryCodes': hashed } }
+    );
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ success: false, message: 'Error generating recovery codes' });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
 router.get('/me', auth, async (req, res) => {
   try {
+    const permissions = await getUserPermissions(req.user);
+
     res.json({
       success: true,
-      user: req.user.getFullProfile()
+      user: req.user.getFullProfile(),
+      permissions: Array.from(permissions)
     });
   } catch (error) {
     console.error('Get user error:', error);
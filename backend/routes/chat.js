@@ -1,88 +1,638 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
+const path = require('path');
 const Message = require('../models/Message');
 const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const Attachment = require('../models/Attachment');
 const { auth } = require('../middleware/auth');
+const { uploadImage, uploadAttachment } = require('../middleware/upload');
+const { displayName } = require('../services/notificationService');
+const {
+  PARTICIPANT_FIELDS,
+  emitToConversation,
+  formatMessage,
+  postSystemMessage,
+  getLastMessages,
+  getUnreadCounts,
+  getTotalUnreadCount
+} = require('../services/conversationService');
+const { markDelivered, markRead } = require('../services/messageReceiptService');
+const { sendMessage } = require('../services/messagingService');
+const { ERROR_STATUS } = require('../services/errors');
+const { publishToUser } = require('../services/eventService');
+const { fileExists, signedUrl, removeFile, keyFromPublicUrl } = require('../services/storage');
+const {
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  createAttachment,
+  canAccessAttachment,
+  deleteAttachmentFiles
+} = require('../services/attachmentService');
+
+// Maximum number of participants in a group conversation
+const MAX_GROUP_SIZE = 50;
+
+// Conversation list order - most recent activity first
+const CONVERSATION_ORDER = { lastMessageAt: -1, _id: -1 };
+
+// Check that a user is connected to every one of the given user IDs
+const connectedToAll = (user, userIds) => {
+  const connections = new Set(user.connections.map(conn => conn.toString()));
+  return userIds.every(id => connections.has(id));
+};
+
+// Normalize a list of user IDs from the request body (deduplicated, excluding the current user)
+const parseUserIds = (value, currentUserId) => {
+  const ids = Array.isArray(value) ? value : (value ? [value] : []);
+  return [...new Set(ids.map(id => id.toString()))].filter(id => id !== currentUserId.toString());
+};
+
+// Load a conversation the current user participates in
+const findConversationForUser = async (conversationId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+    return null;
+  }
+
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation || !conversation.hasParticipant(userId)) {
+    return null;
+  }
+
+  return conversation;
+};
+
+// Escape user input for use in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Opaque pagination cursor built from a message's (createdAt, _id)
+const encodeCursor = (message) => Buffer
+  .from(`${message.createdAt.toISOString()}|${message._id}`)
+  .toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  const date = new Date(createdAt);
+
+  if (isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  return { createdAt: date, _id: new mongoose.Types.ObjectId(id) };
+};
+
+/**
+ * Respond with a page of a conversation's messages (oldest first).
+ * ?before=<cursor> pages back in history, ?after=<cursor> pages forward;
+ * with neither, the latest page is returned. Fetched messages are marked read.
+ */
+const sendMessagePage = async (req, res, conversation) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+  const { before, after } = req.query;
+
+  const query = {
+    conversation: conversation._id,
+    deletedFor: { $ne: req.userId }
+  };
+
+  const cursor = before || after ? decodeCursor(before || after) : null;
+  if ((before || after) && !cursor) {
+    return res.status(400).json({ success: false, message: 'Invalid cursor' });
+  }
+
+  // Newer pages are read forwards, everything else backwards from the cursor
+  const forward = Boolean(after);
+
+  if (cursor) {
+    const op = forward ? '$gt' : '$lt';
+    query.$or = [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { [op]: cursor._id } }
+    ];
+  }
+
+  const direction = forward ? 1 : -1;
+  let messages = await Message.find(query)
+    .populate('sender', 'username firstName lastName companyName userType profilePicture companyLogo')
+    .populate('attachments')
+    .sort({ createdAt: direction, _id: direction })
+    .limit(limit + 1);
+
+  const hasMore = messages.length > limit;
+  messages = messages.slice(0, limit);
+  if (!forward) {
+    messages.reverse();
+  }
+
+  const oldest = messages[0];
+  const newest = messages[messages.length - 1];
+
+  // Mark messages as read
+  if (newest && !before) {
+    await markRead(req.app.get('io'), req.userId, conversation, newest);
+  }
+
+  res.json({
+    success: true,
+    conversationId: conversation._id,
+    messages,
+    pageInfo: {
+      hasOlder: forward ? Boolean(cursor) : hasMore,
+      hasNewer: forward ? hasMore : Boolean(before),
+      olderCursor: oldest ? encodeCursor(oldest) : null,
+      newerCursor: newest ? encodeCursor(newest) : null
+    }
+  });
+};
+
+/**
+ * One page of a user's conversations matching a search - group titles, and the
+ * partner's name in direct chats. Names are looked up for the user's own
+ * conversations only, inside the aggregation, so the cost doesn't grow with the
+ * size of the user directory.
+ * Returns { conversations, total } with participants populated, most recent first.
+ */
+const searchConversations = async (userId, search, { page, limit }) => {
+  const user = new mongoose.Types.ObjectId(userId);
+  const pattern = new RegExp(escapeRegex(search), 'i');
+
+  const [result] = await Conversation.aggregate([
+    { $match: { participants: user, lastMessageAt: { $exists: true } } },
+    {
+      $lookup: {
+        from: 'users',
+        let: { type: '$type', participants: '$participants' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$$type', 'direct'] },
+                  { $in: ['$_id', '$$participants'] },
+                  { $ne: ['$_id', user] }
+                ]
+              }
+            }
+          },
+          { $project: { username: 1, firstName: 1, lastName: 1, companyName: 1 } }
+        ],
+        as: 'partner'
+      }
+    },
+    {
+      $match: {
+        $or: [
+          { type: 'group', title: pattern },
+          {
+            type: 'direct',
+            $or: ['username', 'firstName', 'lastName', 'companyName'].map(field => ({ [`partner.${field}`]: pattern }))
+          }
+        ]
+      }
+    },
+    { $sort: CONVERSATION_ORDER },
+    {
+      $facet: {
+        ids: [{ $skip: (page - 1) * limit }, { $limit: limit }, { $project: { _id: 1 } }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const conversations = result.ids.length > 0
+    ? await Conversation.find({ _id: { $in: result.ids.map(c => c._id) } })
+      .populate('participants', PARTICIPANT_FIELDS)
+      .sort(CONVERSATION_ORDER)
+    : [];
+
+  return {
+    conversations,
+    total: result.total.length > 0 ? result.total[0].count : 0
+  };
+};
 
 // @route   GET /api/chat/conversations
-// @desc    Get all conversations for user
+// @desc    Get conversations (direct and group) for user, most recent first (?page=, ?limit=, ?search=)
 // @access  Private
 router.get('/conversations', auth, async (req, res) => {
   try {
-    // Get all unique users that current user has chatted with
-    const messages = await Message.find({
-      $or: [
-        { sender: req.userId },
-        { recipient: req.userId }
-      ]
-    }).sort({ createdAt: -1 });
-
-    // Extract unique conversation partners
-    const conversationPartners = new Set();
-    messages.forEach(msg => {
-      if (msg.sender.toString() !== req.userId) {
-        conversationPartners.add(msg.sender.toString());
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const search = (req.query.search || '').trim();
+
+    let userConversations;
+    let total;
+
+    if (search) {
+      ({ conversations: userConversations, total } = await searchConversations(req.userId, search, { page, limit }));
+    } else {
+      const query = {
+        participants: req.userId,
+        lastMessageAt: { $exists: true }
+      };
+
+      [userConversations, total] = await Promise.all([
+        Conversation.find(query)
+          .populate('participants', PARTICIPANT_FIELDS)
+          .sort(CONVERSATION_ORDER)
+          .limit(limit)
+          .skip((page - 1) * limit),
+        Conversation.countDocuments(query)
+      ]);
+    }
+
+    const [lastMessages, unreadCounts] = await Promise.all([
+      getLastMessages(userConversations.map(c => c._id), req.userId),
+      getUnreadCounts(userConversations, req.userId)
+    ]);
+
+    const conversations = userConversations.map(conversation => {
+      const id = conversation._id.toString();
+      const partner = conversation.type === 'direct'
+        ? conversation.participants.find(p => p._id.toString() !== req.userId) || null
+        : null;
+
+      return {
+        _id: conversation._id,
+        type: conversation.type,
+        title: conversation.title,
+        avatar: conversation.avatar,
+        participants: conversation.participants,
+        admins: conversation.admins,
+        partner,
+        lastMessage: lastMessages.get(id) || null,
+        lastMessageAt: conversation.lastMessageAt,
+        lastReadAt: conversation.lastReadAtFor(req.userId),
+        unreadCount: unreadCounts.get(id) || 0
+      };
+    });
+
+    res.json({
+      success: true,
+      conversations,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching conversations' });
+  }
+});
+
+// @route   POST /api/chat/conversations
+// @desc    Create a group conversation with connected users
+// @access  Private
+router.post('/conversations', auth, async (req, res) => {
+  try {
+    const title = (req.body.title || '').trim();
+    const participantIds = parseUserIds(req.body.participantIds, req.userId);
+
+    if (!title) {
+      return res.status(400).json({ success: false, message: 'Group title is required' });
+    }
+
+    if (participantIds.length === 0) {
+      return res.status(400).json({ success: false, message: 'Add at least one participant' });
+    }
+
+    if (participantIds.length + 1 > MAX_GROUP_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `A group can have at most ${MAX_GROUP_SIZE} participants`
+      });
+    }
+
+    if (!connectedToAll(req.user, participantIds)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only add connected users to a group'
+      });
+    }
+
+    const conversation = await Conversation.create({
+      type: 'group',
+      title,
+      participants: [req.userId, ...participantIds],
+      admins: [req.userId],
+      createdBy: req.userId,
+      readCursors: [req.userId, ...participantIds].map(user => ({ user, lastReadAt: new Date() }))
+    });
+
+    const io = req.app.get('io');
+    await postSystemMessage(io, conversation, req.userId, `${displayName(req.user)} created the group "${title}"`);
+
+    await conversation.populate('participants', PARTICIPANT_FIELDS);
+    await emitToConversation(io, conversation, 'conversationCreated', conversation);
+
+    res.status(201).json({
+      success: true,
+      message: 'Group created successfully',
+      conversation
+    });
+  } catch (error) {
+    console.error('Create conversation error:', error);
+    res.status(500).json({ success: false, message: 'Error creating conversation' });
+  }
+});
+
+// @route   GET /api/chat/conversations/:id
+// @desc    Get conversation details
+// @access  Private (participants)
+router.get('/conversations/:id', auth, async (req, res) => {
+  try {
+    const conversation = await findConversationForUser(req.params.id, req.userId);
+
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+
+    await conversation.populate('participants', PARTICIPANT_FIELDS);
+
+    res.json({
+      success: true,
+      conversation
+    });
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching conversation' });
+  }
+});
+
+// @route   GET /api/chat/conversations/:id/messages
+// @desc    Get messages in a conversation (cursor paginated: ?before=, ?after=, ?limit=)
+// @access  Private (participants)
+router.get('/conversations/:id/messages', auth, async (req, res) => {
+  try {
+    const conversation = await findConversationForUser(req.params.id, req.userId);
+
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+
+    await sendMessagePage(req, res, conversation);
+  } catch (error) {
+    console.error('Get conversation messages error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching messages' });
+  }
+});
+
+// @route   PUT /api/chat/conversations/:id/read
+// @desc    Mark a conversation as read, up to messageId if given
+// @access  Private (participants)
+router.put('/conversations/:id/read', auth, async (req, res) => {
+  try {
+    const conversation = await findConversationForUser(req.params.id, req.userId);
+
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+
+    let upTo = null;
+    if (req.body.messageId) {
+      upTo = mongoose.Types.ObjectId.isValid(req.body.messageId)
+        ? await Message.findOne({ _id: req.body.messageId, conversation: conversation._id })
+        : null;
+
+      if (!upTo) {
+        return res.status(404).json({ success: false, message: 'Message not found' });
+      }
+    }
+
+    const updated = await markRead(req.app.get('io'), req.userId, conversation, upTo);
+
+    res.json({
+      success: true,
+      updated
+    });
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({ success: false, message: 'Error marking conversation as read' });
+  }
+});
+
+// @route   PUT /api/chat/conversations/:id
+// @desc    Rename a group or change its avatar
+// @access  Private (group admins)
+router.put('/conversations/:id', auth, uploadImage.single('avatar'), async (req, res) => {
+  try {
+    const conversation = await findConversationForUser(req.params.id, req.userId);
+
+    if (!conversation || conversation.type !== 'group') {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    if (!conversation.isAdmin(req.userId)) {
+      return res.status(403).json({ success: false, message: 'Only group admins can edit the group' });
+    }
+
+    const io = req.app.get('io');
+
+    if (req.body.title !== undefined) {
+      const title = req.body.title.trim();
+      if (!title) {
+        return res.status(400).json({ success: false, message: 'Group title is required' });
       }
-      if (msg.recipient.toString() !== req.userId) {
-        conversationPartners.add(msg.recipient.toString());
+
+      if (title !== conversation.title) {
+        conversation.title = title;
+        await postSystemMessage(io, conversation, req.userId, `${displayName(req.user)} renamed the group to "${title}"`);
+      }
+    }
+
+    if (req.file) {
+      // Delete old avatar if it exists
+      if (conversation.avatar) {
+        removeFile(keyFromPublicUrl(conversation.avatar));
       }
+
+      conversation.avatar = req.file.url;
+      await postSystemMessage(io, conversation, req.userId, `${displayName(req.user)} changed the group photo`);
+    }
+
+    await conversation.save();
+    await conversation.populate('participants', PARTICIPANT_FIELDS);
+
+    await emitToConversation(io, conversation, 'conversationUpdated', conversation);
+
+    res.json({
+      success: true,
+      message: 'Group updated successfully',
+      conversation
     });
+  } catch (error) {
+    console.error('Update conversation error:', error);
+    res.status(500).json({ success: false, message: 'Error updating conversation' });
+  }
+});
 
-    // Get user details for each conversation partner
-    const conversations = await Promise.all(
-      Array.from(conversationPartners).map(async (partnerId) => {
-        const partner = await User.findById(partnerId).select('username firstName lastName companyName userType profilePicture companyLogo');
-        
-        // Get last message
-        const lastMessage = await Message.findOne({
-          $or: [
-            { sender: req.userId, recipient: partnerId },
-            { sender: partnerId, recipient: req.userId }
-          ]
-        }).sort({ createdAt: -1 });
-
-        // Count unread messages
-        const unreadCount = await Message.countDocuments({
-          sender: partnerId,
-          recipient: req.userId,
-          read: false
-        });
-
-        return {
-          partner,
-          lastMessage,
-          unreadCount
-        };
-      })
-    );
+// @route   POST /api/chat/conversations/:id/members
+// @desc    Add members to a group
+// @access  Private (group admins)
+router.post('/conversations/:id/members', auth, async (req, res) => {
+  try {
+    const conversation = await findConversationForUser(req.params.id, req.userId);
+
+    if (!conversation || conversation.type !== 'group') {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    if (!conversation.isAdmin(req.userId)) {
+      return res.status(403).json({ success: false, message: 'Only group admins can add members' });
+    }
+
+    const userIds = parseUserIds(req.body.userIds, req.userId)
+      .filter(id => !conversation.hasParticipant(id));
+
+    if (userIds.length === 0) {
+      return res.status(400).json({ success: false, message: 'No new members to add' });
+    }
+
+    if (conversation.participants.length + userIds.length > MAX_GROUP_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `A group can have at most ${MAX_GROUP_SIZE} participants`
+      });
+    }
+
+    if (!connectedToAll(req.user, userIds)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only add connected users to a group'
+      });
+    }
+
+    const newMembers = await User.find({ _id: { $in: userIds }, isActive: true }).select(PARTICIPANT_FIELDS);
+    if (newMembers.length !== userIds.length) {
+      return res.status(404).json({ success: false, message: 'One or more users not found' });
+    }
+
+    // New members start reading from now - earlier history doesn't count as unread
+    conversation.participants.push(...userIds);
+    conversation.readCursors.push(...userIds.map(user => ({ user, lastReadAt: new Date() })));
+    await conversation.save();
+
+    const io = req.app.get('io');
+    const names = newMembers.map(member => displayName(member)).join(', ');
+    await postSystemMessage(io, conversation, req.userId, `${displayName(req.user)} added ${names}`);
+
+    await conversation.populate('participants', PARTICIPANT_FIELDS);
+    await emitToConversation(io, conversation, 'conversationUpdated', conversation);
+
+    res.json({
+      success: true,
+      message: 'Members added successfully',
+      conversation
+    });
+  } catch (error) {
+    console.error('Add conversation members error:', error);
+    res.status(500).json({ success: false, message: 'Error adding members' });
+  }
+});
 
-    // Sort by last message time
-    conversations.sort((a, b) => {
-      const timeA = a.lastMessage ? new Date(a.lastMessage.createdAt) : new Date(0);
-      const timeB = b.lastMessage ? new Date(b.lastMessage.createdAt) : new Date(0);
-      return timeB - timeA;
+// @route   DELETE /api/chat/conversations/:id/members/:userId
+// @desc    Remove a member from a group
+// @access  Private (group admins)
+router.delete('/conversations/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const conversation = await findConversationForUser(req.params.id, req.userId);
+
+    if (!conversation || conversation.type !== 'group') {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    if (!conversation.isAdmin(req.userId)) {
+      return res.status(403).json({ success: false, message: 'Only group admins can remove members' });
+    }
+
+    const { userId } = req.params;
+
+    if (userId === req.userId) {
+      return res.status(400).json({ success: false, message: 'Use leave to remove yourself from the group' });
+    }
+
+    if (!conversation.hasParticipant(userId)) {
+      return res.status(404).json({ success: false, message: 'User is not a member of this group' });
+    }
+
+    const removed = await User.findById(userId).select(PARTICIPANT_FIELDS);
+
+    conversation.participants = conversation.participants.filter(p => p.toString() !== userId);
+    conversation.admins = conversation.admins.filter(a => a.toString() !== userId);
+    conversation.readCursors = conversation.readCursors.filter(c => c.user.toString() !== userId);
+    await conversation.save();
+
+    const io = req.app.get('io');
+    await postSystemMessage(io, conversation, req.userId, `${displayName(req.user)} removed ${displayName(removed)}`);
+
+    await publishToUser(io, userId, 'conversationRemoved', { conversationId: conversation._id.toString() });
+
+    await conversation.populate('participants', PARTICIPANT_FIELDS);
+    await emitToConversation(io, conversation, 'conversationUpdated', conversation);
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully',
+      conversation
     });
+  } catch (error) {
+    console.error('Remove conversation member error:', error);
+    res.status(500).json({ success: false, message: 'Error removing member' });
+  }
+});
+
+// @route   POST /api/chat/conversations/:id/leave
+// @desc    Leave a group
+// @access  Private (participants)
+router.post('/conversations/:id/leave', auth, async (req, res) => {
+  try {
+    const conversation = await findConversationForUser(req.params.id, req.userId);
+
+    if (!conversation || conversation.type !== 'group') {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    conversation.participants = conversation.participants.filter(p => p.toString() !== req.userId);
+    conversation.admins = conversation.admins.filter(a => a.toString() !== req.userId);
+    conversation.readCursors = conversation.readCursors.filter(c => c.user.toString() !== req.userId);
+
+    // Hand the group over to the longest-standing member when the last admin leaves
+    if (conversation.admins.length === 0 && conversation.participants.length > 0) {
+      conversation.admins = [conversation.participants[0]];
+    }
+
+    await conversation.save();
+
+    const io = req.app.get('io');
+
+    await publishToUser(io, req.userId, 'conversationRemoved', { conversationId: conversation._id.toString() });
+
+    if (conversation.participants.length > 0) {
+      await postSystemMessage(io, conversation, req.userId, `${displayName(req.user)} left the group`);
+
+      await conversation.populate('participants', PARTICIPANT_FIELDS);
+      await emitToConversation(io, conversation, 'conversationUpdated', conversation);
+    }
 
     res.json({
       success: true,
-      conversations
+      message: 'You left the group'
     });
   } catch (error) {
-    console.error('Get conversations error:', error);
-    res.status(500).json({ success: false, message: 'Error fetching conversations' });
+    console.error('Leave conversation error:', error);
+    res.status(500).json({ success: false, message: 'Error leaving group' });
   }
 });
 
 // @route   GET /api/chat/messages/:userId
-// @desc    Get messages with specific user
+// @desc    Get messages with specific user (cursor paginated: ?before=, ?after=, ?limit=)
 // @access  Private
 router.get('/messages/:userId', auth, async (req, res) => {
   try {
     const { userId } = req.params;
 
     // Check if users are connected
-    const currentUser = await User.findById(req.userId);
-    const isConnected = currentUser.connections.some(
+    const isConnected = req.user.connections.some(
       conn => conn.toString() === userId
     );
 
@@ -93,107 +643,340 @@ router.get('/messages/:userId', auth, async (req, res) => {
       });
     }
 
-    // Get messages
-    const messages = await Message.find({
-      $or: [
-        { sender: req.userId, recipient: userId },
-        { sender: userId, recipient: req.userId }
-      ]
-    })
-    .sort({ createdAt: 1 })
-    .limit(100);
-
-    // Mark messages as read
-    await Message.updateMany(
-      {
-        sender: userId,
-        recipient: req.userId,
-        read: false
-      },
-      {
-        read: true,
-        readAt: new Date()
+    const conversation = await Conversation.findOne({
+      directKey: Conversation.directKeyFor(req.userId, userId)
+    });
+
+    if (!conversation) {
+      return res.json({
+        success: true,
+        conversationId: null,
+        messages: [],
+        pageInfo: { hasOlder: false, hasNewer: false, olderCursor: null, newerCursor: null }
+      });
+    }
+
+    await sendMessagePage(req, res, conversation);
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching messages' });
+  }
+});
+
+// @route   POST /api/chat/messages/delivered
+// @desc    Acknowledge delivery of received messages
+// @access  Private
+router.post('/messages/delivered', auth, async (req, res) => {
+  try {
+    const messageIds = Array.isArray(req.body.messageIds) ? req.body.messageIds : [];
+    const updated = await markDelivered(req.app.get('io'), req.userId, messageIds);
+
+    res.json({
+      success: true,
+      updated
+    });
+  } catch (error) {
+    console.error('Mark delivered error:', error);
+    res.status(500).json({ success: false, message: 'Error acknowledging messages' });
+  }
+});
+
+// @route   PUT /api/chat/messages/:messageId
+// @desc    Edit a message you sent (previous versions are kept in editHistory)
+// @access  Private (sender)
+router.put('/messages/:messageId', auth, async (req, res) => {
+  try {
+    const content = (req.body.content || '').trim();
+
+    if (!content) {
+      return res.status(400).json({ success: false, message: 'Message content is required' });
+    }
+
+    if (content.length > 5000) {
+      return res.status(400).json({ success: false, message: 'Message cannot exceed 5000 characters' });
+    }
+
+    const message = mongoose.Types.ObjectId.isValid(req.params.messageId)
+      ? await Message.findById(req.params.messageId)
+      : null;
+
+    if (!message || message.deletedAt || message.deletedFor.some(id => id.toString() === req.userId)) {
+      return res.status(404).json({ success: false, message: 'Message not found' });
+    }
+
+    const conversation = message.conversation
+      ? await Conversation.findById(message.conversation).select('type participants')
+      : null;
+
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Message not found' });
+    }
+
+    // Members who left or were removed can't change what the group still sees
+    if (!conversation.hasParticipant(req.userId)) {
+      return res.status(403).json({ success: false, message: 'You are no longer a participant in this conversation' });
+    }
+
+    if (message.sender.toString() !== req.userId || message.kind !== 'text') {
+      return res.status(403).json({ success: false, message: 'You can only edit your own messages' });
+    }
+
+    if (content !== message.content) {
+      if (message.content) {
+        message.editHistory.push({ content: message.content, editedAt: new Date() });
       }
-    );
+      message.content = content;
+      message.editedAt = new Date();
+      await message.save();
+    }
+
+    await message.populate('attachments');
+
+    await emitToConversation(req.app.get('io'), conversation, 'messageUpdated', formatMessage(message));
 
     res.json({
       success: true,
-      messages
+      message
     });
   } catch (error) {
-    console.error('Get messages error:', error);
-    res.status(500).json({ success: false, message: 'Error fetching messages' });
+    console.error('Edit message error:', error);
+    res.status(500).json({ success: false, message: 'Error editing message' });
   }
 });
 
-// @route   POST /api/chat/send
-// @desc    Send message
+// @route   DELETE /api/chat/messages/:messageId?scope=me|everyone
+// @desc    Delete a message for yourself, or for everyone (sender only)
 // @access  Private
-router.post('/send', auth, async (req, res) => {
+router.delete('/messages/:messageId', auth, async (req, res) => {
   try {
-    const { recipientId, content } = req.body;
+    const scope = req.query.scope || req.body.scope || 'me';
 
-    if (!content || content.trim() === '') {
-      return res.status(400).json({ success: false, message: 'Message content is required' });
+    if (!['me', 'everyone'].includes(scope)) {
+      return res.status(400).json({ success: false, message: 'Scope must be either me or everyone' });
     }
 
-    // Check if users are connected
-    const currentUser = await User.findById(req.userId);
-    const isConnected = currentUser.connections.some(
-      conn => conn.toString() === recipientId
-    );
+    const message = mongoose.Types.ObjectId.isValid(req.params.messageId)
+      ? await Message.findById(req.params.messageId)
+      : null;
 
-    if (!isConnected) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'You can only send messages to connected users' 
+    const conversation = message && message.conversation
+      ? await findConversationForUser(message.conversation, req.userId)
+      : null;
+
+    if (!message || !conversation || message.deletedFor.some(id => id.toString() === req.userId)) {
+      return res.status(404).json({ success: false, message: 'Message not found' });
+    }
+
+    const io = req.app.get('io');
+    const payload = {
+      messageId: message._id.toString(),
+      conversationId: conversation._id.toString(),
+      scope
+    };
+
+    if (scope === 'me') {
+      await Message.updateOne({ _id: message._id }, { $addToSet: { deletedFor: req.userId } });
+
+      // Keep the user's other open clients in sync
+      await publishToUser(io, req.userId, 'messageDeleted', payload);
+
+      return res.json({
+        success: true,
+        message: 'Message deleted for you'
       });
     }
 
-    // Create message
-    const message = new Message({
-      sender: req.userId,
-      recipient: recipientId,
-      content: content.trim()
+    if (message.sender.toString() !== req.userId || message.kind !== 'text') {
+      return res.status(403).json({ success: false, message: 'You can only delete your own messages for everyone' });
+    }
+
+    if (!message.deletedAt) {
+      const attachments = await Attachment.find({ _id: { $in: message.attachments } });
+      await Attachment.deleteMany({ _id: { $in: message.attachments } });
+      attachments.forEach(deleteAttachmentFiles);
+
+      await Message.updateOne(
+        { _id: message._id },
+        {
+          $set: { deletedAt: new Date(), deletedBy: req.userId, attachments: [], editHistory: [] },
+          $unset: { content: 1 }
+        }
+      );
+    }
+
+    await emitToConversation(io, conversation, 'messageDeleted', payload);
+
+    res.json({
+      success: true,
+      message: 'Message deleted for everyone'
+    });
+  } catch (error) {
+    console.error('Delete message error:', error);
+    res.status(500).json({ success: false, message: 'Error deleting message' });
+  }
+});
+
+// @route   POST /api/chat/attachments
+// @desc    Upload attachments (images and PDFs) to send with a message
+// @access  Private
+router.post('/attachments', auth, uploadAttachment.array('files', MAX_ATTACHMENTS_PER_MESSAGE), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ success: false, message: 'No files uploaded' });
+    }
+
+    const attachments = await Promise.all(
+      req.files.map(file => createAttachment(file, req.userId))
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachments uploaded successfully',
+      attachments
+    });
+  } catch (error) {
+    console.error('Upload attachments error:', error);
+    res.status(500).json({ success: false, message: 'Error uploading attachments' });
+  }
+});
+
+// @route   GET /api/chat/attachments/:id
+// @desc    Download an attachment (redirects to a short-lived signed URL)
+// @access  Private (uploader and conversation participants)
+router.get('/attachments/:id', auth, async (req, res) => {
+  try {
+    const attachment = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Attachment.findById(req.params.id)
+      : null;
+
+    if (!attachment || !(await canAccessAttachment(attachment, req.userId))) {
+      return res.status(404).json({ success: false, message: 'Attachment not found' });
+    }
+
+    if (!(await fileExists(attachment.filePath))) {
+      return res.status(404).json({ success: false, message: 'File not found' });
+    }
+
+    res.redirect(await signedUrl(attachment.filePath, {
+      fileName: attachment.fileName,
+      contentType: attachment.mimeType
+    }));
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({ success: false, message: 'Error downloading attachment' });
+  }
+});
+
+// @route   GET /api/chat/attachments/:id/thumbnail
+// @desc    Get an image attachment's thumbnail (redirects to a short-lived signed URL)
+// @access  Private (uploader and conversation participants)
+router.get('/attachments/:id/thumbnail', auth, async (req, res) => {
+  try {
+    const attachment = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Attachment.findById(req.params.id)
+      : null;
+
+    if (!attachment || !attachment.thumbnailPath || !(await canAccessAttachment(attachment, req.userId))) {
+      return res.status(404).json({ success: false, message: 'Thumbnail not found' });
+    }
+
+    if (!(await fileExists(attachment.thumbnailPath))) {
+      return res.status(404).json({ success: false, message: 'File not found' });
+    }
+
+    res.redirect(await signedUrl(attachment.thumbnailPath, {
+      fileName: `${path.parse(attachment.fileName).name}.webp`,
+      contentType: 'image/webp',
+      disposition: 'inline'
+    }));
+  } catch (error) {
+    console.error('Get thumbnail error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching thumbnail' });
+  }
+});
+
+// @route   DELETE /api/chat/attachments/:id
+// @desc    Discard an uploaded attachment that hasn't been sent
+// @access  Private (uploader)
+router.delete('/attachments/:id', auth, async (req, res) => {
+  try {
+    const attachment = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Attachment.findOneAndDelete({ _id: req.params.id, uploader: req.userId, message: { $exists: false } })
+      : null;
+
+    if (!attachment) {
+      return res.status(404).json({ success: false, message: 'Attachment not found' });
+    }
+
+    deleteAttachmentFiles(attachment);
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted'
     });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ success: false, message: 'Error deleting attachment' });
+  }
+});
 
-    await message.save();
+// @route   POST /api/chat/send
+// @desc    Send message to a connected user (recipientId) or a conversation (conversationId)
+// @access  Private
+router.post('/send', auth, async (req, res) => {
+  try {
+    const { recipientId, conversationId, content, attachmentIds } = req.body;
 
-    // Populate sender info
-    await message.populate('sender', 'username firstName lastName companyName userType');
+    // Same path as the sendMessage socket event - participants receive it live
+    const { message } = await sendMessage(req.app, {
+      senderId: req.userId,
+      recipientId,
+      conversationId,
+      content,
+      attachmentIds
+    });
 
     res.status(201).json({
       success: true,
       message
     });
   } catch (error) {
+    if (error.expose) {
+      return res.status(ERROR_STATUS[error.code] || 400).json({ success: false, message: error.message });
+    }
+
     console.error('Send message error:', error);
     res.status(500).json({ success: false, message: 'Error sending message' });
   }
 });
 
 // @route   PUT /api/chat/mark-read/:messageId
-// @desc    Mark message as read
+// @desc    Mark message (and everything before it in its conversation) as read.
+//          Kept for older clients - use PUT /conversations/:id/read or the markRead socket event
 // @access  Private
 router.put('/mark-read/:messageId', auth, async (req, res) => {
   try {
-    const message = await Message.findById(req.params.messageId);
+    const message = mongoose.Types.ObjectId.isValid(req.params.messageId)
+      ? await Message.findById(req.params.messageId)
+      : null;
 
     if (!message) {
       return res.status(404).json({ success: false, message: 'Message not found' });
     }
 
-    if (message.recipient.toString() !== req.userId) {
+    const conversation = message.conversation
+      ? await findConversationForUser(message.conversation, req.userId)
+      : null;
+
+    if (!conversation || message.sender.toString() === req.userId) {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
 
-    message.read = true;
-    message.readAt = new Date();
-    await message.save();
+    await markRead(req.app.get('io'), req.userId, conversation, message);
 
     res.json({
       success: true,
-      message
+      message: await Message.findById(message._id)
     });
   } catch (error) {
     console.error('Mark read error:', error);
@@ -206,10 +989,7 @@ router.put('/mark-read/:messageId', auth, async (req, res) => {
 // @access  Private
 router.get('/unread-count', auth, async (req, res) => {
   try {
-    const count = await Message.countDocuments({
-      recipient: req.userId,
-      read: false
-    });
+    const count = await getTotalUnreadCount(req.userId);
 
     res.json({
       success: true,
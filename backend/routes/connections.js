@@ -1,8 +1,30 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Connection = require('../models/Connection');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const { ERROR_STATUS } = require('../services/errors');
+const { notify, displayName } = require('../services/notificationService');
+const { getSuggestions } = require('../services/suggestionService');
+const { PROFILE_FIELDS, visibleProfile, withVisibleProfiles } = require('../services/profileVisibilityService');
+const {
+  REQUEST_POLICY,
+  requestConnection,
+  acceptRequest,
+  rejectRequest,
+  withdrawRequest,
+  removeConnection
+} = require('../services/connectionService');
+
+// Requests older than this are expiring and no longer listed
+const pendingCutoff = () => new Date(Date.now() - REQUEST_POLICY.pendingTtlMs);
+
+const sendServiceError = (res, error) => res.status(ERROR_STATUS[error.code] || 400).json({
+  success: false,
+  message: error.message,
+  ...(error.details ? error.details : {})
+});
 
 // @route   POST /api/connections/request
 // @desc    Send connection request
@@ -16,46 +38,35 @@ router.post('/request', auth, async (req, res) => {
     }
 
     // Check if recipient exists
-    const recipient = await User.findById(recipientId);
+    const recipient = mongoose.Types.ObjectId.isValid(recipientId)
+      ? await User.findOne({ _id: recipientId, isActive: true }).select('_id')
+      : null;
     if (!recipient) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    // Check if connection already exists
-    const existingConnection = await Connection.findOne({
-      $or: [
-        { requester: req.userId, recipient: recipientId },
-        { requester: recipientId, recipient: req.userId }
-      ]
-    });
-
-    if (existingConnection) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Connection request already exists or you are already connected' 
-      });
-    }
+    const connection = await requestConnection(req.app.get('io'), req.userId, recipient._id, message);
 
-    // Create connection request
-    const connection = new Connection({
-      requester: req.userId,
-      recipient: recipientId,
-      message,
-      status: 'pending'
+    await notify(req.app, {
+      recipient: recipient._id,
+      actor: req.userId,
+      type: 'connection_request',
+      title: `${displayName(req.user)} wants to connect with you`,
+      body: message,
+      data: { connectionId: connection._id },
+      link: '/connections'
     });
 
-    await connection.save();
-
-    // Add to recipient's pending requests
-    recipient.pendingRequests.push(req.userId);
-    await recipient.save();
-
     res.status(201).json({
       success: true,
       message: 'Connection request sent successfully',
       connection
     });
   } catch (error) {
+    if (error.expose) {
+      return sendServiceError(res, error);
+    }
+
     console.error('Send connection request error:', error);
     res.status(500).json({ success: false, message: 'Error sending connection request' });
   }
@@ -68,14 +79,15 @@ router.get('/pending', auth, async (req, res) => {
   try {
     const pendingRequests = await Connection.find({
       recipient: req.userId,
-      status: 'pending'
+      status: 'pending',
+      requestedAt: { $gt: pendingCutoff() }
     })
-    .populate('requester', 'username firstName lastName companyName userType city state profilePicture companyLogo')
+    .populate('requester', PROFILE_FIELDS)
     .sort({ createdAt: -1 });
 
     res.json({
       success: true,
-      requests: pendingRequests
+      requests: withVisibleProfiles(pendingRequests, 'requester', req.user)
     });
   } catch (error) {
     console.error('Get pending requests error:', error);
@@ -90,14 +102,15 @@ router.get('/pending-sent', auth, async (req, res) => {
   try {
     const pendingSent = await Connection.find({
       requester: req.userId,
-      status: 'pending'
+      status: 'pending',
+      requestedAt: { $gt: pendingCutoff() }
     })
-    .populate('recipient', 'username firstName lastName companyName userType city state profilePicture companyLogo')
+    .populate('recipient', PROFILE_FIELDS)
     .sort({ createdAt: -1 });
 
     res.json({
       success: true,
-      requests: pendingSent
+      requests: withVisibleProfiles(pendingSent, 'recipient', req.user)
     });
   } catch (error) {
     console.error('Get pending sent requests error:', error);
@@ -110,33 +123,15 @@ router.get('/pending-sent', auth, async (req, res) => {
 // @access  Private
 router.post('/accept/:connectionId', auth, async (req, res) => {
   try {
-    const connection = await Connection.findById(req.params.connectionId);
-
-    if (!connection) {
-      return res.status(404).json({ success: false, message: 'Connection request not found' });
-    }
-
-    if (connection.recipient.toString() !== req.userId) {
-      return res.status(403).json({ success: false, message: 'Not authorized' });
-    }
-
-    if (connection.status !== 'pending') {
-      return res.status(400).json({ success: false, message: 'Connection request already processed' });
-    }
-
-    // Update connection status
-    connection.status = 'accepted';
-    await connection.save();
-
-    // Add to both users' connections
-    await User.findByIdAndUpdate(connection.requester, {
-      $push: { connections: connection.recipient },
-      $pull: { pendingRequests: connection.recipient }
-    });
-
-    await User.findByIdAndUpdate(connection.recipient, {
-      $push: { connections: connection.requester },
-      $pull: { pendingRequests: connection.requester }
+    const connection = await acceptRequest(req.app.get('io'), req.params.connectionId, req.userId);
+
+    await notify(req.app, {
+      recipient: connection.requester,
+      actor: req.userId,
+      type: 'connection_accepted',
+      title: `${displayName(req.user)} accepted your connection request`,
+      data: { connectionId: connection._id, userId: req.userId },
+      link: `/profile/${req.userId}`
     });
 
     res.json({
@@ -145,47 +140,79 @@ router.post('/accept/:connectionId', auth, async (req, res) => {
       connection
     });
   } catch (error) {
+    if (error.expose) {
+      return sendServiceError(res, error);
+    }
+
     console.error('Accept connection error:', error);
     res.status(500).json({ success: false, message: 'Error accepting connection' });
   }
 });
 
 // @route   POST /api/connections/reject/:connectionId
-// @desc    Reject connection request
+// @desc    Reject connection request (the requester can't ask again during the cooldown)
 // @access  Private
 router.post('/reject/:connectionId', auth, async (req, res) => {
   try {
-    const connection = await Connection.findById(req.params.connectionId);
+    const connection = await rejectRequest(req.app.get('io'), req.params.connectionId, req.userId);
 
-    if (!connection) {
-      return res.status(404).json({ success: false, message: 'Connection request not found' });
+    res.json({
+      success: true,
+      message: 'Connection rejected',
+      connection
+    });
+  } catch (error) {
+    if (error.expose) {
+      return sendServiceError(res, error);
     }
 
-    if (connection.recipient.toString() !== req.userId) {
-      return res.status(403).json({ success: false, message: 'Not authorized' });
-    }
+    console.error('Reject connection error:', error);
+    res.status(500).json({ success: false, message: 'Error rejecting connection' });
+  }
+});
+
+// @route   POST /api/connections/withdraw/:connectionId
+// @desc    Withdraw a connection request you sent
+// @access  Private
+router.post('/withdraw/:connectionId', auth, async (req, res) => {
+  try {
+    const connection = await withdrawRequest(req.app.get('io'), req.params.connectionId, req.userId);
 
-    if (connection.status !== 'pending') {
-      return res.status(400).json({ success: false, message: 'Connection request already processed' });
+    res.json({
+      success: true,
+      message: 'Connection request withdrawn',
+      connection
+    });
+  } catch (error) {
+    if (error.expose) {
+      return sendServiceError(res, error);
     }
 
-    // Update connection status
-    connection.status = 'rejected';
-    await connection.save();
+    console.error('Withdraw connection request error:', error);
+    res.status(500).json({ success: false, message: 'Error withdrawing connection request' });
+  }
+});
 
-    // Remove from recipient's pending requests
-    await User.findByIdAndUpdate(connection.recipient, {
-      $pull: { pendingRequests: connection.requester }
-    });
+// @route   GET /api/connections/suggestions
+// @desc    Get "people you may know" - ranked users the current user isn't connected to
+// @access  Private
+router.get('/suggestions', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    const { suggestions, total } = await getSuggestions(req.user, { page, limit });
 
     res.json({
       success: true,
-      message: 'Connection rejected',
-      connection
+      suggestions,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit)
     });
   } catch (error) {
-    console.error('Reject connection error:', error);
-    res.status(500).json({ success: false, message: 'Error rejecting connection' });
+    console.error('Get connection suggestions error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching connection suggestions' });
   }
 });
 
@@ -195,11 +222,11 @@ router.post('/reject/:connectionId', auth, async (req, res) => {
 router.get('/my-connections', auth, async (req, res) => {
   try {
     const user = await User.findById(req.userId)
-      .populate('connections', 'username firstName lastName companyName userType specialty category city state profilePicture companyLogo');
+      .populate('connections', PROFILE_FIELDS);
 
     res.json({
       success: true,
-      connections: user.connections
+      connections: user.connections.map(connection => visibleProfile(connection, req.user))
     });
   } catch (error) {
     console.error('Get connections error:', error);
@@ -208,29 +235,15 @@ router.get('/my-connections', auth, async (req, res) => {
 });
 
 // @route   DELETE /api/connections/:userId
-// @desc    Remove connection
+// @desc    Remove connection (either user can send a new request later)
 // @access  Private
 router.delete('/:userId', auth, async (req, res) => {
   try {
-    // Remove connection from both users
-    await User.findByIdAndUpdate(req.userId, {
-      $pull: { connections: req.params.userId }
-    });
-
-    await User.findByIdAndUpdate(req.params.userId, {
-      $pull: { connections: req.userId }
-    });
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ success: false, message: 'Connection not found' });
+    }
 
-    // Update connection record
-    await Connection.findOneAndUpdate(
-      {
-        $or: [
-          { requester: req.userId, recipient: req.params.userId },
-          { requester: req.params.userId, recipient: req.userId }
-        ]
-      },
-      { status: 'rejected' }
-    );
+    await removeConnection(req.app.get('io'), req.userId, req.params.userId);
 
     res.json({
       success: true,
@@ -242,4 +255,4 @@ router.delete('/:userId', auth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
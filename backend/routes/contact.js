@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const Contact = require('../models/Contact');
-const { auth, optionalAuth } = require('../middleware/auth');
+const { auth, optionalAuth, requirePermission } = require('../middleware/auth');
 
 // @route   POST /api/contact
 // @desc    Submit a contact form
@@ -64,9 +64,9 @@ router.post('/', optionalAuth, async (req, res) => {
 });
 
 // @route   GET /api/contact
-// @desc    Get all contact submissions (Admin only - for future use)
-// @access  Private
-router.get('/', auth, async (req, res) => {
+// @desc    Get all contact submissions
+// @access  Private (contacts.read)
+router.get('/', auth, requirePermission('contacts.read'), async (req, res) => {
   try {
     const { status, page = 1, limit = 20 } = req.query;
 
@@ -100,9 +100,9 @@ router.get('/', auth, async (req, res) => {
 });
 
 // @route   PUT /api/contact/:id
-// @desc    Update contact status (Admin only - for future use)
-// @access  Private
-router.put('/:id', auth, async (req, res) => {
+// @desc    Update contact status
+// @access  Private (contacts.manage)
+router.put('/:id', auth, requirePermission('contacts.manage'), async (req, res) => {
   try {
     const { status } = req.body;
 
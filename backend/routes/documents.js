@@ -1,20 +1,23 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Document = require('../models/Document');
-const { auth, isDoctor, isDoctorOrParaMedical } = require('../middleware/auth');
+const Credential = require('../models/Credential');
+const { auth, requirePermission } = require('../middleware/auth');
 const { uploadDocument } = require('../middleware/upload');
-const fs = require('fs');
-const path = require('path');
+const { resubmitDocument, requeueDocument } = require('../services/credentialReviewService');
+const { createCredential, addVersion, archiveCredential, getTimeline } = require('../services/credentialService');
+const { fileExists, signedUrl, removeFile } = require('../services/storage');
 
 // @route   GET /api/documents
-// @desc    Get all documents for current user
-// @access  Private (Doctors and ParaMedical users)
-router.get('/', auth, isDoctorOrParaMedical, async (req, res) => {
+// @desc    Get the current version of each of the user's credentials
+// @access  Private (documents.manage - doctors, paramedical and attorneys)
+router.get('/', auth, requirePermission('documents.manage'), async (req, res) => {
   try {
-    const documents = await Document.find({ user: req.userId }).sort({ createdAt: -1 });
+    const documents = await Document.find({ user: req.userId, retiredAt: null })
+      .populate('credential', 'versionCount')
+      .sort({ createdAt: -1 });
 
-    console.log(`Found ${documents.length} documents for user ${req.userId}`);
-    
     // Transform documents to match frontend expectations
     const transformedDocuments = documents.map(doc => {
       const typeMap = {
@@ -29,11 +32,16 @@ router.get('/', auth, isDoctorOrParaMedical, async (req, res) => {
         name: doc.title,
         documentType: typeMap[doc.type] || doc.type,
         category: doc.category,
-        fileUrl: doc.filePath,
+        fileUrl: `/api/documents/download/${doc._id}`,
         uploadDate: doc.createdAt,
         startDate: doc.startDate,
         expiryDate: doc.expiryDate,
         verified: doc.isVerified,
+        status: doc.status,
+        rejectionReason: doc.rejectionReason,
+        credentialId: doc.credential && doc.credential._id,
+        version: doc.version,
+        versionCount: doc.credential ? doc.credential.versionCount : 1,
         fileSize: doc.fileSize,
         mimeType: doc.mimeType
       };
@@ -50,9 +58,9 @@ router.get('/', auth, isDoctorOrParaMedical, async (req, res) => {
 });
 
 // @route   POST /api/documents/upload
-// @desc    Upload a new document
-// @access  Private (Doctors and ParaMedical users)
-router.post('/upload', auth, isDoctorOrParaMedical, uploadDocument.single('document'), async (req, res) => {
+// @desc    Upload a new credential (as its first version)
+// @access  Private (documents.manage - doctors, paramedical and attorneys)
+router.post('/upload', auth, requirePermission('documents.manage'), uploadDocument.single('document'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ success: false, message: 'No file uploaded' });
@@ -72,21 +80,14 @@ router.post('/upload', auth, isDoctorOrParaMedical, uploadDocument.single('docum
     const docTypeValue = documentType || type || 'other';
     const backendType = typeMap[docTypeValue] || docTypeValue;
 
-    const document = new Document({
-      user: req.userId,
+    const document = await createCredential(req.userId, {
       title: title || req.file.originalname,
       type: backendType,
-      fileName: req.file.originalname,
-      filePath: '/uploads/documents/' + req.file.filename,
-      fileSize: req.file.size,
-      mimeType: req.file.mimetype,
       category: category,
       startDate: startDate ? new Date(startDate) : undefined,
       expiryDate: expiryDate ? new Date(expiryDate) : undefined,
       notes
-    });
-
-    await document.save();
+    }, req.file);
 
     // Transform document for frontend
     const reverseTypeMap = {
@@ -101,11 +102,14 @@ router.post('/upload', auth, isDoctorOrParaMedical, uploadDocument.single('docum
       name: document.title,
       documentType: reverseTypeMap[document.type] || document.type,
       category: document.category,
-      fileUrl: document.filePath,
+      fileUrl: `/api/documents/download/${document._id}`,
       uploadDate: document.createdAt,
       startDate: document.startDate,
       expiryDate: document.expiryDate,
       verified: document.isVerified,
+      status: document.status,
+      credentialId: document.credential,
+      version: document.version,
       fileSize: document.fileSize,
       mimeType: document.mimeType
     };
@@ -123,8 +127,8 @@ router.post('/upload', auth, isDoctorOrParaMedical, uploadDocument.single('docum
 
 // @route   POST /api/documents
 // @desc    Upload a new document (alias for /upload)
-// @access  Private (Doctors and ParaMedical users)
-router.post('/', auth, isDoctorOrParaMedical, uploadDocument.single('document'), async (req, res) => {
+// @access  Private (documents.manage - doctors, paramedical and attorneys)
+router.post('/', auth, requirePermission('documents.manage'), uploadDocument.single('document'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ success: false, message: 'No file uploaded' });
@@ -144,21 +148,14 @@ router.post('/', auth, isDoctorOrParaMedical, uploadDocument.single('document'),
     const docTypeValue = documentType || type || 'other';
     const backendType = typeMap[docTypeValue] || docTypeValue;
 
-    const document = new Document({
-      user: req.userId,
+    const document = await createCredential(req.userId, {
       title: title || req.file.originalname,
       type: backendType,
-      fileName: req.file.originalname,
-      filePath: '/uploads/documents/' + req.file.filename,
-      fileSize: req.file.size,
-      mimeType: req.file.mimetype,
       category: category,
       startDate: startDate ? new Date(startDate) : undefined,
       expiryDate: expiryDate ? new Date(expiryDate) : undefined,
       notes
-    });
-
-    await document.save();
+    }, req.file);
 
     // Transform document for frontend
     const reverseTypeMap = {
@@ -173,11 +170,14 @@ router.post('/', auth, isDoctorOrParaMedical, uploadDocument.single('document'),
       name: document.title,
       documentType: reverseTypeMap[document.type] || document.type,
       category: document.category,
-      fileUrl: document.filePath,
+      fileUrl: `/api/documents/download/${document._id}`,
       uploadDate: document.createdAt,
       startDate: document.startDate,
       expiryDate: document.expiryDate,
       verified: document.isVerified,
+      status: document.status,
+      credentialId: document.credential,
+      version: document.version,
       fileSize: document.fileSize,
       mimeType: document.mimeType
     };
@@ -193,18 +193,36 @@ router.post('/', auth, isDoctorOrParaMedical, uploadDocument.single('document'),
   }
 });
 
+// @route   GET /api/documents/timeline
+// @desc    Every credential the user has had, with when each version was valid and verified
+// @access  Private (documents.manage - doctors, paramedical and attorneys)
+router.get('/timeline', auth, requirePermission('documents.manage'), async (req, res) => {
+  try {
+    const credentials = await getTimeline(req.userId);
+
+    res.json({
+      success: true,
+      credentials
+    });
+  } catch (error) {
+    console.error('Get credential timeline error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching credential timeline' });
+  }
+});
+
 // @route   PUT /api/documents/:id
-// @desc    Update document details
-// @access  Private (Doctors and ParaMedical users)
-router.put('/:id', auth, isDoctorOrParaMedical, async (req, res) => {
+// @desc    Update details of a credential's current version
+// @access  Private (documents.manage - doctors, paramedical and attorneys)
+router.put('/:id', auth, requirePermission('documents.manage'), async (req, res) => {
   try {
-    const document = await Document.findOne({ _id: req.params.id, user: req.userId });
+    const document = await Document.findOne({ _id: req.params.id, user: req.userId, retiredAt: null });
 
     if (!document) {
       return res.status(404).json({ success: false, message: 'Document not found' });
     }
 
     const { title, type, notes } = req.body;
+    const typeChanged = Boolean(type) && type !== document.type;
 
     if (title) document.title = title;
     if (type) document.type = type;
@@ -212,10 +230,22 @@ router.put('/:id', auth, isDoctorOrParaMedical, async (req, res) => {
 
     await document.save();
 
+    if (document.credential && (title || type)) {
+      await Credential.updateOne(
+        { _id: document.credential },
+        { $set: { title: document.title, type: document.type } }
+      );
+    }
+
+    // A verified licence can't become a verified board certification without review
+    const updated = typeChanged && document.status === 'approved'
+      ? await requeueDocument(document._id, req.userId)
+      : null;
+
     res.json({
       success: true,
-      message: 'Document updated successfully',
-      document
+      message: updated ? 'Document updated and sent back for verification' : 'Document updated successfully',
+      document: updated || document
     });
   } catch (error) {
     console.error('Update document error:', error);
@@ -223,24 +253,139 @@ router.put('/:id', auth, isDoctorOrParaMedical, async (req, res) => {
   }
 });
 
-// @route   DELETE /api/documents/:id
-// @desc    Delete document
-// @access  Private (Doctors and ParaMedical users)
-router.delete('/:id', auth, isDoctorOrParaMedical, async (req, res) => {
+// @route   GET /api/documents/:id/versions
+// @desc    Every version of the credential a document belongs to, newest first
+// @access  Private (documents.manage - doctors, paramedical and attorneys)
+router.get('/:id/versions', auth, requirePermission('documents.manage'), async (req, res) => {
   try {
-    const document = await Document.findOne({ _id: req.params.id, user: req.userId });
+    const document = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Document.findOne({ _id: req.params.id, user: req.userId }).select('credential')
+      : null;
 
     if (!document) {
       return res.status(404).json({ success: false, message: 'Document not found' });
     }
 
-    // Delete file from filesystem
-    const filePath = path.join(__dirname, '..', document.filePath);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
+    const versions = document.credential
+      ? await Document.find({ credential: document.credential, user: req.userId }).sort({ version: -1 })
+      : [await Document.findById(document._id)];
+
+    res.json({
+      success: true,
+      versions
+    });
+  } catch (error) {
+    console.error('Get document versions error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching document versions' });
+  }
+});
+
+// @route   POST /api/documents/:id/versions
+// @desc    Upload a new version of a credential (e.g. a renewed licence). It goes for
+//          verification and supersedes the current version, which stays downloadable.
+// @access  Private (documents.manage - doctors, paramedical and attorneys)
+router.post('/:id/versions', auth, requirePermission('documents.manage'), uploadDocument.single('document'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No file uploaded' });
     }
 
-    await document.deleteOne();
+    const { title, notes, startDate, expiryDate } = req.body;
+
+    const existing = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Document.findOne({ _id: req.params.id, user: req.userId }).select('credential')
+      : null;
+
+    const document = existing && existing.credential && await addVersion(existing.credential, req.userId, {
+      title,
+      startDate: startDate ? new Date(startDate) : undefined,
+      expiryDate: expiryDate ? new Date(expiryDate) : undefined,
+      notes
+    }, req.file);
+
+    if (!document) {
+      removeFile(req.file.key);
+      return res.status(404).json({ success: false, message: 'Credential not found' });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${document.version} uploaded for verification`,
+      document
+    });
+  } catch (error) {
+    console.error('Upload document version error:', error);
+    res.status(500).json({ success: false, message: 'Error uploading document version' });
+  }
+});
+
+// @route   POST /api/documents/:id/resubmit
+// @desc    Upload a replacement file for a document a reviewer sent back, or a renewal
+//          of an expired credential (with its new expiryDate) - renewals become a new version
+// @access  Private (documents.manage - doctors, paramedical and attorneys)
+router.post('/:id/resubmit', auth, requirePermission('documents.manage'), uploadDocument.single('document'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No file uploaded' });
+    }
+
+    const previous = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Document.findOne({ _id: req.params.id, user: req.userId, retiredAt: null }).select('filePath status credential')
+      : null;
+
+    const expiryDate = req.body.expiryDate ? new Date(req.body.expiryDate) : undefined;
+    const renewalInvalid = previous && previous.status === 'expired'
+      && !(expiryDate && expiryDate > new Date());
+
+    if (renewalInvalid || (expiryDate && isNaN(expiryDate))) {
+      removeFile(req.file.key);
+      return res.status(400).json({ success: false, message: 'A renewed credential needs an expiry date in the future' });
+    }
+
+    // The expired version is kept as history rather than overwritten
+    const renewal = previous && previous.status === 'expired' && previous.credential;
+
+    const document = renewal
+      ? await addVersion(previous.credential, req.userId, { expiryDate }, req.file)
+      : previous && await resubmitDocument(previous._id, req.userId, req.file, { expiryDate });
+
+    if (!document) {
+      removeFile(req.file.key);
+
+      if (!previous) {
+        return res.status(404).json({ success: false, message: 'Document not found' });
+      }
+      return res.status(409).json({ success: false, message: 'This document is not awaiting resubmission' });
+    }
+
+    if (!renewal) {
+      removeFile(previous.filePath);
+    }
+
+    res.json({
+      success: true,
+      message: 'Document resubmitted for verification',
+      document
+    });
+  } catch (error) {
+    console.error('Resubmit document error:', error);
+    res.status(500).json({ success: false, message: 'Error resubmitting document' });
+  }
+});
+
+// @route   DELETE /api/documents/:id
+// @desc    Delete a credential. It leaves the user's list and stops counting towards
+//          verification; its versions and files are kept for audit.
+// @access  Private (documents.manage - doctors, paramedical and attorneys)
+router.delete('/:id', auth, requirePermission('documents.manage'), async (req, res) => {
+  try {
+    const document = await Document.findOne({ _id: req.params.id, user: req.userId, retiredAt: null });
+
+    if (!document || !document.credential) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+
+    await archiveCredential(document.credential, req.userId);
 
     res.json({
       success: true,
@@ -253,9 +398,9 @@ router.delete('/:id', auth, isDoctorOrParaMedical, async (req, res) => {
 });
 
 // @route   GET /api/documents/download/:id
-// @desc    Download document
-// @access  Private (Doctors and ParaMedical users)
-router.get('/download/:id', auth, isDoctorOrParaMedical, async (req, res) => {
+// @desc    Download any version of one of the user's documents (redirects to a short-lived signed URL)
+// @access  Private (documents.manage - doctors, paramedical and attorneys)
+router.get('/download/:id', auth, requirePermission('documents.manage'), async (req, res) => {
   try {
     const document = await Document.findOne({ _id: req.params.id, user: req.userId });
 
@@ -263,13 +408,14 @@ router.get('/download/:id', auth, isDoctorOrParaMedical, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Document not found' });
     }
 
-    const filePath = path.join(__dirname, '..', document.filePath);
-    
-    if (!fs.existsSync(filePath)) {
+    if (!(await fileExists(document.filePath))) {
       return res.status(404).json({ success: false, message: 'File not found' });
     }
 
-    res.download(filePath, document.fileName);
+    res.redirect(await signedUrl(document.filePath, {
+      fileName: document.fileName,
+      contentType: document.mimeType
+    }));
   } catch (error) {
     console.error('Download document error:', error);
     res.status(500).json({ success: false, message: 'Error downloading document' });
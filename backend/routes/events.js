@@ -2,15 +2,26 @@ const express = require('express');
 const router = express.Router();
 const Event = require('../models/Event');
 const Wallet = require('../models/Wallet');
-const { auth } = require('../middleware/auth');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { notify, displayName } = require('../services/notificationService');
 const { uploadImage } = require('../middleware/upload');
+const { parseNearQuery, nearStages } = require('../services/geoService');
+const { PROFILE_FIELDS, withVisibleProfiles } = require('../services/profileVisibilityService');
+
+const ORGANIZER_FIELDS = 'username firstName lastName companyName userType';
 
 // @route   GET /api/events
-// @desc    Get all events
+// @desc    Get all events - ?type=&status=&upcoming= ; &near=<zip>&radius=<miles> returns
+//          in-person events nearest first with distanceMiles
 // @access  Public
 router.get('/', async (req, res) => {
   try {
     const { type, status, upcoming } = req.query;
+
+    const near = parseNearQuery(req.query);
+    if (near && near.error) {
+      return res.status(400).json({ success: false, message: near.error });
+    }
     
     let query = {};
 
@@ -25,8 +36,18 @@ router.get('/', async (req, res) => {
       query.status = 'upcoming';
     }
 
+    if (near) {
+      const nearby = await Event.aggregate([...nearStages(near, query), { $limit: 50 }]);
+      const events = await Event.populate(nearby, { path: 'organizer', select: ORGANIZER_FIELDS });
+
+      return res.json({
+        success: true,
+        events
+      });
+    }
+
     const events = await Event.find(query)
-      .populate('organizer', 'username firstName lastName companyName userType')
+      .populate('organizer', ORGANIZER_FIELDS)
       .sort({ date: 1 })
       .limit(50);
 
@@ -41,13 +62,13 @@ router.get('/', async (req, res) => {
 });
 
 // @route   GET /api/events/:id
-// @desc    Get single event
+// @desc    Get single event - attendee profiles are limited to what the viewer may see
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const event = await Event.findById(req.params.id)
       .populate('organizer', 'username firstName lastName companyName userType profilePicture companyLogo')
-      .populate('attendees.user', 'username firstName lastName companyName userType');
+      .populate('attendees.user', PROFILE_FIELDS);
 
     if (!event) {
       return res.status(404).json({ success: false, message: 'Event not found' });
@@ -55,7 +76,10 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      event
+      event: {
+        ...event.toObject(),
+        attendees: withVisibleProfiles(event.attendees, 'user', req.user)
+      }
     });
   } catch (error) {
     console.error('Get event error:', error);
@@ -74,6 +98,7 @@ router.post('/', auth, uploadImage.array('image', 10), async (req, res) => {
       date,
       endDate,
       location,
+      zip,
       type,
       maxAttendees,
       isVirtual,
@@ -87,6 +112,7 @@ router.post('/', auth, uploadImage.array('image', 10), async (req, res) => {
       date,
       endDate,
       location,
+      zip,
       type,
       organizer: req.userId,
       maxAttendees,
@@ -97,7 +123,7 @@ router.post('/', auth, uploadImage.array('image', 10), async (req, res) => {
 
     // Handle multiple images
     if (req.files && req.files.length > 0) {
-      event.images = req.files.map(file => '/uploads/images/' + file.filename);
+      event.images = req.files.map(file => file.url);
     }
 
     await event.save();
@@ -154,7 +180,7 @@ router.put('/:id', auth, uploadImage.array('image', 10), async (req, res) => {
       return res.status(403).json({ success: false, message: 'Not authorized to update this event' });
     }
 
-    const allowedUpdates = ['title', 'description', 'date', 'endDate', 'location', 'type', 'maxAttendees', 'isVirtual', 'virtualLink', 'tags', 'status'];
+    const allowedUpdates = ['title', 'description', 'date', 'endDate', 'location', 'zip', 'type', 'maxAttendees', 'isVirtual', 'virtualLink', 'tags', 'status'];
     const updates = Object.keys(req.body);
 
     updates.forEach(update => {
@@ -169,7 +195,7 @@ router.put('/:id', auth, uploadImage.array('image', 10), async (req, res) => {
 
     // Handle multiple images - append to existing images array
     if (req.files && req.files.length > 0) {
-      const newImages = req.files.map(file => '/uploads/images/' + file.filename);
+      const newImages = req.files.map(file => file.url);
       event.images = event.images ? [...event.images, ...newImages] : newImages;
     }
 
@@ -245,6 +271,15 @@ router.post('/:id/register', auth, async (req, res) => {
 
     await event.save();
 
+    await notify(req.app, {
+      recipient: event.organizer,
+      actor: req.userId,
+      type: 'event_registration',
+      title: `${displayName(req.user)} registered for your event "${event.title}"`,
+      data: { eventId: event._id, attendeeId: req.userId },
+      link: `/events/${event._id}`
+    });
+
     res.json({
       success: true,
       message: 'Successfully registered for event',
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const { getStorage, isPublicKey } = require('../services/storage');
+
+// @route   GET /api/files/*
+// @desc    Serve a private file from local storage through a URL made by signedUrl()
+//          (the S3 driver hands out the bucket's own presigned URLs instead)
+// @access  Public (signed, expiring URL)
+router.get('/*', async (req, res) => {
+  try {
+    const storage = getStorage();
+    const key = req.params[0];
+
+    const grant = storage.verifySignedUrl && !isPublicKey(key) && storage.verifySignedUrl(key, req.query);
+    if (!grant) {
+      return res.status(403).json({ success: false, message: 'This link is invalid or has expired' });
+    }
+
+    const filePath = storage.resolve(key);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ success: false, message: 'File not found' });
+    }
+
+    res.set({
+      'Content-Type': grant.contentType || 'application/octet-stream',
+      'Content-Disposition': grant.disposition,
+      'Cache-Control': `private, max-age=${Math.max(0, grant.expires - Math.floor(Date.now() / 1000))}`,
+      // Uploaded files are never allowed to run scripts on our origin
+      'Content-Security-Policy': 'sandbox',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.sendFile(filePath);
+  } catch (error) {
+    console.error('Serve file error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching file' });
+  }
+});
+
+module.exports = router;
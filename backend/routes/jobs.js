@@ -1,15 +1,45 @@
 const express = require('express');
 const router = express.Router();
 const Job = require('../models/Job');
-const { auth } = require('../middleware/auth');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { notify, displayName } = require('../services/notificationService');
 const { uploadImage } = require('../middleware/upload');
+const { parseNearQuery, nearStages } = require('../services/geoService');
+const { PROFILE_FIELDS, withVisibleProfiles } = require('../services/profileVisibilityService');
+
+const POSTER_FIELDS = 'username firstName lastName companyName userType';
+
+const idOf = (ref) => (ref && ref._id) || ref;
+
+// A job as the viewer may see it - only the poster sees who applied,
+// anyone else just their own application
+const jobFor = (job, viewer) => {
+  const plain = typeof job.toObject === 'function' ? job.toObject() : job;
+  const postedBy = idOf(plain.postedBy);
+  const isPoster = Boolean(viewer && postedBy && postedBy.equals(viewer._id));
+
+  const applicants = isPoster
+    ? plain.applicants
+    : plain.applicants.filter(a => viewer && a.user && idOf(a.user).equals(viewer._id));
+
+  return {
+    ...plain,
+    applicants: withVisibleProfiles(applicants, 'user', viewer)
+  };
+};
 
 // @route   GET /api/jobs
-// @desc    Get all jobs
+// @desc    Get all jobs - ?type=&location=&specialty=&status= ; &near=<zip>&radius=<miles>
+//          returns jobs nearest first with distanceMiles
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
     const { type, location, specialty, status } = req.query;
+
+    const near = parseNearQuery(req.query);
+    if (near && near.error) {
+      return res.status(400).json({ success: false, message: near.error });
+    }
     
     let query = {};
 
@@ -29,17 +59,23 @@ router.get('/', async (req, res) => {
       query.status = status;
     }
 
-    const jobs = await Job.find(query)
-      .populate('postedBy', 'username firstName lastName companyName userType')
-      .sort({ createdAt: -1 })
-      .limit(100);
+    let jobs;
+    if (near) {
+      const nearby = await Job.aggregate([...nearStages(near, query), { $limit: 100 }]);
+      jobs = await Job.populate(nearby, { path: 'postedBy', select: POSTER_FIELDS });
+    } else {
+      jobs = await Job.find(query)
+        .populate('postedBy', POSTER_FIELDS)
+        .sort({ createdAt: -1 })
+        .limit(100);
+    }
 
     // Filter out jobs where postedBy user was deleted
     const validJobs = jobs.filter(job => job.postedBy !== null);
 
     res.json({
       success: true,
-      jobs: validJobs
+      jobs: validJobs.map(job => jobFor(job, req.user))
     });
   } catch (error) {
     console.error('Get jobs error:', error);
@@ -50,11 +86,11 @@ router.get('/', async (req, res) => {
 // @route   GET /api/jobs/:id
 // @desc    Get single job
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const job = await Job.findById(req.params.id)
       .populate('postedBy', 'username firstName lastName companyName userType profilePicture companyLogo')
-      .populate('applicants.user', 'username firstName lastName userType');
+      .populate('applicants.user', PROFILE_FIELDS);
 
     if (!job) {
       return res.status(404).json({ success: false, message: 'Job not found' });
@@ -62,7 +98,7 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      job
+      job: jobFor(job, req.user)
     });
   } catch (error) {
     console.error('Get job error:', error);
@@ -80,6 +116,7 @@ router.post('/', auth, uploadImage.array('image', 10), async (req, res) => {
       description,
       type,
       location,
+      zip,
       salary,
       specialty,
       experience,
@@ -91,6 +128,7 @@ router.post('/', auth, uploadImage.array('image', 10), async (req, res) => {
       description,
       type,
       location,
+      zip,
       salary,
       specialty,
       experience,
@@ -101,7 +139,7 @@ router.post('/', auth, uploadImage.array('image', 10), async (req, res) => {
 
     // Handle multiple images
     if (req.files && req.files.length > 0) {
-      job.images = req.files.map(file => '/uploads/images/' + file.filename);
+      job.images = req.files.map(file => file.url);
     }
 
     await job.save();
@@ -135,7 +173,7 @@ router.put('/:id', auth, uploadImage.array('image', 10), async (req, res) => {
       return res.status(403).json({ success: false, message: 'Not authorized to update this job' });
     }
 
-    const allowedUpdates = ['title', 'description', 'type', 'location', 'salary', 'specialty', 'experience', 'requirements', 'status'];
+    const allowedUpdates = ['title', 'description', 'type', 'location', 'zip', 'salary', 'specialty', 'experience', 'requirements', 'status'];
     const updates = Object.keys(req.body);
 
     updates.forEach(update => {
@@ -146,7 +184,7 @@ router.put('/:id', auth, uploadImage.array('image', 10), async (req, res) => {
 
     // Handle multiple images - append to existing images array
     if (req.files && req.files.length > 0) {
-      const newImages = req.files.map(file => '/uploads/images/' + file.filename);
+      const newImages = req.files.map(file => file.url);
       job.images = job.images ? [...job.images, ...newImages] : newImages;
     }
 
@@ -220,13 +258,22 @@ router.post('/:id/apply', auth, async (req, res) => {
 
     await job.save();
 
+    await notify(req.app, {
+      recipient: job.postedBy,
+      actor: req.userId,
+      type: 'job_application',
+      title: `${displayName(req.user)} applied to your job "${job.title}"`,
+      data: { jobId: job._id, applicantId: req.userId },
+      link: `/jobs/${job._id}`
+    });
+
     // Populate postedBy before sending response
     await job.populate('postedBy', 'username firstName lastName companyName userType');
 
     res.json({
       success: true,
       message: 'Application submitted successfully',
-      job
+      job: jobFor(job, req.user)
     });
   } catch (error) {
     console.error('Apply for job error:', error);
@@ -247,7 +294,7 @@ router.get('/my/applications', auth, async (req, res) => {
 
     res.json({
       success: true,
-      jobs
+      jobs: jobs.map(job => jobFor(job, req.user))
     });
   } catch (error) {
     console.error('Get applications error:', error);
@@ -263,12 +310,12 @@ router.get('/my/posted', auth, async (req, res) => {
     const jobs = await Job.find({
       postedBy: req.userId
     })
-    .populate('applicants.user', 'username firstName lastName userType')
+    .populate('applicants.user', PROFILE_FIELDS)
     .sort({ createdAt: -1 });
 
     res.json({
       success: true,
-      jobs
+      jobs: jobs.map(job => jobFor(job, req.user))
     });
   } catch (error) {
     console.error('Get posted jobs error:', error);
@@ -0,0 +1,206 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const { auth } = require('../middleware/auth');
+const { emitToUser, resolvePreferences } = require('../services/notificationService');
+
+const { NOTIFICATION_TYPES } = Notification;
+
+// @route   GET /api/notifications
+// @desc    Get notifications for current user (newest first)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const query = { recipient: req.userId };
+    if (req.query.unread === 'true') {
+      query.read = false;
+    }
+    if (req.query.type) {
+      query.type = req.query.type;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .populate('actor', 'username firstName lastName companyName userType profilePicture companyLogo')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ recipient: req.userId, read: false })
+    ]);
+
+    res.json({
+      success: true,
+      notifications,
+      unreadCount,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching notifications' });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get number of unread notifications
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ recipient: req.userId, read: false });
+
+    res.json({
+      success: true,
+      count
+    });
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching unread count' });
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get per-type notification preferences
+// @access  Private
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    const preferences = {};
+    Object.keys(NOTIFICATION_TYPES).forEach(type => {
+      preferences[type] = resolvePreferences(req.user, type);
+    });
+
+    res.json({
+      success: true,
+      preferences
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching notification preferences' });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update per-type notification preferences, e.g. { job_application: { email: false } }
+// @access  Private
+router.put('/preferences', auth, async (req, res) => {
+  try {
+    const updates = req.body.preferences || req.body;
+
+    const invalidTypes = Object.keys(updates).filter(type => !NOTIFICATION_TYPES[type]);
+    if (invalidTypes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid notification types: ${invalidTypes.join(', ')}`
+      });
+    }
+
+    for (const [type, channels] of Object.entries(updates)) {
+      const current = resolvePreferences(req.user, type);
+      const next = { ...current };
+
+      ['inApp', 'email'].forEach(channel => {
+        if (channels && typeof channels[channel] === 'boolean') {
+          next[channel] = channels[channel];
+        }
+      });
+
+      req.user.notificationPreferences.set(type, next);
+    }
+
+    await req.user.save();
+
+    const preferences = {};
+    Object.keys(NOTIFICATION_TYPES).forEach(type => {
+      preferences[type] = resolvePreferences(req.user, type);
+    });
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      preferences
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ success: false, message: 'Error updating notification preferences' });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.userId, read: false },
+      { read: true, readAt: new Date() }
+    );
+
+    // Keep the user's other open clients in sync
+    await emitToUser(req.app, req.userId, 'notificationsRead', { all: true, unreadCount: 0 });
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ success: false, message: 'Error marking notifications as read' });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.userId },
+      { read: true, readAt: new Date() },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    const unreadCount = await Notification.countDocuments({ recipient: req.userId, read: false });
+    await emitToUser(req.app, req.userId, 'notificationsRead', { ids: [notification._id], unreadCount });
+
+    res.json({
+      success: true,
+      notification,
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ success: false, message: 'Error marking notification as read' });
+  }
+});
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete a notification
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, recipient: req.userId });
+
+    if (!notification) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification deleted'
+    });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({ success: false, message: 'Error deleting notification' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,567 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const CredentialPacket = require('../models/CredentialPacket');
+const PacketAccess = require('../models/PacketAccess');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const { auth, optionalAuth, requirePermission } = require('../middleware/auth');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { notify, displayName } = require('../services/notificationService');
+const { isBlockedBetween, getBlockedIds } = require('../services/blockService');
+const { fileExists, signedUrl } = require('../services/storage');
+const { visibleProfile, PROFILE_FIELDS } = require('../services/profileVisibilityService');
+const { signPacketAccessToken, verifyPacketAccessToken } = require('../services/accountTokenService');
+const {
+  isShareActive,
+  resolveCredentials,
+  packetDocuments,
+  sharedDocument,
+  createLinkShare,
+  createRecipientShare,
+  findLinkShare,
+  findRecipientShare,
+  checkSharePassword,
+  recordAccess
+} = require('../services/credentialPacketService');
+
+// Password attempts per IP and link
+const unlockRateLimit = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => `${req.ip}:${req.params.token}`,
+  message: 'Too many password attempts, please try again later.'
+});
+
+// Load one of the current user's packets, or send 404
+const loadOwnPacket = async (req, res) => {
+  const packet = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await CredentialPacket.findOne({ _id: req.params.id, user: req.userId })
+    : null;
+
+  if (!packet) {
+    res.status(404).json({ success: false, message: 'Packet not found' });
+  }
+  return packet;
+};
+
+// What a recipient sees: the owner, the packet and its current documents
+const sharedPacket = async (packet, share, viewer) => {
+  const [owner, documents] = await Promise.all([
+    User.findById(packet.user).select(PROFILE_FIELDS),
+    packetDocuments(packet)
+  ]);
+
+  return {
+    _id: packet._id,
+    title: packet.title,
+    note: packet.note,
+    owner: owner && visibleProfile(owner, viewer),
+    documents: documents.map(sharedDocument),
+    expiresAt: share.expiresAt
+  };
+};
+
+// Send one of a packet's current documents as a download (through a signed URL), logging it
+const sendPacketDocument = async (req, res, { packet, share }) => {
+  const document = mongoose.Types.ObjectId.isValid(req.params.documentId)
+    ? await Document.findOne({
+      _id: req.params.documentId,
+      credential: { $in: packet.credentials },
+      retiredAt: null
+    })
+    : null;
+
+  if (!document) {
+    return res.status(404).json({ success: false, message: 'Document not found' });
+  }
+
+  if (!(await fileExists(document.filePath))) {
+    return res.status(404).json({ success: false, message: 'File not found' });
+  }
+
+  await recordAccess({
+    packet,
+    share,
+    action: 'download',
+    document: document._id,
+    viewer: req.userId,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  res.redirect(await signedUrl(document.filePath, {
+    fileName: document.fileName,
+    contentType: document.mimeType
+  }));
+};
+
+// Resolve an active link share and, for password-protected links, check the access
+// token from /unlock (X-Packet-Access header or ?access=). Sends the error response
+// and returns null when access is refused.
+const loadLinkShare = async (req, res) => {
+  const found = await findLinkShare(req.params.token);
+
+  if (!found) {
+    res.status(404).json({ success: false, message: 'This link has expired or been revoked' });
+    return null;
+  }
+
+  if (found.share.passwordHash) {
+    let decoded = null;
+    try {
+      decoded = verifyPacketAccessToken(req.get('X-Packet-Access') || req.query.access || '');
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.share !== found.share._id.toString()) {
+      res.status(401).json({ success: false, message: 'Password required', passwordRequired: true });
+      return null;
+    }
+  }
+
+  return found;
+};
+
+// @route   GET /api/packets
+// @desc    Get the current user's credential packets
+// @access  Private (documents.manage - doctors, paramedical and attorneys)
+router.get('/', auth, requirePermission('documents.manage'), async (req, res) => {
+  try {
+    const packets = await CredentialPacket.find({ user: req.userId })
+      .populate('shares.recipient', 'username firstName lastName companyName userType')
+      .populate('shares.job', 'title')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      packets
+    });
+  } catch (error) {
+    console.error('Get packets error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching packets' });
+  }
+});
+
+// @route   POST /api/packets
+// @desc    Bundle selected documents into a credential packet
+// @access  Private (documents.manage - doctors, paramedical and attorneys)
+router.post('/', auth, requirePermission('documents.manage'), async (req, res) => {
+  try {
+    const { title, note, documentIds } = req.body;
+
+    if (!title || !String(title).trim()) {
+      return res.status(400).json({ success: false, message: 'Title is required' });
+    }
+
+    const { credentials, error } = await resolveCredentials(req.userId, documentIds);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const packet = await CredentialPacket.create({ user: req.userId, title, note, credentials });
+
+    res.status(201).json({
+      success: true,
+      message: 'Packet created successfully',
+      packet
+    });
+  } catch (error) {
+    console.error('Create packet error:', error);
+    res.status(500).json({ success: false, message: 'Error creating packet' });
+  }
+});
+
+// @route   GET /api/packets/shared-with-me
+// @desc    Get packets other users have shared with the current user
+// @access  Private
+router.get('/shared-with-me', auth, async (req, res) => {
+  try {
+    // Packets from users either side has since blocked are hidden
+    const blockedIds = await getBlockedIds(req.user);
+    const packets = await CredentialPacket.find({ 'shares.recipient': req.userId, user: { $nin: blockedIds } })
+      .populate('user', PROFILE_FIELDS)
+      .sort({ updatedAt: -1 });
+
+    const shared = packets
+      .map(packet => ({
+        packet,
+        share: packet.shares.find(share => share.kind === 'user'
+          && share.recipient.equals(req.userId)
+          && isShareActive(share))
+      }))
+      .filter(({ share }) => share)
+      .map(({ packet, share }) => ({
+        _id: packet._id,
+        title: packet.title,
+        owner: packet.user && visibleProfile(packet.user, req.user),
+        documentCount: packet.credentials.length,
+        job: share.job,
+        sharedAt: share.createdAt,
+        expiresAt: share.expiresAt
+      }));
+
+    res.json({
+      success: true,
+      packets: shared
+    });
+  } catch (error) {
+    console.error('Get shared packets error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching shared packets' });
+  }
+});
+
+// @route   GET /api/packets/shared/:id
+// @desc    Open a packet shared with the current user (logged)
+// @access  Private
+router.get('/shared/:id', auth, async (req, res) => {
+  try {
+    const found = await findRecipientShare(req.params.id, req.userId);
+
+    if (!found) {
+      return res.status(404).json({ success: false, message: 'Packet not found or no longer shared with you' });
+    }
+
+    const packet = await sharedPacket(found.packet, found.share, req.user);
+
+    await recordAccess({
+      ...found,
+      action: 'view',
+      viewer: req.userId,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      packet
+    });
+  } catch (error) {
+    console.error('Get shared packet error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching packet' });
+  }
+});
+
+// @route   GET /api/packets/shared/:id/documents/:documentId
+// @desc    Download a document from a packet shared with the current user (logged)
+// @access  Private
+router.get('/shared/:id/documents/:documentId', auth, async (req, res) => {
+  try {
+    const found = await findRecipientShare(req.params.id, req.userId);
+
+    if (!found) {
+      return res.status(404).json({ success: false, message: 'Packet not found or no longer shared with you' });
+    }
+
+    await sendPacketDocument(req, res, found);
+  } catch (error) {
+    console.error('Download shared packet document error:', error);
+    res.status(500).json({ success: false, message: 'Error downloading document' });
+  }
+});
+
+// @route   POST /api/packets/link/:token/unlock
+// @desc    Enter the password of a protected packet link; returns a short-lived access token
+// @access  Public
+router.post('/link/:token/unlock', unlockRateLimit, async (req, res) => {
+  try {
+    const found = await findLinkShare(req.params.token);
+
+    if (!found) {
+      return res.status(404).json({ success: false, message: 'This link has expired or been revoked' });
+    }
+
+    if (!(await checkSharePassword(found.share, req.body.password))) {
+      return res.status(401).json({ success: false, message: 'Incorrect password' });
+    }
+
+    res.json({
+      success: true,
+      accessToken: signPacketAccessToken(found.share)
+    });
+  } catch (error) {
+    console.error('Unlock packet link error:', error);
+    res.status(500).json({ success: false, message: 'Error opening packet' });
+  }
+});
+
+// @route   GET /api/packets/link/:token
+// @desc    Open a packet through a share link (logged)
+// @access  Public (access token from /unlock for password-protected links)
+router.get('/link/:token', optionalAuth, async (req, res) => {
+  try {
+    const found = await loadLinkShare(req, res);
+    if (!found) return;
+
+    const packet = await sharedPacket(found.packet, found.share, req.user);
+
+    await recordAccess({
+      ...found,
+      action: 'view',
+      viewer: req.userId,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      packet
+    });
+  } catch (error) {
+    console.error('Get packet link error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching packet' });
+  }
+});
+
+// @route   GET /api/packets/link/:token/documents/:documentId
+// @desc    Download a document through a share link (logged)
+// @access  Public (access token from /unlock for password-protected links)
+router.get('/link/:token/documents/:documentId', optionalAuth, async (req, res) => {
+  try {
+    const found = await loadLinkShare(req, res);
+    if (!found) return;
+
+    await sendPacketDocument(req, res, found);
+  } catch (error) {
+    console.error('Download packet link document error:', error);
+    res.status(500).json({ success: false, message: 'Error downloading document' });
+  }
+});
+
+// @route   GET /api/packets/:id
+// @desc    Get one of the current user's packets with its current documents and shares
+// @access  Private (documents.manage - doctors, paramedical and attorneys)
+router.get('/:id', auth, requirePermission('documents.manage'), async (req, res) => {
+  try {
+    const packet = await loadOwnPacket(req, res);
+    if (!packet) return;
+
+    await packet.populate([
+      { path: 'shares.recipient', select: 'username firstName lastName companyName userType' },
+      { path: 'shares.job', select: 'title' }
+    ]);
+    const documents = await packetDocuments(packet);
+
+    res.json({
+      success: true,
+      packet,
+      documents
+    });
+  } catch (error) {
+    console.error('Get packet error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching packet' });
+  }
+});
+
+// @route   PUT /api/packets/:id
+// @desc    Update a packet's title, note or documents
+// @access  Private (documents.manage - doctors, paramedical and attorneys)
+router.put('/:id', auth, requirePermission('documents.manage'), async (req, res) => {
+  try {
+    const packet = await loadOwnPacket(req, res);
+    if (!packet) return;
+
+    const { title, note, documentIds } = req.body;
+
+    if (documentIds !== undefined) {
+      const { credentials, error } = await resolveCredentials(req.userId, documentIds);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      packet.credentials = credentials;
+    }
+    if (title) packet.title = title;
+    if (note !== undefined) packet.note = note;
+
+    await packet.save();
+
+    res.json({
+      success: true,
+      message: 'Packet updated successfully',
+      packet
+    });
+  } catch (error) {
+    console.error('Update packet error:', error);
+    res.status(500).json({ success: false, message: 'Error updating packet' });
+  }
+});
+
+// @route   DELETE /api/packets/:id
+// @desc    Delete a packet, ending all of its shares (its access log is kept)
+// @access  Private (documents.manage - doctors, paramedical and attorneys)
+router.delete('/:id', auth, requirePermission('documents.manage'), async (req, res) => {
+  try {
+    const packet = await loadOwnPacket(req, res);
+    if (!packet) return;
+
+    await packet.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Packet deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete packet error:', error);
+    res.status(500).json({ success: false, message: 'Error deleting packet' });
+  }
+});
+
+// @route   POST /api/packets/:id/shares
+// @desc    Share a packet through a link ({ expiresInDays, password }) or with a user
+//          ({ recipientId } or { jobId } for the job's poster, plus expiresInDays)
+// @access  Private (documents.manage - doctors, paramedical and attorneys)
+router.post('/:id/shares', auth, requirePermission('documents.manage'), async (req, res) => {
+  try {
+    const packet = await loadOwnPacket(req, res);
+    if (!packet) return;
+
+    const { recipientId, jobId, expiresInDays, password } = req.body;
+
+    if (!recipientId && !jobId) {
+      const { share, token, error } = await createLinkShare(packet, { expiresInDays, password });
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: 'Share link created',
+        share: {
+          _id: share._id,
+          kind: share.kind,
+          expiresAt: share.expiresAt,
+          hasPassword: Boolean(share.passwordHash),
+          createdAt: share.createdAt
+        },
+        token
+      });
+    }
+
+    let job = null;
+    let recipient = null;
+    if (jobId) {
+      job = mongoose.Types.ObjectId.isValid(jobId) ? await Job.findById(jobId).select('title postedBy') : null;
+      if (!job) {
+        return res.status(404).json({ success: false, message: 'Job not found' });
+      }
+      recipient = await User.findById(job.postedBy).select('_id isActive');
+    } else {
+      recipient = mongoose.Types.ObjectId.isValid(recipientId) ? await User.findById(recipientId).select('_id isActive') : null;
+    }
+
+    if (!recipient || recipient.isActive === false) {
+      return res.status(404).json({ success: false, message: 'Recipient not found' });
+    }
+    if (recipient._id.equals(req.userId)) {
+      return res.status(400).json({ success: false, message: 'You cannot share a packet with yourself' });
+    }
+    if (await isBlockedBetween(req.userId, recipient._id)) {
+      return res.status(403).json({ success: false, message: 'You cannot share a packet with this user' });
+    }
+
+    const { share, error } = await createRecipientShare(packet, {
+      recipient: recipient._id,
+      job: job && job._id,
+      expiresInDays
+    });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    await notify(req.app, {
+      recipient: recipient._id,
+      actor: req.userId,
+      type: 'credential_packet',
+      title: job
+        ? `${displayName(req.user)} shared their credentials for "${job.title}"`
+        : `${displayName(req.user)} shared their credentials with you`,
+      body: packet.title,
+      data: { packetId: packet._id, jobId: job && job._id },
+      link: `/packets/shared/${packet._id}`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Packet shared',
+      share
+    });
+  } catch (error) {
+    console.error('Share packet error:', error);
+    res.status(500).json({ success: false, message: 'Error sharing packet' });
+  }
+});
+
+// @route   DELETE /api/packets/:id/shares/:shareId
+// @desc    Revoke a share link or a user's access to a packet
+// @access  Private (documents.manage - doctors, paramedical and attorneys)
+router.delete('/:id/shares/:shareId', auth, requirePermission('documents.manage'), async (req, res) => {
+  try {
+    const packet = await loadOwnPacket(req, res);
+    if (!packet) return;
+
+    const share = mongoose.Types.ObjectId.isValid(req.params.shareId) ? packet.shares.id(req.params.shareId) : null;
+
+    if (!share) {
+      return res.status(404).json({ success: false, message: 'Share not found' });
+    }
+
+    if (!share.revokedAt) {
+      share.revokedAt = new Date();
+      await packet.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Share revoked'
+    });
+  } catch (error) {
+    console.error('Revoke packet share error:', error);
+    res.status(500).json({ success: false, message: 'Error revoking share' });
+  }
+});
+
+// @route   GET /api/packets/:id/access
+// @desc    Who viewed or downloaded a packet, newest first
+// @access  Private (documents.manage - doctors, paramedical and attorneys)
+router.get('/:id/access', auth, requirePermission('documents.manage'), async (req, res) => {
+  try {
+    const packet = await loadOwnPacket(req, res);
+    if (!packet) return;
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const [entries, total] = await Promise.all([
+      PacketAccess.find({ packet: packet._id })
+        .populate('viewer', 'username firstName lastName companyName userType profilePicture')
+        .populate('document', 'title version')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      PacketAccess.countDocuments({ packet: packet._id })
+    ]);
+
+    const sharesById = new Map(packet.shares.map(share => [share._id.toString(), share]));
+
+    res.json({
+      success: true,
+      access: entries.map(entry => {
+        const share = sharesById.get(entry.share.toString());
+        return {
+          ...entry.toObject(),
+          shareKind: share ? share.kind : undefined
+        };
+      }),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get packet access log error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching access log' });
+  }
+});
+
+module.exports = router;
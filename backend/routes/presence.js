@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { auth } = require('../middleware/auth');
+const { getPresence, setOnlineStatusVisibility } = require('../services/presenceService');
+
+// Maximum number of users per presence lookup
+const MAX_PRESENCE_IDS = 100;
+
+// @route   GET /api/presence?ids=<id>,<id>
+// @desc    Get online status and last seen time for several users
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const ids = [...new Set(String(req.query.ids || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean))];
+
+    if (ids.length === 0) {
+      return res.status(400).json({ success: false, message: 'ids query parameter is required' });
+    }
+
+    if (ids.length > MAX_PRESENCE_IDS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can look up at most ${MAX_PRESENCE_IDS} users at a time`
+      });
+    }
+
+    const invalidIds = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidIds.length > 0) {
+      return res.status(400).json({ success: false, message: `Invalid user IDs: ${invalidIds.join(', ')}` });
+    }
+
+    const presence = await getPresence(req.user, ids);
+
+    res.json({
+      success: true,
+      presence
+    });
+  } catch (error) {
+    console.error('Get presence error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching presence' });
+  }
+});
+
+// @route   PUT /api/presence/visibility
+// @desc    Show or hide your online status from your connections
+// @access  Private
+router.put('/visibility', auth, async (req, res) => {
+  try {
+    const { showOnlineStatus } = req.body;
+
+    if (typeof showOnlineStatus !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'showOnlineStatus must be true or false' });
+    }
+
+    await setOnlineStatusVisibility(req.app.get('io'), req.userId, showOnlineStatus);
+
+    res.json({
+      success: true,
+      message: showOnlineStatus ? 'Your online status is now visible' : 'Your online status is now hidden',
+      showOnlineStatus
+    });
+  } catch (error) {
+    console.error('Update presence visibility error:', error);
+    res.status(500).json({ success: false, message: 'Error updating presence visibility' });
+  }
+});
+
+module.exports = router;
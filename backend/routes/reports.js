@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const { auth } = require('../middleware/auth');
+const { uploadEvidence } = require('../middleware/upload');
+const { resolveTarget, discardEvidenceFiles, createReport } = require('../services/reportService');
+const { blockUser } = require('../services/blockService');
+
+const { REPORT_TARGETS, REPORT_CATEGORIES } = Report;
+
+const MAX_EVIDENCE_FILES = 5;
+
+// @route   POST /api/reports
+// @desc    Report a profile, message, event or job (multipart, optional `evidence` files)
+// @access  Private
+router.post('/', auth, uploadEvidence.array('evidence', MAX_EVIDENCE_FILES), async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    const { targetType, targetId, category } = req.body;
+    const description = (req.body.description || '').trim();
+
+    if (!REPORT_TARGETS[targetType]) {
+      discardEvidenceFiles(files);
+      return res.status(400).json({
+        success: false,
+        message: `targetType must be one of: ${Object.keys(REPORT_TARGETS).join(', ')}`
+      });
+    }
+
+    if (!REPORT_CATEGORIES.includes(category)) {
+      discardEvidenceFiles(files);
+      return res.status(400).json({
+        success: false,
+        message: `category must be one of: ${REPORT_CATEGORIES.join(', ')}`
+      });
+    }
+
+    if (description.length > 2000) {
+      discardEvidenceFiles(files);
+      return res.status(400).json({ success: false, message: 'Description cannot exceed 2000 characters' });
+    }
+
+    const target = mongoose.Types.ObjectId.isValid(targetId)
+      ? await resolveTarget(targetType, targetId, req.userId)
+      : null;
+
+    if (!target) {
+      discardEvidenceFiles(files);
+      return res.status(404).json({ success: false, message: 'Reported item not found' });
+    }
+
+    if (target.targetUser.toString() === req.userId) {
+      discardEvidenceFiles(files);
+      return res.status(400).json({ success: false, message: 'You cannot report yourself' });
+    }
+
+    const existing = await Report.findOne({
+      reporter: req.userId,
+      targetType,
+      target: targetId,
+      status: { $in: ['open', 'in_review'] }
+    });
+
+    if (existing) {
+      discardEvidenceFiles(files);
+      return res.status(409).json({ success: false, message: 'You have already reported this' });
+    }
+
+    const report = await createReport({
+      reporterId: req.userId,
+      targetType,
+      targetId,
+      target,
+      category,
+      description,
+      files
+    });
+
+    // Reporting a person can block them in the same step
+    if (req.body.block === 'true' || req.body.block === true) {
+      await blockUser(req.app.get('io'), req.userId, target.targetUser);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Report submitted. Our team will review it.',
+      report: {
+        _id: report._id,
+        targetType: report.targetType,
+        category: report.category,
+        status: report.status,
+        createdAt: report.createdAt
+      }
+    });
+  } catch (error) {
+    discardEvidenceFiles(files);
+    console.error('Create report error:', error);
+    res.status(500).json({ success: false, message: 'Error submitting report' });
+  }
+});
+
+// @route   GET /api/reports/mine
+// @desc    Get reports submitted by the current user and their status
+// @access  Private
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const reports = await Report.find({ reporter: req.userId })
+      .select('targetType target category status createdAt resolution.resolvedAt')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      reports
+    });
+  } catch (error) {
+    console.error('Get my reports error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching reports' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { MAX_SYNC_EVENTS, getEventsSince } = require('../services/eventService');
+
+// @route   GET /api/sync?since=<seq>&limit=<n>
+// @desc    Get the events a user missed after a sequence number, oldest first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const since = Number(req.query.since);
+
+    if (req.query.since === undefined || !Number.isInteger(since) || since < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'since must be a non-negative integer'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || MAX_SYNC_EVENTS, MAX_SYNC_EVENTS);
+
+    const result = await getEventsSince(req.userId, since, limit);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Sync events error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching missed events' });
+  }
+});
+
+module.exports = router;
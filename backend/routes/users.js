@@ -1,11 +1,26 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const Document = require('../models/Document');
+const LoginAttempt = require('../models/LoginAttempt');
 const { auth } = require('../middleware/auth');
 const { uploadImage } = require('../middleware/upload');
-const fs = require('fs');
-const path = require('path');
+const { sendMail } = require('../services/mail');
+const { getMutualConnections } = require('../services/suggestionService');
+const { blockUser, unblockUser } = require('../services/blockService');
+const { decodeCursor, searchDirectory } = require('../services/directoryService');
+const { parseNearQuery } = require('../services/geoService');
+const {
+  VISIBILITY_SETTINGS,
+  PROFILE_FIELDS,
+  LEGACY_FLAGS,
+  relationshipOf,
+  visibleProfile,
+  parseVisibilityUpdate,
+  legacyFlagAudience
+} = require('../services/profileVisibilityService');
+const mailTemplates = require('../services/mail/templates');
+const { removeFile, keyFromPublicUrl } = require('../services/storage');
 
 router.get('/onboarding-status', auth, async (req, res) => {
   try {
@@ -29,104 +44,35 @@ router.get('/onboarding-status', auth, async (req, res) => {
     res.status(500).json({ success: false, message: 'Error fetching onboarding status' });
   }
 });
+
 // @route   GET /api/users/search
-// @desc    Search for users (doctors or vendors)
-// @access  Private
-// @route   GET /api/users/search
-// @desc    Search for users (doctors or vendors)
+// @desc    Search the member directory - ?search=&type=&specialty=&category=&location=&state=
+//          &near=<zip>&radius=<miles>&verified=true|false&limit=&cursor= ; returns ranked
+//          results (nearest first with distanceMiles when near is given) with facet counts
 // @access  Private
 router.get('/search', auth, async (req, res) => {
   try {
-    const { type, specialty, category, location, search } = req.query;
-    
-    let query = { isActive: true, isOnboarded: true, _id: { $ne: req.userId } };
-
-    // Filter by user type
-    if (type) {
-      query.userType = type;
-    }
-
-    // Filter by specialty (for doctors)
-    if (specialty) {
-      query.specialty = { $regex: specialty, $options: 'i' };
-    }
+    const { type, cursor } = req.query;
 
-    // Filter by category (for vendors)
-    if (category) {
-      query.category = category;
+    if (type && !User.schema.path('userType').enumValues.includes(type)) {
+      return res.status(400).json({ success: false, message: 'Invalid user type' });
     }
 
-    // Filter by location
-    if (location) {
-      query.$or = [
-        { city: { $regex: location, $options: 'i' } },
-        { state: { $regex: location, $options: 'i' } }
-      ];
+    if (cursor && !decodeCursor(cursor)) {
+      return res.status(400).json({ success: false, message: 'Invalid cursor' });
     }
 
-    // Search by name or company
-    if (search) {
-      query.$or = [
-        { firstName: { $regex: search, $options: 'i' } },
-        { lastName: { $regex: search, $options: 'i' } },
-        { companyName: { $regex: search, $options: 'i' } }
-      ];
+    const near = parseNearQuery(req.query);
+    if (near && near.error) {
+      return res.status(400).json({ success: false, message: near.error });
     }
 
-    const users = await User.find(query)
-      .select('-password')
-      .limit(50);
-
-    // 🐛 DEBUG: Log raw user data
-    console.log('🔍 Raw users from DB:', users.map(u => ({
-      name: u.firstName || u.companyName,
-      isFeatured: u.isFeatured,
-      userType: u.userType
-    })));
-
-    // Check if users are connected and fetch documents for doctors
-    const usersWithConnectionStatus = await Promise.all(users.map(async (user) => {
-      const isConnected = req.user.connections.some(
-        conn => conn.toString() === user._id.toString()
-      );
-      
-      const profile = isConnected ? user.getFullProfile() : user.getPublicProfile();
-      
-      // 🐛 DEBUG: Log profile after method call
-      console.log(`🔍 Profile for ${user.firstName || user.companyName}:`, {
-        isFeatured: profile.isFeatured,
-        userType: profile.userType,
-        isConnected
-      });
-      
-      // Fetch documents for doctors to determine verification status
-      let documents = [];
-      if (user.userType === 'doctor') {
-        documents = await Document.find({ user: user._id }).select('type isVerified');
-      }
-      
-      const finalProfile = {
-        ...profile,
-        isConnected,
-        documents: documents.map(doc => ({
-          documentType: doc.type === 'medical-license' ? 'license' 
-            : doc.type === 'board-certification' ? 'certification' 
-            : doc.type,
-          verified: doc.isVerified
-        }))
-      };
-      
-      // 🐛 DEBUG: Log final profile
-      console.log(`🔍 Final profile for ${user.firstName || user.companyName}:`, {
-        isFeatured: finalProfile.isFeatured
-      });
-      
-      return finalProfile;
-    }));
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+    const result = await searchDirectory(req.user, { ...req.query, search, near });
 
     res.json({
       success: true,
-      users: usersWithConnectionStatus
+      ...result
     });
   } catch (error) {
     console.error('Search users error:', error);
@@ -187,29 +133,126 @@ router.get('/bank-details', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/login-history
+// @desc    Get the current user's recent sign-in attempts
+// @access  Private
+router.get('/login-history', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const [attempts, total] = await Promise.all([
+      LoginAttempt.find({ user: req.userId })
+        .select('ipAddress userAgent success reason createdAt')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      LoginAttempt.countDocuments({ user: req.userId })
+    ]);
+
+    res.json({
+      success: true,
+      attempts,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching login history' });
+  }
+});
+
+// @route   GET /api/users/blocked
+// @desc    Get users the current user has blocked
+// @access  Private
+router.get('/blocked', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId)
+      .populate('blockedUsers', 'username firstName lastName companyName userType profilePicture companyLogo');
+
+    res.json({
+      success: true,
+      users: user.blockedUsers
+    });
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching blocked users' });
+  }
+});
+
+// @route   POST /api/users/:id/block
+// @desc    Block a user - removes any connection and stops requests and messages both ways
+// @access  Private
+router.post('/:id/block', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (req.params.id === req.userId) {
+      return res.status(400).json({ success: false, message: 'You cannot block yourself' });
+    }
+
+    const target = await User.findById(req.params.id).select('_id');
+    if (!target) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    await blockUser(req.app.get('io'), req.userId, target._id);
+
+    res.json({
+      success: true,
+      message: 'User blocked'
+    });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({ success: false, message: 'Error blocking user' });
+  }
+});
+
+// @route   DELETE /api/users/:id/block
+// @desc    Unblock a user (a new connection request is needed to reconnect)
+// @access  Private
+router.delete('/:id/block', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    await unblockUser(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'User unblocked'
+    });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ success: false, message: 'Error unblocking user' });
+  }
+});
+
 // @route   GET /api/users/:id
 // @desc    Get user profile by ID
 // @access  Private
 router.get('/:id', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select('-password');
+    const user = await User.findById(req.params.id).select(`${PROFILE_FIELDS} blockedUsers`);
     
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    // Check if connected
-    const isConnected = req.user.connections.some(
-      conn => conn.toString() === user._id.toString()
-    );
-
-    const profile = isConnected ? user.getFullProfile() : user.getPublicProfile();
+    // Users who blocked the viewer look the same as missing ones
+    if (user.blockedUsers.some(id => id.toString() === req.userId)) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
 
     res.json({
       success: true,
       user: {
-        ...profile,
-        isConnected
+        ...visibleProfile(user, req.user),
+        isConnected: relationshipOf(req.user, user._id) === 'connections'
       }
     });
   } catch (error) {
@@ -218,6 +261,79 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/:id/mutual
+// @desc    Get connections shared by the current user and another user
+// @access  Private
+router.get('/:id/mutual', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const result = await getMutualConnections(req.user, req.params.id, { page, limit });
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      connections: result.connections,
+      total: result.total,
+      page,
+      totalPages: Math.ceil(result.total / limit)
+    });
+  } catch (error) {
+    console.error('Get mutual connections error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching mutual connections' });
+  }
+});
+
+// @route   GET /api/users/profile/visibility
+// @desc    Get the user's privacy settings and the fields each one covers
+// @access  Private
+router.get('/profile/visibility', auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      profileVisibility: req.user.profileVisibility,
+      fields: VISIBILITY_SETTINGS,
+      audiences: User.PROFILE_AUDIENCES
+    });
+  } catch (error) {
+    console.error('Get profile visibility error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching privacy settings' });
+  }
+});
+
+// @route   PUT /api/users/profile/visibility
+// @desc    Set who sees parts of the profile, e.g. { "phone": "private", "email": "connections" }
+// @access  Private
+router.put('/profile/visibility', auth, async (req, res) => {
+  try {
+    const { settings, error } = parseVisibilityUpdate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    Object.entries(settings).forEach(([setting, audience]) => {
+      req.user.profileVisibility[setting] = audience;
+    });
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Privacy settings updated',
+      profileVisibility: req.user.profileVisibility
+    });
+  } catch (error) {
+    console.error('Update profile visibility error:', error);
+    res.status(500).json({ success: false, message: 'Error updating privacy settings' });
+  }
+});
+
 // @route   PUT /api/users/profile
 // @desc    Update user profile (with optional image upload)
 // @access  Private
@@ -230,13 +346,13 @@ router.put('/profile', auth, uploadImage.fields([
     let allowedUpdates;
     
     if (req.user.userType === 'doctor') {
-      allowedUpdates = ['firstName', 'lastName', 'specialty', 'subSpecialty', 'location', 'city', 'state', 'zip', 'phone', 'bio', 'jobStatus', 'showJobStatus', 'showPhone', 'showEmail', 'showLocation', 'showBio'];
+      allowedUpdates = ['firstName', 'lastName', 'specialty', 'subSpecialty', 'location', 'city', 'state', 'zip', 'phone', 'bio', 'jobStatus'];
     } else if (req.user.userType === 'vendor') {
       allowedUpdates = ['companyName', 'contactPerson', 'phone', 'website', 'category', 'address', 'city', 'state', 'zip', 'description', 'servicesOffered'];
     } else if (req.user.userType === 'paramedical') {
-      allowedUpdates = ['firstName', 'lastName', 'specialty', 'subSpecialty', 'location', 'city', 'state', 'zip', 'phone', 'bio', 'jobStatus', 'showJobStatus'];
+      allowedUpdates = ['firstName', 'lastName', 'specialty', 'subSpecialty', 'location', 'city', 'state', 'zip', 'phone', 'bio', 'jobStatus'];
     } else if (req.user.userType === 'attorneys') {
-      allowedUpdates = ['firstName', 'lastName', 'companyName', 'specialty', 'subSpecialty', 'location', 'city', 'state', 'zip', 'phone', 'website', 'bio','jobStatus','showJobStatus'];    } else {
+      allowedUpdates = ['firstName', 'lastName', 'companyName', 'specialty', 'subSpecialty', 'location', 'city', 'state', 'zip', 'phone', 'website', 'bio','jobStatus'];    } else {
       // Default fallback for any other user types
       allowedUpdates = ['phone', 'city', 'state', 'zip'];
     }
@@ -244,13 +360,17 @@ router.put('/profile', auth, uploadImage.fields([
     // Bank details fields (optional, common for all types)
     const bankDetailsFields = ['accountHolderName', 'bankName', 'accountNumber', 'routingNumber', 'accountType'];
     
+    // Privacy settings (common for all types) - profileVisibility, or the older show* flags
+    const isVisibilityUpdate = (update) => update === 'profileVisibility' || Object.hasOwn(LEGACY_FLAGS, update);
+
     const updates = Object.keys(req.body);
     
-    // Separate profile updates and bank details updates
+    // Separate profile updates, bank details and privacy updates
     const profileUpdates = updates.filter(update => allowedUpdates.includes(update));
     const bankUpdates = updates.filter(update => bankDetailsFields.includes(update));
+    const visibilityUpdates = updates.filter(isVisibilityUpdate);
     const invalidUpdates = updates.filter(update => 
-      !allowedUpdates.includes(update) && !bankDetailsFields.includes(update)
+      !allowedUpdates.includes(update) && !bankDetailsFields.includes(update) && !isVisibilityUpdate(update)
     );
 
     if (invalidUpdates.length > 0) {
@@ -265,6 +385,27 @@ router.put('/profile', auth, uploadImage.fields([
       req.user[update] = req.body[update];
     });
 
+    // Update privacy settings if provided
+    if (visibilityUpdates.length > 0) {
+      const settings = {};
+
+      visibilityUpdates.filter(update => Object.hasOwn(LEGACY_FLAGS, update)).forEach(flag => {
+        settings[LEGACY_FLAGS[flag]] = legacyFlagAudience(flag, req.body[flag]);
+      });
+
+      if (req.body.profileVisibility !== undefined) {
+        const parsed = parseVisibilityUpdate(req.body.profileVisibility);
+        if (parsed.error) {
+          return res.status(400).json({ success: false, message: parsed.error });
+        }
+        Object.assign(settings, parsed.settings);
+      }
+
+      Object.entries(settings).forEach(([setting, audience]) => {
+        req.user.profileVisibility[setting] = audience;
+      });
+    }
+
     // Update bank details if provided
     if (bankUpdates.length > 0) {
       // Validate routing number if provided
@@ -298,18 +439,11 @@ router.put('/profile', auth, uploadImage.fields([
     if (req.files && req.files.profilePicture) {
       // Delete old profile picture if it exists
       if (req.user.profilePicture) {
-        const oldImagePath = path.join(__dirname, '..', req.user.profilePicture);
-        if (fs.existsSync(oldImagePath)) {
-          try {
-            fs.unlinkSync(oldImagePath);
-            console.log('🗑️ Deleted old profile picture:', req.user.profilePicture);
-          } catch (err) {
-            console.error('Error deleting old profile picture:', err);
-          }
-        }
+        await removeFile(keyFromPublicUrl(req.user.profilePicture));
+        console.log('🗑️ Deleted old profile picture:', req.user.profilePicture);
       }
 
-      const imagePath = `/uploads/images/${req.files.profilePicture[0].filename}`;
+      const imagePath = req.files.profilePicture[0].url;
       req.user.profilePicture = imagePath;
       console.log('✅ Profile picture uploaded:', imagePath);
     }
@@ -318,18 +452,11 @@ router.put('/profile', auth, uploadImage.fields([
     if (req.files && req.files.companyLogo) {
       // Delete old company logo if it exists
       if (req.user.companyLogo) {
-        const oldImagePath = path.join(__dirname, '..', req.user.companyLogo);
-        if (fs.existsSync(oldImagePath)) {
-          try {
-            fs.unlinkSync(oldImagePath);
-            console.log('🗑️ Deleted old company logo:', req.user.companyLogo);
-          } catch (err) {
-            console.error('Error deleting old company logo:', err);
-          }
-        }
+        await removeFile(keyFromPublicUrl(req.user.companyLogo));
+        console.log('🗑️ Deleted old company logo:', req.user.companyLogo);
       }
 
-      const imagePath = `/uploads/images/${req.files.companyLogo[0].filename}`;
+      const imagePath = req.files.companyLogo[0].url;
       req.user.companyLogo = imagePath;
       console.log('✅ Company logo uploaded:', imagePath);
     }
@@ -443,21 +570,27 @@ router.post('/send-invites', auth, async (req, res) => {
       ? `${sender.firstName} ${sender.lastName}`
       : sender.companyName;
 
-    // In a production environment, you would use nodemailer or a service like SendGrid
-    // For now, we'll log the emails and return success
-    console.log('=== INVITATION EMAILS ===');
-    emails.forEach(email => {
-      console.log(`\nTo: ${email}`);
-      console.log(`From: ${senderName} <${sender.email}>`);
-      console.log(`Subject: Join me on Drs Club`);
-      console.log(`\nDear friend,\n\nI have joined this great platform which connects you with others in medical community. Please join https://drsclub.org/\n\nBest regards,\n${senderName}`);
-      console.log('========================\n');
-    });
+    // Send through the configured mail transport
+    const invite = mailTemplates.invitation(senderName);
+    const results = await Promise.allSettled(emails.map(email =>
+      sendMail({ to: email, replyTo: sender.email, ...invite })
+    ));
+
+    const failed = emails.filter((email, index) => results[index].status === 'rejected');
+    if (failed.length > 0) {
+      console.error('Failed to send invitations to:', failed);
+    }
+
+    const sentCount = emails.length - failed.length;
+    if (sentCount === 0) {
+      return res.status(502).json({ success: false, message: 'Failed to send invitations' });
+    }
 
     res.json({
       success: true,
-      message: `Invitations sent successfully to ${emails.length} email${emails.length > 1 ? 's' : ''}`,
-      emailsSent: emails.length
+      message: `Invitations sent successfully to ${sentCount} email${sentCount > 1 ? 's' : ''}`,
+      emailsSent: sentCount,
+      failed
     });
   } catch (error) {
     console.error('Send invites error:', error);
@@ -0,0 +1,79 @@
+/**
+ * Geocode Locations Script
+ *
+ * Fills in the geo point (ZIP centroid) used by radius search for users, events
+ * and jobs saved before it existed, and syncs indexes so the 2dsphere indexes
+ * are built. Uses the bundled offline ZIP dataset - no network calls.
+ * Safe to run more than once.
+ *
+ * Usage:
+ *   node scripts/geocodeLocations.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Job = require('../models/Job');
+const { geocodeZip } = require('../services/geoService');
+
+const BATCH_SIZE = 500;
+
+async function geocodeCollection(Model, label, extraFilter = {}) {
+  await Model.syncIndexes();
+
+  const cursor = Model.collection.find(
+    { zip: { $nin: [null, ''] }, geo: { $exists: false }, ...extraFilter },
+    { projection: { zip: 1 } }
+  );
+
+  let updated = 0;
+  let unknown = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await Model.collection.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    const geo = geocodeZip(doc.zip);
+    if (!geo) {
+      unknown++;
+      continue;
+    }
+
+    operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { geo } } } });
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log(`   ${label}: ${updated} geocoded, ${unknown} with an unknown ZIP`);
+}
+
+async function geocodeLocations() {
+  try {
+    const mongoURI = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/drsclub';
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected\n');
+
+    await geocodeCollection(User, '👤 Users');
+    await geocodeCollection(Event, '📅 Events', { isVirtual: { $ne: true } });
+    await geocodeCollection(Job, '💼 Jobs');
+
+    await mongoose.connection.close();
+    console.log('\n✅ Done!\n');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+console.log('\n📍 Geocode Locations\n');
+geocodeLocations();
@@ -0,0 +1,91 @@
+/**
+ * Migrate Connection Pairs Script
+ *
+ * Gives every connection record a pairKey (sorted user IDs) and a requestedAt,
+ * merges pairs that have a record in each direction (keeping the accepted or
+ * pending one, otherwise the newest), then syncs indexes so the old
+ * { requester, recipient } unique index is replaced by the pairKey index.
+ * Safe to run more than once.
+ *
+ * Usage:
+ *   node scripts/migrateConnectionPairs.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Connection = require('../models/Connection');
+
+// Which record survives when a pair has more than one
+const STATUS_PRIORITY = { accepted: 0, pending: 1 };
+
+const rank = (record) => [
+  STATUS_PRIORITY[record.status] ?? 2,
+  -new Date(record.updatedAt || record.createdAt || 0).getTime()
+];
+
+async function migrateConnectionPairs() {
+  try {
+    const mongoURI = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/drsclub';
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected\n');
+
+    const records = await Connection.collection
+      .find({}, { projection: { requester: 1, recipient: 1, status: 1, pairKey: 1, requestedAt: 1, createdAt: 1, updatedAt: 1 } })
+      .toArray();
+
+    console.log(`🔗 Found ${records.length} connection record(s)\n`);
+
+    const pairs = new Map();
+    records.forEach(record => {
+      const pairKey = Connection.pairKeyFor(record.requester, record.recipient);
+      if (!pairs.has(pairKey)) pairs.set(pairKey, []);
+      pairs.get(pairKey).push(record);
+    });
+
+    let removed = 0;
+    let updated = 0;
+
+    for (const [pairKey, pairRecords] of pairs) {
+      pairRecords.sort((a, b) => {
+        const [statusA, timeA] = rank(a);
+        const [statusB, timeB] = rank(b);
+        return statusA - statusB || timeA - timeB;
+      });
+
+      const [keep, ...duplicates] = pairRecords;
+
+      if (duplicates.length > 0) {
+        await Connection.collection.deleteMany({ _id: { $in: duplicates.map(d => d._id) } });
+        removed += duplicates.length;
+        console.log(`   🧹 ${pairKey}: kept ${keep.status} record, removed ${duplicates.length} duplicate(s)`);
+      }
+
+      if (keep.pairKey !== pairKey || !keep.requestedAt) {
+        await Connection.collection.updateOne(
+          { _id: keep._id },
+          { $set: { pairKey, requestedAt: keep.requestedAt || keep.createdAt || new Date() } }
+        );
+        updated += 1;
+      }
+    }
+
+    console.log(`\n✅ Updated ${updated} record(s), removed ${removed} duplicate(s)`);
+
+    console.log('\n🗂️  Syncing indexes...');
+    const dropped = await Connection.syncIndexes();
+    if (dropped.length > 0) {
+      console.log(`   Dropped: ${dropped.join(', ')}`);
+    }
+
+    await mongoose.connection.close();
+    console.log('\n✅ Done! Run scripts/reconcileConnections.js --fix to repair the users\' arrays.\n');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+console.log('\n🔗 Migrate Connection Pairs\n');
+migrateConnectionPairs();
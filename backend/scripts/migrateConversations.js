@@ -0,0 +1,81 @@
+/**
+ * Migrate Conversations Script
+ *
+ * Moves existing 1:1 chat history into direct conversations: creates one
+ * conversation per pair of users and links their messages to it.
+ * Safe to run more than once - only messages without a conversation are touched.
+ *
+ * Usage:
+ *   node scripts/migrateConversations.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+
+async function migrateConversations() {
+  try {
+    const mongoURI = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/drsclub';
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected\n');
+
+    // Distinct user pairs among messages not yet linked to a conversation
+    const pairs = await Message.aggregate([
+      { $match: { conversation: { $exists: false }, recipient: { $exists: true } } },
+      {
+        $group: {
+          _id: {
+            a: { $cond: [{ $lt: ['$sender', '$recipient'] }, '$sender', '$recipient'] },
+            b: { $cond: [{ $lt: ['$sender', '$recipient'] }, '$recipient', '$sender'] }
+          },
+          count: { $sum: 1 },
+          lastMessageAt: { $max: '$createdAt' }
+        }
+      }
+    ]);
+
+    console.log(`💬 Found ${pairs.length} conversation(s) to migrate\n`);
+
+    let migratedMessages = 0;
+
+    for (const pair of pairs) {
+      const { a, b } = pair._id;
+      const conversation = await Conversation.findOrCreateDirect(a, b);
+
+      const result = await Message.updateMany(
+        {
+          conversation: { $exists: false },
+          $or: [
+            { sender: a, recipient: b },
+            { sender: b, recipient: a }
+          ]
+        },
+        { $set: { conversation: conversation._id } }
+      );
+
+      if (!conversation.lastMessageAt || conversation.lastMessageAt < pair.lastMessageAt) {
+        await Conversation.updateOne(
+          { _id: conversation._id },
+          { $set: { lastMessageAt: pair.lastMessageAt } }
+        );
+      }
+
+      migratedMessages += result.modifiedCount;
+      console.log(`✅ ${a} ↔ ${b}: ${result.modifiedCount} message(s)`);
+    }
+
+    console.log(`\n📊 Linked ${migratedMessages} message(s) to ${pairs.length} conversation(s)`);
+
+    await mongoose.connection.close();
+    console.log('\n✅ Done!\n');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+console.log('\n💬 Migrate Chat History to Conversations\n');
+migrateConversations();
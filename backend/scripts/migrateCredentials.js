@@ -0,0 +1,79 @@
+/**
+ * Migrate Credentials Script
+ *
+ * Gives every document uploaded before versioning its own credential record,
+ * as that credential's version 1.
+ * Safe to run more than once.
+ *
+ * Usage:
+ *   node scripts/migrateCredentials.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Document = require('../models/Document');
+const Credential = require('../models/Credential');
+
+async function migrateCredentials() {
+  try {
+    const mongoURI = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/drsclub';
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected\n');
+
+    const cursor = Document.find({ credential: { $exists: false } })
+      .select('user title type category')
+      .lean()
+      .cursor();
+
+    let migrated = 0;
+    let skipped = 0;
+
+    for await (const document of cursor) {
+      if (!Credential.schema.path('type').enumValues.includes(document.type)) {
+        console.log(`⚠️  Skipping document ${document._id}: unknown type "${document.type}"`);
+        skipped++;
+        continue;
+      }
+
+      const credential = await Credential.create({
+        user: document.user,
+        type: document.type,
+        title: document.title,
+        category: document.category,
+        currentVersion: document._id,
+        versionCount: 1
+      });
+
+      const result = await Document.updateOne(
+        { _id: document._id, credential: { $exists: false } },
+        { $set: { credential: credential._id, version: 1 } }
+      );
+
+      if (result.modifiedCount === 0) {
+        // Migrated by another run in the meantime
+        await Credential.deleteOne({ _id: credential._id });
+        continue;
+      }
+
+      migrated++;
+    }
+
+    console.log(`✅ ${migrated} document(s) given a credential record`);
+    if (skipped > 0) {
+      console.log(`⚠️  ${skipped} document(s) skipped`);
+    }
+
+    await Promise.all([Document.syncIndexes(), Credential.syncIndexes()]);
+
+    await mongoose.connection.close();
+    console.log('\n✅ Done!\n');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+console.log('\n🗂️  Migrate Credentials\n');
+migrateCredentials();
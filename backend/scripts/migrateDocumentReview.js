@@ -0,0 +1,60 @@
+/**
+ * Migrate Document Review Script
+ *
+ * Puts documents uploaded before the credential review queue into it:
+ * verified documents become 'approved', everything else 'submitted', each
+ * with a first review history entry.
+ * Safe to run more than once.
+ *
+ * Usage:
+ *   node scripts/migrateDocumentReview.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Document = require('../models/Document');
+
+async function migrateDocumentReview() {
+  try {
+    const mongoURI = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/drsclub';
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected\n');
+
+    const [approved, submitted] = await Promise.all([
+      Document.collection.updateMany(
+        { status: { $exists: false }, isVerified: true },
+        [{
+          $set: {
+            status: 'approved',
+            reviewHistory: [{ status: 'approved', by: '$verifiedBy', at: { $ifNull: ['$verifiedAt', '$updatedAt'] } }]
+          }
+        }]
+      ),
+      Document.collection.updateMany(
+        { status: { $exists: false }, isVerified: { $ne: true } },
+        [{
+          $set: {
+            status: 'submitted',
+            reviewHistory: [{ status: 'submitted', by: '$user', at: '$createdAt' }]
+          }
+        }]
+      )
+    ]);
+
+    console.log(`✅ ${approved.modifiedCount} verified document(s) marked approved`);
+    console.log(`📥 ${submitted.modifiedCount} document(s) added to the review queue`);
+
+    await Document.syncIndexes();
+
+    await mongoose.connection.close();
+    console.log('\n✅ Done!\n');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+console.log('\n📄 Migrate Document Review\n');
+migrateDocumentReview();
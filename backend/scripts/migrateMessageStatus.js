@@ -0,0 +1,59 @@
+/**
+ * Migrate Message Status Script
+ *
+ * Converts the old per-message `read` / `readAt` flags into delivery receipts:
+ * read messages become status 'read' (read and delivered by their recipient),
+ * unread ones become status 'sent'.
+ * Run after scripts/migrateConversations.js. Safe to run more than once.
+ *
+ * Usage:
+ *   node scripts/migrateMessageStatus.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+async function migrateMessageStatus() {
+  try {
+    const mongoURI = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/drsclub';
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected\n');
+
+    // The old fields are no longer in the schema, so work on the raw collection
+    const messages = mongoose.connection.collection('messages');
+
+    const readResult = await messages.updateMany(
+      { read: true, recipient: { $exists: true } },
+      [
+        {
+          $set: {
+            status: 'read',
+            readBy: { $setUnion: [{ $ifNull: ['$readBy', []] }, ['$recipient']] },
+            deliveredTo: { $setUnion: [{ $ifNull: ['$deliveredTo', []] }, ['$recipient']] }
+          }
+        },
+        { $unset: ['read', 'readAt'] }
+      ]
+    );
+    console.log(`✅ ${readResult.modifiedCount} read message(s) marked as read`);
+
+    const unreadResult = await messages.updateMany(
+      { read: { $exists: true } },
+      [
+        { $set: { status: { $ifNull: ['$status', 'sent'] } } },
+        { $unset: ['read', 'readAt'] }
+      ]
+    );
+    console.log(`✅ ${unreadResult.modifiedCount} unread message(s) marked as sent`);
+
+    await mongoose.connection.close();
+    console.log('\n✅ Done!\n');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+console.log('\n📨 Migrate Message Read Flags to Delivery Status\n');
+migrateMessageStatus();
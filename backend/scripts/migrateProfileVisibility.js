@@ -0,0 +1,86 @@
+/**
+ * Migrate Profile Visibility Script
+ *
+ * Converts the old showEmail / showPhone / showLocation / showBio /
+ * showJobStatus flags into profileVisibility settings (hidden becomes
+ * 'private', shown keeps the setting's default audience) and removes the
+ * flags. Settings a user has already chosen are left alone. Also syncs indexes,
+ * rebuilding the directory text index without bio.
+ * Safe to run more than once.
+ *
+ * Usage:
+ *   node scripts/migrateProfileVisibility.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const { LEGACY_FLAGS, legacyFlagAudience } = require('../services/profileVisibilityService');
+
+const BATCH_SIZE = 500;
+
+async function migrateProfileVisibility() {
+  try {
+    const mongoURI = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/drsclub';
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected\n');
+
+    const flags = Object.keys(LEGACY_FLAGS);
+    const projection = Object.fromEntries([...flags, 'profileVisibility'].map(field => [field, 1]));
+
+    const cursor = User.collection.find(
+      { $or: flags.map(flag => ({ [flag]: { $exists: true } })) },
+      { projection }
+    );
+
+    let migrated = 0;
+    let operations = [];
+
+    const flush = async () => {
+      if (operations.length === 0) return;
+      await User.collection.bulkWrite(operations, { ordered: false });
+      migrated += operations.length;
+      operations = [];
+    };
+
+    for await (const user of cursor) {
+      const $set = {};
+      const $unset = {};
+
+      flags.forEach(flag => {
+        if (user[flag] === undefined) return;
+
+        const setting = LEGACY_FLAGS[flag];
+        if (!user.profileVisibility || !user.profileVisibility[setting]) {
+          $set[`profileVisibility.${setting}`] = legacyFlagAudience(flag, user[flag]);
+        }
+        $unset[flag] = '';
+      });
+
+      // An empty $set is rejected by older servers
+      const update = Object.keys($set).length > 0 ? { $set, $unset } : { $unset };
+      operations.push({ updateOne: { filter: { _id: user._id }, update } });
+      if (operations.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    console.log(`🔒 Migrated privacy settings for ${migrated} user(s)`);
+
+    // Only one text index is allowed per collection, so the old one has to go first
+    await User.syncIndexes();
+    console.log('🔎 Rebuilt the directory text index');
+
+    await mongoose.connection.close();
+    console.log('\n✅ Done!\n');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+console.log('\n🔒 Migrate Profile Visibility\n');
+migrateProfileVisibility();
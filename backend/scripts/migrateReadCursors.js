@@ -0,0 +1,53 @@
+/**
+ * Migrate Read Cursors Script
+ *
+ * Initializes per-participant read cursors on conversations from existing
+ * read receipts: each participant's cursor is set to the newest message they
+ * have read. Run after scripts/migrateMessageStatus.js. Safe to run more than once.
+ *
+ * Usage:
+ *   node scripts/migrateReadCursors.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+
+async function migrateReadCursors() {
+  try {
+    const mongoURI = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/drsclub';
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected\n');
+
+    const cursors = await Message.aggregate([
+      { $match: { conversation: { $exists: true }, 'readBy.0': { $exists: true } } },
+      { $unwind: '$readBy' },
+      {
+        $group: {
+          _id: { conversation: '$conversation', user: '$readBy' },
+          lastReadAt: { $max: '$createdAt' }
+        }
+      }
+    ]);
+
+    console.log(`📖 Found ${cursors.length} read cursor(s) to set\n`);
+
+    for (const cursor of cursors) {
+      await Conversation.advanceReadCursor(cursor._id.conversation, cursor._id.user, cursor.lastReadAt);
+    }
+
+    console.log(`✅ Updated ${cursors.length} read cursor(s)`);
+
+    await mongoose.connection.close();
+    console.log('\n✅ Done!\n');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+console.log('\n📖 Initialize Conversation Read Cursors\n');
+migrateReadCursors();
@@ -0,0 +1,151 @@
+/**
+ * Migrate Storage Script
+ *
+ * Moves files uploaded before the storage abstraction (backend/uploads and
+ * backend/storage) into the configured storage driver (STORAGE_DRIVER), then
+ * rewrites the stored paths to storage keys / public URLs.
+ * Safe to run more than once.
+ *
+ * Usage:
+ *   node scripts/migrateStorage.js               # move files
+ *   node scripts/migrateStorage.js --keep-source # copy, leaving the old files in place
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { getStorage, publicUrl } = require('../services/storage');
+
+const BACKEND_DIR = path.join(__dirname, '..');
+
+// Where each storage area's files used to live, and the path prefix stored for them
+const LEGACY_LOCATIONS = [
+  { area: 'images', dir: 'uploads/images', prefix: '/uploads/images/' },
+  { area: 'documents', dir: 'uploads/documents', prefix: '/uploads/documents/' },
+  { area: 'attachments', dir: 'storage/attachments', prefix: '/storage/attachments/' },
+  { area: 'reports', dir: 'storage/reports', prefix: '/storage/reports/' }
+];
+
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+const keepSource = process.argv.includes('--keep-source');
+
+// Copy every legacy file into storage, then remove the original
+const moveFiles = async (storage, { area, dir }) => {
+  const sourceDir = path.join(BACKEND_DIR, dir);
+  if (!fs.existsSync(sourceDir)) return 0;
+
+  let moved = 0;
+  for (const fileName of await fs.promises.readdir(sourceDir)) {
+    const sourcePath = path.join(sourceDir, fileName);
+    const key = `${area}/${fileName}`;
+
+    if (!(await fs.promises.stat(sourcePath)).isFile()) continue;
+    // Already where the local driver keeps it
+    if (storage.resolve && storage.resolve(key) === sourcePath) continue;
+
+    if (!(await storage.exists(key))) {
+      await storage.put(key, await fs.promises.readFile(sourcePath), {
+        contentType: CONTENT_TYPES[path.extname(fileName).toLowerCase()]
+      });
+    }
+    if (!keepSource) {
+      await fs.promises.unlink(sourcePath);
+    }
+    moved++;
+  }
+
+  return moved;
+};
+
+// Pipeline expression replacing `prefix` at the start of a string with `replacement`
+const replacePrefix = (value, prefix, replacement) => ({
+  $cond: [
+    { $eq: [{ $indexOfCP: [value, prefix] }, 0] },
+    { $concat: [replacement, { $substrCP: [value, prefix.length, { $strLenCP: value }] }] },
+    value
+  ]
+});
+
+// Rewrite string fields stored with a legacy prefix
+const rewriteFields = (collection, fields, prefix, replacement) => Promise.all(fields.map(field => collection.updateMany(
+  { [field]: { $regex: `^${prefix}` } },
+  [{ $set: { [field]: replacePrefix(`$${field}`, prefix, replacement) } }]
+)));
+
+// Rewrite arrays of strings (e.g. event images) stored with a legacy prefix
+const rewriteArray = (collection, field, prefix, replacement) => collection.updateMany(
+  { [field]: { $regex: `^${prefix}` } },
+  [{
+    $set: {
+      [field]: { $map: { input: `$${field}`, as: 'item', in: replacePrefix('$$item', prefix, replacement) } }
+    }
+  }]
+);
+
+async function migrateStorage() {
+  try {
+    const storage = getStorage();
+    console.log(`🗄️  Storage driver: ${storage.name}\n`);
+
+    for (const location of LEGACY_LOCATIONS) {
+      const moved = await moveFiles(storage, location);
+      console.log(`📦 ${moved} file(s) ${keepSource ? 'copied' : 'moved'} from ${location.dir} to ${location.area}/`);
+    }
+
+    const mongoURI = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/drsclub';
+    console.log('\n🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected\n');
+
+    const db = mongoose.connection.db;
+    const [images, documents, attachments, reports] = LEGACY_LOCATIONS;
+    // Where public images are linked from now (unchanged for the local driver)
+    const imageBase = publicUrl('images/x').slice(0, -1);
+
+    await rewriteFields(db.collection('documents'), ['filePath'], documents.prefix, 'documents/');
+    await rewriteFields(db.collection('users'), ['businessLicense'], documents.prefix, 'documents/');
+    await rewriteFields(db.collection('attachments'), ['filePath', 'thumbnailPath'], attachments.prefix, 'attachments/');
+    await db.collection('reports').updateMany(
+      { 'evidence.filePath': { $regex: `^${reports.prefix}` } },
+      [{
+        $set: {
+          evidence: {
+            $map: {
+              input: '$evidence',
+              as: 'file',
+              in: { $mergeObjects: ['$$file', { filePath: replacePrefix('$$file.filePath', reports.prefix, 'reports/') }] }
+            }
+          }
+        }
+      }]
+    );
+    console.log('✅ Private file paths rewritten to storage keys');
+
+    if (imageBase !== images.prefix) {
+      await rewriteFields(db.collection('users'), ['profilePicture', 'companyLogo'], images.prefix, imageBase);
+      await rewriteFields(db.collection('conversations'), ['avatar'], images.prefix, imageBase);
+      await rewriteArray(db.collection('events'), 'images', images.prefix, imageBase);
+      await rewriteArray(db.collection('jobs'), 'images', images.prefix, imageBase);
+      console.log(`✅ Image links rewritten to ${imageBase}`);
+    }
+
+    await mongoose.connection.close();
+    console.log('\n✅ Done!\n');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+console.log('\n🗄️  Migrate Storage\n');
+migrateStorage();
@@ -0,0 +1,56 @@
+/**
+ * Reconcile Connections Script
+ *
+ * Compares every user's connections / pendingRequests arrays with the
+ * Connection collection and reports drift. With --fix the arrays are repaired
+ * (the collection is the source of truth). Same job as
+ * POST /api/admin/connections/reconcile.
+ *
+ * Usage:
+ *   node scripts/reconcileConnections.js          # report only
+ *   node scripts/reconcileConnections.js --fix    # report and repair
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { reconcileConnections } = require('../services/connectionService');
+
+const fix = process.argv.includes('--fix');
+
+async function run() {
+  try {
+    const mongoURI = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/drsclub';
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected\n');
+
+    const report = await reconcileConnections({ fix });
+
+    report.issues.forEach(issue => {
+      const { userId, ...drift } = issue;
+      const found = Object.entries(drift)
+        .filter(([, ids]) => ids.length > 0)
+        .map(([kind, ids]) => `${kind}: ${ids.length}`)
+        .join(', ');
+      console.log(`   ⚠️  User ${userId} - ${found}`);
+    });
+
+    console.log(`\n👥 Scanned ${report.usersScanned} user(s)`);
+    console.log(`⚠️  ${report.usersWithDrift} user(s) with drift`);
+    if (fix) {
+      console.log(`🔧 Repaired ${report.usersRepaired} user(s)`);
+    } else if (report.usersWithDrift > 0) {
+      console.log('ℹ️  Run again with --fix to repair');
+    }
+
+    await mongoose.connection.close();
+    console.log('\n✅ Done!\n');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+console.log(`\n🔗 Reconcile Connections${fix ? ' (fix)' : ''}\n`);
+run();
@@ -0,0 +1,99 @@
+/**
+ * Seed Roles Script
+ *
+ * Checks the member permission mapping, creates (or updates) the built-in admin
+ * roles and assigns the super-admin role to existing admins (isAdmin /
+ * userType 'admin') that have no roles yet.
+ *
+ * Usage:
+ *   node scripts/seedRoles.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { USER_TYPE_PERMISSIONS } = require('../services/permissionService');
+
+// Every account type must be mapped, only to member permissions, and no role
+// may hand a member permission to admins
+function checkMemberPermissions() {
+  const userTypes = User.schema.path('userType').enumValues;
+  const problems = [];
+
+  userTypes
+    .filter(userType => !USER_TYPE_PERMISSIONS[userType])
+    .forEach(userType => problems.push(`user type "${userType}" has no permission mapping`));
+
+  Object.entries(USER_TYPE_PERMISSIONS).forEach(([userType, permissions]) => {
+    if (!userTypes.includes(userType)) {
+      problems.push(`permission mapping for unknown user type "${userType}"`);
+    }
+    permissions
+      .filter(permission => !Role.MEMBER_PERMISSIONS[permission])
+      .forEach(permission => problems.push(`"${userType}" is given "${permission}", which is not a member permission`));
+  });
+
+  Role.SYSTEM_ROLES.forEach(systemRole => {
+    systemRole.permissions
+      .filter(permission => Role.MEMBER_PERMISSIONS[permission])
+      .forEach(permission => problems.push(`role "${systemRole.name}" grants member permission "${permission}"`));
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Member permissions are misconfigured:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  Object.entries(USER_TYPE_PERMISSIONS).forEach(([userType, permissions]) => {
+    console.log(`👤 ${userType}: ${permissions.length > 0 ? permissions.join(', ') : '(none)'}`);
+  });
+  console.log('');
+}
+
+async function seedRoles() {
+  try {
+    checkMemberPermissions();
+
+    const mongoURI = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/drsclub';
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected\n');
+
+    for (const systemRole of Role.SYSTEM_ROLES) {
+      await Role.findOneAndUpdate(
+        { name: systemRole.name },
+        {
+          $set: {
+            description: systemRole.description,
+            permissions: systemRole.permissions,
+            isSystem: true
+          }
+        },
+        { upsert: true, new: true }
+      );
+      console.log(`✅ Role "${systemRole.name}" (${systemRole.permissions.length} permissions)`);
+    }
+
+    const superAdmin = await Role.findOne({ name: 'super-admin' });
+
+    const result = await User.updateMany(
+      {
+        $or: [{ isAdmin: true }, { userType: 'admin' }],
+        $and: [{ $or: [{ roles: { $exists: false } }, { roles: { $size: 0 } }] }]
+      },
+      { $set: { roles: [superAdmin._id] } }
+    );
+
+    console.log(`\n👤 Assigned super-admin to ${result.modifiedCount} existing admin(s)`);
+
+    await mongoose.connection.close();
+    console.log('\n✅ Done!\n');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+console.log('\n🔐 Seed Admin Roles\n');
+seedRoles();
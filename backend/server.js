@@ -5,10 +5,23 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
-const jwt = require('jsonwebtoken');
 
 dotenv.config();
 
+const User = require('./models/User');
+const Conversation = require('./models/Conversation');
+const { verifyAccessToken, sessionRoom } = require('./services/sessionService');
+const { userRoom, getEventsSince } = require('./services/eventService');
+const { markDelivered, markRead } = require('./services/messageReceiptService');
+const presence = require('./services/presenceService');
+const { authorizeRoom, authorizeTypingRooms } = require('./services/chatAuthorization');
+const { sendMessage } = require('./services/messagingService');
+const { startRequestExpiryJob } = require('./services/connectionService');
+const { startCredentialExpiryJob } = require('./services/credentialExpiryService');
+const { getStorage, STORAGE_AREAS } = require('./services/storage');
+const { socketError } = require('./services/errors');
+const { registerEvent } = require('./middleware/socketEvents');
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
@@ -21,6 +34,12 @@ const contactRoutes = require('./routes/contact');
 const adminRoutes = require('./routes/admin');
 const publicRoutes = require('./routes/public');
 const walletRoutes = require('./routes/wallet');
+const notificationRoutes = require('./routes/notifications');
+const presenceRoutes = require('./routes/presence');
+const syncRoutes = require('./routes/sync');
+const reportRoutes = require('./routes/reports');
+const packetRoutes = require('./routes/packets');
+const fileRoutes = require('./routes/files');
 
 // Initialize express app
 const app = express();
@@ -64,6 +83,13 @@ const io = socketIO(server, {
 // MIDDLEWARE
 // ============================================================================
 
+// Trust the reverse proxy so req.ip is the client address (needed for login throttling)
+// TRUST_PROXY may be 'true', a hop count, or a subnet/keyword list such as 'loopback'
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (isNaN(trustProxy) ? trustProxy : parseInt(trustProxy)));
+}
+
 // app.use(cors());
 app.use(cors({
   origin: allowedOrigins,
@@ -73,8 +99,16 @@ app.use(cors({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve uploaded files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve public uploads (images) from local storage - private files are only
+// reachable through signed URLs from /api/files
+const storage = getStorage();
+if (storage.name === 'local') {
+  Object.entries(STORAGE_AREAS)
+    .filter(([, area]) => area.public)
+    .forEach(([name]) => {
+      app.use(`${storage.publicBaseUrl}/${name}`, express.static(path.join(storage.rootDir, name)));
+    });
+}
 
 // ============================================================================
 // MONGODB CONNECTION
@@ -87,6 +121,12 @@ mongoose
   .then(() => {
     console.log("✅ MongoDB Connected Successfully");
     console.log(`📊 Database: ${mongoose.connection.name}`);
+
+    // Pending connection requests past their TTL are expired hourly
+    startRequestExpiryJob(io);
+
+    // Credentials past their expiry date are expired, and owners reminded beforehand, hourly
+    startCredentialExpiryJob(app);
   })
   .catch((err) => {
     console.error("❌ MongoDB Connection Error:", err.message);
@@ -97,16 +137,11 @@ mongoose
 // SOCKET.IO SETUP
 // ============================================================================
 
-// Store online users and socket mappings
-const onlineUsers = new Map(); // userId -> socketId
-const userSockets = new Map(); // socketId -> userId
-const userRooms = new Map();   // userId -> Set of roomIds
-
 // ============================================================================
 // SOCKET.IO AUTHENTICATION MIDDLEWARE
 // ============================================================================
 
-io.use((socket, next) => {
+io.use(async (socket, next) => {
   try {
     const token = socket.handshake.auth.token;
     
@@ -115,12 +150,21 @@ io.use((socket, next) => {
       return next(new Error('Authentication error: No token provided'));
     }
 
-    // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify JWT token and make sure its session has not been revoked
+    const { decoded, session } = await verifyAccessToken(token);
+
+    const user = await User.findById(decoded.userId).select('userType isActive suspendedUntil');
+    if (!user || !user.isActive) {
+      return next(new Error('Authentication error: Account is deactivated'));
+    }
+    if (user.isSuspended()) {
+      return next(new Error('Authentication error: Account is suspended'));
+    }
     
     // Attach user data to socket
-    socket.userId = decoded.userId || decoded.id;
-    socket.userType = decoded.type || decoded.userType;
+    socket.userId = decoded.userId;
+    socket.userType = user.userType;
+    socket.sessionId = session._id.toString();
     
     console.log(`✅ Socket authenticated: User ${socket.userId} (${socket.userType})`);
     next();
@@ -139,122 +183,123 @@ io.on('connection', (socket) => {
   
   console.log(`🟢 User connected: ${userId} (Socket: ${socket.id})`);
   
-  // Track online user
-  onlineUsers.set(userId, socket.id);
-  userSockets.set(socket.id, userId);
-  userRooms.set(userId, new Set());
-  
-  // Notify all clients that this user is online
-  socket.broadcast.emit('userOnline', {
-    userId: userId,
-    isOnline: true
+  // Track online user (a user can have several sockets - tabs and devices)
+  presence.socketConnected(io, userId, socket.id).catch(error => {
+    console.error('❌ Presence error:', error);
   });
 
+  // Join the session room so revoking the session disconnects this socket
+  socket.join(sessionRoom(socket.sessionId));
+
+  // Join the personal room used to fan out conversation events to all participants
+  socket.join(userRoom(userId));
+
   // ============================================================================
   // JOIN ROOM EVENT
   // ============================================================================
   
-  socket.on('joinRoom', ({ roomId }) => {
+  // Only one of the room's two users may join, and only if they are connected
+  registerEvent(socket, 'joinRoom', async ({ roomId }) => {
+    await authorizeRoom(userId, roomId);
     socket.join(roomId);
     
-    // Track room membership
-    const rooms = userRooms.get(userId);
-    if (rooms) {
-      rooms.add(roomId);
-    }
-    
     console.log(`🚪 User ${userId} joined room: ${roomId}`);
+    return { roomId };
   });
 
   // ============================================================================
   // LEAVE ROOM EVENT
   // ============================================================================
   
-  socket.on('leaveRoom', ({ roomId }) => {
+  registerEvent(socket, 'leaveRoom', async ({ roomId }) => {
     socket.leave(roomId);
     
-    // Remove from room tracking
-    const rooms = userRooms.get(userId);
-    if (rooms) {
-      rooms.delete(roomId);
-    }
-    
     console.log(`🚪 User ${userId} left room: ${roomId}`);
+    return { roomId };
   });
 
   // ============================================================================
   // SEND MESSAGE EVENT
   // ============================================================================
   
-  socket.on('sendMessage', async ({ recipient, content, timestamp }) => {
-    try {
-      console.log(`📤 Message from ${userId} to ${recipient}:`, content.substring(0, 50));
-      
-      // Import Message model (make sure you have this model)
-      const Message = mongoose.model('Message');
-      
-      // Save message to database
-      const message = await Message.create({
-        sender: userId,
-        recipient: recipient,
-        content: content,
-        createdAt: timestamp || new Date(),
-        read: false
-      });
-
-      // Populate sender and recipient if needed
-      await message.populate('sender recipient');
-
-      // Create room ID (consistent ordering)
-      const roomId = createRoomId(userId, recipient);
-
-      const messageData = {
-        _id: message._id.toString(),
-        sender: message.sender._id ? message.sender._id.toString() : userId,
-        recipient: message.recipient._id ? message.recipient._id.toString() : recipient,
-        content: message.content,
-        createdAt: message.createdAt,
-        read: message.read,
-        updatedAt: message.updatedAt
-      };
-
-      // Emit to room (both sender and recipient)
-      io.to(roomId).emit('newMessage', messageData);
-
-      // Send confirmation to sender
-      socket.emit('messageSent', messageData);
-
-      console.log(`✅ Message saved and emitted to room ${roomId}`);
-    } catch (error) {
-      console.error('❌ Error sending message:', error);
-      socket.emit('messageError', { 
-        error: 'Failed to send message',
-        message: error.message 
-      });
+  registerEvent(socket, 'sendMessage', async ({ recipient, conversationId, content, attachmentIds }) => {
+    console.log(`📤 Message from ${userId} to ${conversationId || recipient}:`, (content || '').substring(0, 50));
+
+    // Same path as POST /api/chat/send - group messages name the conversation, 1:1 messages the recipient
+    const { payload, conversation } = await sendMessage(app, {
+      senderId: userId,
+      recipientId: recipient,
+      conversationId,
+      content,
+      attachmentIds
+    });
+
+    // Send confirmation to sender
+    socket.emit('messageSent', payload);
+
+    console.log(`✅ Message saved and emitted to conversation ${conversation._id}`);
+    return { message: payload };
+  }, { errorEvent: 'messageError' });
+
+  // ============================================================================
+  // DELIVERY / READ RECEIPT EVENTS
+  // ============================================================================
+
+  // Client acknowledges messages it received via newMessage
+  registerEvent(socket, 'markDelivered', async ({ messageIds }) => {
+    const updated = await markDelivered(io, userId, messageIds);
+    return { updated };
+  });
+
+  // Client has displayed a conversation up to messageId (or entirely)
+  registerEvent(socket, 'markRead', async ({ conversationId, messageId }) => {
+    const conversation = await Conversation.findById(conversationId).select('type participants');
+    if (!conversation || !conversation.hasParticipant(userId)) {
+      throw socketError('NOT_FOUND', 'Conversation not found');
     }
+
+    const Message = mongoose.model('Message');
+    const upTo = messageId
+      ? await Message.findOne({ _id: messageId, conversation: conversation._id })
+      : null;
+    if (messageId && !upTo) {
+      throw socketError('NOT_FOUND', 'Message not found');
+    }
+
+    const updated = await markRead(io, userId, conversation, upTo);
+    return { updated };
   });
 
+  // ============================================================================
+  // MISSED EVENT REPLAY
+  // ============================================================================
+
+  // Reconnecting client sends the last seq it processed and gets what it missed
+  registerEvent(socket, 'resume', async ({ since }) => getEventsSince(userId, since));
+
   // ============================================================================
   // TYPING INDICATOR EVENTS
   // ============================================================================
-  
-  socket.on('typing', ({ roomId, recipientId }) => {
-    console.log(`⌨️  User ${userId} is typing in room ${roomId}`);
+
+  registerEvent(socket, 'typing', async ({ roomId, conversationId }) => {
+    const rooms = await authorizeTypingRooms(userId, socket.rooms, { roomId, conversationId });
     
-    // Emit to recipient only (not sender)
-    socket.to(roomId).emit('userTyping', {
+    // Emit to the other participants only (not sender)
+    socket.to(rooms).emit('userTyping', {
       userId: userId,
       roomId: roomId,
+      conversationId: conversationId,
       isTyping: true
     });
   });
 
-  socket.on('stopTyping', ({ roomId, recipientId }) => {
-    console.log(`⏸️  User ${userId} stopped typing in room ${roomId}`);
+  registerEvent(socket, 'stopTyping', async ({ roomId, conversationId }) => {
+    const rooms = await authorizeTypingRooms(userId, socket.rooms, { roomId, conversationId });
     
-    socket.to(roomId).emit('userStoppedTyping', {
+    socket.to(rooms).emit('userStoppedTyping', {
       userId: userId,
       roomId: roomId,
+      conversationId: conversationId,
       isTyping: false
     });
   });
@@ -266,15 +311,9 @@ io.on('connection', (socket) => {
   socket.on('disconnect', (reason) => {
     console.log(`🔴 User disconnected: ${userId} (Socket: ${socket.id}) - Reason: ${reason}`);
     
-    // Remove from online users
-    onlineUsers.delete(userId);
-    userSockets.delete(socket.id);
-    userRooms.delete(userId);
-    
-    // Notify all clients that this user is offline
-    socket.broadcast.emit('userOffline', {
-      userId: userId,
-      isOnline: false
+    // Remove this socket; the user goes offline (and their connections are told) when their last socket closes
+    presence.socketDisconnected(io, userId, socket.id).catch(error => {
+      console.error('❌ Presence error:', error);
     });
   });
 
@@ -291,31 +330,8 @@ io.on('connection', (socket) => {
 // HELPER FUNCTIONS FOR SOCKET.IO
 // ============================================================================
 
-/**
- * Create a consistent room ID from two user IDs
- */
-function createRoomId(userId1, userId2) {
-  const ids = [userId1.toString(), userId2.toString()].sort();
-  return `chat_${ids[0]}_${ids[1]}`;
-}
-
-/**
- * Check if a user is online
- */
-function isUserOnline(userId) {
-  return onlineUsers.has(userId.toString());
-}
-
-/**
- * Get socket ID for a user
- */
-function getSocketId(userId) {
-  return onlineUsers.get(userId.toString());
-}
-
 // Make io accessible to routes if needed
 app.set('io', io);
-app.set('onlineUsers', onlineUsers);
 
 // ============================================================================
 // API ROUTES
@@ -332,6 +348,12 @@ app.use('/api/jobs', jobsRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/wallet', walletRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/presence', presenceRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/packets', packetRoutes);
+app.use('/api/files', fileRoutes);
 
 // ============================================================================
 // HEALTH CHECK & DEBUG ROUTES
@@ -343,17 +365,14 @@ app.get('/api/health', (req, res) => {
     status: 'ok', 
     message: 'Drs Club API is running',
     socketIO: 'enabled',
-    onlineUsers: onlineUsers.size
+    onlineUsers: presence.onlineCount()
   });
 });
 
 // Debug: Get online users (for development only)
 if (process.env.NODE_ENV === 'development') {
   app.get('/api/debug/online-users', (req, res) => {
-    const users = Array.from(onlineUsers.entries()).map(([userId, socketId]) => ({
-      userId,
-      socketId
-    }));
+    const users = presence.getOnlineUsers();
     res.json({ 
       onlineUsers: users,
       count: users.length 
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your_secret_key';
+const EMAIL_VERIFICATION_TTL = '24h';
+const PASSWORD_RESET_TTL = '1h';
+const MFA_PENDING_TTL = '5m';
+const PACKET_ACCESS_TTL = '30m';
+
+// Short fingerprint of the stored password hash - changes whenever the password does,
+// which makes a reset token single-use without storing it
+const passwordFingerprint = (user) => crypto
+  .createHash('sha256')
+  .update(user.password)
+  .digest('hex')
+  .slice(0, 16);
+
+/**
+ * Sign an email verification token bound to the user's current email address
+ */
+const signEmailVerificationToken = (user) => {
+  return jwt.sign(
+    { userId: user._id.toString(), email: user.email, purpose: 'email-verification' },
+    JWT_SECRET,
+    { expiresIn: EMAIL_VERIFICATION_TTL }
+  );
+};
+
+/**
+ * Verify an email verification token. Throws if invalid or expired.
+ */
+const verifyEmailVerificationToken = (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  if (decoded.purpose !== 'email-verification') {
+    throw new Error('Invalid token purpose');
+  }
+
+  return decoded;
+};
+
+/**
+ * Sign a password reset token bound to the user's current password
+ */
+const signPasswordResetToken = (user) => {
+  return jwt.sign(
+    { userId: user._id.toString(), pwd: passwordFingerprint(user), purpose: 'password-reset' },
+    JWT_SECRET,
+    { expiresIn: PASSWORD_RESET_TTL }
+  );
+};
+
+/**
+ * Decode a password reset token. Throws if invalid or expired.
+ * The caller must still check it against the user with isPasswordResetTokenCurrent().
+ */
+const verifyPasswordResetToken = (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  if (decoded.purpose !== 'password-reset') {
+    throw new Error('Invalid token purpose');
+  }
+
+  return decoded;
+};
+
+/**
+ * Check that a decoded reset token was issued for the user's current password
+ */
+const isPasswordResetTokenCurrent = (decoded, user) => {
+  return decoded.pwd === passwordFingerprint(user);
+};
+
+/**
+ * Sign the short-lived token returned after the password step when 2FA is enabled
+ */
+const signMfaPendingToken = (user, identifier) => {
+  return jwt.sign(
+    { userId: user._id.toString(), identifier, purpose: 'mfa-pending' },
+    JWT_SECRET,
+    { expiresIn: MFA_PENDING_TTL }
+  );
+};
+
+/**
+ * Verify an "mfa pending" token. Throws if invalid or expired.
+ */
+const verifyMfaPendingToken = (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  if (decoded.purpose !== 'mfa-pending') {
+    throw new Error('Invalid token purpose');
+  }
+
+  return decoded;
+};
+
+/**
+ * Sign the token returned after the password of a shared packet link is entered
+ */
+const signPacketAccessToken = (share) => {
+  return jwt.sign(
+    { share: share._id.toString(), purpose: 'packet-access' },
+    JWT_SECRET,
+    { expiresIn: PACKET_ACCESS_TTL }
+  );
+};
+
+/**
+ * Verify a packet access token. Throws if invalid or expired.
+ */
+const verifyPacketAccessToken = (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  if (decoded.purpose !== 'packet-access') {
+    throw new Error('Invalid token purpose');
+  }
+
+  return decoded;
+};
+
+module.exports = {
+  signEmailVerificationToken,
+  verifyEmailVerificationToken,
+  signPasswordResetToken,
+  verifyPasswordResetToken,
+  isPasswordResetTokenCurrent,
+  signMfaPendingToken,
+  verifyMfaPendingToken,
+  signPacketAccessToken,
+  verifyPacketAccessToken
+};
@@ -0,0 +1,135 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Attachment = require('../models/Attachment');
+const Conversation = require('../models/Conversation');
+const { getFile, putFile, removeFile } = require('./storage');
+
+const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+const THUMBNAIL_SIZE = 320;
+
+/**
+ * Render a thumbnail next to an uploaded image.
+ * Returns { thumbnailPath, width, height }, or {} if the image can't be processed.
+ */
+const createThumbnail = async (file) => {
+  try {
+    const image = sharp(await getFile(file.key));
+    const { width, height } = await image.metadata();
+
+    const thumbnailPath = `attachments/thumb-${path.parse(file.filename).name}.webp`;
+    const thumbnail = await image
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp()
+      .toBuffer();
+    await putFile(thumbnailPath, thumbnail, { contentType: 'image/webp' });
+
+    return {
+      thumbnailPath,
+      width,
+      height
+    };
+  } catch (error) {
+    console.error('Thumbnail generation error:', error);
+    return {};
+  }
+};
+
+/**
+ * Save metadata for a file uploaded through uploadAttachment
+ */
+const createAttachment = async (file, userId) => {
+  const imageInfo = file.mimetype.startsWith('image/') ? await createThumbnail(file) : {};
+
+  return Attachment.create({
+    uploader: userId,
+    fileName: file.originalname,
+    filePath: file.key,
+    fileSize: file.size,
+    mimeType: file.mimetype,
+    ...imageInfo
+  });
+};
+
+/**
+ * Claim the attachments sent with a message, before the message is saved.
+ * They must be the sender's own uploads that haven't been sent yet; the claim is
+ * a single conditional update, so of two sends racing for one upload only one
+ * gets it. Returns the attachments, or null (with nothing claimed) if any ID is
+ * invalid or already taken. Release them with releaseAttachments if the message
+ * can't be saved.
+ */
+const claimAttachments = async (attachmentIds, userId, message) => {
+  const ids = [...new Set((attachmentIds || []).map(id => id.toString()))];
+
+  if (ids.length === 0) {
+    return [];
+  }
+
+  if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    return null;
+  }
+
+  const unsent = { _id: { $in: ids }, uploader: userId, message: { $exists: false } };
+
+  const attachments = await Attachment.find(unsent);
+  if (attachments.length !== ids.length) {
+    return null;
+  }
+
+  const { modifiedCount } = await Attachment.updateMany(
+    unsent,
+    { $set: { message: message._id, conversation: message.conversation } }
+  );
+
+  // A concurrent send took some of them first - give back the ones this send got
+  if (modifiedCount !== ids.length) {
+    await releaseAttachments(message._id);
+    return null;
+  }
+
+  return attachments;
+};
+
+/**
+ * Return attachments claimed for a message that was never saved to the sender's unsent uploads
+ */
+const releaseAttachments = async (messageId) => {
+  await Attachment.updateMany(
+    { message: messageId },
+    { $unset: { message: '', conversation: '' } }
+  );
+};
+
+/**
+ * Only the uploader and participants of the conversation it was sent to can download an attachment
+ */
+const canAccessAttachment = async (attachment, userId) => {
+  if (attachment.uploader.toString() === userId.toString()) {
+    return true;
+  }
+
+  if (!attachment.conversation) {
+    return false;
+  }
+
+  const conversation = await Conversation.findById(attachment.conversation).select('participants');
+  return Boolean(conversation && conversation.hasParticipant(userId));
+};
+
+/**
+ * Remove an attachment's files from storage
+ */
+const deleteAttachmentFiles = (attachment) => {
+  [attachment.filePath, attachment.thumbnailPath].filter(Boolean).forEach(removeFile);
+};
+
+module.exports = {
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  createAttachment,
+  claimAttachments,
+  releaseAttachments,
+  canAccessAttachment,
+  deleteAttachmentFiles
+};
@@ -0,0 +1,75 @@
+const User = require('../models/User');
+const Connection = require('../models/Connection');
+const { publishToUsers } = require('./eventService');
+const { runAtomically } = require('./transactionService');
+
+/**
+ * Whether either user has blocked the other
+ */
+const isBlockedBetween = async (userId, otherUserId) => Boolean(await User.exists({
+  $or: [
+    { _id: userId, blockedUsers: otherUserId },
+    { _id: otherUserId, blockedUsers: userId }
+  ]
+}));
+
+/**
+ * IDs hidden from a user: everyone they blocked and everyone who blocked them
+ */
+const getBlockedIds = async (user) => {
+  const blockedBy = await User.find({ blockedUsers: user._id }).distinct('_id');
+  return [...(user.blockedUsers || []), ...blockedBy];
+};
+
+/**
+ * Block a user. Any connection or pending request between the two is dropped,
+ * so the blocked user can no longer message or re-request.
+ */
+const blockUser = async (io, userId, targetId) => {
+  const connection = await runAtomically(async (session) => {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $addToSet: { blockedUsers: targetId },
+        $pull: { connections: targetId, pendingRequests: targetId }
+      },
+      { session }
+    );
+
+    await User.updateOne(
+      { _id: targetId },
+      { $pull: { connections: userId, pendingRequests: userId } },
+      { session }
+    );
+
+    return Connection.findOneAndUpdate(
+      {
+        pairKey: Connection.pairKeyFor(userId, targetId),
+        status: { $in: ['pending', 'accepted'] }
+      },
+      { $set: { status: 'removed', respondedAt: new Date() } },
+      { new: true, session }
+    );
+  });
+
+  if (connection) {
+    await publishToUsers(io, [connection.requester, connection.recipient], 'connectionUpdated', {
+      connectionId: connection._id,
+      requester: connection.requester,
+      recipient: connection.recipient,
+      status: connection.status
+    });
+  }
+};
+
+const unblockUser = (userId, targetId) => User.updateOne(
+  { _id: userId },
+  { $pull: { blockedUsers: targetId } }
+);
+
+module.exports = {
+  isBlockedBetween,
+  getBlockedIds,
+  blockUser,
+  unblockUser
+};
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const { socketError } = require('./errors');
+const { isBlockedBetween } = require('./blockService');
+const { conversationRooms } = require('./conversationService');
+const { userRoom } = require('./eventService');
+
+// Legacy 1:1 room IDs: chat_<userId>_<userId>
+const DIRECT_ROOM_PATTERN = /^chat_([a-f0-9]{24})_([a-f0-9]{24})$/i;
+
+const isConnected = async (userId, otherUserId) => {
+  const user = await User.findById(userId).select('connections');
+  return Boolean(user && user.connections.some(conn => conn.toString() === otherUserId.toString()));
+};
+
+/**
+ * A user may join a legacy 1:1 room only if they are one of its two users
+ * and they are connected to (or already have a conversation with) the other
+ */
+const authorizeRoom = async (userId, roomId) => {
+  const match = DIRECT_ROOM_PATTERN.exec(roomId);
+
+  if (!match || ![match[1], match[2]].includes(userId.toString())) {
+    throw socketError('FORBIDDEN', 'You cannot join this room');
+  }
+
+  const otherUserId = match[1] === userId.toString() ? match[2] : match[1];
+
+  if (await isBlockedBetween(userId, otherUserId)) {
+    throw socketError('FORBIDDEN', 'You cannot join this room');
+  }
+
+  const conversation = await Conversation.exists({ directKey: Conversation.directKeyFor(userId, otherUserId) });
+  if (!conversation && !(await isConnected(userId, otherUserId))) {
+    throw socketError('FORBIDDEN', 'You cannot join this room');
+  }
+};
+
+/**
+ * Direct messages need an existing connection between the two users, and neither may have blocked the other
+ */
+const authorizeDirectMessage = async (userId, recipientId) => {
+  if (!recipientId || recipientId.toString() === userId.toString() || !(await isConnected(userId, recipientId))) {
+    throw socketError('FORBIDDEN', 'You can only send messages to connected users');
+  }
+
+  if (await isBlockedBetween(userId, recipientId)) {
+    throw socketError('FORBIDDEN', 'You cannot message this user');
+  }
+};
+
+/**
+ * Load a conversation the user may post to: they must be a participant, and
+ * for direct conversations still connected to the other participant
+ */
+const authorizeConversation = async (userId, conversationId) => {
+  const conversation = mongoose.Types.ObjectId.isValid(conversationId)
+    ? await Conversation.findById(conversationId)
+    : null;
+
+  if (!conversation || !conversation.hasParticipant(userId)) {
+    throw socketError('NOT_FOUND', 'Conversation not found');
+  }
+
+  if (conversation.type === 'direct') {
+    const partner = conversation.participants.find(p => p.toString() !== userId.toString());
+    if (partner) {
+      await authorizeDirectMessage(userId, partner);
+    }
+  }
+
+  return conversation;
+};
+
+/**
+ * Resolve the rooms a typing event from a socket goes to - a conversation's other
+ * participants, or a legacy 1:1 room the socket has joined (`joinedRooms`)
+ */
+const authorizeTypingRooms = async (userId, joinedRooms, { roomId, conversationId }) => {
+  if (!conversationId) {
+    if (!joinedRooms.has(roomId)) {
+      throw socketError('FORBIDDEN', 'Join the room first');
+    }
+    return [roomId];
+  }
+
+  const conversation = await Conversation.findById(conversationId).select('type participants');
+  if (!conversation || !conversation.hasParticipant(userId)) {
+    throw socketError('NOT_FOUND', 'Conversation not found');
+  }
+
+  return conversationRooms(conversation).filter(room => room !== userRoom(userId));
+};
+
+module.exports = {
+  authorizeRoom,
+  authorizeDirectMessage,
+  authorizeConversation,
+  authorizeTypingRooms
+};
@@ -0,0 +1,523 @@
+const mongoose = require('mongoose');
+const Connection = require('../models/Connection');
+const User = require('../models/User');
+const { socketError } = require('./errors');
+const { runAtomically } = require('./transactionService');
+const { isBlockedBetween } = require('./blockService');
+const { publishToUsers } = require('./eventService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lifecycle rules for connection requests
+const REQUEST_POLICY = {
+  pendingTtlMs: 30 * DAY_MS,         // unanswered requests expire after this
+  rejectionCooldownMs: 30 * DAY_MS,  // a rejected requester waits this long to ask again
+  withdrawalCooldownMs: 1 * DAY_MS,  // stops request / withdraw loops
+  expiryBatchSize: 500
+};
+
+const RECONCILE_BATCH_SIZE = 500;
+const MAX_REPORTED_ISSUES = 200;
+
+// Latest reconciliation run (one at a time per process)
+let reconcileJob = { status: 'idle' };
+
+const idSet = (ids) => new Set((ids || []).map(id => id.toString()));
+
+const isStale = (connection, now = new Date()) => (
+  connection.status === 'pending' && connection.requestedAt.getTime() + REQUEST_POLICY.pendingTtlMs <= now.getTime()
+);
+
+/**
+ * Tell both users' clients that a connection changed (recorded for sync)
+ */
+const publishConnectionChange = (io, connection) => publishToUsers(
+  io,
+  [connection.requester, connection.recipient],
+  'connectionUpdated',
+  {
+    connectionId: connection._id,
+    requester: connection.requester,
+    recipient: connection.recipient,
+    status: connection.status
+  }
+);
+
+/**
+ * Close a pending request (rejected, withdrawn or expired) and drop it from the
+ * recipient's pendingRequests. Returns the updated record, or null if it was no longer pending.
+ */
+const closePendingRequest = (connectionId, status, extra = {}) => runAtomically(async (session) => {
+  const connection = await Connection.findOneAndUpdate(
+    { _id: connectionId, status: 'pending' },
+    { $set: { status, respondedAt: new Date(), ...extra } },
+    { new: true, session }
+  );
+
+  if (!connection) return null;
+
+  await User.updateOne(
+    { _id: connection.recipient },
+    { $pull: { pendingRequests: connection.requester } },
+    { session }
+  );
+
+  return connection;
+});
+
+/**
+ * Send a connection request. A pair that was rejected, withdrawn, expired or
+ * removed reuses its record, subject to the requester's cooldown.
+ */
+const requestConnection = async (io, requesterId, recipientId, message) => {
+  if (await isBlockedBetween(requesterId, recipientId)) {
+    throw socketError('FORBIDDEN', 'You cannot connect with this user');
+  }
+
+  const pairKey = Connection.pairKeyFor(requesterId, recipientId);
+  let existing = await Connection.findOne({ pairKey });
+
+  if (existing && isStale(existing)) {
+    existing = (await closePendingRequest(existing._id, 'expired')) || await Connection.findOne({ pairKey });
+  }
+
+  if (existing && existing.status === 'accepted') {
+    throw socketError('CONFLICT', 'You are already connected');
+  }
+
+  if (existing && existing.status === 'pending') {
+    throw socketError('CONFLICT', existing.requester.toString() === requesterId.toString()
+      ? 'Connection request already sent'
+      : 'This user has already sent you a connection request');
+  }
+
+  if (existing && existing.cooldownUntil > new Date() && existing.requester.toString() === requesterId.toString()) {
+    throw socketError('CONFLICT', 'You cannot send this user another request yet', {
+      retryAfter: existing.cooldownUntil
+    });
+  }
+
+  const connection = await runAtomically(async (session) => {
+    const fields = {
+      requester: requesterId,
+      recipient: recipientId,
+      status: 'pending',
+      message,
+      requestedAt: new Date()
+    };
+
+    let record;
+    if (existing) {
+      // Precondition on the status we just read so concurrent requests can't both win
+      record = await Connection.findOneAndUpdate(
+        { _id: existing._id, status: existing.status },
+        { $set: fields, $unset: { respondedAt: 1, cooldownUntil: 1 } },
+        { new: true, session }
+      );
+    } else {
+      [record] = await Connection.create([fields], { session });
+    }
+
+    if (!record) return null;
+
+    await User.updateOne(
+      { _id: recipientId },
+      { $addToSet: { pendingRequests: requesterId } },
+      { session }
+    );
+
+    return record;
+  }).catch((error) => {
+    if (error.code === 11000) return null;
+    throw error;
+  });
+
+  if (!connection) {
+    throw socketError('CONFLICT', 'Connection request already exists or you are already connected');
+  }
+
+  await publishConnectionChange(io, connection);
+  return connection;
+};
+
+/**
+ * Load a request the user may act on as requester or recipient
+ */
+const findPendingRequest = async (connectionId, userId, role) => {
+  const connection = mongoose.Types.ObjectId.isValid(connectionId)
+    ? await Connection.findById(connectionId)
+    : null;
+
+  if (!connection) {
+    throw socketError('NOT_FOUND', 'Connection request not found');
+  }
+
+  if (connection[role].toString() !== userId.toString()) {
+    throw socketError('FORBIDDEN', 'Not authorized');
+  }
+
+  if (isStale(connection)) {
+    await closePendingRequest(connection._id, 'expired');
+    throw socketError('VALIDATION_ERROR', 'Connection request has expired');
+  }
+
+  if (connection.status !== 'pending') {
+    throw socketError('VALIDATION_ERROR', 'Connection request already processed');
+  }
+
+  return connection;
+};
+
+/**
+ * Accept a request - the record and both users' arrays change together
+ */
+const acceptRequest = async (io, connectionId, userId) => {
+  const pending = await findPendingRequest(connectionId, userId, 'recipient');
+
+  if (await isBlockedBetween(pending.requester, pending.recipient)) {
+    throw socketError('FORBIDDEN', 'You cannot connect with this user');
+  }
+
+  const connection = await runAtomically(async (session) => {
+    const record = await Connection.findOneAndUpdate(
+      { _id: pending._id, status: 'pending' },
+      { $set: { status: 'accepted', respondedAt: new Date() } },
+      { new: true, session }
+    );
+
+    if (!record) return null;
+
+    await User.updateOne(
+      { _id: record.requester },
+      { $addToSet: { connections: record.recipient }, $pull: { pendingRequests: record.recipient } },
+      { session }
+    );
+    await User.updateOne(
+      { _id: record.recipient },
+      { $addToSet: { connections: record.requester }, $pull: { pendingRequests: record.requester } },
+      { session }
+    );
+
+    return record;
+  });
+
+  if (!connection) {
+    throw socketError('VALIDATION_ERROR', 'Connection request already processed');
+  }
+
+  await publishConnectionChange(io, connection);
+  return connection;
+};
+
+/**
+ * Reject a request - the requester is put on cooldown for this pair
+ */
+const rejectRequest = async (io, connectionId, userId) => {
+  const pending = await findPendingRequest(connectionId, userId, 'recipient');
+
+  const connection = await closePendingRequest(pending._id, 'rejected', {
+    cooldownUntil: new Date(Date.now() + REQUEST_POLICY.rejectionCooldownMs)
+  });
+
+  if (!connection) {
+    throw socketError('VALIDATION_ERROR', 'Connection request already processed');
+  }
+
+  await publishConnectionChange(io, connection);
+  return connection;
+};
+
+/**
+ * Withdraw a request the user sent
+ */
+const withdrawRequest = async (io, connectionId, userId) => {
+  const pending = await findPendingRequest(connectionId, userId, 'requester');
+
+  const connection = await closePendingRequest(pending._id, 'withdrawn', {
+    cooldownUntil: new Date(Date.now() + REQUEST_POLICY.withdrawalCooldownMs)
+  });
+
+  if (!connection) {
+    throw socketError('VALIDATION_ERROR', 'Connection request already processed');
+  }
+
+  await publishConnectionChange(io, connection);
+  return connection;
+};
+
+/**
+ * Remove an accepted connection. Either user may send a new request later.
+ */
+const removeConnection = async (io, userId, otherUserId) => {
+  const connection = await runAtomically(async (session) => {
+    const record = await Connection.findOneAndUpdate(
+      { pairKey: Connection.pairKeyFor(userId, otherUserId), status: 'accepted' },
+      { $set: { status: 'removed', respondedAt: new Date() } },
+      { new: true, session }
+    );
+
+    // Arrays are cleared even without a record, in case they had drifted
+    await User.updateOne({ _id: userId }, { $pull: { connections: otherUserId } }, { session });
+    await User.updateOne({ _id: otherUserId }, { $pull: { connections: userId } }, { session });
+
+    return record;
+  });
+
+  if (connection) {
+    await publishConnectionChange(io, connection);
+  }
+  return connection;
+};
+
+/**
+ * Expire pending requests older than the TTL. Returns how many were expired.
+ */
+const expireStaleRequests = async (io) => {
+  const cutoff = new Date(Date.now() - REQUEST_POLICY.pendingTtlMs);
+  let expired = 0;
+
+  for (;;) {
+    const stale = await Connection.find({ status: 'pending', requestedAt: { $lte: cutoff } })
+      .select('_id')
+      .limit(REQUEST_POLICY.expiryBatchSize);
+
+    if (stale.length === 0) break;
+
+    for (const { _id } of stale) {
+      const connection = await closePendingRequest(_id, 'expired');
+      if (connection) {
+        expired += 1;
+        await publishConnectionChange(io, connection);
+      }
+    }
+
+    if (stale.length < REQUEST_POLICY.expiryBatchSize) break;
+  }
+
+  return expired;
+};
+
+/**
+ * Run expireStaleRequests on an interval for the life of the process
+ */
+const startRequestExpiryJob = (io, intervalMs = 60 * 60 * 1000) => {
+  const run = async () => {
+    try {
+      const expired = await expireStaleRequests(io);
+      if (expired > 0) {
+        console.log(`⏰ Expired ${expired} stale connection request${expired === 1 ? '' : 's'}`);
+      }
+    } catch (error) {
+      console.error('Connection request expiry error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Array links for a user that have no Connection record at all but are listed on
+ * both sides - these predate the collection and are kept (and given a record on repair)
+ */
+const findLegacyLinks = async (userId, otherIds) => {
+  if (otherIds.length === 0) return [];
+
+  const recorded = idSet(await Connection.find({
+    pairKey: { $in: otherIds.map(id => Connection.pairKeyFor(userId, id)) }
+  }).distinct('pairKey'));
+
+  const unrecorded = otherIds.filter(id => !recorded.has(Connection.pairKeyFor(userId, id)));
+  if (unrecorded.length === 0) return [];
+
+  const mutual = await User.find({ _id: { $in: unrecorded }, connections: userId }).distinct('_id');
+  return mutual.map(id => id.toString());
+};
+
+/**
+ * Bring one user's arrays in line with the Connection collection.
+ * Changes are re-checked against the collection first and applied with
+ * $addToSet / $pull so requests handled meanwhile aren't overwritten.
+ */
+const repairUser = async (userId, drift) => {
+  const pairKeys = [...drift.missingConnections, ...drift.extraConnections]
+    .map(id => Connection.pairKeyFor(userId, id));
+  const accepted = idSet(await Connection.find({ pairKey: { $in: pairKeys }, status: 'accepted' }).distinct('pairKey'));
+  const isAccepted = (id) => accepted.has(Connection.pairKeyFor(userId, id));
+
+  for (const otherId of drift.legacyConnections) {
+    await Connection.create({
+      requester: userId,
+      recipient: otherId,
+      status: 'accepted',
+      respondedAt: new Date()
+    }).catch((error) => {
+      if (error.code !== 11000) throw error;
+    });
+  }
+
+  const addConnections = drift.missingConnections.filter(isAccepted);
+  const pullConnections = drift.extraConnections.filter(id => !isAccepted(id));
+
+  // $pull removes every copy, so duplicates are pulled and then added back once
+  const dedupeConnections = drift.duplicateConnections.filter(id => !pullConnections.includes(id));
+  const dedupePending = drift.duplicatePending.filter(id => !drift.extraPending.includes(id));
+
+  const pulls = {
+    connections: [...pullConnections, ...dedupeConnections],
+    pendingRequests: [...drift.extraPending, ...dedupePending]
+  };
+  const adds = {
+    connections: [...addConnections, ...dedupeConnections],
+    pendingRequests: [...drift.missingPending, ...dedupePending]
+  };
+
+  await User.updateOne(
+    { _id: userId },
+    { $pull: { connections: { $in: pulls.connections }, pendingRequests: { $in: pulls.pendingRequests } } }
+  );
+  await User.updateOne(
+    { _id: userId },
+    { $addToSet: { connections: { $each: adds.connections }, pendingRequests: { $each: adds.pendingRequests } } }
+  );
+};
+
+const duplicatesIn = (ids) => {
+  const seen = new Set();
+  const duplicates = new Set();
+  (ids || []).forEach(id => {
+    const key = id.toString();
+    if (seen.has(key)) duplicates.add(key);
+    seen.add(key);
+  });
+  return Array.from(duplicates);
+};
+
+/**
+ * Detect (and with fix: true, repair) drift between User.connections /
+ * User.pendingRequests and the Connection collection, which is the source of truth.
+ */
+const reconcileConnections = async ({ fix = false } = {}) => {
+  const report = {
+    usersScanned: 0,
+    usersWithDrift: 0,
+    usersRepaired: 0,
+    issues: []
+  };
+
+  let lastId = null;
+
+  for (;;) {
+    const users = await User.find(lastId ? { _id: { $gt: lastId } } : {})
+      .sort({ _id: 1 })
+      .limit(RECONCILE_BATCH_SIZE)
+      .select('connections pendingRequests')
+      .lean();
+
+    if (users.length === 0) break;
+    lastId = users[users.length - 1]._id;
+
+    const userIds = users.map(u => u._id);
+    const records = await Connection.find({
+      status: { $in: ['accepted', 'pending'] },
+      $or: [{ requester: { $in: userIds } }, { recipient: { $in: userIds } }]
+    })
+      .select('requester recipient status')
+      .lean();
+
+    const expectedConnections = new Map();
+    const expectedPending = new Map();
+    const expect = (map, userId, otherId) => {
+      const key = userId.toString();
+      if (!map.has(key)) map.set(key, new Set());
+      map.get(key).add(otherId.toString());
+    };
+
+    records.forEach(record => {
+      if (record.status === 'accepted') {
+        expect(expectedConnections, record.requester, record.recipient);
+        expect(expectedConnections, record.recipient, record.requester);
+      } else {
+        expect(expectedPending, record.recipient, record.requester);
+      }
+    });
+
+    for (const user of users) {
+      report.usersScanned += 1;
+
+      const id = user._id.toString();
+      const wantConnections = expectedConnections.get(id) || new Set();
+      const wantPending = expectedPending.get(id) || new Set();
+      const haveConnections = idSet(user.connections);
+      const havePending = idSet(user.pendingRequests);
+
+      const unrecorded = [...haveConnections].filter(other => !wantConnections.has(other));
+      const legacyConnections = await findLegacyLinks(user._id, unrecorded);
+
+      const drift = {
+        missingConnections: [...wantConnections].filter(other => !haveConnections.has(other)),
+        extraConnections: unrecorded.filter(other => !legacyConnections.includes(other)),
+        legacyConnections,
+        duplicateConnections: duplicatesIn(user.connections),
+        missingPending: [...wantPending].filter(other => !havePending.has(other)),
+        extraPending: [...havePending].filter(other => !wantPending.has(other)),
+        duplicatePending: duplicatesIn(user.pendingRequests)
+      };
+
+      if (Object.values(drift).every(list => list.length === 0)) continue;
+
+      report.usersWithDrift += 1;
+      if (report.issues.length < MAX_REPORTED_ISSUES) {
+        report.issues.push({ userId: id, ...drift });
+      }
+
+      if (fix) {
+        await repairUser(user._id, drift);
+        report.usersRepaired += 1;
+      }
+    }
+  }
+
+  return report;
+};
+
+/**
+ * Start a reconciliation run in the background. Returns false if one is already running.
+ */
+const startReconcileJob = ({ fix = false, startedBy } = {}) => {
+  if (reconcileJob.status === 'running') {
+    return false;
+  }
+
+  reconcileJob = { status: 'running', fix, startedBy, startedAt: new Date() };
+
+  reconcileConnections({ fix })
+    .then((report) => {
+      reconcileJob = { ...reconcileJob, status: 'completed', finishedAt: new Date(), report };
+      console.log(`🔧 Connection reconciliation finished: ${report.usersWithDrift} of ${report.usersScanned} users had drift`);
+    })
+    .catch((error) => {
+      console.error('Connection reconciliation error:', error);
+      reconcileJob = { ...reconcileJob, status: 'failed', finishedAt: new Date(), error: error.message };
+    });
+
+  return true;
+};
+
+const getReconcileJob = () => reconcileJob;
+
+module.exports = {
+  REQUEST_POLICY,
+  requestConnection,
+  acceptRequest,
+  rejectRequest,
+  withdrawRequest,
+  removeConnection,
+  expireStaleRequests,
+  startRequestExpiryJob,
+  reconcileConnections,
+  startReconcileJob,
+  getReconcileJob
+};
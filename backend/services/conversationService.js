@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const { userRoom, publishToUsers } = require('./eventService');
+
+const PARTICIPANT_FIELDS = 'username firstName lastName companyName userType profilePicture companyLogo';
+
+/**
+ * Personal rooms of every participant - every socket joins its user's room on connect
+ */
+const conversationRooms = (conversation) => conversation.participants.map(p => userRoom((p._id || p).toString()));
+
+/**
+ * Send an event to every participant of a conversation (recorded for sync)
+ */
+const emitToConversation = (io, conversation, event, payload) => (
+  publishToUsers(io, conversation.participants, event, payload)
+);
+
+/**
+ * Socket payload for a message
+ */
+const formatMessage = (message) => ({
+  _id: message._id.toString(),
+  conversation: message.conversation ? message.conversation.toString() : null,
+  sender: message.sender._id ? message.sender._id.toString() : message.sender.toString(),
+  recipient: message.recipient ? (message.recipient._id || message.recipient).toString() : null,
+  kind: message.kind,
+  content: message.content,
+  attachments: (message.attachments || []).map(a => (a.toJSON ? a.toJSON() : a)),
+  status: message.status,
+  editedAt: message.editedAt,
+  deletedAt: message.deletedAt,
+  createdAt: message.createdAt,
+  updatedAt: message.updatedAt
+});
+
+/**
+ * Record a group event (member added, renamed, ...) as a system message and push it live
+ */
+const postSystemMessage = async (io, conversation, actorId, content) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: actorId,
+    kind: 'system',
+    content
+  });
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    { $set: { lastMessageAt: message.createdAt } }
+  );
+
+  await emitToConversation(io, conversation, 'newMessage', formatMessage(message));
+
+  return message;
+};
+
+/**
+ * Latest message visible to a user in each conversation - one aggregation for the whole page
+ * Returns a Map of conversationId -> message
+ */
+const getLastMessages = async (conversationIds, userId) => {
+  if (conversationIds.length === 0) return new Map();
+
+  const results = await Message.aggregate([
+    {
+      $match: {
+        conversation: { $in: conversationIds },
+        deletedFor: { $ne: new mongoose.Types.ObjectId(userId) }
+      }
+    },
+    { $sort: { conversation: 1, createdAt: -1, _id: -1 } },
+    { $group: { _id: '$conversation', message: { $first: '$$ROOT' } } },
+    { $project: { 'message.editHistory': 0, 'message.deletedFor': 0, 'message.readBy': 0, 'message.deliveredTo': 0 } }
+  ]);
+
+  return new Map(results.map(r => [r._id.toString(), r.message]));
+};
+
+// Match a user's unread messages across conversations, using their read cursors
+const unreadMatch = (conversations, userId) => {
+  const user = new mongoose.Types.ObjectId(userId);
+
+  return {
+    $or: conversations.map(conversation => {
+      const lastReadAt = conversation.lastReadAtFor(userId);
+      return lastReadAt
+        ? { conversation: conversation._id, createdAt: { $gt: lastReadAt } }
+        : { conversation: conversation._id };
+    }),
+    sender: { $ne: user },
+    kind: { $ne: 'system' },
+    deletedFor: { $ne: user },
+    deletedAt: { $exists: false }
+  };
+};
+
+/**
+ * Unread message count per conversation - one aggregation for the whole page
+ * Returns a Map of conversationId -> count
+ */
+const getUnreadCounts = async (conversations, userId) => {
+  if (conversations.length === 0) return new Map();
+
+  const results = await Message.aggregate([
+    { $match: unreadMatch(conversations, userId) },
+    { $group: { _id: '$conversation', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(results.map(r => [r._id.toString(), r.count]));
+};
+
+/**
+ * Total unread messages for a user across all of their conversations
+ */
+const getTotalUnreadCount = async (userId) => {
+  const conversations = await Conversation.find({ participants: userId }).select('readCursors');
+  if (conversations.length === 0) return 0;
+
+  return Message.countDocuments(unreadMatch(conversations, userId));
+};
+
+module.exports = {
+  PARTICIPANT_FIELDS,
+  conversationRooms,
+  emitToConversation,
+  formatMessage,
+  postSystemMessage,
+  getLastMessages,
+  getUnreadCounts,
+  getTotalUnreadCount
+};
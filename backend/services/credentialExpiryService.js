@@ -0,0 +1,177 @@
+const Document = require('../models/Document');
+const { notify } = require('./notificationService');
+const { EXPIRABLE_STATUSES, expireDocument } = require('./credentialReviewService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXPIRY_POLICY = {
+  reminderDays: [90, 30, 7],        // reminders before expiry, largest first
+  batchSize: 500,
+  maxReportDays: 365                // widest window for the expiring-soon report
+};
+
+const REMINDER_WINDOW_DAYS = EXPIRY_POLICY.reminderDays[0];
+const LAST_REMINDER_DAYS = EXPIRY_POLICY.reminderDays[EXPIRY_POLICY.reminderDays.length - 1];
+
+const daysUntil = (date, now) => Math.ceil((date.getTime() - now.getTime()) / DAY_MS);
+
+/**
+ * Expire every credential whose expiry date has passed and tell its owner.
+ * Returns how many were expired.
+ */
+const expireCredentials = async (app, now = new Date()) => {
+  let expired = 0;
+
+  for (;;) {
+    const due = await Document.find({
+      status: { $in: EXPIRABLE_STATUSES },
+      retiredAt: null,
+      expiryDate: { $lte: now }
+    })
+      .select('_id')
+      .limit(EXPIRY_POLICY.batchSize);
+
+    if (due.length === 0) break;
+
+    for (const { _id } of due) {
+      const document = await expireDocument(_id, now);
+      if (!document) continue;
+
+      expired++;
+      await notify(app, {
+        recipient: document.user,
+        type: 'credential_expiry',
+        title: `Your credential "${document.title}" has expired`,
+        body: 'It no longer counts towards your verified status. Upload the renewed document to have it verified again.',
+        data: { documentId: document._id, expiryDate: document.expiryDate },
+        link: '/documents'
+      });
+    }
+
+    if (due.length < EXPIRY_POLICY.batchSize) break;
+  }
+
+  return expired;
+};
+
+/**
+ * Remind owners of credentials expiring within 90, 30 and 7 days.
+ * Each threshold is sent once per expiry date; a credential that enters the
+ * window late only gets the nearest reminder, not every one it skipped.
+ * Returns how many reminders were sent.
+ */
+const sendExpiryReminders = async (app, now = new Date()) => {
+  const cursor = Document.find({
+    status: { $in: EXPIRABLE_STATUSES },
+    retiredAt: null,
+    expiryDate: { $gt: now, $lte: new Date(now.getTime() + REMINDER_WINDOW_DAYS * DAY_MS) },
+    expiryRemindersSent: { $ne: LAST_REMINDER_DAYS }
+  })
+    .select('user title expiryDate expiryRemindersSent')
+    .cursor();
+
+  let sent = 0;
+
+  for await (const document of cursor) {
+    const daysLeft = daysUntil(document.expiryDate, now);
+    const due = EXPIRY_POLICY.reminderDays.filter(days => daysLeft <= days);
+    const threshold = due[due.length - 1];
+
+    if ((document.expiryRemindersSent || []).includes(threshold)) continue;
+
+    // Claim the reminder first so overlapping runs can't both send it
+    const claimed = await Document.updateOne(
+      { _id: document._id, expiryDate: document.expiryDate, expiryRemindersSent: { $ne: threshold } },
+      { $addToSet: { expiryRemindersSent: { $each: due } } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    sent++;
+    await notify(app, {
+      recipient: document.user,
+      type: 'credential_expiry',
+      title: `Your credential "${document.title}" expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`,
+      body: `It expires on ${document.expiryDate.toDateString()}. Upload the renewed document before then to stay verified.`,
+      data: { documentId: document._id, expiryDate: document.expiryDate, daysLeft },
+      link: '/documents'
+    });
+  }
+
+  return sent;
+};
+
+/**
+ * Credentials expiring within `days`, soonest first, with counts per reminder window
+ * and how many have already expired. Returns { documents, counts, total }.
+ */
+const getExpiringCredentials = async ({ days = REMINDER_WINDOW_DAYS, type, page = 1, limit = 20 } = {}, now = new Date()) => {
+  const query = {
+    status: { $in: EXPIRABLE_STATUSES },
+    retiredAt: null,
+    expiryDate: { $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) }
+  };
+  if (type) {
+    query.type = type;
+  }
+
+  const windowCounts = EXPIRY_POLICY.reminderDays.map(windowDays => Document.countDocuments({
+    ...query,
+    expiryDate: { $gt: now, $lte: new Date(now.getTime() + windowDays * DAY_MS) }
+  }));
+
+  const [documents, total, expired, ...perWindow] = await Promise.all([
+    Document.find(query)
+      .select('-reviewHistory')
+      .populate('user', 'username email userType firstName lastName companyName')
+      .sort({ expiryDate: 1 })
+      .limit(limit)
+      .skip((page - 1) * limit),
+    Document.countDocuments(query),
+    Document.countDocuments({ status: 'expired', retiredAt: null, ...(type && { type }) }),
+    ...windowCounts
+  ]);
+
+  const counts = { expired };
+  EXPIRY_POLICY.reminderDays.forEach((windowDays, i) => {
+    counts[`within${windowDays}Days`] = perWindow[i];
+  });
+
+  return {
+    documents: documents.map(document => ({
+      ...document.toObject(),
+      daysLeft: daysUntil(document.expiryDate, now)
+    })),
+    counts,
+    total
+  };
+};
+
+/**
+ * Expire credentials and send reminders on an interval for the life of the process
+ */
+const startCredentialExpiryJob = (app, intervalMs = 60 * 60 * 1000) => {
+  const run = async () => {
+    try {
+      const expired = await expireCredentials(app);
+      const reminded = await sendExpiryReminders(app);
+      if (expired > 0 || reminded > 0) {
+        console.log(`⏰ Credentials: ${expired} expired, ${reminded} expiry reminder${reminded === 1 ? '' : 's'} sent`);
+      }
+    } catch (error) {
+      console.error('Credential expiry job error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  EXPIRY_POLICY,
+  expireCredentials,
+  sendExpiryReminders,
+  getExpiringCredentials,
+  startCredentialExpiryJob
+};
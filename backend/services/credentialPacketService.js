@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const CredentialPacket = require('../models/CredentialPacket');
+const PacketAccess = require('../models/PacketAccess');
+const Document = require('../models/Document');
+const { isBlockedBetween } = require('./blockService');
+
+const SHARE_POLICY = {
+  defaultDays: 14,
+  maxDays: 90,
+  minPasswordLength: 6,
+  maxDocuments: 20
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isShareActive = (share, now = new Date()) => !share.revokedAt && share.expiresAt > now;
+
+/**
+ * Resolve the documents a user picked for a packet to their credentials.
+ * Only current versions of the user's own credentials can be picked.
+ * Returns { credentials } or { error }.
+ */
+const resolveCredentials = async (userId, documentIds) => {
+  if (!Array.isArray(documentIds) || documentIds.length === 0) {
+    return { error: 'Select at least one document' };
+  }
+  if (documentIds.length > SHARE_POLICY.maxDocuments) {
+    return { error: `A packet can hold at most ${SHARE_POLICY.maxDocuments} documents` };
+  }
+  if (!documentIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Invalid document ID' };
+  }
+
+  const documents = await Document.find({
+    _id: { $in: documentIds },
+    user: userId,
+    retiredAt: null,
+    credential: { $ne: null }
+  }).select('credential');
+
+  if (documents.length !== new Set(documentIds.map(String)).size) {
+    return { error: 'Some of the selected documents were not found' };
+  }
+
+  return { credentials: documents.map(document => document.credential) };
+};
+
+/**
+ * Current version of each credential still in the packet (deleted credentials drop out)
+ */
+const packetDocuments = (packet) => Document.find({
+  credential: { $in: packet.credentials },
+  retiredAt: null
+})
+  .select('credential version title type category status isVerified startDate expiryDate fileName fileSize mimeType filePath')
+  .sort({ type: 1, title: 1 });
+
+/**
+ * Shape of a packet document shown to a recipient - no storage paths
+ */
+const sharedDocument = (document) => ({
+  _id: document._id,
+  title: document.title,
+  type: document.type,
+  category: document.category,
+  version: document.version,
+  status: document.status,
+  verified: document.isVerified,
+  startDate: document.startDate,
+  expiryDate: document.expiryDate,
+  fileName: document.fileName,
+  fileSize: document.fileSize,
+  mimeType: document.mimeType
+});
+
+/**
+ * Expiry date for a new share, or { error } if the requested lifetime is out of range
+ */
+const shareExpiry = (expiresInDays, now = new Date()) => {
+  const days = expiresInDays === undefined ? SHARE_POLICY.defaultDays : Number(expiresInDays);
+
+  if (!Number.isFinite(days) || days <= 0 || days > SHARE_POLICY.maxDays) {
+    return { error: `expiresInDays must be between 1 and ${SHARE_POLICY.maxDays}` };
+  }
+
+  return { expiresAt: new Date(now.getTime() + days * DAY_MS) };
+};
+
+/**
+ * Add a link share to a packet. The raw token is returned once and only its hash is stored.
+ * Returns { share, token } or { error }.
+ */
+const createLinkShare = async (packet, { expiresInDays, password }) => {
+  const { expiresAt, error } = shareExpiry(expiresInDays);
+  if (error) return { error };
+
+  if (password !== undefined && password !== '' && (typeof password !== 'string' || password.length < SHARE_POLICY.minPasswordLength)) {
+    return { error: `Password must be at least ${SHARE_POLICY.minPasswordLength} characters` };
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  packet.shares.push({
+    kind: 'link',
+    tokenHash: hashToken(token),
+    passwordHash: password ? await bcrypt.hash(password, 10) : undefined,
+    expiresAt
+  });
+  await packet.save();
+
+  return { share: packet.shares[packet.shares.length - 1], token };
+};
+
+/**
+ * Share a packet with one user (e.g. a job poster). An active share with the same
+ * recipient is extended rather than duplicated. Returns { share } or { error }.
+ */
+const createRecipientShare = async (packet, { recipient, job, expiresInDays }) => {
+  const { expiresAt, error } = shareExpiry(expiresInDays);
+  if (error) return { error };
+
+  const existing = packet.shares.find(share => share.kind === 'user'
+    && share.recipient.equals(recipient)
+    && isShareActive(share));
+
+  if (existing) {
+    existing.expiresAt = expiresAt;
+    if (job) existing.job = job;
+  } else {
+    packet.shares.push({ kind: 'user', recipient, job, expiresAt });
+  }
+  await packet.save();
+
+  return { share: existing || packet.shares[packet.shares.length - 1] };
+};
+
+/**
+ * Packet and share for a link token. Returns null unless the link is active.
+ */
+const findLinkShare = async (token) => {
+  const tokenHash = hashToken(String(token));
+  const packet = await CredentialPacket.findOne({ 'shares.tokenHash': tokenHash });
+  if (!packet) return null;
+
+  const share = packet.shares.find(candidate => candidate.tokenHash === tokenHash);
+  return isShareActive(share) ? { packet, share } : null;
+};
+
+/**
+ * Packet and share through which a user was sent a packet. Returns null unless one
+ * is active and neither user has blocked the other since it was shared.
+ */
+const findRecipientShare = async (packetId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(packetId)) return null;
+
+  const packet = await CredentialPacket.findOne({ _id: packetId, 'shares.recipient': userId });
+  if (!packet) return null;
+
+  const share = packet.shares.find(candidate => candidate.kind === 'user'
+    && candidate.recipient.equals(userId)
+    && isShareActive(candidate));
+  if (!share || await isBlockedBetween(packet.user, userId)) return null;
+
+  return { packet, share };
+};
+
+const checkSharePassword = (share, password) => (
+  share.passwordHash ? bcrypt.compare(String(password || ''), share.passwordHash) : Promise.resolve(true)
+);
+
+/**
+ * Log a view or download and update the share's view stats
+ */
+const recordAccess = async ({ packet, share, action, document, viewer, ipAddress, userAgent }) => {
+  await PacketAccess.create({
+    packet: packet._id,
+    share: share._id,
+    viewer,
+    action,
+    document,
+    ipAddress,
+    userAgent
+  });
+
+  await CredentialPacket.updateOne(
+    { _id: packet._id, 'shares._id': share._id },
+    {
+      $set: { 'shares.$.lastViewedAt': new Date() },
+      ...(action === 'view' && { $inc: { 'shares.$.viewCount': 1 } })
+    }
+  );
+};
+
+module.exports = {
+  SHARE_POLICY,
+  isShareActive,
+  resolveCredentials,
+  packetDocuments,
+  sharedDocument,
+  createLinkShare,
+  createRecipientShare,
+  findLinkShare,
+  findRecipientShare,
+  checkSharePassword,
+  recordAccess
+};
@@ -0,0 +1,165 @@
+const Document = require('../models/Document');
+const { notify } = require('./notificationService');
+
+// Statuses a document can move to from each status
+const REVIEW_TRANSITIONS = {
+  submitted: ['in_review', 'approved', 'rejected', 'needs_resubmission', 'expired'],
+  in_review: ['approved', 'rejected', 'needs_resubmission', 'expired'],
+  // Revoked by a reviewer, or back in the queue when the owner changes what it is
+  approved: ['rejected', 'needs_resubmission', 'submitted', 'expired'],
+  // Final - the owner uploads a new document instead
+  rejected: [],
+  // The owner uploads a replacement file
+  needs_resubmission: ['submitted', 'expired'],
+  // Set by the expiry job; the owner uploads a renewed credential
+  expired: ['submitted']
+};
+
+// Decisions a reviewer can record
+const REVIEW_DECISIONS = ['approved', 'rejected', 'needs_resubmission'];
+
+// Statuses waiting on a reviewer
+const PENDING_STATUSES = ['submitted', 'in_review'];
+
+// Owner-facing notification per decision
+const DECISION_TITLES = {
+  approved: (title) => `Your credential "${title}" has been verified`,
+  rejected: (title) => `Your credential "${title}" was rejected`,
+  needs_resubmission: (title) => `Please resubmit your credential "${title}"`
+};
+
+const fromStatuses = (status) => Object.keys(REVIEW_TRANSITIONS)
+  .filter(from => REVIEW_TRANSITIONS[from].includes(status));
+
+// Statuses the expiry job acts on
+const EXPIRABLE_STATUSES = fromStatuses('expired');
+
+/**
+ * Move a document to `status` and record the change in its review history.
+ * The update only applies to a credential's current version, while it is in a
+ * status that may move there (narrowed further by `from`), so concurrent
+ * reviewers can't both decide - returns null when it doesn't apply.
+ */
+const moveDocument = (filter, status, { from, by, reason, note, set = {}, unset = [] }) => Document.findOneAndUpdate(
+  {
+    ...filter,
+    retiredAt: null,
+    status: { $in: fromStatuses(status).filter(current => !from || from.includes(current)) }
+  },
+  {
+    $set: { status, ...set },
+    ...(unset.length > 0 && { $unset: Object.fromEntries(unset.map(field => [field, ''])) }),
+    $push: { reviewHistory: { status, reason, note, by, at: new Date() } }
+  },
+  { new: true }
+);
+
+/**
+ * Take a pending document for review (or take it over from another reviewer).
+ * Returns null if it isn't pending or has been superseded.
+ */
+const claimDocument = (documentId, reviewer) => Document.findOneAndUpdate(
+  { _id: documentId, retiredAt: null, status: { $in: PENDING_STATUSES } },
+  {
+    $set: { status: 'in_review', assignedTo: reviewer._id },
+    $push: { reviewHistory: { status: 'in_review', by: reviewer._id, at: new Date() } }
+  },
+  { new: true }
+);
+
+/**
+ * Record a reviewer's decision and tell the owner.
+ * Approval marks the credential verified; rejection or a resubmission request
+ * clears it and stores the reason shown to the owner.
+ * Returns null if the document can't move to that decision from its current status.
+ */
+const decideDocument = async (app, documentId, { decision, reason, note, reviewer }) => {
+  const approved = decision === 'approved';
+
+  const document = await moveDocument({ _id: documentId }, decision, {
+    by: reviewer._id,
+    reason,
+    note,
+    set: approved
+      ? { isVerified: true, verifiedBy: reviewer._id, verifiedAt: new Date() }
+      : { isVerified: false, rejectionReason: reason },
+    unset: approved ? ['rejectionReason'] : ['verifiedBy', 'verifiedAt']
+  });
+
+  if (document) {
+    await notify(app, {
+      recipient: document.user,
+      actor: reviewer._id,
+      type: 'credential_review',
+      title: DECISION_TITLES[decision](document.title),
+      body: approved ? undefined : reason,
+      data: { documentId: document._id, status: decision },
+      link: '/documents'
+    });
+  }
+
+  return document;
+};
+
+/**
+ * Replace the file of a document the reviewer sent back or that expired (with its
+ * new expiry date), and put it back in the queue.
+ * Returns null unless the owner's document is awaiting resubmission or expired.
+ */
+const resubmitDocument = (documentId, ownerId, file, { expiryDate } = {}) => moveDocument(
+  { _id: documentId, user: ownerId },
+  'submitted',
+  {
+    from: ['needs_resubmission', 'expired'],
+    by: ownerId,
+    set: {
+      fileName: file.originalname,
+      filePath: file.key,
+      fileSize: file.size,
+      mimeType: file.mimetype,
+      ...(expiryDate && { expiryDate })
+    },
+    unset: ['assignedTo', 'rejectionReason', ...(expiryDate ? ['expiredAt', 'expiryRemindersSent'] : [])]
+  }
+);
+
+/**
+ * Mark a credential whose expiry date has passed as expired, so it no longer counts as verified.
+ * Returns null if it has been renewed, decided or expired in the meantime.
+ */
+const expireDocument = (documentId, now = new Date()) => moveDocument(
+  { _id: documentId, expiryDate: { $lte: now } },
+  'expired',
+  {
+    reason: 'Credential expired',
+    set: { isVerified: false, expiredAt: now },
+    unset: ['assignedTo']
+  }
+);
+
+/**
+ * Send an approved document back to the queue after the owner changed its type
+ */
+const requeueDocument = (documentId, ownerId) => moveDocument(
+  { _id: documentId, user: ownerId },
+  'submitted',
+  {
+    from: ['approved'],
+    by: ownerId,
+    reason: 'Document type changed',
+    set: { isVerified: false },
+    unset: ['assignedTo', 'verifiedBy', 'verifiedAt']
+  }
+);
+
+module.exports = {
+  REVIEW_TRANSITIONS,
+  REVIEW_DECISIONS,
+  PENDING_STATUSES,
+  EXPIRABLE_STATUSES,
+  claimDocument,
+  decideDocument,
+  resubmitDocument,
+  requeueDocument,
+  expireDocument
+};
@@ -0,0 +1,166 @@
+const Credential = require('../models/Credential');
+const Document = require('../models/Document');
+const { runAtomically } = require('./transactionService');
+
+// Fields of an uploaded file stored on its document
+const fileFields = (file) => ({
+  fileName: file.originalname,
+  filePath: file.key,
+  fileSize: file.size,
+  mimeType: file.mimetype
+});
+
+/**
+ * Record a new credential with the uploaded file as version 1.
+ * Returns the version's Document.
+ */
+const createCredential = (userId, { title, type, category, startDate, expiryDate, notes }, file) => runAtomically(async (session) => {
+  const [credential] = await Credential.create([{ user: userId, type, title, category }], { session });
+
+  const [document] = await Document.create([{
+    user: userId,
+    credential: credential._id,
+    version: 1,
+    title,
+    type,
+    category,
+    ...fileFields(file),
+    startDate,
+    expiryDate,
+    notes
+  }], { session });
+
+  await Credential.updateOne(
+    { _id: credential._id },
+    { currentVersion: document._id, versionCount: 1 },
+    { session }
+  );
+
+  return document;
+});
+
+/**
+ * Upload a new version of one of the user's credentials (e.g. a renewed licence).
+ * The new version goes into the review queue and the previous one is retired,
+ * so it stops counting towards verification but stays downloadable.
+ * Returns the new Document, or null if the credential isn't the user's or was deleted.
+ */
+const addVersion = (credentialId, userId, { title, startDate, expiryDate, notes }, file) => runAtomically(async (session) => {
+  // $inc hands out the version number, so concurrent uploads can't share one
+  const credential = await Credential.findOneAndUpdate(
+    { _id: credentialId, user: userId, archivedAt: null },
+    { $inc: { versionCount: 1 }, ...(title && { $set: { title } }) },
+    { new: true, session }
+  );
+
+  if (!credential) return null;
+
+  const [document] = await Document.create([{
+    user: userId,
+    credential: credential._id,
+    version: credential.versionCount,
+    title: credential.title,
+    type: credential.type,
+    category: credential.category,
+    ...fileFields(file),
+    startDate,
+    expiryDate,
+    notes
+  }], { session });
+
+  await Document.updateOne(
+    { _id: credential.currentVersion, retiredAt: null },
+    { $set: { retiredAt: new Date(), supersededBy: document._id }, $unset: { assignedTo: '' } },
+    { session }
+  );
+
+  await Credential.updateOne({ _id: credential._id }, { currentVersion: document._id }, { session });
+
+  return document;
+});
+
+/**
+ * Delete a credential for the owner: it leaves their list and stops counting,
+ * but every version is kept for audit. Returns null if it isn't theirs.
+ */
+const archiveCredential = (credentialId, userId) => runAtomically(async (session) => {
+  const credential = await Credential.findOneAndUpdate(
+    { _id: credentialId, user: userId, archivedAt: null },
+    { $set: { archivedAt: new Date() } },
+    { new: true, session }
+  );
+
+  if (!credential) return null;
+
+  await Document.updateMany(
+    { credential: credential._id, retiredAt: null },
+    { $set: { retiredAt: credential.archivedAt }, $unset: { assignedTo: '' } },
+    { session }
+  );
+
+  return credential;
+});
+
+/**
+ * When a version was verified: from its approval until it was revoked, expired
+ * or retired (null while it still counts). Null if it was never approved.
+ */
+const verifiedPeriod = (document) => {
+  const approval = document.reviewHistory.findIndex(entry => entry.status === 'approved');
+  if (approval === -1) return null;
+
+  const ended = document.reviewHistory.slice(approval + 1).find(entry => entry.status !== 'approved');
+  const ends = [ended && ended.at, document.retiredAt].filter(Boolean);
+
+  return {
+    from: document.reviewHistory[approval].at,
+    until: ends.length > 0 ? new Date(Math.min(...ends.map(date => date.getTime()))) : null
+  };
+};
+
+/**
+ * Every credential the user has had, including deleted ones, with each version's
+ * status and when it was valid (the dates on the document) and verified (by review).
+ */
+const getTimeline = async (userId) => {
+  const [credentials, versions] = await Promise.all([
+    Credential.find({ user: userId }).sort({ createdAt: 1 }),
+    Document.find({ user: userId, credential: { $ne: null } })
+      .select('credential version title status startDate expiryDate expiredAt retiredAt reviewHistory createdAt')
+      .sort({ version: 1 })
+  ]);
+
+  const byCredential = new Map();
+  versions.forEach(version => {
+    const key = version.credential.toString();
+    if (!byCredential.has(key)) byCredential.set(key, []);
+    byCredential.get(key).push(version);
+  });
+
+  return credentials.map(credential => ({
+    _id: credential._id,
+    title: credential.title,
+    type: credential.type,
+    category: credential.category,
+    archivedAt: credential.archivedAt,
+    currentVersion: credential.currentVersion,
+    versions: (byCredential.get(credential._id.toString()) || []).map(version => ({
+      _id: version._id,
+      version: version.version,
+      status: version.status,
+      uploadedAt: version.createdAt,
+      validFrom: version.startDate,
+      validUntil: version.expiryDate,
+      verified: verifiedPeriod(version),
+      expiredAt: version.expiredAt,
+      retiredAt: version.retiredAt
+    }))
+  }));
+};
+
+module.exports = {
+  createCredential,
+  addVersion,
+  archiveCredential,
+  getTimeline
+};
@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { getBlockedIds } = require('./blockService');
+const { nearStages } = require('./geoService');
+const { visibleProfile, visibleToQuery } = require('./profileVisibilityService');
+
+// Featured members rank this much higher than an equally relevant match
+const FEATURED_BOOST = 1.5;
+
+const MAX_PAGE_SIZE = 50;
+const MAX_SPECIALTY_FACETS = 25;
+const MAX_STATE_FACETS = 60;
+
+// Never leave the database with a search result
+const HIDDEN_FIELDS = {
+  password: 0,
+  twoFactor: 0,
+  bankDetails: 0,
+  notificationPreferences: 0,
+  blockedUsers: 0,
+  moderationWarnings: 0,
+  suspensionReason: 0,
+  pendingRequests: 0
+};
+
+// Backend document types as the frontend names them
+const DOCUMENT_TYPE_NAMES = {
+  'medical-license': 'license',
+  'board-certification': 'certification',
+  degree: 'degree',
+  other: 'other'
+};
+
+// Fields covered by the text index, matched by regex when $text can't be used.
+// Only public fields - a keyword match would reveal a bio the viewer can't see.
+const TEXT_FIELDS = ['firstName', 'lastName', 'companyName', 'specialty', 'subSpecialty', 'description'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const encodeCursor = (rank, id) => Buffer.from(JSON.stringify([rank, id.toString()])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [rank, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof rank !== 'number' || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return { rank, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Filters shared by the results and the facet counts.
+ * Each filter is its own $and clause so they combine instead of overwriting each other.
+ */
+const buildMatch = async (viewer, { search, type, specialty, category, location, state, near }) => {
+  const blockedIds = await getBlockedIds(viewer);
+  const clauses = [
+    { isActive: true, isOnboarded: true, _id: { $nin: [viewer._id, ...blockedIds] } }
+  ];
+
+  if (type) {
+    clauses.push({ userType: type });
+  }
+
+  if (specialty) {
+    const pattern = new RegExp(escapeRegex(specialty), 'i');
+    clauses.push({ $or: [{ specialty: pattern }, { subSpecialty: pattern }] });
+  }
+
+  if (category) {
+    clauses.push({ category });
+  }
+
+  // Location filters only match members who show the viewer their location,
+  // otherwise the results would reveal it
+  if (state) {
+    clauses.push({ state: new RegExp(`^${escapeRegex(state)}$`, 'i') }, visibleToQuery('location', viewer));
+  }
+
+  if (location) {
+    const pattern = new RegExp(escapeRegex(location), 'i');
+    clauses.push({ $or: [{ city: pattern }, { state: pattern }] }, visibleToQuery('location', viewer));
+  }
+
+  // Radius search uses the ZIP code
+  if (near) {
+    clauses.push(visibleToQuery('address', viewer));
+  }
+
+  // $text can't be combined with $geoNear, so radius searches match keywords by regex
+  if (search && near) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    clauses.push({ $or: TEXT_FIELDS.map(field => ({ [field]: pattern })) });
+  }
+
+  // $text has to be in the first $match of the pipeline
+  return search && !near
+    ? { $text: { $search: search }, $and: clauses }
+    : { $and: clauses };
+};
+
+/**
+ * Search the member directory.
+ *
+ * Results are ranked by text relevance (when searching) boosted for featured members,
+ * or nearest first for a radius search (filters.near = { point, radiusMiles }), and
+ * paged with an opaque cursor. Facet counts and verified-credential flags come
+ * from the same aggregation.
+ * Returns { users, facets, total, pageInfo: { hasMore, nextCursor } }.
+ */
+const searchDirectory = async (viewer, filters = {}) => {
+  const limit = Math.min(Math.max(parseInt(filters.limit) || 20, 1), MAX_PAGE_SIZE);
+  const after = filters.cursor ? decodeCursor(filters.cursor) : null;
+
+  const match = await buildMatch(viewer, filters);
+
+  // Nearest first: rank falls as distance grows
+  const rank = filters.near
+    ? { $multiply: ['$distanceMiles', -1] }
+    : {
+      $multiply: [
+        filters.search ? { $meta: 'textScore' } : 1,
+        { $cond: ['$isFeatured', FEATURED_BOOST, 1] }
+      ]
+    };
+
+  const pipeline = [
+    ...(filters.near ? nearStages(filters.near, match) : [{ $match: match }]),
+    { $addFields: { rank } },
+    // Credential documents per type, and whether any of that type is approved and unexpired
+    // (checked here too, so a credential stops counting before the expiry job gets to it)
+    {
+      $lookup: {
+        from: 'documents',
+        let: { userId: '$_id' },
+        pipeline: [
+          // Current versions only - superseded and deleted credentials don't count
+          { $match: { $expr: { $eq: ['$user', '$$userId'] }, retiredAt: null } },
+          {
+            $group: {
+              _id: '$type',
+              verified: {
+                $max: {
+                  $and: [
+                    { $eq: ['$status', 'approved'] },
+                    { $or: [{ $not: ['$expiryDate'] }, { $gt: ['$expiryDate', '$$NOW'] }] }
+                  ]
+                }
+              }
+            }
+          }
+        ],
+        as: 'credentials'
+      }
+    },
+    {
+      $addFields: {
+        hasVerifiedCredentials: { $in: [true, '$credentials.verified'] }
+      }
+    }
+  ];
+
+  if (filters.verified === 'true' || filters.verified === 'false') {
+    pipeline.push({ $match: { hasVerifiedCredentials: filters.verified === 'true' } });
+  }
+
+  const resultStages = [];
+  if (after) {
+    resultStages.push({
+      $match: {
+        $or: [
+          { rank: { $lt: after.rank } },
+          { rank: after.rank, _id: { $lt: after.id } }
+        ]
+      }
+    });
+  }
+  resultStages.push(
+    { $sort: { rank: -1, _id: -1 } },
+    { $limit: limit + 1 },
+    { $project: HIDDEN_FIELDS }
+  );
+
+  pipeline.push({
+    $facet: {
+      results: resultStages,
+      total: [{ $count: 'count' }],
+      userType: [
+        { $group: { _id: '$userType', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ],
+      specialty: [
+        { $match: { specialty: { $nin: [null, ''] } } },
+        { $group: { _id: '$specialty', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: MAX_SPECIALTY_FACETS }
+      ],
+      state: [
+        { $match: { $and: [{ state: { $nin: [null, ''] } }, visibleToQuery('location', viewer)] } },
+        { $group: { _id: '$state', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: MAX_STATE_FACETS }
+      ],
+      verification: [
+        { $group: { _id: '$hasVerifiedCredentials', count: { $sum: 1 } } }
+      ]
+    }
+  });
+
+  const [result] = await User.aggregate(pipeline);
+
+  const hasMore = result.results.length > limit;
+  const page = result.results.slice(0, limit);
+  const connections = new Set(viewer.connections.map(conn => conn.toString()));
+
+  const users = page.map(doc => {
+    const isConnected = connections.has(doc._id.toString());
+    const profile = visibleProfile(doc, viewer);
+
+    const documents = doc.credentials.map(c => ({
+      documentType: DOCUMENT_TYPE_NAMES[c._id] || c._id,
+      verified: c.verified
+    }));
+
+    return {
+      ...profile,
+      isConnected,
+      documents,
+      verifiedCredentials: {
+        license: documents.some(d => d.documentType === 'license' && d.verified),
+        certification: documents.some(d => d.documentType === 'certification' && d.verified),
+        degree: documents.some(d => d.documentType === 'degree' && d.verified)
+      },
+      hasVerifiedCredentials: doc.hasVerifiedCredentials,
+      ...(filters.near && { distanceMiles: doc.distanceMiles })
+    };
+  });
+
+  const counts = (buckets) => buckets.map(({ _id, count }) => ({ value: _id, count }));
+  const verification = Object.fromEntries(result.verification.map(({ _id, count }) => [_id ? 'verified' : 'unverified', count]));
+
+  const last = page[page.length - 1];
+
+  return {
+    users,
+    facets: {
+      userType: counts(result.userType),
+      specialty: counts(result.specialty),
+      state: counts(result.state),
+      verification: {
+        verified: verification.verified || 0,
+        unverified: verification.unverified || 0
+      }
+    },
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    pageInfo: {
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(last.rank, last._id) : null
+    }
+  };
+};
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  decodeCursor,
+  searchDirectory
+};
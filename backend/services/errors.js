@@ -0,0 +1,19 @@
+// HTTP status for each error code, for REST routes that call the same services
+const ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  RATE_LIMITED: 429
+};
+
+/**
+ * Create an error that is reported to the client by code, e.g. socketError('FORBIDDEN', 'Not a participant').
+ * Socket events ack it as is; REST routes map the code through ERROR_STATUS.
+ */
+const socketError = (code, message, details) => Object.assign(new Error(message), { code, details, expose: true });
+
+module.exports = {
+  ERROR_STATUS,
+  socketError
+};
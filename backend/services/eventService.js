@@ -0,0 +1,93 @@
+const UserEvent = require('../models/UserEvent');
+const EventCounter = require('../models/EventCounter');
+
+const MAX_SYNC_EVENTS = 500;
+
+// Socket.IO room every socket of a user joins on connect
+const userRoom = (userId) => `user_${userId}`;
+
+const nextSeq = async (userId) => {
+  const counter = await EventCounter.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return counter.seq;
+};
+
+/**
+ * Record an event for each user under their next sequence number, then push it
+ * to their sockets. Clients receive (payload, { seq }) and use seq to detect gaps.
+ */
+const publishToUsers = async (io, userIds, event, payload) => {
+  const recipients = [...new Set(userIds.map(id => (id._id || id).toString()))];
+  if (recipients.length === 0) return;
+
+  // Store plain JSON so replays look exactly like live events
+  const data = JSON.parse(JSON.stringify(payload));
+
+  const events = await Promise.all(recipients.map(async (user) => ({
+    user,
+    seq: await nextSeq(user),
+    event,
+    payload: data
+  })));
+
+  await UserEvent.insertMany(events);
+
+  if (io) {
+    events.forEach(({ user, seq }) => {
+      io.to(userRoom(user)).emit(event, data, { seq });
+    });
+  }
+};
+
+const publishToUser = (io, userId, event, payload) => publishToUsers(io, [userId], event, payload);
+
+/**
+ * Events a user missed after `since`, oldest first.
+ * resetRequired means events were already pruned (or the client is ahead of the server)
+ * and the client should reload its state instead of replaying.
+ */
+const getEventsSince = async (userId, since, limit = MAX_SYNC_EVENTS) => {
+  const pageSize = Math.min(Math.max(limit, 1), MAX_SYNC_EVENTS);
+
+  const [counter, oldest] = await Promise.all([
+    EventCounter.findById(userId),
+    UserEvent.findOne({ user: userId }).sort({ seq: 1 }).select('seq')
+  ]);
+
+  const latestSeq = counter ? counter.seq : 0;
+
+  if (since > latestSeq || (since < latestSeq && (!oldest || oldest.seq > since + 1))) {
+    return { events: [], latestSeq, hasMore: false, resetRequired: true };
+  }
+
+  const events = await UserEvent.find({ user: userId, seq: { $gt: since } })
+    .sort({ seq: 1 })
+    .limit(pageSize + 1)
+    .select('seq event payload createdAt');
+
+  const hasMore = events.length > pageSize;
+
+  return {
+    events: events.slice(0, pageSize).map(e => ({
+      seq: e.seq,
+      event: e.event,
+      payload: e.payload,
+      createdAt: e.createdAt
+    })),
+    latestSeq,
+    hasMore,
+    resetRequired: false
+  };
+};
+
+module.exports = {
+  MAX_SYNC_EVENTS,
+  userRoom,
+  publishToUsers,
+  publishToUser,
+  getEventsSince
+};
@@ -0,0 +1,75 @@
+const zipCentroids = require('us-zips/map');
+
+const METERS_PER_MILE = 1609.344;
+const DEFAULT_RADIUS_MILES = 25;
+const MAX_RADIUS_MILES = 500;
+
+/**
+ * First five digits of a US ZIP ("02139-4307" -> "02139"), or null
+ */
+const normalizeZip = (zip) => {
+  const match = /^\s*(\d{5})(?:-?\d{4})?\s*$/.exec(String(zip ?? ''));
+  return match ? match[1] : null;
+};
+
+/**
+ * GeoJSON point for a ZIP code's centroid, from the bundled offline dataset.
+ * Returns null for malformed or unknown ZIPs.
+ */
+const geocodeZip = (zip) => {
+  const normalized = normalizeZip(zip);
+  const centroid = normalized && zipCentroids.get(normalized);
+  if (!centroid) return null;
+
+  return { type: 'Point', coordinates: [centroid.longitude, centroid.latitude] };
+};
+
+/**
+ * Parse ?near=<zip>&radius=<miles>.
+ * Returns null when near isn't given, { error } when it's invalid,
+ * otherwise { point, radiusMiles }.
+ */
+const parseNearQuery = ({ near, radius }) => {
+  if (near === undefined || near === '') return null;
+
+  const point = geocodeZip(near);
+  if (!point) {
+    return { error: 'Unknown ZIP code' };
+  }
+
+  const radiusMiles = radius === undefined || radius === '' ? DEFAULT_RADIUS_MILES : Number(radius);
+  if (!Number.isFinite(radiusMiles) || radiusMiles <= 0 || radiusMiles > MAX_RADIUS_MILES) {
+    return { error: `Radius must be between 0 and ${MAX_RADIUS_MILES} miles` };
+  }
+
+  return { point, radiusMiles };
+};
+
+/**
+ * Aggregation stages for a radius search, nearest first. $geoNear has to be the
+ * first stage of the pipeline, so the other filters go in as query.
+ * Each document gets distanceMiles, rounded to a tenth of a mile.
+ */
+const nearStages = ({ point, radiusMiles }, query = {}) => [
+  {
+    $geoNear: {
+      near: point,
+      key: 'geo',
+      spherical: true,
+      query,
+      maxDistance: radiusMiles * METERS_PER_MILE,
+      distanceField: 'distanceMiles',
+      distanceMultiplier: 1 / METERS_PER_MILE
+    }
+  },
+  { $set: { distanceMiles: { $round: ['$distanceMiles', 1] } } }
+];
+
+module.exports = {
+  DEFAULT_RADIUS_MILES,
+  MAX_RADIUS_MILES,
+  normalizeZip,
+  geocodeZip,
+  parseNearQuery,
+  nearStages
+};
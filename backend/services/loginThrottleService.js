@@ -0,0 +1,175 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const LoginAttempt = require('../models/LoginAttempt');
+
+// Throttle policies per key scope
+const POLICIES = {
+  account: {
+    freeAttempts: 3,         // failures allowed before backoff kicks in
+    lockoutThreshold: 10,    // failures that trigger a full lockout
+    maxBackoffMs: 5 * 60 * 1000,
+    lockoutMs: 15 * 60 * 1000
+  },
+  ip: {
+    freeAttempts: 10,
+    lockoutThreshold: 50,
+    maxBackoffMs: 5 * 60 * 1000,
+    lockoutMs: 15 * 60 * 1000
+  }
+};
+
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+const IDLE_RESET_MS = 24 * 60 * 60 * 1000;
+
+// Known accounts are tracked by id so username and email logins share one counter
+const accountKey = (userId, identifier) => userId ? `account:${userId}` : `identifier:${(identifier || '').toLowerCase()}`;
+const ipKey = (ipAddress) => `ip:${ipAddress}`;
+
+/**
+ * Register a failed attempt against a key and apply backoff / lockout
+ */
+const registerFailure = async (key, policy) => {
+  const now = new Date();
+
+  // A lockout that has run its course starts a fresh count
+  await LoginThrottle.updateOne(
+    { key, isLockedOut: true, lockedUntil: { $lte: now } },
+    { $set: { failures: 0, isLockedOut: false } }
+  );
+
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + IDLE_RESET_MS) }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  let delayMs = 0;
+  const update = {};
+
+  if (throttle.failures >= policy.lockoutThreshold) {
+    delayMs = Math.min(policy.lockoutMs * Math.pow(2, throttle.lockouts), MAX_LOCKOUT_MS);
+    update.$set = { isLockedOut: true, failures: 0 };
+    update.$inc = { lockouts: 1 };
+  } else if (throttle.failures > policy.freeAttempts) {
+    // Exponential backoff: 2s, 4s, 8s, ... capped
+    delayMs = Math.min(1000 * Math.pow(2, throttle.failures - policy.freeAttempts), policy.maxBackoffMs);
+  }
+
+  if (delayMs > 0) {
+    const lockedUntil = new Date(now.getTime() + delayMs);
+    update.$max = {
+      lockedUntil,
+      expiresAt: new Date(lockedUntil.getTime() + IDLE_RESET_MS)
+    };
+    await LoginThrottle.updateOne({ key }, update);
+  }
+};
+
+/**
+ * Check whether a login attempt may proceed.
+ * Returns { allowed, scope, retryAfter (seconds), isLockedOut }
+ */
+const checkLoginAllowed = async ({ ipAddress, userId, identifier }) => {
+  const now = new Date();
+  const keys = { account: accountKey(userId, identifier), ip: ipKey(ipAddress) };
+
+  const throttles = await LoginThrottle.find({
+    key: { $in: Object.values(keys) },
+    lockedUntil: { $gt: now }
+  });
+
+  if (throttles.length === 0) {
+    return { allowed: true };
+  }
+
+  // Report the restriction that lasts longest
+  const longest = throttles.reduce((a, b) => (a.lockedUntil > b.lockedUntil ? a : b));
+
+  return {
+    allowed: false,
+    scope: longest.key === keys.ip ? 'ip' : 'account',
+    retryAfter: Math.ceil((longest.lockedUntil - now) / 1000),
+    isLockedOut: longest.isLockedOut
+  };
+};
+
+/**
+ * Record a failed password attempt for both the account and the IP
+ */
+const recordFailedLogin = async ({ ipAddress, userId, identifier }) => {
+  await Promise.all([
+    registerFailure(accountKey(userId, identifier), POLICIES.account),
+    registerFailure(ipKey(ipAddress), POLICIES.ip)
+  ]);
+};
+
+/**
+ * Reset account throttling after a successful login.
+ * IP counters are left alone so one valid account can't launder a credential-stuffing run.
+ */
+const recordSuccessfulLogin = async ({ userId, identifier }) => {
+  await LoginThrottle.deleteMany({
+    key: { $in: [accountKey(userId), accountKey(null, identifier)] }
+  });
+};
+
+/**
+ * Append an entry to the login history
+ */
+const logLoginAttempt = async ({ req, user, identifier, success, reason }) => {
+  try {
+    await LoginAttempt.create({
+      user: user ? user._id : undefined,
+      identifier,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      success,
+      reason
+    });
+  } catch (error) {
+    // History is best-effort - never block a login on it
+    console.error('Login history error:', error);
+  }
+};
+
+/**
+ * Current throttle state for an account (admin view)
+ */
+const getAccountLockout = async (userId) => {
+  const throttle = await LoginThrottle.findOne({ key: accountKey(userId) });
+  const now = new Date();
+
+  if (!throttle) {
+    return { failures: 0, lockouts: 0, isLocked: false };
+  }
+
+  const isLocked = !!throttle.lockedUntil && throttle.lockedUntil > now;
+
+  return {
+    failures: throttle.failures,
+    lockouts: throttle.lockouts,
+    isLocked,
+    isLockedOut: isLocked && throttle.isLockedOut,
+    lockedUntil: isLocked ? throttle.lockedUntil : null,
+    lastFailureAt: throttle.lastFailureAt
+  };
+};
+
+/**
+ * Clear all throttle state for an account (admin action)
+ */
+const clearAccountLockout = async (userId) => {
+  const result = await LoginThrottle.deleteOne({ key: accountKey(userId) });
+  return result.deletedCount > 0;
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  logLoginAttempt,
+  getAccountLockout,
+  clearAccountLockout
+};
@@ -0,0 +1,22 @@
+/**
+ * Console mail driver - prints outgoing mail to stdout (development default)
+ */
+const createConsoleDriver = () => ({
+  name: 'console',
+
+  send: async (mail) => {
+    console.log('=== OUTGOING EMAIL ===');
+    console.log(`To: ${mail.to}`);
+    console.log(`From: ${mail.from}`);
+    if (mail.replyTo) {
+      console.log(`Reply-To: ${mail.replyTo}`);
+    }
+    console.log(`Subject: ${mail.subject}`);
+    console.log(`\n${mail.text}`);
+    console.log('======================\n');
+
+    return { messageId: `console-${Date.now()}` };
+  }
+});
+
+module.exports = createConsoleDriver;
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+/**
+ * File mail driver - writes each outgoing mail as a JSON file so tests and
+ * local tooling can read what would have been sent.
+ */
+const createFileDriver = (options = {}) => {
+  const outboxDir = options.outboxDir || path.join(os.tmpdir(), 'drsclub-mail');
+
+  if (!fs.existsSync(outboxDir)) {
+    fs.mkdirSync(outboxDir, { recursive: true });
+  }
+
+  return {
+    name: 'file',
+    outboxDir,
+
+    send: async (mail) => {
+      const messageId = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+      const filePath = path.join(outboxDir, `mail-${messageId}.json`);
+
+      await fs.promises.writeFile(filePath, JSON.stringify({
+        messageId,
+        sentAt: new Date().toISOString(),
+        ...mail
+      }, null, 2));
+
+      return { messageId, filePath };
+    },
+
+    // Read all mail in the outbox, oldest first (optionally only mail sent to one address)
+    readOutbox: async (to) => {
+      const files = (await fs.promises.readdir(outboxDir))
+        .filter(file => file.startsWith('mail-') && file.endsWith('.json'))
+        .sort();
+
+      const mails = await Promise.all(files.map(async file =>
+        JSON.parse(await fs.promises.readFile(path.join(outboxDir, file), 'utf8'))
+      ));
+
+      return to ? mails.filter(mail => mail.to === to) : mails;
+    },
+
+    clearOutbox: async () => {
+      const files = await fs.promises.readdir(outboxDir);
+      await Promise.all(files
+        .filter(file => file.startsWith('mail-'))
+        .map(file => fs.promises.unlink(path.join(outboxDir, file))));
+    }
+  };
+};
+
+module.exports = createFileDriver;
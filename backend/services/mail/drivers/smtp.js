@@ -0,0 +1,24 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP mail driver backed by nodemailer
+ */
+const createSmtpDriver = (options = {}) => {
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure,
+    auth: options.user ? { user: options.user, pass: options.pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    send: async (mail) => {
+      const info = await transporter.sendMail(mail);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+module.exports = createSmtpDriver;
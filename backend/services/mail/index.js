@@ -0,0 +1,71 @@
+const createConsoleDriver = require('./drivers/console');
+const createFileDriver = require('./drivers/file');
+const createSmtpDriver = require('./drivers/smtp');
+
+const DEFAULT_FROM = 'Drs Club <no-reply@drsclub.org>';
+
+let transport = null;
+
+/**
+ * Build the mail transport from environment configuration.
+ *
+ * MAIL_DRIVER: 'smtp' | 'file' | 'console'
+ *   (defaults to 'smtp' when SMTP_HOST is set, otherwise 'console')
+ */
+const createTransport = () => {
+  const driver = process.env.MAIL_DRIVER || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+  switch (driver) {
+    case 'smtp':
+      return createSmtpDriver({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+    case 'file':
+      return createFileDriver({ outboxDir: process.env.MAIL_OUTBOX_DIR });
+    case 'console':
+      return createConsoleDriver();
+    default:
+      throw new Error(`Unknown MAIL_DRIVER: ${driver}`);
+  }
+};
+
+/**
+ * Get the active mail transport (created on first use)
+ */
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+/**
+ * Replace the active mail transport (e.g. with a file driver in tests)
+ */
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+/**
+ * Send an email through the active transport
+ */
+const sendMail = async ({ to, subject, text, html, replyTo }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    replyTo,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  getTransport,
+  setTransport
+};
@@ -0,0 +1,52 @@
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const greetingName = (user) => user.firstName || user.contactPerson || user.companyName || user.username;
+
+const emailVerification = (user, token) => {
+  const link = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return {
+    subject: 'Verify your Drs Club email address',
+    text: `Hi ${greetingName(user)},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThis link expires in 24 hours. If you did not create a Drs Club account, you can ignore this email.\n\nThe Drs Club Team`,
+    html: `<p>Hi ${escapeHtml(greetingName(user))},</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${link}">Verify email address</a></p><p>This link expires in 24 hours. If you did not create a Drs Club account, you can ignore this email.</p><p>The Drs Club Team</p>`
+  };
+};
+
+const passwordReset = (user, token) => {
+  const link = `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return {
+    subject: 'Reset your Drs Club password',
+    text: `Hi ${greetingName(user)},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nThis link expires in 1 hour and can only be used once. If you did not request a reset, you can ignore this email.\n\nThe Drs Club Team`,
+    html: `<p>Hi ${escapeHtml(greetingName(user))},</p><p>We received a request to reset your password. Click the link below to choose a new one:</p><p><a href="${link}">Reset password</a></p><p>This link expires in 1 hour and can only be used once. If you did not request a reset, you can ignore this email.</p><p>The Drs Club Team</p>`
+  };
+};
+
+const invitation = (senderName) => ({
+  subject: 'Join me on Drs Club',
+  text: `Dear friend,\n\nI have joined this great platform which connects you with others in medical community. Please join https://drsclub.org/\n\nBest regards,\n${senderName}`,
+  html: `<p>Dear friend,</p><p>I have joined this great platform which connects you with others in medical community. Please join <a href="https://drsclub.org/">https://drsclub.org/</a></p><p>Best regards,<br>${escapeHtml(senderName)}</p>`
+});
+
+const notification = (user, { title, body, link }) => {
+  const url = link ? `${FRONTEND_URL}${link}` : FRONTEND_URL;
+
+  return {
+    subject: title,
+    text: `Hi ${greetingName(user)},\n\n${title}${body ? `\n\n${body}` : ''}\n\nView it on Drs Club: ${url}\n\nYou can change which emails you receive in your notification settings.\n\nThe Drs Club Team`,
+    html: `<p>Hi ${escapeHtml(greetingName(user))},</p><p><strong>${escapeHtml(title)}</strong></p>${body ? `<p>${escapeHtml(body)}</p>` : ''}<p><a href="${url}">View it on Drs Club</a></p><p>You can change which emails you receive in your notification settings.</p><p>The Drs Club Team</p>`
+  };
+};
+
+module.exports = {
+  emailVerification,
+  passwordReset,
+  invitation,
+  notification
+};
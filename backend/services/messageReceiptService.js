@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const { emitToConversation } = require('./conversationService');
+
+// Messages in a conversation that other participants sent to this user
+const incomingQuery = (conversationId, userId) => ({
+  conversation: conversationId,
+  sender: { $ne: userId },
+  kind: { $ne: 'system' },
+  deletedFor: { $ne: userId },
+  deletedAt: { $exists: false }
+});
+
+// Incoming messages the user hasn't read yet
+const unreadQuery = (conversationId, userId) => ({
+  ...incomingQuery(conversationId, userId),
+  readBy: { $ne: userId }
+});
+
+/**
+ * Advance the overall status of messages once every recipient has delivered/read them
+ */
+const refreshStatus = async (conversation, messageIds) => {
+  const recipients = Math.max(conversation.participants.length - 1, 1);
+
+  await Message.updateMany(
+    {
+      _id: { $in: messageIds },
+      status: { $ne: 'read' },
+      $expr: { $gte: [{ $size: '$readBy' }, recipients] }
+    },
+    { $set: { status: 'read' } }
+  );
+
+  await Message.updateMany(
+    {
+      _id: { $in: messageIds },
+      status: 'sent',
+      $expr: { $gte: [{ $size: '$deliveredTo' }, recipients] }
+    },
+    { $set: { status: 'delivered' } }
+  );
+
+  return Message.find({ _id: { $in: messageIds } }).select('status');
+};
+
+/**
+ * Record receipts for a user and push the new states to the conversation
+ */
+const recordReceipts = async (io, conversation, userId, messageIds, status) => {
+  const update = status === 'read'
+    ? { $addToSet: { readBy: userId, deliveredTo: userId } }
+    : { $addToSet: { deliveredTo: userId } };
+
+  await Message.updateMany({ _id: { $in: messageIds } }, update);
+
+  const messages = await refreshStatus(conversation, messageIds);
+
+  await emitToConversation(io, conversation, 'messageStatus', {
+    conversationId: conversation._id.toString(),
+    userId: userId.toString(),
+    status,
+    at: new Date(),
+    messages: messages.map(m => ({ _id: m._id.toString(), status: m.status }))
+  });
+};
+
+/**
+ * Mark messages as delivered to a user (acknowledged by their client)
+ * Returns the number of messages updated
+ */
+const markDelivered = async (io, userId, messageIds) => {
+  const ids = (messageIds || []).filter(id => mongoose.Types.ObjectId.isValid(id));
+  if (ids.length === 0) return 0;
+
+  const messages = await Message.find({
+    _id: { $in: ids },
+    sender: { $ne: userId },
+    kind: { $ne: 'system' },
+    deliveredTo: { $ne: userId }
+  }).select('conversation');
+
+  // Group by conversation so each receipt fans out once
+  const byConversation = new Map();
+  messages.forEach(message => {
+    const key = message.conversation.toString();
+    if (!byConversation.has(key)) byConversation.set(key, []);
+    byConversation.get(key).push(message._id);
+  });
+
+  let updated = 0;
+
+  for (const [conversationId, conversationMessageIds] of byConversation) {
+    const conversation = await Conversation.findById(conversationId).select('type participants');
+    if (!conversation || !conversation.hasParticipant(userId)) continue;
+
+    await recordReceipts(io, conversation, userId, conversationMessageIds, 'delivered');
+    updated += conversationMessageIds.length;
+  }
+
+  return updated;
+};
+
+/**
+ * Mark everything in a conversation up to (and including) a message as read by a user.
+ * Without a message, the whole conversation is marked read.
+ * Returns the number of messages updated
+ */
+const markRead = async (io, userId, conversation, upTo = null) => {
+  const query = unreadQuery(conversation._id, userId);
+  if (upTo) {
+    query.createdAt = { $lte: upTo.createdAt };
+  }
+
+  // The read cursor drives unread counts; receipts below drive message status
+  await Conversation.advanceReadCursor(conversation._id, userId, upTo ? upTo.createdAt : new Date());
+
+  const messageIds = await Message.find(query).distinct('_id');
+  if (messageIds.length === 0) return 0;
+
+  await recordReceipts(io, conversation, userId, messageIds, 'read');
+
+  return messageIds.length;
+};
+
+module.exports = {
+  incomingQuery,
+  unreadQuery,
+  markDelivered,
+  markRead
+};
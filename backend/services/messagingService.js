@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const { socketError } = require('./errors');
+const { authorizeConversation, authorizeDirectMessage } = require('./chatAuthorization');
+const { MAX_ATTACHMENTS_PER_MESSAGE, claimAttachments, releaseAttachments } = require('./attachmentService');
+const { emitToConversation, formatMessage } = require('./conversationService');
+const { notify, displayName } = require('./notificationService');
+const presence = require('./presenceService');
+
+const MAX_CONTENT_LENGTH = 5000;
+
+/**
+ * Notify participants who aren't online - everyone else sees the message live
+ */
+const notifyOfflineParticipants = async (app, conversation, senderId, message) => {
+  const recipients = conversation.participants.filter(
+    p => p.toString() !== senderId.toString() && !presence.isOnline(p)
+  );
+
+  if (recipients.length === 0) return;
+
+  const sender = await User.findById(senderId).select('username firstName lastName companyName');
+  const title = conversation.type === 'group'
+    ? `${displayName(sender)} in ${conversation.title}`
+    : `New message from ${displayName(sender)}`;
+  const body = message.content
+    ? message.content.substring(0, 200)
+    : 'Sent an attachment';
+
+  await Promise.all(recipients.map(recipient => notify(app, {
+    recipient,
+    actor: senderId,
+    type: 'new_message',
+    title,
+    body,
+    data: { conversationId: conversation._id, messageId: message._id },
+    link: `/chat/${conversation._id}`
+  })));
+};
+
+/**
+ * Validate, save and deliver a message - the single path used by
+ * POST /api/chat/send and the sendMessage socket event.
+ *
+ * Either recipientId (1:1, must be connected) or conversationId (must be a participant).
+ * Throws socketError() errors for invalid requests.
+ * Returns { message, payload, conversation } - payload is what sockets receive.
+ */
+const sendMessage = async (app, { senderId, recipientId, conversationId, content, attachmentIds }) => {
+  const text = typeof content === 'string' ? content.trim() : '';
+  const ids = Array.isArray(attachmentIds) ? attachmentIds : [];
+
+  if (!text && ids.length === 0) {
+    throw socketError('VALIDATION_ERROR', 'Message content or an attachment is required');
+  }
+
+  if (text.length > MAX_CONTENT_LENGTH) {
+    throw socketError('VALIDATION_ERROR', `Message cannot exceed ${MAX_CONTENT_LENGTH} characters`);
+  }
+
+  if (!recipientId && !conversationId) {
+    throw socketError('VALIDATION_ERROR', 'recipientId or conversationId is required');
+  }
+
+  let conversation;
+  if (conversationId) {
+    conversation = await authorizeConversation(senderId, conversationId);
+  } else {
+    await authorizeDirectMessage(senderId, recipientId);
+    conversation = await Conversation.findOrCreateDirect(senderId, recipientId);
+  }
+
+  // Attachments are uploaded first through POST /api/chat/attachments, and
+  // claimed for the message before it is saved so no two messages share one
+  const messageId = new mongoose.Types.ObjectId();
+  const attachments = await claimAttachments(ids, senderId, { _id: messageId, conversation: conversation._id });
+  if (!attachments) {
+    throw socketError(
+      'VALIDATION_ERROR',
+      `Invalid attachments - send up to ${MAX_ATTACHMENTS_PER_MESSAGE} of your own unsent uploads`
+    );
+  }
+
+  let message;
+  try {
+    message = await Message.create({
+      _id: messageId,
+      conversation: conversation._id,
+      sender: senderId,
+      recipient: conversation.type === 'direct'
+        ? conversation.participants.find(p => p.toString() !== senderId.toString())
+        : undefined,
+      content: text || undefined,
+      attachments: attachments.map(a => a._id)
+    });
+  } catch (error) {
+    if (attachments.length > 0) {
+      await releaseAttachments(messageId);
+    }
+    throw error;
+  }
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    { $set: { lastMessageAt: message.createdAt } }
+  );
+
+  await message.populate('attachments');
+  const payload = formatMessage(message);
+
+  // Every participant's sockets, including the sender's other tabs and devices
+  await emitToConversation(app.get('io'), conversation, 'newMessage', payload);
+
+  await notifyOfflineParticipants(app, conversation, senderId, message);
+
+  await message.populate('sender', 'username firstName lastName companyName userType');
+
+  return { message, payload, conversation };
+};
+
+module.exports = {
+  sendMessage
+};
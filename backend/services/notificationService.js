@@ -0,0 +1,85 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendMail } = require('./mail');
+const mailTemplates = require('./mail/templates');
+const { publishToUser } = require('./eventService');
+
+const { NOTIFICATION_TYPES } = Notification;
+
+/**
+ * Effective delivery channels for a notification type (user preference, else default)
+ */
+const resolvePreferences = (user, type) => {
+  const defaults = NOTIFICATION_TYPES[type];
+  const custom = user.notificationPreferences && user.notificationPreferences.get(type);
+
+  return {
+    inApp: custom && typeof custom.inApp === 'boolean' ? custom.inApp : defaults.inApp,
+    email: custom && typeof custom.email === 'boolean' ? custom.email : defaults.email
+  };
+};
+
+/**
+ * Send an event to all of a user's live sockets (recorded for sync)
+ */
+const emitToUser = (app, userId, event, payload) => publishToUser(app.get('io'), userId, event, payload);
+
+/**
+ * Create a notification, push it over Socket.IO and email it, according to the
+ * recipient's preferences. Never throws - a failed notification must not fail
+ * the action that triggered it.
+ */
+const notify = async (app, { recipient, actor, type, title, body, data = {}, link }) => {
+  try {
+    if (actor && recipient.toString() === actor.toString()) {
+      return null;
+    }
+
+    const user = await User.findById(recipient)
+      .select('email username firstName companyName contactPerson isActive notificationPreferences');
+
+    if (!user || !user.isActive) {
+      return null;
+    }
+
+    const preferences = resolvePreferences(user, type);
+    let notification = null;
+
+    if (preferences.inApp) {
+      notification = await Notification.create({ recipient, actor, type, title, body, data, link });
+      await notification.populate('actor', 'username firstName lastName companyName userType profilePicture companyLogo');
+
+      const unreadCount = await Notification.countDocuments({ recipient, read: false });
+      await emitToUser(app, recipient, 'notification', { notification, unreadCount });
+    }
+
+    if (preferences.email) {
+      try {
+        await sendMail({ to: user.email, ...mailTemplates.notification(user, { title, body, link }) });
+      } catch (mailError) {
+        console.error('Notification email error:', mailError);
+      }
+    }
+
+    return notification;
+  } catch (error) {
+    console.error('Notification error:', error);
+    return null;
+  }
+};
+
+// Display name used in notification text
+const displayName = (user) => {
+  if (!user) return 'Someone';
+  if (user.firstName || user.lastName) {
+    return [user.firstName, user.lastName].filter(Boolean).join(' ');
+  }
+  return user.companyName || user.username;
+};
+
+module.exports = {
+  notify,
+  emitToUser,
+  resolvePreferences,
+  displayName
+};
@@ -0,0 +1,46 @@
+const Role = require('../models/Role');
+
+const ADMIN_PERMISSIONS = Object.keys(Role.PERMISSIONS);
+
+// Permissions members get from their account type - every type that holds credentials manages them
+const USER_TYPE_PERMISSIONS = {
+  doctor: ['documents.manage'],
+  paramedical: ['documents.manage'],
+  attorneys: ['documents.manage'],
+  vendor: [],
+  admin: []
+};
+
+// Admins created before roles existed (isAdmin / userType 'admin' with no roles assigned)
+// keep full access until a role is assigned to them
+const isLegacyAdmin = (user) => {
+  return (user.isAdmin || user.userType === 'admin') && (!user.roles || user.roles.length === 0);
+};
+
+/**
+ * Resolve the full set of permissions a user holds
+ */
+const getUserPermissions = async (user) => {
+  const permissions = new Set(USER_TYPE_PERMISSIONS[user.userType] || []);
+
+  if (isLegacyAdmin(user)) {
+    ADMIN_PERMISSIONS.forEach(permission => permissions.add(permission));
+  } else if (user.roles && user.roles.length > 0) {
+    const roles = await Role.find({ _id: { $in: user.roles } }).select('permissions').lean();
+    roles.forEach(role => role.permissions.forEach(permission => permissions.add(permission)));
+  }
+
+  return permissions;
+};
+
+/**
+ * Whether a permission set grants access to any part of the admin panel
+ */
+const hasAdminAccess = (permissions) => ADMIN_PERMISSIONS.some(permission => permissions.has(permission));
+
+module.exports = {
+  ADMIN_PERMISSIONS,
+  USER_TYPE_PERMISSIONS,
+  getUserPermissions,
+  hasAdminAccess
+};
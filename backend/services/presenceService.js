@@ -0,0 +1,128 @@
+const User = require('../models/User');
+const { userRoom } = require('./eventService');
+
+// userId -> Set of socketIds (one per open tab / device)
+const userSockets = new Map();
+
+/**
+ * Check if a user has at least one connected socket
+ */
+const isOnline = (userId) => userSockets.has(userId.toString());
+
+const onlineCount = () => userSockets.size;
+
+const getOnlineUsers = () => Array.from(userSockets.entries()).map(([userId, sockets]) => ({
+  userId,
+  socketIds: Array.from(sockets)
+}));
+
+/**
+ * Send a presence change to the user's connections only
+ */
+const emitPresence = (io, user, online, lastSeenAt = null) => {
+  if (!io || user.connections.length === 0) return;
+
+  io.to(user.connections.map(conn => userRoom(conn))).emit(online ? 'userOnline' : 'userOffline', {
+    userId: user._id.toString(),
+    isOnline: online,
+    lastSeenAt
+  });
+};
+
+/**
+ * Track a new socket - the user's first socket brings them online
+ */
+const socketConnected = async (io, userId, socketId) => {
+  const id = userId.toString();
+
+  if (!userSockets.has(id)) {
+    userSockets.set(id, new Set([socketId]));
+
+    const user = await User.findById(id).select('connections showOnlineStatus');
+    if (user && user.showOnlineStatus) {
+      emitPresence(io, user, true);
+    }
+    return;
+  }
+
+  userSockets.get(id).add(socketId);
+};
+
+/**
+ * Stop tracking a socket - closing the user's last socket takes them offline
+ */
+const socketDisconnected = async (io, userId, socketId) => {
+  const id = userId.toString();
+  const sockets = userSockets.get(id);
+
+  if (!sockets) return;
+
+  sockets.delete(socketId);
+  if (sockets.size > 0) return;
+
+  userSockets.delete(id);
+
+  const lastSeenAt = new Date();
+  await User.updateOne({ _id: id }, { $set: { lastSeenAt } });
+
+  const user = await User.findById(id).select('connections showOnlineStatus');
+  if (user && user.showOnlineStatus) {
+    emitPresence(io, user, false, lastSeenAt);
+  }
+};
+
+/**
+ * Presence of several users as seen by viewer. Only the viewer's connections
+ * (and the viewer themselves) are visible, and only if they share their status.
+ */
+const getPresence = async (viewer, userIds) => {
+  const viewerId = viewer._id.toString();
+  const connections = new Set(viewer.connections.map(conn => conn.toString()));
+
+  const users = await User.find({ _id: { $in: userIds } }).select('showOnlineStatus lastSeenAt');
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  return userIds.map(id => {
+    const user = usersById.get(id);
+    const visible = user && (id === viewerId || (connections.has(id) && user.showOnlineStatus));
+
+    if (!visible) {
+      return { userId: id, isOnline: false, lastSeenAt: null, hidden: true };
+    }
+
+    const online = isOnline(id);
+    return {
+      userId: id,
+      isOnline: online,
+      lastSeenAt: online ? null : (user.lastSeenAt || null)
+    };
+  });
+};
+
+/**
+ * Show or hide a user's online status; connections are told straight away
+ */
+const setOnlineStatusVisibility = async (io, userId, showOnlineStatus) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { showOnlineStatus } },
+    { new: true }
+  ).select('connections showOnlineStatus lastSeenAt');
+
+  if (user && isOnline(userId)) {
+    // Hiding looks like going offline; showing again looks like coming online
+    emitPresence(io, user, showOnlineStatus, showOnlineStatus ? null : (user.lastSeenAt || null));
+  }
+
+  return user;
+};
+
+module.exports = {
+  isOnline,
+  onlineCount,
+  getOnlineUsers,
+  socketConnected,
+  socketDisconnected,
+  getPresence,
+  setOnlineStatusVisibility
+};
@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Shown to anyone who can see the user at all
+const PUBLIC_FIELDS = [
+  '_id', 'username', 'userType', 'firstName', 'lastName', 'companyName',
+  'specialty', 'subSpecialty', 'category', 'description',
+  'profilePicture', 'companyLogo', 'emailVerified', 'phoneVerified', 'isFeatured'
+];
+
+// Shown to the user's connections
+const CONNECTION_FIELDS = ['contactPerson', 'website', 'servicesOffered', 'awards', 'createdAt'];
+
+// Fields whose audience the user chooses, by User.profileVisibility setting
+const VISIBILITY_SETTINGS = {
+  email: ['email'],
+  phone: ['phone'],
+  location: ['location', 'city', 'state'],
+  address: ['address', 'zip'],
+  bio: ['bio'],
+  jobStatus: ['jobStatus']
+};
+
+// Everything a profile view can contain - select this when loading users for visibleProfile.
+// Any other field is only ever returned to the user themselves.
+const PROFILE_FIELDS = [
+  ...PUBLIC_FIELDS,
+  ...CONNECTION_FIELDS,
+  ...Object.values(VISIBILITY_SETTINGS).flat(),
+  'profileVisibility'
+].join(' ');
+
+// Boolean privacy flags from before profileVisibility, still accepted on profile updates
+const LEGACY_FLAGS = {
+  showEmail: 'email',
+  showPhone: 'phone',
+  showLocation: 'location',
+  showBio: 'bio',
+  showJobStatus: 'jobStatus'
+};
+
+const defaultAudience = (setting) => User.schema.path(`profileVisibility.${setting}`).defaultValue;
+
+const audienceOf = (user, setting) => (user.profileVisibility && user.profileVisibility[setting]) || defaultAudience(setting);
+
+/**
+ * How the viewer relates to a user: 'self', 'connections' or 'public'.
+ * A missing viewer (signed-out request) is 'public'.
+ */
+const relationshipOf = (viewer, userId) => {
+  if (!viewer) return 'public';
+
+  const id = userId.toString();
+  if (viewer._id.toString() === id) return 'self';
+
+  return viewer.connections.some(conn => conn.toString() === id) ? 'connections' : 'public';
+};
+
+const allows = (audience, relationship) => (
+  relationship === 'self'
+  || audience === 'public'
+  || (audience === 'connections' && relationship === 'connections')
+);
+
+/**
+ * Whether the viewer may see the fields covered by one of the user's visibility settings
+ */
+const canSee = (user, viewer, setting) => allows(audienceOf(user, setting), relationshipOf(viewer, user._id));
+
+/**
+ * The parts of a user's profile the viewer may see.
+ * Accepts a document or a plain object (lean, aggregated or populated); fields it
+ * wasn't loaded with are just left out.
+ */
+const visibleProfile = (user, viewer) => {
+  const source = typeof user.toObject === 'function' ? user.toObject() : user;
+  const relationship = relationshipOf(viewer, source._id);
+  const profile = {};
+
+  const copy = (fields) => fields.forEach(field => {
+    if (source[field] !== undefined) {
+      profile[field] = source[field];
+    }
+  });
+
+  copy(PUBLIC_FIELDS);
+
+  if (relationship !== 'public') {
+    copy(CONNECTION_FIELDS);
+  }
+
+  Object.entries(VISIBILITY_SETTINGS).forEach(([setting, fields]) => {
+    if (allows(audienceOf(source, setting), relationship)) {
+      copy(fields);
+    }
+  });
+
+  if (profile.jobStatus === 'none') {
+    delete profile.jobStatus;
+  }
+
+  return profile;
+};
+
+/**
+ * visibleProfile for the user populated at `path` of each item,
+ * e.g. event attendees or job applicants. Unpopulated IDs are left as they are
+ * and deleted users stay null.
+ */
+const withVisibleProfiles = (items, path, viewer) => items.map(item => {
+  const plain = typeof item.toObject === 'function' ? item.toObject() : item;
+  const user = plain[path];
+
+  if (!user || user instanceof mongoose.Types.ObjectId) {
+    return plain;
+  }
+
+  return {
+    ...plain,
+    [path]: visibleProfile(user, viewer)
+  };
+});
+
+/**
+ * Query condition matching users whose `setting` fields the viewer may see.
+ * Use it wherever a filter on those fields would otherwise reveal them.
+ * Missing settings (accounts from before profileVisibility) count as the default.
+ */
+const visibleToQuery = (setting, viewer) => {
+  const path = `profileVisibility.${setting}`;
+  const stored = (audience) => (defaultAudience(setting) === audience ? [audience, null] : [audience]);
+
+  return {
+    $or: [
+      { [path]: { $in: stored('public') } },
+      { [path]: { $in: stored('connections') }, _id: { $in: viewer.connections } }
+    ]
+  };
+};
+
+/**
+ * Validate a profileVisibility update, e.g. { phone: 'private' }, given as an
+ * object or a JSON string (multipart forms). Returns { settings } or { error }.
+ */
+const parseVisibilityUpdate = (value) => {
+  let update = value;
+  if (typeof update === 'string') {
+    try {
+      update = JSON.parse(update);
+    } catch (error) {
+      update = null;
+    }
+  }
+
+  if (!update || typeof update !== 'object' || Array.isArray(update)) {
+    return { error: 'profileVisibility must be an object' };
+  }
+
+  const settings = {};
+  for (const [setting, audience] of Object.entries(update)) {
+    if (!Object.hasOwn(VISIBILITY_SETTINGS, setting)) {
+      return { error: `Unknown visibility setting: ${setting}` };
+    }
+    if (!User.PROFILE_AUDIENCES.includes(audience)) {
+      return { error: `Visibility must be one of: ${User.PROFILE_AUDIENCES.join(', ')}` };
+    }
+    settings[setting] = audience;
+  }
+
+  return { settings };
+};
+
+/**
+ * Audience for a legacy show* flag: hidden is 'private', shown is the
+ * setting's default, or 'connections' where the default is private
+ */
+const legacyFlagAudience = (flag, shown) => {
+  if (shown !== true && shown !== 'true') return 'private';
+
+  const audience = defaultAudience(LEGACY_FLAGS[flag]);
+  return audience === 'private' ? 'connections' : audience;
+};
+
+module.exports = {
+  VISIBILITY_SETTINGS,
+  PROFILE_FIELDS,
+  LEGACY_FLAGS,
+  relationshipOf,
+  canSee,
+  visibleProfile,
+  withVisibleProfiles,
+  visibleToQuery,
+  parseVisibilityUpdate,
+  legacyFlagAudience
+};
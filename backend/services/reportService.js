@@ -0,0 +1,163 @@
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const Event = require('../models/Event');
+const Job = require('../models/Job');
+const Report = require('../models/Report');
+const { revokeAllSessions } = require('./sessionService');
+const { notify } = require('./notificationService');
+const { removeFile } = require('./storage');
+
+const { REPORT_TARGETS } = Report;
+
+const MAX_SUSPENSION_DAYS = 365;
+
+/**
+ * Load what is being reported, as the reporter may see it.
+ * Returns { targetUser, snapshot }, or null if it doesn't exist or the reporter can't see it.
+ */
+const resolveTarget = async (targetType, targetId, reporterId) => {
+  switch (targetType) {
+    case 'user': {
+      const user = await User.findById(targetId).select('username firstName lastName companyName userType bio');
+      if (!user) return null;
+      return {
+        targetUser: user._id,
+        snapshot: {
+          username: user.username,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          companyName: user.companyName,
+          userType: user.userType,
+          bio: user.bio
+        }
+      };
+    }
+    case 'message': {
+      const message = await Message.findById(targetId);
+      if (!message) return null;
+
+      // Only messages from conversations the reporter is part of
+      const conversation = message.conversation
+        ? await Conversation.findById(message.conversation).select('participants')
+        : null;
+      const canSee = conversation
+        ? conversation.hasParticipant(reporterId)
+        : [message.sender, message.recipient].some(id => id && id.toString() === reporterId.toString());
+      if (!canSee) return null;
+
+      return {
+        targetUser: message.sender,
+        snapshot: {
+          content: message.content,
+          conversation: message.conversation,
+          attachments: message.attachments,
+          createdAt: message.createdAt,
+          editedAt: message.editedAt
+        }
+      };
+    }
+    case 'event': {
+      const event = await Event.findById(targetId).select('title description organizer date');
+      if (!event) return null;
+      return {
+        targetUser: event.organizer,
+        snapshot: { title: event.title, description: event.description, date: event.date }
+      };
+    }
+    case 'job': {
+      const job = await Job.findById(targetId).select('title description postedBy');
+      if (!job) return null;
+      return {
+        targetUser: job.postedBy,
+        snapshot: { title: job.title, description: job.description }
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Remove uploaded evidence files (used when a report can't be created)
+ */
+const discardEvidenceFiles = (files = []) => {
+  files.forEach(file => removeFile(file.key));
+};
+
+/**
+ * Save a report along with its uploaded evidence files
+ */
+const createReport = ({ reporterId, targetType, targetId, target, category, description, files = [] }) => Report.create({
+  reporter: reporterId,
+  targetType,
+  target: targetId,
+  targetModel: REPORT_TARGETS[targetType],
+  targetUser: target.targetUser,
+  category,
+  description,
+  snapshot: target.snapshot,
+  evidence: files.map(file => ({
+    fileName: file.originalname,
+    filePath: file.key,
+    fileSize: file.size,
+    mimeType: file.mimetype
+  }))
+});
+
+/**
+ * Apply an admin's decision to the reported account and close the report.
+ * action: dismiss | none | warn | suspend | deactivate
+ */
+const resolveReport = async (app, report, { action, note, suspendDays, admin }) => {
+  const resolution = {
+    action,
+    note,
+    resolvedBy: admin._id,
+    resolvedAt: new Date()
+  };
+
+  if (action === 'warn') {
+    await User.updateOne(
+      { _id: report.targetUser },
+      { $push: { moderationWarnings: { reason: note, report: report._id, issuedBy: admin._id } } }
+    );
+
+    await notify(app, {
+      recipient: report.targetUser,
+      type: 'moderation_warning',
+      title: 'Your account received a warning',
+      body: note,
+      data: { reportId: report._id }
+    });
+  }
+
+  if (action === 'suspend') {
+    resolution.suspendedUntil = new Date(Date.now() + suspendDays * 24 * 60 * 60 * 1000);
+
+    await User.updateOne(
+      { _id: report.targetUser },
+      { $set: { suspendedUntil: resolution.suspendedUntil, suspensionReason: note } }
+    );
+    await revokeAllSessions(report.targetUser, 'account-suspended', app.get('io'));
+  }
+
+  if (action === 'deactivate') {
+    await User.updateOne({ _id: report.targetUser }, { $set: { isActive: false } });
+    await revokeAllSessions(report.targetUser, 'account-deactivated', app.get('io'));
+  }
+
+  report.status = action === 'dismiss' ? 'dismissed' : 'resolved';
+  report.resolution = resolution;
+  await report.save();
+
+  return report;
+};
+
+module.exports = {
+  MAX_SUSPENSION_DAYS,
+  resolveTarget,
+  discardEvidenceFiles,
+  createReport,
+  resolveReport
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your_secret_key';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Socket.IO room that every socket opened with a given session joins
+const sessionRoom = (sessionId) => `session_${sessionId}`;
+
+/**
+ * Sign a short-lived access token bound to a session
+ */
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+};
+
+/**
+ * Build the token payload returned by signup/signin/login/refresh
+ */
+const buildTokenResponse = (session, refreshToken) => {
+  const accessToken = signAccessToken(session.user.toString(), session._id.toString());
+
+  return {
+    token: accessToken,
+    refreshToken,
+    expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+    sessionId: session._id
+  };
+};
+
+/**
+ * Open a new session for a user and issue an access/refresh token pair
+ */
+const createSession = async (userId, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    user: userId,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return buildTokenResponse(session, refreshToken);
+};
+
+/**
+ * Disconnect any live sockets opened with the given sessions
+ */
+const disconnectSessions = (io, sessionIds) => {
+  if (!io) return;
+
+  sessionIds.forEach(sessionId => {
+    io.in(sessionRoom(sessionId)).disconnectSockets(true);
+  });
+};
+
+/**
+ * Revoke a single session
+ */
+const revokeSession = async (sessionId, reason, io) => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+
+  if (session) {
+    disconnectSessions(io, [session._id.toString()]);
+  }
+
+  return session;
+};
+
+/**
+ * Revoke every active session for a user, optionally keeping one (e.g. the current device)
+ */
+const revokeAllSessions = async (userId, reason, io, exceptSessionId = null) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const sessions = await Session.find(query).select('_id');
+  const sessionIds = sessions.map(s => s._id.toString());
+
+  if (sessionIds.length > 0) {
+    await Session.updateMany(
+      { _id: { $in: sessionIds } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    disconnectSessions(io, sessionIds);
+  }
+
+  return sessionIds.length;
+};
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token.
+ * Presenting a refresh token that was already rotated out revokes the whole session.
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const io = req.app.get('io');
+
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHashes: tokenHash });
+    if (reused) {
+      console.warn(`⚠️ Refresh token reuse detected for session ${reused._id}`);
+      await revokeSession(reused._id, 'token-reuse', io);
+    }
+    return null;
+  }
+
+  if (!session.isActive()) {
+    return null;
+  }
+
+  const newRefreshToken = generateRefreshToken();
+
+  // Swap the hash only if it is still the one presented, so of two concurrent
+  // refreshes with the same token exactly one wins
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        lastUsedAt: new Date(),
+        userAgent: req.get('User-Agent') || session.userAgent,
+        ipAddress: req.ip || session.ipAddress
+      },
+      $push: { previousTokenHashes: tokenHash }
+    },
+    { new: true }
+  );
+
+  // Another refresh already rotated this token out - the same token was used twice
+  if (!rotated) {
+    console.warn(`⚠️ Refresh token reuse detected for session ${session._id}`);
+    await revokeSession(session._id, 'token-reuse', io);
+    return null;
+  }
+
+  return { session: rotated, tokens: buildTokenResponse(rotated, newRefreshToken) };
+};
+
+/**
+ * Verify an access token and make sure its session has not been revoked.
+ * Throws if the token is invalid, expired or revoked.
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  if (!decoded.sid) {
+    throw new Error('Token is not bound to a session');
+  }
+
+  const session = await Session.findById(decoded.sid);
+
+  if (!session || !session.isActive() || session.user.toString() !== decoded.userId) {
+    throw new Error('Session has been revoked');
+  }
+
+  return { decoded, session };
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  verifyAccessToken,
+  revokeSession,
+  revokeAllSessions,
+  disconnectSessions,
+  sessionRoom
+};
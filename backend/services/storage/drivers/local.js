@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local disk storage driver - files live under rootDir, keyed by their path
+ * below it. Public files are served by express.static at /uploads (see server.js);
+ * private ones through /api/files with an HMAC-signed, expiring URL.
+ */
+const createLocalDriver = (options = {}) => {
+  const rootDir = path.resolve(options.rootDir || path.join(__dirname, '../../../storage'));
+  const signingSecret = options.signingSecret;
+
+  // Absolute path of a key, refusing anything that would escape rootDir
+  const resolve = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const sign = (key, expires, disposition, contentType) => crypto
+    .createHmac('sha256', signingSecret)
+    .update([key, expires, disposition, contentType].join('\n'))
+    .digest('base64url');
+
+  return {
+    name: 'local',
+    rootDir,
+    publicBaseUrl: '/uploads',
+    resolve,
+
+    put: async (key, body) => {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+
+    get: async (key) => fs.promises.readFile(resolve(key)),
+
+    remove: async (key) => {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+
+    exists: async (key) => fs.existsSync(resolve(key)),
+
+    signedUrl: async (key, { expiresIn, disposition, contentType }) => {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const query = new URLSearchParams({
+        expires: String(expires),
+        disposition,
+        type: contentType || '',
+        signature: sign(key, expires, disposition, contentType || '')
+      });
+      return `/api/files/${key.split('/').map(encodeURIComponent).join('/')}?${query}`;
+    },
+
+    // Check the query of a URL from signedUrl. Returns { disposition, contentType, expires } or null.
+    verifySignedUrl: (key, query) => {
+      const { expires, disposition, type = '', signature } = query;
+      const expected = sign(key, expires, disposition, type);
+
+      if (typeof signature !== 'string' || signature.length !== expected.length) return null;
+      if (!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return null;
+      if (!(Number(expires) > Date.now() / 1000)) return null;
+
+      return { disposition, contentType: type, expires: Number(expires) };
+    }
+  };
+};
+
+module.exports = createLocalDriver;
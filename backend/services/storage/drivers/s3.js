@@ -0,0 +1,70 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, ...). Objects are private; public
+ * files (images/) are linked at publicUrl, which needs a bucket policy or CDN
+ * allowing anonymous reads of that prefix.
+ */
+const createS3Driver = (options = {}) => {
+  const client = new S3Client({
+    region: options.region,
+    endpoint: options.endpoint,
+    forcePathStyle: options.forcePathStyle,
+    credentials: options.accessKeyId
+      ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+      : undefined
+  });
+  const bucket = options.bucket;
+  const publicBaseUrl = (options.publicUrl
+    || (options.endpoint ? `${options.endpoint}/${bucket}` : `https://${bucket}.s3.${options.region}.amazonaws.com`))
+    .replace(/\/$/, '');
+
+  return {
+    name: 's3',
+    bucket,
+    publicBaseUrl,
+
+    put: async (key, body, { contentType } = {}) => {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+    },
+
+    get: async (key) => {
+      const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await object.Body.transformToByteArray());
+    },
+
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    exists: async (key) => {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (error) {
+        if (error.$metadata && error.$metadata.httpStatusCode === 404) return false;
+        throw error;
+      }
+    },
+
+    signedUrl: (key, { expiresIn, disposition, contentType }) => getSignedUrl(
+      client,
+      new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentDisposition: disposition,
+        ResponseContentType: contentType || undefined
+      }),
+      { expiresIn }
+    )
+  };
+};
+
+module.exports = createS3Driver;
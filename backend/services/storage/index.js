@@ -0,0 +1,143 @@
+const createLocalDriver = require('./drivers/local');
+const createS3Driver = require('./drivers/s3');
+
+// Top-level key prefixes. Public ones are linked directly; everything else is
+// only reachable through a short-lived signed URL.
+const STORAGE_AREAS = {
+  images: { public: true },
+  documents: { public: false },
+  attachments: { public: false },
+  reports: { public: false }
+};
+
+const SIGNED_URL_TTL = parseInt(process.env.STORAGE_SIGNED_URL_TTL) || 5 * 60; // seconds
+
+let storage = null;
+
+/**
+ * Build the storage driver from environment configuration.
+ *
+ * STORAGE_DRIVER: 'local' | 's3' (defaults to 'local')
+ *   local: STORAGE_LOCAL_DIR (default backend/storage), STORAGE_SIGNING_SECRET
+ *   s3: S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_PUBLIC_URL, and for
+ *       MinIO or other S3-compatible servers S3_ENDPOINT with S3_FORCE_PATH_STYLE=true
+ */
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  switch (driver) {
+    case 'local':
+      return createLocalDriver({
+        rootDir: process.env.STORAGE_LOCAL_DIR,
+        signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || 'your_secret_key'
+      });
+    case 's3':
+      return createS3Driver({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        publicUrl: process.env.S3_PUBLIC_URL
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+};
+
+/**
+ * Get the active storage driver (created on first use)
+ */
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+/**
+ * Replace the active storage driver (e.g. with a local driver on a temp dir in tests)
+ */
+const setStorage = (newStorage) => {
+  storage = newStorage;
+};
+
+const isPublicKey = (key) => {
+  const area = STORAGE_AREAS[key.split('/')[0]];
+  return Boolean(area && area.public);
+};
+
+/**
+ * URL a public file (e.g. a profile picture) is linked at
+ */
+const publicUrl = (key) => {
+  if (!isPublicKey(key)) {
+    throw new Error(`Not a public storage key: ${key}`);
+  }
+  return `${getStorage().publicBaseUrl}/${key}`;
+};
+
+/**
+ * Key of a file linked at publicUrl(), or null if the URL isn't one of ours
+ */
+const keyFromPublicUrl = (url) => {
+  const prefix = `${getStorage().publicBaseUrl}/`;
+  return typeof url === 'string' && url.startsWith(prefix) ? url.slice(prefix.length) : null;
+};
+
+/**
+ * Content-Disposition header naming the file for the browser
+ */
+const contentDisposition = (disposition, fileName = 'download') => {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+/**
+ * Short-lived URL for a private file. Only hand it out after checking the
+ * requester may see the file. disposition: 'attachment' (download) or 'inline'.
+ */
+const signedUrl = (key, { fileName, contentType, disposition = 'attachment', expiresIn = SIGNED_URL_TTL } = {}) => getStorage()
+  .signedUrl(key, {
+    expiresIn,
+    contentType,
+    disposition: contentDisposition(disposition, fileName)
+  });
+
+/**
+ * Store a file's contents under key
+ */
+const putFile = (key, body, options) => getStorage().put(key, body, options);
+
+const getFile = (key) => getStorage().get(key);
+
+const fileExists = (key) => getStorage().exists(key);
+
+/**
+ * Delete a stored file. Failures are logged rather than thrown - a leftover file
+ * shouldn't fail the request that replaced or deleted it.
+ */
+const removeFile = async (key) => {
+  if (!key) return;
+  try {
+    await getStorage().remove(key);
+  } catch (error) {
+    console.error(`Error deleting stored file ${key}:`, error);
+  }
+};
+
+module.exports = {
+  STORAGE_AREAS,
+  SIGNED_URL_TTL,
+  getStorage,
+  setStorage,
+  isPublicKey,
+  publicUrl,
+  keyFromPublicUrl,
+  signedUrl,
+  putFile,
+  getFile,
+  fileExists,
+  removeFile
+};
@@ -0,0 +1,250 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Connection = require('../models/Connection');
+const Event = require('../models/Event');
+const { getBlockedIds } = require('./blockService');
+const { PROFILE_FIELDS, canSee, visibleProfile } = require('./profileVisibilityService');
+
+// Points each shared signal adds to a suggestion's score
+const SUGGESTION_WEIGHTS = {
+  mutualConnection: 10,
+  sharedEvent: 2,
+  subSpecialty: 6,
+  specialty: 4,
+  city: 3,
+  state: 1
+};
+
+// Caps that keep the work per request bounded however large the network gets
+const MAX_CANDIDATES = 300;
+const MAX_MUTUAL_SOURCES = 500;
+const MAX_ATTRIBUTE_CANDIDATES = 100;
+const MAX_SOURCE_EVENTS = 50;
+
+// Projection for candidates: everything a profile view can show, plus the privacy settings
+const SUGGESTION_FIELDS = Object.fromEntries(PROFILE_FIELDS.split(' ').map(field => [field, 1]));
+
+const idSet = (ids) => new Set(ids.map(id => id.toString()));
+
+const sameText = (a, b) => Boolean(a && b && a.trim().toLowerCase() === b.trim().toLowerCase());
+
+/**
+ * Users a viewer should never be suggested or shown: themselves, their connections,
+ * anyone with a pending request either way, and blocks in either direction
+ */
+const getExcludedIds = async (viewer) => {
+  const [pending, blockedIds] = await Promise.all([
+    Connection.find({
+      status: 'pending',
+      $or: [{ requester: viewer._id }, { recipient: viewer._id }]
+    }).select('requester recipient'),
+    getBlockedIds(viewer)
+  ]);
+
+  return idSet([
+    viewer._id,
+    ...viewer.connections,
+    ...pending.flatMap(c => [c.requester, c.recipient]),
+    ...blockedIds
+  ]);
+};
+
+/**
+ * Second-degree connections, most shared connections first
+ */
+const mutualCandidates = async (viewer, excluded) => {
+  if (viewer.connections.length === 0) return [];
+
+  const results = await User.aggregate([
+    { $match: { _id: { $in: viewer.connections.slice(0, MAX_MUTUAL_SOURCES) } } },
+    { $project: { connections: 1 } },
+    { $unwind: '$connections' },
+    { $group: { _id: '$connections', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: MAX_CANDIDATES + excluded.size }
+  ]);
+
+  return results.map(r => r._id).filter(id => !excluded.has(id.toString()));
+};
+
+/**
+ * Users sharing the viewer's sub-specialty, specialty or city
+ */
+const attributeCandidates = async (viewer, excluded) => {
+  const filters = [];
+  if (viewer.subSpecialty) filters.push({ subSpecialty: viewer.subSpecialty });
+  if (viewer.specialty) filters.push({ specialty: viewer.specialty });
+  if (viewer.city && viewer.state) filters.push({ state: viewer.state, city: viewer.city });
+
+  const results = await Promise.all(filters.map(filter => User.find({
+    ...filter,
+    isActive: true,
+    isOnboarded: true
+  })
+    .select('_id')
+    .limit(MAX_ATTRIBUTE_CANDIDATES + excluded.size)
+    .lean()));
+
+  return results.flat().map(u => u._id).filter(id => !excluded.has(id.toString()));
+};
+
+/**
+ * Users who attended the same events as the viewer, with how many they shared
+ */
+const sharedEventCounts = async (viewer, excluded) => {
+  const events = await Event.find({
+    attendees: { $elemMatch: { user: viewer._id, status: { $ne: 'cancelled' } } }
+  })
+    .sort({ date: -1 })
+    .limit(MAX_SOURCE_EVENTS)
+    .select('attendees.user attendees.status')
+    .lean();
+
+  const counts = new Map();
+  events.forEach(event => {
+    const attendees = idSet(event.attendees
+      .filter(a => a.user && a.status !== 'cancelled')
+      .map(a => a.user));
+
+    attendees.forEach(id => {
+      if (!excluded.has(id)) {
+        counts.set(id, (counts.get(id) || 0) + 1);
+      }
+    });
+  });
+
+  return counts;
+};
+
+/**
+ * "People you may know" for a viewer, ranked by mutual connections, shared
+ * specialty, location and event attendance. Returns { suggestions, total }.
+ */
+const getSuggestions = async (viewer, { page = 1, limit = 20 } = {}) => {
+  const excluded = await getExcludedIds(viewer);
+
+  const [mutualIds, attributeIds, eventCounts] = await Promise.all([
+    mutualCandidates(viewer, excluded),
+    attributeCandidates(viewer, excluded),
+    sharedEventCounts(viewer, excluded)
+  ]);
+
+  const eventIds = Array.from(eventCounts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_CANDIDATES)
+    .map(([id]) => id);
+
+  const candidateIds = Array.from(idSet([...mutualIds, ...attributeIds, ...eventIds]));
+  if (candidateIds.length === 0) {
+    return { suggestions: [], total: 0 };
+  }
+
+  // Exact mutual counts come from the candidates' own connection lists
+  const candidates = await User.aggregate([
+    {
+      $match: {
+        _id: { $in: candidateIds.map(id => new mongoose.Types.ObjectId(id)) },
+        isActive: true,
+        isOnboarded: true
+      }
+    },
+    {
+      $project: {
+        ...SUGGESTION_FIELDS,
+        mutualConnections: {
+          $size: { $setIntersection: [{ $ifNull: ['$connections', []] }, viewer.connections] }
+        }
+      }
+    }
+  ]);
+
+  const ranked = candidates.map(candidate => {
+    const reasons = {
+      mutualConnections: candidate.mutualConnections,
+      sharedEvents: eventCounts.get(candidate._id.toString()) || 0,
+      sameSubSpecialty: sameText(candidate.subSpecialty, viewer.subSpecialty),
+      sameSpecialty: sameText(candidate.specialty, viewer.specialty),
+      sameCity: false,
+      sameState: false
+    };
+
+    // A shared location is only a reason when the candidate shows the viewer where they are
+    if (canSee(candidate, viewer, 'location')) {
+      reasons.sameCity = sameText(candidate.state, viewer.state) && sameText(candidate.city, viewer.city);
+      reasons.sameState = sameText(candidate.state, viewer.state);
+    }
+
+    const score = reasons.mutualConnections * SUGGESTION_WEIGHTS.mutualConnection
+      + reasons.sharedEvents * SUGGESTION_WEIGHTS.sharedEvent
+      + (reasons.sameSubSpecialty ? SUGGESTION_WEIGHTS.subSpecialty : 0)
+      + (reasons.sameSpecialty ? SUGGESTION_WEIGHTS.specialty : 0)
+      + (reasons.sameCity ? SUGGESTION_WEIGHTS.city : 0)
+      + (reasons.sameState ? SUGGESTION_WEIGHTS.state : 0);
+
+    return { candidate, reasons, score };
+  })
+    .filter(s => s.score > 0)
+    .sort((a, b) => (b.score - a.score)
+      || (b.reasons.mutualConnections - a.reasons.mutualConnections)
+      || b.candidate._id.toString().localeCompare(a.candidate._id.toString()))
+    .slice(0, MAX_CANDIDATES);
+
+  const suggestions = ranked
+    .slice((page - 1) * limit, page * limit)
+    .map(({ candidate, reasons, score }) => ({
+      ...visibleProfile(candidate, viewer),
+      score,
+      reasons
+    }));
+
+  return { suggestions, total: ranked.length };
+};
+
+/**
+ * Connections the viewer and another user have in common.
+ * Returns null if the other user doesn't exist or either has blocked the other.
+ */
+const getMutualConnections = async (viewer, otherUserId, { page = 1, limit = 20 } = {}) => {
+  const other = await User.findById(otherUserId).select('connections blockedUsers isActive');
+
+  const viewerBlocked = idSet(viewer.blockedUsers || []);
+  if (
+    !other
+    || !other.isActive
+    || viewerBlocked.has(other._id.toString())
+    || idSet(other.blockedUsers).has(viewer._id.toString())
+  ) {
+    return null;
+  }
+
+  const otherConnections = idSet(other.connections);
+  const mutualIds = viewer.connections.filter(id => (
+    otherConnections.has(id.toString()) && !viewerBlocked.has(id.toString())
+  ));
+
+  const query = {
+    _id: { $in: mutualIds },
+    isActive: true,
+    blockedUsers: { $ne: viewer._id }
+  };
+
+  const [connections, total] = await Promise.all([
+    User.find(query)
+      .select(PROFILE_FIELDS)
+      .sort({ _id: 1 })
+      .limit(limit)
+      .skip((page - 1) * limit),
+    User.countDocuments(query)
+  ]);
+
+  return {
+    connections: connections.map(user => visibleProfile(user, viewer)),
+    total
+  };
+};
+
+module.exports = {
+  SUGGESTION_WEIGHTS,
+  getSuggestions,
+  getMutualConnections
+};
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Learned from the first attempt - standalone servers (typical in development) have no transactions
+let transactionsSupported = null;
+
+const isTransactionUnsupported = (error) => (
+  error.code === 20 || /Transaction numbers are only allowed/i.test(error.message || '')
+);
+
+/**
+ * Run fn(session) inside a transaction, retrying on transient errors.
+ * On deployments without transactions fn runs with a null session instead, so
+ * every step should also be guarded by a precondition (e.g. { status: 'pending' }).
+ */
+const runAtomically = async (fn) => {
+  if (transactionsSupported === false) {
+    return fn(null);
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    transactionsSupported = true;
+    return result;
+  } catch (error) {
+    if (transactionsSupported === null && isTransactionUnsupported(error)) {
+      transactionsSupported = false;
+      console.warn('⚠️ MongoDB transactions are not available - running multi-document updates without them');
+      return fn(null);
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  runAtomically
+};
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { setTransport } = require('../services/mail');
+const createFileDriver = require('../services/mail/drivers/file');
+const authRoutes = require('../routes/auth');
+const { listen, query, buildUser, stubUsers, signIn } = require('./helpers');
+
+// Token from the frontend link in a captured mail (text and HTML must agree)
+const linkToken = (mail, page) => {
+  const match = mail.text.match(new RegExp(`/${page}\\?token=(\\S+)`));
+  assert.ok(match, `no /${page} link in "${mail.subject}"`);
+  assert.ok(mail.html.includes(`/${page}?token=${match[1]}`));
+  return decodeURIComponent(match[1]);
+};
+
+describe('account mail', () => {
+  let server;
+  let outbox;
+
+  before(async () => {
+    outbox = createFileDriver({ outboxDir: fs.mkdtempSync(path.join(os.tmpdir(), 'drsclub-mail-test-')) });
+    setTransport(outbox);
+    server = await listen({ '/api/auth': authRoutes });
+  });
+
+  after(async () => {
+    await server.close();
+    await fs.promises.rm(outbox.outboxDir, { recursive: true, force: true });
+    setTransport(null);
+  });
+
+  beforeEach(() => outbox.clearOutbox());
+  afterEach(() => mock.restoreAll());
+
+  describe('email verification', () => {
+    it('mails a verification link whose token verifies the address', async () => {
+      const user = buildUser({ emailVerified: false });
+      stubUsers(user);
+      const token = await signIn(user);
+      const updateOne = mock.method(User, 'updateOne', () => query({ modifiedCount: 1 }));
+
+      const sent = await server.request('POST', '/api/auth/verify-email/send', { token });
+      assert.equal(sent.status, 200);
+
+      const mails = await outbox.readOutbox(user.email);
+      assert.equal(mails.length, 1);
+      assert.equal(mails[0].subject, 'Verify your Drs Club email address');
+
+      const verified = await server.request('POST', '/api/auth/verify-email', {
+        body: { token: linkToken(mails[0], 'verify-email') }
+      });
+      assert.equal(verified.status, 200);
+      assert.equal(updateOne.mock.callCount(), 1);
+      assert.deepEqual(updateOne.mock.calls[0].arguments, [
+        { _id: user._id },
+        { $set: { emailVerified: true } }
+      ]);
+    });
+
+    it('rejects the link once the address has changed', async () => {
+      const user = buildUser({ emailVerified: false });
+      stubUsers(user);
+      const token = await signIn(user);
+      const updateOne = mock.method(User, 'updateOne', () => query({ modifiedCount: 1 }));
+
+      await server.request('POST', '/api/auth/verify-email/send', { token });
+      const [mail] = await outbox.readOutbox(user.email);
+      user.email = 'changed@example.com';
+
+      const verified = await server.request('POST', '/api/auth/verify-email', {
+        body: { token: linkToken(mail, 'verify-email') }
+      });
+      assert.equal(verified.status, 400);
+      assert.equal(updateOne.mock.callCount(), 0);
+    });
+  });
+
+  describe('password reset', () => {
+    const requestReset = (user) => {
+      mock.method(User, 'findOne', (filter) => query(filter.email === user.email ? user : null));
+      return server.request('POST', '/api/auth/forgot-password', { body: { email: user.email } });
+    };
+
+    it('mails a single-use reset link', async () => {
+      const user = buildUser();
+      stubUsers(user);
+      const save = mock.method(User.prototype, 'save', async function() { return this; });
+      mock.method(Session, 'find', () => query([]));
+
+      const requested = await requestReset(user);
+      assert.equal(requested.status, 200);
+
+      const mails = await outbox.readOutbox(user.email);
+      assert.equal(mails.length, 1);
+      assert.equal(mails[0].subject, 'Reset your Drs Club password');
+      const resetToken = linkToken(mails[0], 'reset-password');
+
+      const reset = await server.request('POST', '/api/auth/reset-password', {
+        body: { token: resetToken, password: 'new-password' }
+      });
+      assert.equal(reset.status, 200);
+      assert.equal(save.mock.callCount(), 1);
+      assert.equal(user.password, 'new-password');
+
+      const reused = await server.request('POST', '/api/auth/reset-password', {
+        body: { token: resetToken, password: 'another-password' }
+      });
+      assert.equal(reused.status, 400);
+      assert.equal(save.mock.callCount(), 1);
+    });
+
+    it('sends nothing for an unknown address, with the same response', async () => {
+      const user = buildUser();
+      mock.method(User, 'findOne', () => query(null));
+
+      const requested = await server.request('POST', '/api/auth/forgot-password', { body: { email: user.email } });
+      assert.equal(requested.status, 200);
+      assert.match(requested.body.message, /If an account exists/);
+      assert.deepEqual(await outbox.readOutbox(), []);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Setting = require('../models/Setting');
+const adminRoutes = require('../routes/admin');
+const fileRoutes = require('../routes/files');
+const createLocalDriver = require('../services/storage/drivers/local');
+const { setStorage, putFile } = require('../services/storage');
+const { listen, buildUser, memoryCollection, signIn } = require('./helpers');
+
+describe('editing a user as an admin', () => {
+  let server;
+
+  before(async () => {
+    server = await listen({ '/api/admin': adminRoutes });
+  });
+
+  after(() => server.close());
+  afterEach(() => mock.restoreAll());
+
+  /**
+   * A user manager (users.manage without roles.manage), a super admin role they
+   * must not be able to hand out, and a member to edit
+   */
+  const setUp = async () => {
+    const superAdmin = new Role({ name: 'Super admin', permissions: Object.keys(Role.PERMISSIONS) });
+    const userManager = new Role({ name: 'User manager', permissions: ['users.manage'] });
+    const manager = buildUser({ userType: 'admin', roles: [userManager._id] });
+    const member = buildUser({ twoFactor: { enabled: true, secret: 'SECRET' } });
+
+    const users = memoryCollection(User, [manager, member]);
+    memoryCollection(Role, [superAdmin, userManager]);
+    memoryCollection(Setting, []);
+
+    const stored = (user) => users.find(doc => doc._id.equals(user._id));
+    return { superAdmin, manager, member, stored, token: await signIn(manager) };
+  };
+
+  it('updates profile fields', async () => {
+    const { member, stored, token } = await setUp();
+
+    const { status } = await server.request('PUT', `/api/admin/users/${member._id}`, {
+      token,
+      body: { firstName: 'Ada', city: 'Boston' }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(stored(member).firstName, 'Ada');
+    assert.equal(stored(member).city, 'Boston');
+  });
+
+  const forbiddenBodies = (superAdmin) => [
+    { roles: [superAdmin._id] },
+    { 'roles.0': superAdmin._id },
+    { twoFactor: { enabled: false } },
+    { 'twoFactor.enabled': false },
+    { 'twoFactor.secret': 'ATTACKER' },
+    { suspendedUntil: null },
+    { password: 'new-password' },
+    { firstName: 'Ada', 'roles.0': superAdmin._id }
+  ];
+
+  for (const target of ['another user', 'themselves']) {
+    it(`rejects roles, 2FA and other protected keys when editing ${target}`, async () => {
+      const { superAdmin, manager, member, stored, token } = await setUp();
+      const user = target === 'themselves' ? manager : member;
+      const before = stored(user).toObject();
+
+      for (const body of forbiddenBodies(superAdmin)) {
+        const { status } = await server.request('PUT', `/api/admin/users/${user._id}`, { token, body });
+        assert.equal(status, 400, JSON.stringify(body));
+      }
+
+      assert.deepEqual(stored(user).toObject(), before);
+    });
+  }
+});
+
+describe("downloading a vendor's business licence", () => {
+  let server;
+  let rootDir;
+  const licence = Buffer.from('%PDF-1.4 business licence');
+
+  before(async () => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'drsclub-licence-test-'));
+    setStorage(createLocalDriver({ rootDir, signingSecret: 'licence-test-secret' }));
+    await putFile('documents/doc-1.pdf', licence);
+
+    // Signed URLs for the local driver are served by /api/files
+    server = await listen({ '/api/admin': adminRoutes, '/api/files': fileRoutes });
+  });
+
+  after(async () => {
+    await server.close();
+    setStorage(null);
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  // An admin holding `permissions` and a vendor whose licence is `businessLicense`
+  const setUp = async (permissions, businessLicense) => {
+    const role = new Role({ name: 'Reviewer', permissions });
+    const admin = buildUser({ userType: 'admin', roles: [role._id] });
+    const vendor = buildUser({ userType: 'vendor', businessLicense });
+
+    memoryCollection(User, [admin, vendor]);
+    memoryCollection(Role, [role]);
+    memoryCollection(Setting, []);
+
+    return { vendor, token: await signIn(admin) };
+  };
+
+  const download = (vendor, token) => fetch(`${server.baseUrl}/api/admin/users/${vendor._id}/business-license`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  it('redirects document reviewers to a signed URL', async () => {
+    const { vendor, token } = await setUp(['documents.read'], 'documents/doc-1.pdf');
+
+    const response = await download(vendor, token);
+
+    assert.equal(response.status, 200);
+    assert.match(response.url, /\/api\/files\/documents\/doc-1\.pdf\?/);
+    assert.match(response.headers.get('content-disposition'), new RegExp(`${vendor.username}-business-license\\.pdf`));
+    assert.deepEqual(Buffer.from(await response.arrayBuffer()), licence);
+  });
+
+  it('requires documents.read', async () => {
+    const { vendor, token } = await setUp(['users.read'], 'documents/doc-1.pdf');
+
+    assert.equal((await download(vendor, token)).status, 403);
+  });
+
+  it('is not found when the vendor has no licence on file', async () => {
+    for (const businessLicense of [undefined, 'documents/missing.pdf']) {
+      const { vendor, token } = await setUp(['documents.read'], businessLicense);
+
+      assert.equal((await download(vendor, token)).status, 404);
+      mock.restoreAll();
+    }
+  });
+});
@@ -0,0 +1,264 @@
+const http = require('http');
+const express = require('express');
+const mongoose = require('mongoose');
+const { mock } = require('node:test');
+const sift = require('sift').default;
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { createSession } = require('../services/sessionService');
+
+// Routes log freely to stdout, which the test runner also reads its results from -
+// keep it quiet unless asked (errors still go to stderr)
+if (!process.env.TEST_LOGS) {
+  console.log = () => {};
+}
+
+/**
+ * Stand-in for a mongoose Query that resolves to `result`.
+ * Chained modifiers are accepted and ignored.
+ */
+const query = (result) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject),
+    exec: () => Promise.resolve(result)
+  };
+
+  ['select', 'populate', 'lean', 'sort', 'limit', 'skip', 'distinct', 'session'].forEach(method => {
+    chain[method] = () => chain;
+  });
+
+  return chain;
+};
+
+/**
+ * Socket.IO stand-in that records every emit as { room, event, payload }
+ */
+const fakeIo = () => {
+  const emitted = [];
+  const room = (name) => ({
+    emit: (event, payload) => {
+      emitted.push({ room: name, event, payload });
+      return true;
+    },
+    to: (other) => room([].concat(name, other)),
+    disconnectSockets: () => {}
+  });
+
+  return { emitted, to: room, in: room, emit: (event, payload) => room(null).emit(event, payload) };
+};
+
+/**
+ * Serve routers on an ephemeral port, e.g. listen({ '/api/auth': authRoutes }).
+ * Returns { app, io, baseUrl, request, close }; request(method, path, { body, token }) resolves to { status, body }.
+ */
+const listen = async (routes) => {
+  const app = express();
+  const io = fakeIo();
+
+  app.use(express.json());
+  app.set('io', io);
+  Object.entries(routes).forEach(([path, router]) => app.use(path, router));
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { body, token } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: body && JSON.stringify(body)
+    });
+
+    return { status: response.status, body: await response.json() };
+  };
+
+  return {
+    app,
+    io,
+    baseUrl,
+    request,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+/**
+ * Build an unsaved user document (nothing here touches the database)
+ */
+let userCount = 0;
+const buildUser = (fields = {}) => {
+  userCount += 1;
+  return new User({
+    username: `user${userCount}`,
+    email: `user${userCount}@example.com`,
+    password: 'secret-password',
+    userType: 'doctor',
+    isActive: true,
+    isOnboarded: true,
+    ...fields
+  });
+};
+
+/**
+ * Serve `users` from User.findById, the lookup the auth middleware and most routes use
+ */
+const stubUsers = (...users) => {
+  const byId = (id) => users.find(user => user._id.toString() === String(id)) || null;
+  mock.method(User, 'findById', (id) => query(byId(id)));
+  return byId;
+};
+
+// Resolve a positional path ('codes.$.usedAt') to the array element its filter matched
+const resolvePositional = (doc, filter, path) => {
+  const [arrayPath, rest] = path.split('.$.');
+  const condition = filter[arrayPath]?.$elemMatch;
+  if (!condition) {
+    throw new Error(`No $elemMatch on ${arrayPath} to resolve ${path}`);
+  }
+
+  const index = doc.get(arrayPath).findIndex(item => sift(condition)(item.toObject ? item.toObject() : item));
+  return `${arrayPath}.${index}.${rest}`;
+};
+
+// Apply a MongoDB update document to a mongoose document in place
+const applyUpdate = (doc, filter, update) => {
+  const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+
+  Object.entries(operators).forEach(([operator, fields]) => {
+    Object.entries(fields).forEach(([fieldPath, value]) => {
+      const path = fieldPath.includes('.$.') ? resolvePositional(doc, filter, fieldPath) : fieldPath;
+      const current = doc.get(path);
+
+      switch (operator) {
+        case '$set':
+          doc.set(path, value);
+          break;
+        case '$unset':
+          doc.set(path, undefined);
+          break;
+        case '$inc':
+          doc.set(path, (current || 0) + value);
+          break;
+        case '$max':
+          if (current == null || value > current) doc.set(path, value);
+          break;
+        case '$push':
+          current.push(value);
+          break;
+        case '$addToSet':
+          if (!current.some(item => String(item) === String(value))) current.push(value);
+          break;
+        case '$pull':
+          doc.set(path, current.filter(item => String(item) !== String(value)));
+          break;
+        default:
+          throw new Error(`Unsupported update operator ${operator}`);
+      }
+    });
+  });
+};
+
+/**
+ * Serve a model's common static queries and writes from an in-memory array of
+ * documents, matching filters with sift. Queries return copies, like documents
+ * read from a database, so concurrent requests can hold stale reads. Returns the
+ * array so tests can inspect what was written. Calling it again while the model
+ * is still mocked returns the same store.
+ */
+const stores = new Map();
+const memoryCollection = (Model, docs) => {
+  if (!docs && Model.create.mock && stores.has(Model)) {
+    return stores.get(Model);
+  }
+
+  const store = docs || [];
+  stores.set(Model, store);
+
+  const matching = (filter = {}) => store.filter(doc => sift(filter)(doc.toObject()));
+  const copy = (doc) => doc ? Model.hydrate(doc.toObject()) : null;
+  const updateMatching = (filter, update, many) => {
+    const matched = many ? matching(filter) : matching(filter).slice(0, 1);
+    matched.forEach(doc => applyUpdate(doc, filter, update));
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  };
+  const deleteMatching = (filter, many) => {
+    const matched = many ? matching(filter) : matching(filter).slice(0, 1);
+    matched.forEach(doc => store.splice(store.indexOf(doc), 1));
+    return { deletedCount: matched.length };
+  };
+
+  mock.method(Model, 'create', async (fields) => {
+    const created = [].concat(fields).map(item => new Model(item));
+    store.push(...created);
+    return Array.isArray(fields) ? created : created[0];
+  });
+  mock.method(Model, 'find', (filter) => query(matching(filter).map(copy)));
+  mock.method(Model, 'findOne', (filter) => query(copy(matching(filter)[0])));
+  mock.method(Model, 'findById', (id) => query(copy(matching({ _id: String(id) })[0])));
+  mock.method(Model, 'exists', (filter) => query(matching(filter).length ? { _id: matching(filter)[0]._id } : null));
+  mock.method(Model, 'countDocuments', (filter) => query(matching(filter).length));
+  mock.method(Model, 'updateOne', (filter, update) => query(updateMatching(filter, update, false)));
+  mock.method(Model, 'updateMany', (filter, update) => query(updateMatching(filter, update, true)));
+  mock.method(Model, 'deleteOne', (filter) => query(deleteMatching(filter, false)));
+  mock.method(Model, 'deleteMany', (filter) => query(deleteMatching(filter, true)));
+  mock.method(Model, 'findOneAndUpdate', (filter, update, options = {}) => {
+    let doc = matching(filter)[0];
+    const before = copy(doc);
+
+    if (!doc && options.upsert) {
+      // Seed the new document with the filter's equality conditions
+      const seed = Object.fromEntries(Object.entries(filter).filter(([key, value]) =>
+        !key.startsWith('$') && !(value && typeof value === 'object' && Object.keys(value).some(k => k.startsWith('$')))
+      ));
+      doc = new Model(seed);
+      store.push(doc);
+    }
+
+    if (doc) {
+      applyUpdate(doc, filter, update);
+    }
+
+    return query(options.new ? copy(doc) : before);
+  });
+  mock.method(Model, 'findByIdAndUpdate', (id, update, options) => Model.findOneAndUpdate({ _id: String(id) }, update, options));
+  mock.method(Model.prototype, 'save', async function() {
+    const index = store.findIndex(doc => doc._id.equals(this._id));
+    store.splice(index === -1 ? store.length : index, 1, copy(this));
+    return this;
+  });
+
+  return store;
+};
+
+/**
+ * Open a session for `user` without a database and return its tokens
+ * ({ token, refreshToken, sessionId }). Sessions live in memoryCollection(Session).
+ * Pair with stubUsers(user) so the auth middleware can load the user.
+ */
+const openSession = (user) => {
+  memoryCollection(Session);
+  return createSession(user._id, { get: () => 'node-test', ip: '127.0.0.1' });
+};
+
+/**
+ * Open a session for `user` and return its access token
+ */
+const signIn = async (user) => (await openSession(user)).token;
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+module.exports = {
+  query,
+  fakeIo,
+  listen,
+  buildUser,
+  stubUsers,
+  memoryCollection,
+  openSession,
+  signIn,
+  objectId
+};
@@ -0,0 +1,152 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const LoginThrottle = require('../models/LoginThrottle');
+const LoginAttempt = require('../models/LoginAttempt');
+const Session = require('../models/Session');
+const authRoutes = require('../routes/auth');
+const { listen, buildUser, memoryCollection } = require('./helpers');
+
+const PASSWORD = 'secret-password';
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+
+describe('login throttling', () => {
+  let server;
+  let user;
+  let throttles;
+  let attempts;
+
+  before(async () => {
+    server = await listen({ '/api/auth': authRoutes });
+  });
+
+  after(() => server.close());
+  afterEach(() => mock.restoreAll());
+
+  const setUp = () => {
+    user = buildUser({ password: passwordHash });
+    memoryCollection(User, [user]);
+    memoryCollection(Setting, []);
+    memoryCollection(Session, []);
+    throttles = memoryCollection(LoginThrottle, []);
+    attempts = memoryCollection(LoginAttempt, []);
+  };
+
+  const login = (email, password) => server.request('POST', '/api/auth/login', { body: { email, password } });
+
+  // Let every backoff run out (full lockouts stay in force)
+  const waitOutBackoff = () => {
+    throttles.filter(throttle => !throttle.isLockedOut).forEach(throttle => {
+      throttle.lockedUntil = new Date(Date.now() - 1000);
+    });
+  };
+
+  // Fail `count` times, letting any backoff run out between attempts
+  const failLogins = async (email, count) => {
+    for (let i = 0; i < count; i += 1) {
+      waitOutBackoff();
+      assert.equal((await login(email, 'wrong-password')).status, 401);
+    }
+  };
+
+  // Fail once each against `count` unknown accounts
+  const failAcrossAccounts = async (count) => {
+    for (let i = 0; i < count; i += 1) {
+      waitOutBackoff();
+      assert.equal((await login(`nobody${attempts.length}@example.com`, 'wrong-password')).status, 401);
+    }
+  };
+
+  const throttleFor = (prefix) => throttles.find(throttle => throttle.key.startsWith(prefix));
+
+  describe('per account', () => {
+    it('allows a few failures, then backs off exponentially', async () => {
+      setUp();
+
+      // The free attempts go straight through
+      for (let i = 0; i < 3; i += 1) {
+        assert.equal((await login(user.email, 'wrong-password')).status, 401);
+      }
+      assert.equal((await login(user.email, 'wrong-password')).status, 401);
+
+      // Even the right password has to wait out the backoff
+      const backedOff = await login(user.email, PASSWORD);
+      assert.equal(backedOff.status, 429);
+      assert.equal(backedOff.body.retryAfter, 2);
+
+      waitOutBackoff();
+      assert.equal((await login(user.email, 'wrong-password')).status, 401);
+      assert.equal((await login(user.email, PASSWORD)).body.retryAfter, 4);
+    });
+
+    it('counts username and email attempts against the same account', async () => {
+      setUp();
+      await failLogins(user.email, 2);
+      await failLogins(user.username, 2);
+
+      assert.equal((await login(user.username, PASSWORD)).status, 429);
+      assert.equal(throttleFor(`account:${user._id}`).failures, 4);
+    });
+
+    it('locks the account out after repeated failures', async () => {
+      setUp();
+      await failLogins(user.email, 10);
+
+      const lockedOut = await login(user.email, PASSWORD);
+      assert.equal(lockedOut.status, 429);
+      assert.equal(lockedOut.body.retryAfter, 15 * 60);
+      assert.match(lockedOut.body.message, /locked for 15 minute/);
+      assert.equal(attempts.at(-1).reason, 'account-locked');
+
+      // The lockout does not end with the backoff
+      waitOutBackoff();
+      assert.equal((await login(user.email, PASSWORD)).status, 429);
+    });
+
+    it('resets the count after a successful login', async () => {
+      setUp();
+      await failLogins(user.email, 3);
+
+      waitOutBackoff();
+      assert.equal((await login(user.email, PASSWORD)).status, 200);
+      assert.equal(throttleFor('account:'), undefined);
+
+      // Three more failures are free again
+      await failLogins(user.email, 3);
+      assert.equal((await login(user.email, PASSWORD)).status, 200);
+
+      // The IP keeps counting
+      assert.equal(throttleFor('ip:').failures, 6);
+    });
+  });
+
+  describe('per IP', () => {
+    it('backs off an address that fails across many accounts', async () => {
+      setUp();
+
+      await failAcrossAccounts(11);
+
+      // Each account failed once, but the address is over its free attempts
+      assert.ok(throttles.filter(throttle => throttle.key.startsWith('identifier:')).every(throttle => throttle.failures === 1));
+
+      const backedOff = await login(user.email, PASSWORD);
+      assert.equal(backedOff.status, 429);
+      assert.equal(backedOff.body.retryAfter, 2);
+      assert.equal(attempts.at(-1).reason, 'ip-locked');
+    });
+
+    it('is not reset by a successful login', async () => {
+      setUp();
+      await failAcrossAccounts(11);
+
+      waitOutBackoff();
+      assert.equal((await login(user.email, PASSWORD)).status, 200);
+
+      await failAcrossAccounts(1);
+      assert.equal((await login(user.email, PASSWORD)).status, 429);
+      assert.equal(throttleFor('ip:').failures, 12);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const sift = require('sift').default;
+const User = require('../models/User');
+const Job = require('../models/Job');
+const CredentialPacket = require('../models/CredentialPacket');
+const Notification = require('../models/Notification');
+const EventCounter = require('../models/EventCounter');
+const UserEvent = require('../models/UserEvent');
+const Document = require('../models/Document');
+const PacketAccess = require('../models/PacketAccess');
+const packetRoutes = require('../routes/packets');
+const { listen, query, buildUser, stubUsers, signIn, objectId } = require('./helpers');
+
+describe('sharing a packet with a user', () => {
+  let server;
+
+  before(async () => {
+    server = await listen({ '/api/packets': packetRoutes });
+  });
+
+  after(() => server.close());
+  afterEach(() => mock.restoreAll());
+
+  /**
+   * Sign the owner in with one packet and `recipient` loadable. Block checks run
+   * against the two users' blockedUsers. Returns the token, the packet and spies
+   * on what a share writes.
+   */
+  const setUp = async ({ owner, recipient }) => {
+    const packet = new CredentialPacket({ user: owner._id, title: 'Credentials', credentials: [objectId()] });
+
+    stubUsers(owner, recipient);
+    const token = await signIn(owner);
+
+    mock.method(CredentialPacket, 'findOne', () => query(packet));
+    mock.method(User, 'exists', (filter) => {
+      const match = [owner, recipient].find(user => sift(filter)(user.toObject()));
+      return query(match ? { _id: match._id } : null);
+    });
+    const save = mock.method(CredentialPacket.prototype, 'save', async function() { return this; });
+
+    // Notification delivery (only reached when the share goes through)
+    const createNotification = mock.method(Notification, 'create', async (fields) => ({ ...fields, populate: async () => {} }));
+    mock.method(Notification, 'countDocuments', () => query(1));
+    mock.method(EventCounter, 'findOneAndUpdate', () => query({ seq: 1 }));
+    mock.method(UserEvent, 'insertMany', async (events) => events);
+
+    return { token, packet, save, createNotification };
+  };
+
+  it('shares with a recipient and notifies them', async () => {
+    const owner = buildUser();
+    const recipient = buildUser();
+    const { token, packet, save, createNotification } = await setUp({ owner, recipient });
+
+    const { status } = await server.request('POST', `/api/packets/${packet._id}/shares`, {
+      token,
+      body: { recipientId: recipient._id }
+    });
+
+    assert.equal(status, 201);
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(packet.shares.length, 1);
+    assert.equal(createNotification.mock.callCount(), 1);
+    assert.equal(createNotification.mock.calls[0].arguments[0].type, 'credential_packet');
+  });
+
+  for (const direction of ['the owner blocked the recipient', 'the recipient blocked the owner']) {
+    it(`refuses when ${direction}`, async () => {
+      const owner = buildUser();
+      const recipient = buildUser();
+      if (direction.startsWith('the owner')) {
+        owner.blockedUsers.push(recipient._id);
+      } else {
+        recipient.blockedUsers.push(owner._id);
+      }
+      const { token, packet, save, createNotification } = await setUp({ owner, recipient });
+
+      const { status } = await server.request('POST', `/api/packets/${packet._id}/shares`, {
+        token,
+        body: { recipientId: recipient._id }
+      });
+
+      assert.equal(status, 403);
+      assert.equal(save.mock.callCount(), 0);
+      assert.equal(packet.shares.length, 0);
+      assert.equal(createNotification.mock.callCount(), 0);
+    });
+  }
+
+  it('refuses to send to a job poster who is blocked', async () => {
+    const owner = buildUser();
+    const poster = buildUser({ blockedUsers: [owner._id] });
+    const job = new Job({ title: 'Staff cardiologist', postedBy: poster._id });
+    const { token, packet, save, createNotification } = await setUp({ owner, recipient: poster });
+    mock.method(Job, 'findById', () => query(job));
+
+    const { status } = await server.request('POST', `/api/packets/${packet._id}/shares`, {
+      token,
+      body: { jobId: job._id }
+    });
+
+    assert.equal(status, 403);
+    assert.equal(save.mock.callCount(), 0);
+    assert.equal(createNotification.mock.callCount(), 0);
+  });
+});
+
+describe('opening a packet shared with a user', () => {
+  let server;
+
+  before(async () => {
+    server = await listen({ '/api/packets': packetRoutes });
+  });
+
+  after(() => server.close());
+  afterEach(() => mock.restoreAll());
+
+  /**
+   * Sign the recipient in with a packet already shared with them. Block checks
+   * run against the two users' blockedUsers. Returns the token, the packet and a
+   * spy on access logging.
+   */
+  const setUp = async ({ owner, recipient }) => {
+    const packet = new CredentialPacket({ user: owner._id, title: 'Credentials', credentials: [objectId()] });
+    packet.shares.push({ kind: 'user', recipient: recipient._id, expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) });
+    const users = [owner, recipient];
+
+    stubUsers(owner, recipient);
+    const token = await signIn(recipient);
+
+    mock.method(CredentialPacket, 'findOne', (filter) => query(sift(filter)(packet.toObject()) ? packet : null));
+    // Listed packets come back with their owner populated
+    mock.method(CredentialPacket, 'find', (filter) => query(
+      sift(filter)(packet.toObject()) ? [{ ...packet.toObject(), user: owner }] : []
+    ));
+    mock.method(CredentialPacket, 'updateOne', () => query({ modifiedCount: 1 }));
+    mock.method(User, 'exists', (filter) => {
+      const match = users.find(user => sift(filter)(user.toObject()));
+      return query(match ? { _id: match._id } : null);
+    });
+    mock.method(User, 'find', (filter) => query(users.filter(user => sift(filter)(user.toObject())).map(user => user._id)));
+    mock.method(Document, 'find', () => query([]));
+    mock.method(Document, 'findOne', () => query(null));
+    const recordAccess = mock.method(PacketAccess, 'create', async (fields) => fields);
+
+    return { token, packet, recordAccess };
+  };
+
+  const open = async (token, packet) => ({
+    view: await server.request('GET', `/api/packets/shared/${packet._id}`, { token }),
+    download: await server.request('GET', `/api/packets/shared/${packet._id}/documents/${objectId()}`, { token }),
+    list: await server.request('GET', '/api/packets/shared-with-me', { token })
+  });
+
+  it('opens and lists the packet', async () => {
+    const owner = buildUser();
+    const recipient = buildUser();
+    const { token, packet, recordAccess } = await setUp({ owner, recipient });
+
+    const { view, download, list } = await open(token, packet);
+
+    assert.equal(view.status, 200);
+    assert.equal(view.body.packet.title, 'Credentials');
+    assert.equal(recordAccess.mock.callCount(), 1);
+    assert.equal(download.body.message, 'Document not found');
+    assert.deepEqual(list.body.packets.map(shared => shared._id), [packet._id.toString()]);
+  });
+
+  for (const direction of ['the owner blocked the recipient', 'the recipient blocked the owner']) {
+    it(`stops opening or listing it once ${direction}`, async () => {
+      const owner = buildUser();
+      const recipient = buildUser();
+      const { token, packet, recordAccess } = await setUp({ owner, recipient });
+
+      // Blocked after the packet was shared
+      if (direction.startsWith('the owner')) {
+        owner.blockedUsers.push(recipient._id);
+      } else {
+        recipient.blockedUsers.push(owner._id);
+      }
+
+      const { view, download, list } = await open(token, packet);
+
+      assert.equal(view.status, 404);
+      assert.equal(download.status, 404);
+      assert.equal(download.body.message, 'Packet not found or no longer shared with you');
+      assert.equal(recordAccess.mock.callCount(), 0);
+      assert.deepEqual(list.body.packets, []);
+    });
+  }
+});
@@ -0,0 +1,368 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const sift = require('sift').default;
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Job = require('../models/Job');
+const userRoutes = require('../routes/users');
+const eventRoutes = require('../routes/events');
+const jobRoutes = require('../routes/jobs');
+const {
+  VISIBILITY_SETTINGS,
+  visibleProfile,
+  visibleToQuery
+} = require('../services/profileVisibilityService');
+const { listen, query, buildUser, stubUsers, signIn } = require('./helpers');
+
+// Fields only connections and the member themselves see
+const CONNECTION_ONLY_FIELDS = ['contactPerson', 'website'];
+// Fields nobody else ever sees
+const SECRET_FIELDS = ['password', 'bankDetails', 'twoFactor', 'blockedUsers', 'connections', 'notificationPreferences', 'profileVisibility'];
+
+// Who sees a setting's fields, by the audience the member chose
+const SEES = {
+  public: { anonymous: true, stranger: true, connection: true, self: true },
+  connections: { anonymous: false, stranger: false, connection: true, self: true },
+  private: { anonymous: false, stranger: false, connection: false, self: true }
+};
+
+const SETTINGS = Object.keys(VISIBILITY_SETTINGS);
+const AUDIENCES = User.PROFILE_AUDIENCES;
+
+// A member with every profile field filled in
+const buildMember = (profileVisibility = {}, fields = {}) => buildUser({
+  firstName: 'Dana',
+  lastName: 'Reyes',
+  specialty: 'Cardiology',
+  phone: '555-0100',
+  location: 'Downtown clinic',
+  city: 'Springfield',
+  state: 'IL',
+  address: '1 Main St',
+  zip: '62701',
+  bio: 'Cardiologist with twenty years of practice',
+  jobStatus: 'looking_for_job',
+  contactPerson: 'Front desk',
+  website: 'https://example.com',
+  bankDetails: { accountNumber: '000123456789' },
+  profileVisibility,
+  ...fields
+});
+
+const viewersOf = (member) => ({
+  anonymous: null,
+  stranger: buildUser(),
+  connection: buildUser({ connections: [member._id] }),
+  self: member
+});
+
+// Check that the profile holds the setting's fields exactly when the viewer may see them
+const assertSetting = (profile, member, setting, visible, label) => {
+  const source = member.toObject();
+
+  VISIBILITY_SETTINGS[setting].forEach(field => {
+    if (visible) {
+      assert.equal(profile[field], source[field], `${label}: ${field} should be shown`);
+    } else {
+      assert.ok(!(field in profile), `${label}: ${field} leaked`);
+    }
+  });
+};
+
+const assertNoSecrets = (profile, label) => {
+  SECRET_FIELDS.forEach(field => assert.ok(!(field in profile), `${label}: ${field} leaked`));
+};
+
+// Run `check(setting, audience, member)` for every setting and audience
+const eachSettingAndAudience = (check) => {
+  SETTINGS.forEach(setting => {
+    AUDIENCES.forEach(audience => {
+      it(`${setting} set to ${audience}`, () => check(setting, audience, buildMember({ [setting]: audience })));
+    });
+  });
+};
+
+describe('profile visibility', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('visibleProfile', () => {
+    eachSettingAndAudience((setting, audience, member) => {
+      Object.entries(viewersOf(member)).forEach(([relationship, viewer]) => {
+        const profile = visibleProfile(member, viewer);
+        assertSetting(profile, member, setting, SEES[audience][relationship], relationship);
+        assertNoSecrets(profile, relationship);
+      });
+    });
+
+    it('shows connection fields to connections and the member only', () => {
+      const member = buildMember();
+      const viewers = viewersOf(member);
+
+      CONNECTION_ONLY_FIELDS.forEach(field => {
+        assert.ok(!(field in visibleProfile(member, viewers.anonymous)));
+        assert.ok(!(field in visibleProfile(member, viewers.stranger)));
+        assert.equal(visibleProfile(member, viewers.connection)[field], member[field]);
+        assert.equal(visibleProfile(member, viewers.self)[field], member[field]);
+      });
+    });
+
+    it('applies the defaults to accounts from before profileVisibility', () => {
+      const { profileVisibility, ...legacy } = buildMember().toObject();
+      const profile = visibleProfile(legacy, buildUser());
+
+      SETTINGS.forEach(setting => {
+        const audience = User.schema.path(`profileVisibility.${setting}`).defaultValue;
+        assertSetting(profile, buildMember(), setting, SEES[audience].stranger, `default ${setting}`);
+      });
+    });
+  });
+
+  describe('visibleToQuery', () => {
+    eachSettingAndAudience((setting, audience, member) => {
+      const { stranger, connection } = viewersOf(member);
+      const doc = member.toObject();
+
+      assert.equal(sift(visibleToQuery(setting, stranger))(doc), SEES[audience].stranger, 'stranger');
+      assert.equal(sift(visibleToQuery(setting, connection))(doc), SEES[audience].connection, 'connection');
+    });
+
+    it('treats a missing setting as its default', () => {
+      const { profileVisibility, ...legacy } = buildMember().toObject();
+      const stranger = buildUser();
+
+      SETTINGS.forEach(setting => {
+        const audience = User.schema.path(`profileVisibility.${setting}`).defaultValue;
+        assert.equal(sift(visibleToQuery(setting, stranger))(legacy), SEES[audience].stranger, setting);
+      });
+    });
+  });
+
+  describe('routes', () => {
+    let server;
+
+    before(async () => {
+      server = await listen({
+        '/api/users': userRoutes,
+        '/api/events': eventRoutes,
+        '/api/jobs': jobRoutes
+      });
+    });
+
+    after(() => server.close());
+
+    // Sign `viewer` in (or not, for anonymous) with `members` loadable by ID
+    const as = async (viewer, ...members) => {
+      stubUsers(...[viewer, ...members].filter(Boolean));
+      return viewer ? signIn(viewer) : undefined;
+    };
+
+    describe('GET /api/users/:id', () => {
+      eachSettingAndAudience(async (setting, audience, member) => {
+        const { stranger, connection, self } = viewersOf(member);
+
+        for (const [relationship, viewer] of Object.entries({ stranger, connection, self })) {
+          const token = await as(viewer, member);
+          const { status, body } = await server.request('GET', `/api/users/${member._id}`, { token });
+
+          assert.equal(status, 200);
+          assertSetting(body.user, member, setting, SEES[audience][relationship], relationship);
+          assertNoSecrets(body.user, relationship);
+          mock.restoreAll();
+        }
+      });
+
+      it('hides connection fields from strangers', async () => {
+        const member = buildMember();
+        const token = await as(buildUser(), member);
+        const { body } = await server.request('GET', `/api/users/${member._id}`, { token });
+
+        CONNECTION_ONLY_FIELDS.forEach(field => assert.ok(!(field in body.user), field));
+        assert.equal(body.user.isConnected, false);
+      });
+    });
+
+    describe('GET /api/events/:id attendees', () => {
+      eachSettingAndAudience(async (setting, audience, member) => {
+        const { anonymous, stranger, connection } = viewersOf(member);
+
+        for (const [relationship, viewer] of Object.entries({ anonymous, stranger, connection })) {
+          const event = new Event({ title: 'Cardiology meetup', attendees: [{ user: member }] });
+          const token = await as(viewer);
+          mock.method(Event, 'findById', () => query(event));
+
+          const { status, body } = await server.request('GET', `/api/events/${event._id}`, { token });
+
+          assert.equal(status, 200);
+          const attendee = body.event.attendees[0].user;
+          assertSetting(attendee, member, setting, SEES[audience][relationship], relationship);
+          assertNoSecrets(attendee, relationship);
+          mock.restoreAll();
+        }
+      });
+    });
+
+    describe('GET /api/jobs/my/posted applicants', () => {
+      eachSettingAndAudience(async (setting, audience, member) => {
+        const { stranger, connection } = viewersOf(member);
+
+        for (const [relationship, poster] of Object.entries({ stranger, connection })) {
+          const job = new Job({ title: 'Staff cardiologist', postedBy: poster._id, applicants: [{ user: member }] });
+          const token = await as(poster);
+          mock.method(Job, 'find', () => query([job]));
+
+          const { status, body } = await server.request('GET', '/api/jobs/my/posted', { token });
+
+          assert.equal(status, 200);
+          const applicant = body.jobs[0].applicants[0].user;
+          assertSetting(applicant, member, setting, SEES[audience][relationship], relationship);
+          assertNoSecrets(applicant, relationship);
+          mock.restoreAll();
+        }
+      });
+    });
+
+    describe('GET /api/users/search', () => {
+      // Fields of the directory text index
+      const [textIndex] = User.schema.indexes().find(([, options]) => options.name === 'directory_text');
+      const textFields = Object.keys(textIndex);
+
+      // $text matches documents with any of the search words in an indexed field
+      const matchesText = ($text) => (doc) => !$text || $text.$search.split(/\s+/).some(word => {
+        const pattern = new RegExp(`\\b${word}`, 'i');
+        return textFields.some(field => pattern.test(doc[field] || ''));
+      });
+
+      /**
+       * Stand-in for the directory aggregation: applies its real filters (the first
+       * $match, or the $geoNear query, with $text matched against the text index's
+       * fields) and the state facet's $match to `members`. Text scoring and
+       * distances are not simulated.
+       */
+      const serveDirectory = (members) => mock.method(User, 'aggregate', (pipeline) => {
+        const [first] = pipeline;
+        const { $text, ...match } = first.$geoNear ? first.$geoNear.query : first.$match;
+        const matched = members.map(member => member.toObject()).filter(sift(match)).filter(matchesText($text));
+
+        const { state: stateFacet } = pipeline[pipeline.length - 1].$facet;
+        const states = new Map();
+        matched.filter(sift(stateFacet[0].$match)).forEach(doc => states.set(doc.state, (states.get(doc.state) || 0) + 1));
+
+        return query([{
+          results: matched.map(doc => ({
+            ...doc,
+            rank: 1,
+            credentials: [],
+            hasVerifiedCredentials: false,
+            ...(first.$geoNear && { distanceMiles: 1.5 })
+          })),
+          total: matched.length > 0 ? [{ count: matched.length }] : [],
+          userType: [],
+          specialty: [],
+          state: [...states].map(([state, count]) => ({ _id: state, count })),
+          verification: []
+        }]);
+      });
+
+      const search = async (viewer, members, params = '') => {
+        const token = await as(viewer);
+        mock.method(User, 'find', () => query([]));
+        serveDirectory(members);
+
+        const { status, body } = await server.request('GET', `/api/users/search${params}`, { token });
+        assert.equal(status, 200);
+        return body;
+      };
+
+      const ids = (users) => users.map(user => user._id.toString()).sort();
+
+      eachSettingAndAudience(async (setting, audience, member) => {
+        const { stranger, connection } = viewersOf(member);
+
+        for (const [relationship, viewer] of Object.entries({ stranger, connection })) {
+          const { users } = await search(viewer, [member]);
+
+          assertSetting(users[0], member, setting, SEES[audience][relationship], relationship);
+          assertNoSecrets(users[0], relationship);
+          mock.restoreAll();
+        }
+      });
+
+      // Keyword search covers the text index, or a regex over the same fields near a ZIP
+      for (const [kind, params] of [['keyword', ''], ['radius keyword', '&near=62701&radius=10']]) {
+        it(`never matches a ${kind} search on a bio the viewer can't see`, async () => {
+          const members = Object.fromEntries(AUDIENCES.map(audience => [
+            audience,
+            buildMember({ bio: audience, address: 'public' }, { bio: 'Fellowship in echocardiography' })
+          ]));
+          const viewers = {
+            stranger: buildUser(),
+            connection: buildUser({ connections: Object.values(members).map(m => m._id) })
+          };
+
+          for (const [relationship, viewer] of Object.entries(viewers)) {
+            const { users } = await search(viewer, Object.values(members), `?search=echocardiography${params}`);
+            const hidden = AUDIENCES.filter(audience => !SEES[audience][relationship]).map(audience => members[audience]._id.toString());
+
+            assert.deepEqual(users.filter(user => hidden.includes(user._id)), [], `${relationship} found a hidden bio`);
+            mock.restoreAll();
+          }
+
+          // Public fields are still searched
+          const { users } = await search(viewers.stranger, Object.values(members), `?search=cardiology${params}`);
+          assert.deepEqual(ids(users), ids(Object.values(members)));
+        });
+      }
+
+      // One member per location audience, all in the same state and city
+      const byLocation = () => Object.fromEntries(AUDIENCES.map(audience => [audience, buildMember({ location: audience })]));
+
+      for (const [filter, params] of [['state', '?state=IL'], ['location', '?location=Springfield']]) {
+        it(`only matches a ${filter} filter on locations the viewer may see`, async () => {
+          const members = byLocation();
+          const stranger = buildUser();
+          const connection = buildUser({ connections: Object.values(members).map(m => m._id) });
+
+          const forStranger = await search(stranger, Object.values(members), params);
+          assert.deepEqual(ids(forStranger.users), ids([members.public]));
+          assert.equal(forStranger.total, 1);
+          mock.restoreAll();
+
+          const forConnection = await search(connection, Object.values(members), params);
+          assert.deepEqual(ids(forConnection.users), ids([members.public, members.connections]));
+          assert.equal(forConnection.total, 2);
+        });
+      }
+
+      it('only counts visible locations in the state facet', async () => {
+        const members = byLocation();
+        const stranger = buildUser();
+        const connection = buildUser({ connections: Object.values(members).map(m => m._id) });
+
+        const forStranger = await search(stranger, Object.values(members));
+        assert.equal(forStranger.total, 3);
+        assert.deepEqual(forStranger.facets.state, [{ value: 'IL', count: 1 }]);
+        forStranger.users
+          .filter(user => user._id !== members.public._id.toString())
+          .forEach(user => assertSetting(user, members.public, 'location', false, 'hidden location'));
+        mock.restoreAll();
+
+        const forConnection = await search(connection, Object.values(members));
+        assert.deepEqual(forConnection.facets.state, [{ value: 'IL', count: 2 }]);
+      });
+
+      it('only finds members near a ZIP when their address is visible', async () => {
+        const members = Object.fromEntries(AUDIENCES.map(audience => [audience, buildMember({ address: audience })]));
+        const stranger = buildUser();
+        const connection = buildUser({ connections: Object.values(members).map(m => m._id) });
+
+        const forStranger = await search(stranger, Object.values(members), '?near=62701&radius=10');
+        assert.deepEqual(ids(forStranger.users), ids([members.public]));
+        assert.equal(forStranger.users[0].distanceMiles, 1.5);
+        mock.restoreAll();
+
+        const forConnection = await search(connection, Object.values(members), '?near=62701&radius=10');
+        assert.deepEqual(ids(forConnection.users), ids([members.public, members.connections]));
+      });
+    });
+  });
+});
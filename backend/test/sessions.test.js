@@ -0,0 +1,107 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Session = require('../models/Session');
+const authRoutes = require('../routes/auth');
+const { listen, buildUser, stubUsers, memoryCollection, openSession } = require('./helpers');
+
+describe('sessions', () => {
+  let server;
+
+  before(async () => {
+    server = await listen({ '/api/auth': authRoutes });
+  });
+
+  after(() => server.close());
+  afterEach(() => mock.restoreAll());
+
+  const refresh = (refreshToken) => server.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+  const sessionsOf = (token) => server.request('GET', '/api/auth/sessions', { token });
+  const stored = (sessionId) => memoryCollection(Session).find(session => session._id.equals(sessionId));
+
+  it('rotates the refresh token and refuses the old one', async () => {
+    const user = buildUser();
+    stubUsers(user);
+    const signedIn = await openSession(user);
+
+    const first = await refresh(signedIn.refreshToken);
+    assert.equal(first.status, 200);
+    assert.notEqual(first.body.refreshToken, signedIn.refreshToken);
+    assert.equal(first.body.sessionId, signedIn.sessionId.toString());
+
+    // The new pair keeps working and rotates again
+    assert.equal((await sessionsOf(first.body.token)).status, 200);
+    const second = await refresh(first.body.refreshToken);
+    assert.equal(second.status, 200);
+
+    assert.equal(stored(signedIn.sessionId).previousTokenHashes.length, 2);
+  });
+
+  it('revokes the whole session when a rotated-out refresh token is reused', async () => {
+    const user = buildUser();
+    stubUsers(user);
+    const signedIn = await openSession(user);
+    const rotated = (await refresh(signedIn.refreshToken)).body;
+
+    const replay = await refresh(signedIn.refreshToken);
+    assert.equal(replay.status, 401);
+
+    const session = stored(signedIn.sessionId);
+    assert.ok(session.revokedAt);
+    assert.equal(session.revokedReason, 'token-reuse');
+
+    // Tokens issued to the legitimate holder die with the session
+    assert.equal((await refresh(rotated.refreshToken)).status, 401);
+    assert.equal((await sessionsOf(rotated.token)).status, 401);
+  });
+
+  it('lets only one of two concurrent refreshes with the same token through', async () => {
+    const user = buildUser();
+    stubUsers(user);
+    const signedIn = await openSession(user);
+
+    const results = await Promise.all([refresh(signedIn.refreshToken), refresh(signedIn.refreshToken)]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), [200, 401]);
+    assert.equal(stored(signedIn.sessionId).revokedReason, 'token-reuse');
+  });
+
+  it('logs out of the current device only', async () => {
+    const user = buildUser();
+    stubUsers(user);
+    const phone = await openSession(user);
+    const laptop = await openSession(user);
+
+    const { status } = await server.request('POST', '/api/auth/logout', { token: phone.token, body: {} });
+
+    assert.equal(status, 200);
+    assert.equal(stored(phone.sessionId).revokedReason, 'logout');
+    assert.equal((await sessionsOf(phone.token)).status, 401);
+    assert.equal((await sessionsOf(laptop.token)).status, 200);
+  });
+
+  it('logs out of every device with allDevices', async () => {
+    const user = buildUser();
+    const other = buildUser();
+    stubUsers(user, other);
+    const phone = await openSession(user);
+    const laptop = await openSession(user);
+    const bystander = await openSession(other);
+
+    const { status, body } = await server.request('POST', '/api/auth/logout', {
+      token: phone.token,
+      body: { allDevices: true }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.message, 'Logged out from 2 devices');
+
+    for (const device of [phone, laptop]) {
+      assert.equal(stored(device.sessionId).revokedReason, 'logout');
+      assert.equal((await sessionsOf(device.token)).status, 401);
+      assert.equal((await refresh(device.refreshToken)).status, 401);
+    }
+
+    // Other users' sessions are untouched
+    assert.equal((await sessionsOf(bystander.token)).status, 200);
+  });
+});
@@ -0,0 +1,188 @@
+const EventEmitter = require('events');
+const express = require('express');
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { registerEvent } = require('../middleware/socketEvents');
+const { authorizeRoom, authorizeTypingRooms } = require('../services/chatAuthorization');
+const { sendMessage } = require('../services/messagingService');
+const { userRoom } = require('../services/eventService');
+const { fakeIo, buildUser, memoryCollection } = require('./helpers');
+
+/**
+ * A connected socket for `user` with the chat handlers server.js registers.
+ * Broadcasts (socket.to) and the app's io both record into `io.emitted`;
+ * fire(event, payload) resolves to the ack.
+ */
+const connect = (user) => {
+  const userId = user._id.toString();
+  const io = fakeIo();
+  const app = express();
+  app.set('io', io);
+
+  const socket = new EventEmitter();
+  socket.userId = userId;
+  socket.rooms = new Set([userRoom(userId)]);
+  socket.join = (room) => socket.rooms.add(room);
+  socket.to = (rooms) => io.to(rooms);
+
+  registerEvent(socket, 'joinRoom', async ({ roomId }) => {
+    await authorizeRoom(userId, roomId);
+    socket.join(roomId);
+    return { roomId };
+  });
+
+  registerEvent(socket, 'typing', async ({ roomId, conversationId }) => {
+    const rooms = await authorizeTypingRooms(userId, socket.rooms, { roomId, conversationId });
+    socket.to(rooms).emit('userTyping', { userId, roomId, conversationId, isTyping: true });
+  });
+
+  registerEvent(socket, 'sendMessage', async ({ recipient, conversationId, content }) => {
+    const { payload } = await sendMessage(app, { senderId: userId, recipientId: recipient, conversationId, content });
+    return { message: payload };
+  });
+
+  return {
+    socket,
+    io,
+    fire: (event, payload) => new Promise(resolve => socket.emit(event, payload, resolve))
+  };
+};
+
+describe('socket authorization', () => {
+  afterEach(() => mock.restoreAll());
+
+  /**
+   * Alice and Bob are connected and share a group; Carol is connected to neither
+   */
+  const setUp = () => {
+    const alice = buildUser();
+    const bob = buildUser();
+    const carol = buildUser();
+    alice.connections.push(bob._id);
+    bob.connections.push(alice._id);
+
+    const group = new Conversation({ type: 'group', title: 'Cardiology', participants: [alice._id, bob._id] });
+
+    memoryCollection(User, [alice, bob, carol]);
+    memoryCollection(Conversation, [group]);
+    const messages = memoryCollection(Message, []);
+
+    return { alice, bob, carol, group, messages, directRoom: `chat_${alice._id}_${bob._id}` };
+  };
+
+  const assertRefused = (ack, code) => {
+    assert.equal(ack.ok, false);
+    assert.equal(ack.error.code, code);
+  };
+
+  describe('joinRoom', () => {
+    it("lets one of a room's two connected users join", async () => {
+      const { alice, directRoom } = setUp();
+      const { socket, fire } = connect(alice);
+
+      assert.deepEqual(await fire('joinRoom', { roomId: directRoom }), { ok: true, roomId: directRoom });
+      assert.ok(socket.rooms.has(directRoom));
+    });
+
+    it('refuses a room between two other users', async () => {
+      const { carol, directRoom } = setUp();
+      const { socket, fire } = connect(carol);
+
+      assertRefused(await fire('joinRoom', { roomId: directRoom }), 'FORBIDDEN');
+      assert.equal(socket.rooms.has(directRoom), false);
+    });
+
+    it('refuses a room with a user they are not connected to', async () => {
+      const { alice, carol } = setUp();
+      const { socket, fire } = connect(alice);
+      const roomId = `chat_${alice._id}_${carol._id}`;
+
+      assertRefused(await fire('joinRoom', { roomId }), 'FORBIDDEN');
+      assert.equal(socket.rooms.has(roomId), false);
+    });
+
+    it('refuses a room with a user who blocked them', async () => {
+      const { alice, bob, directRoom } = setUp();
+      bob.blockedUsers.push(alice._id);
+      const { socket, fire } = connect(alice);
+
+      assertRefused(await fire('joinRoom', { roomId: directRoom }), 'FORBIDDEN');
+      assert.equal(socket.rooms.has(directRoom), false);
+    });
+
+    it('refuses rooms that are not 1:1 chat rooms', async () => {
+      const { alice, bob } = setUp();
+      const { socket, fire } = connect(alice);
+
+      for (const roomId of [userRoom(bob._id), 'admins', `session_${bob._id}`]) {
+        assertRefused(await fire('joinRoom', { roomId }), 'FORBIDDEN');
+        assert.equal(socket.rooms.has(roomId), false);
+      }
+    });
+  });
+
+  describe('typing', () => {
+    it("reaches a conversation's other participants", async () => {
+      const { alice, bob, group } = setUp();
+      const { io, fire } = connect(alice);
+
+      assert.equal((await fire('typing', { conversationId: group._id.toString() })).ok, true);
+      assert.deepEqual(io.emitted.map(({ room }) => room), [[userRoom(bob._id)]]);
+    });
+
+    it('refuses a conversation the socket is not part of', async () => {
+      const { carol, group } = setUp();
+      const { io, fire } = connect(carol);
+
+      assertRefused(await fire('typing', { conversationId: group._id.toString() }), 'NOT_FOUND');
+      assert.deepEqual(io.emitted, []);
+    });
+
+    it('refuses a 1:1 room the socket has not joined', async () => {
+      const { carol, directRoom } = setUp();
+      const { io, fire } = connect(carol);
+
+      assertRefused(await fire('typing', { roomId: directRoom }), 'FORBIDDEN');
+      assert.deepEqual(io.emitted, []);
+    });
+  });
+
+  describe('sendMessage', () => {
+    it('refuses a conversation the sender is not part of', async () => {
+      const { carol, group, messages } = setUp();
+      const { io, fire } = connect(carol);
+
+      assertRefused(await fire('sendMessage', { conversationId: group._id.toString(), content: 'Hello' }), 'NOT_FOUND');
+      assert.deepEqual(messages, []);
+      assert.deepEqual(io.emitted, []);
+    });
+
+    it('refuses a direct message to a user they are not connected to', async () => {
+      const { alice, carol, messages } = setUp();
+      const { io, fire } = connect(carol);
+
+      assertRefused(await fire('sendMessage', { recipient: alice._id.toString(), content: 'Hello' }), 'FORBIDDEN');
+      assert.deepEqual(messages, []);
+      assert.deepEqual(io.emitted, []);
+    });
+
+    it('refuses a direct conversation once the other participant blocked them', async () => {
+      const { alice, bob, messages } = setUp();
+      const direct = new Conversation({
+        type: 'direct',
+        participants: [alice._id, bob._id],
+        directKey: Conversation.directKeyFor(alice._id, bob._id)
+      });
+      memoryCollection(Conversation).push(direct);
+      bob.blockedUsers.push(alice._id);
+      const { io, fire } = connect(alice);
+
+      assertRefused(await fire('sendMessage', { conversationId: direct._id.toString(), content: 'Hello' }), 'FORBIDDEN');
+      assert.deepEqual(messages, []);
+      assert.deepEqual(io.emitted, []);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Storage driver round trips. The local driver always runs; the S3 driver runs
+ * too when S3_ENDPOINT points at an S3-compatible server, e.g. a local MinIO:
+ *
+ *   docker run -p 9000:9000 minio/minio server /data
+ *   S3_ENDPOINT=http://localhost:9000 S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin npm test
+ *
+ * S3_BUCKET (default drsclub-test) is created if it doesn't exist.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { S3Client, CreateBucketCommand } = require('@aws-sdk/client-s3');
+const createLocalDriver = require('../services/storage/drivers/local');
+const createS3Driver = require('../services/storage/drivers/s3');
+const { setStorage } = require('../services/storage');
+const fileRoutes = require('../routes/files');
+const { listen } = require('./helpers');
+
+const SIGNING_SECRET = 'storage-test-secret';
+
+const s3Options = () => ({
+  bucket: process.env.S3_BUCKET || 'drsclub-test',
+  region: process.env.S3_REGION || 'us-east-1',
+  endpoint: process.env.S3_ENDPOINT,
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+});
+
+const createBucket = async (options) => {
+  const client = new S3Client({
+    region: options.region,
+    endpoint: options.endpoint,
+    forcePathStyle: options.forcePathStyle,
+    credentials: { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+  });
+
+  try {
+    await client.send(new CreateBucketCommand({ Bucket: options.bucket }));
+  } catch (error) {
+    if (!['BucketAlreadyOwnedByYou', 'BucketAlreadyExists'].includes(error.name)) throw error;
+  }
+};
+
+const DRIVERS = [
+  {
+    name: 'local',
+    setUp: async () => {
+      const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'drsclub-storage-test-'));
+      const storage = createLocalDriver({ rootDir, signingSecret: SIGNING_SECRET });
+      setStorage(storage);
+
+      // Local signed URLs are served by /api/files
+      const server = await listen({ '/api/files': fileRoutes });
+
+      return {
+        storage,
+        fetchSigned: (url) => fetch(`${server.baseUrl}${url}`),
+        tearDown: async () => {
+          await server.close();
+          setStorage(null);
+          await fs.promises.rm(rootDir, { recursive: true, force: true });
+        }
+      };
+    }
+  },
+  {
+    name: 's3',
+    skip: !process.env.S3_ENDPOINT && 'S3_ENDPOINT is not set',
+    setUp: async () => {
+      const options = s3Options();
+      await createBucket(options);
+
+      return {
+        storage: createS3Driver(options),
+        fetchSigned: (url) => fetch(url),
+        tearDown: async () => {}
+      };
+    }
+  }
+];
+
+DRIVERS.forEach(driver => {
+  describe(`${driver.name} storage driver`, { skip: driver.skip }, () => {
+    let context;
+    const key = `documents/test-${Date.now()}/licence file.pdf`;
+    const body = Buffer.from('%PDF-1.4 storage test');
+
+    before(async () => {
+      context = await driver.setUp();
+    });
+
+    after(async () => {
+      await context.storage.remove(key);
+      await context.tearDown();
+    });
+
+    it('puts, gets and removes a file', async () => {
+      const { storage } = context;
+
+      assert.equal(await storage.exists(key), false);
+
+      await storage.put(key, body, { contentType: 'application/pdf' });
+      assert.equal(await storage.exists(key), true);
+      assert.deepEqual(await storage.get(key), body);
+
+      await storage.remove(key);
+      assert.equal(await storage.exists(key), false);
+    });
+
+    it('serves a file through a signed URL with the requested headers', async () => {
+      const { storage, fetchSigned } = context;
+      await storage.put(key, body, { contentType: 'application/pdf' });
+
+      const url = await storage.signedUrl(key, {
+        expiresIn: 60,
+        contentType: 'application/pdf',
+        disposition: 'attachment; filename="licence.pdf"'
+      });
+      const response = await fetchSigned(url);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('content-type'), 'application/pdf');
+      assert.equal(response.headers.get('content-disposition'), 'attachment; filename="licence.pdf"');
+      assert.deepEqual(Buffer.from(await response.arrayBuffer()), body);
+    });
+  });
+});
+
+describe('local signed URLs', () => {
+  let rootDir;
+  let storage;
+  let server;
+  const key = 'documents/private.pdf';
+
+  before(async () => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'drsclub-storage-test-'));
+    storage = createLocalDriver({ rootDir, signingSecret: SIGNING_SECRET });
+    setStorage(storage);
+    await storage.put(key, Buffer.from('private'));
+    await storage.put('images/public.png', Buffer.from('public'));
+    server = await listen({ '/api/files': fileRoutes });
+  });
+
+  after(async () => {
+    await server.close();
+    setStorage(null);
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+  });
+
+  const sign = (fileKey = key, options = {}) => storage.signedUrl(fileKey, {
+    expiresIn: 60,
+    disposition: 'attachment; filename="private.pdf"',
+    contentType: 'application/pdf',
+    ...options
+  });
+
+  // Change one query parameter of a signed URL
+  const tamper = (url, name, value) => {
+    const parsed = new URL(url, 'http://localhost');
+    parsed.searchParams.set(name, value);
+    return `${parsed.pathname}${parsed.search}`;
+  };
+
+  const status = async (url) => (await fetch(`${server.baseUrl}${url}`)).status;
+
+  it('serves a valid URL', async () => {
+    assert.equal(await status(await sign()), 200);
+  });
+
+  it('refuses an expired URL', async () => {
+    assert.equal(await status(await sign(key, { expiresIn: -1 })), 403);
+  });
+
+  it('refuses a URL whose expiry was pushed back', async () => {
+    const url = await sign(key, { expiresIn: -1 });
+    assert.equal(await status(tamper(url, 'expires', String(Math.floor(Date.now() / 1000) + 3600))), 403);
+  });
+
+  it('refuses a URL with a changed disposition or content type', async () => {
+    const url = await sign();
+    assert.equal(await status(tamper(url, 'disposition', 'inline')), 403);
+    assert.equal(await status(tamper(url, 'type', 'text/html')), 403);
+  });
+
+  it('refuses a tampered or missing signature', async () => {
+    const url = await sign();
+    const { searchParams } = new URL(url, 'http://localhost');
+    const signature = searchParams.get('signature');
+    const flipped = `${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`;
+
+    assert.equal(await status(tamper(url, 'signature', flipped)), 403);
+    assert.equal(await status(tamper(url, 'signature', '')), 403);
+    assert.equal(await status(url.split('?')[0]), 403);
+  });
+
+  it('refuses a signature used for another file', async () => {
+    await storage.put('documents/other.pdf', Buffer.from('other'));
+    const url = await sign();
+    assert.equal(await status(url.replace('private.pdf?', 'other.pdf?')), 403);
+  });
+
+  it('refuses a URL signed with another secret', async () => {
+    const other = createLocalDriver({ rootDir, signingSecret: 'another-secret' });
+    const url = await other.signedUrl(key, { expiresIn: 60, disposition: 'attachment', contentType: '' });
+    assert.equal(await status(url), 403);
+  });
+
+  it('never serves public-area files through /api/files', async () => {
+    assert.equal(await status(await sign('images/public.png')), 403);
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const LoginAttempt = require('../models/LoginAttempt');
+const authRoutes = require('../routes/auth');
+const { generateSecret, hotp, generateRecoveryCodes } = require('../services/totpService');
+const { listen, query, buildUser, memoryCollection } = require('./helpers');
+
+const PASSWORD = 'secret-password';
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+
+// The code an authenticator app shows right now
+const currentCode = (secret) => hotp(secret, Math.floor(Date.now() / 1000 / 30));
+
+describe('two-factor sign-in', () => {
+  let server;
+  let user;
+  let recoveryCodes;
+
+  before(async () => {
+    server = await listen({ '/api/auth': authRoutes });
+  });
+
+  after(() => server.close());
+  afterEach(() => mock.restoreAll());
+
+  const setUp = () => {
+    const { codes, hashed } = generateRecoveryCodes(2);
+    recoveryCodes = codes;
+    user = buildUser({
+      password: passwordHash,
+      twoFactor: { enabled: true, secret: generateSecret(), recoveryCodes: hashed, enabledAt: new Date() }
+    });
+
+    memoryCollection(User, [user]);
+    memoryCollection(Setting, []);
+    memoryCollection(Session, []);
+    memoryCollection(LoginThrottle, []);
+    memoryCollection(LoginAttempt, []);
+  };
+
+  // First step: the password, answered with an mfa-pending token
+  const startSignIn = async () => {
+    const { status, body } = await server.request('POST', '/api/auth/login', {
+      body: { email: user.email, password: PASSWORD }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.mfaRequired, true);
+    assert.equal(body.token, undefined);
+    return body.mfaToken;
+  };
+
+  const verify = async (secondFactor) => server.request('POST', '/api/auth/2fa/verify-login', {
+    body: { mfaToken: await startSignIn(), ...secondFactor }
+  });
+
+  it('signs in with the current code', async () => {
+    setUp();
+    const { status, body } = await verify({ code: currentCode(user.twoFactor.secret) });
+
+    assert.equal(status, 200);
+    assert.ok(body.token);
+    assert.ok(body.refreshToken);
+  });
+
+  it('rejects a replayed code', async () => {
+    setUp();
+    const code = currentCode(user.twoFactor.secret);
+
+    assert.equal((await verify({ code })).status, 200);
+
+    const replay = await verify({ code });
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.message, 'Invalid authentication code');
+  });
+
+  it('accepts a code only once when it is used concurrently', async () => {
+    setUp();
+    const code = currentCode(user.twoFactor.secret);
+    const [first, second] = await Promise.all([startSignIn(), startSignIn()]);
+
+    // Release the two reads of the user together, so both requests see the code unused
+    const read = User.findById;
+    const arrivals = [];
+    mock.method(User, 'findById', (id) => {
+      const found = read.call(User, id);
+      const released = new Promise(resolve => arrivals.push(resolve));
+      if (arrivals.length === 2) arrivals.forEach(release => release());
+      return query(released.then(() => found));
+    });
+
+    const results = await Promise.all([first, second].map(mfaToken =>
+      server.request('POST', '/api/auth/2fa/verify-login', { body: { mfaToken, code } })
+    ));
+
+    assert.deepEqual(results.map(result => result.status).sort(), [200, 401]);
+  });
+
+  it('accepts each recovery code once', async () => {
+    setUp();
+    const [firstCode, secondCode] = recoveryCodes;
+
+    assert.equal((await verify({ recoveryCode: firstCode })).status, 200);
+    assert.equal((await verify({ recoveryCode: firstCode })).status, 401);
+
+    assert.equal((await verify({ recoveryCode: secondCode })).status, 200);
+    assert.ok(user.twoFactor.recoveryCodes.every(recoveryCode => recoveryCode.usedAt));
+  });
+
+  it('refuses the mfa-pending token as an access token', async () => {
+    setUp();
+    const mfaToken = await startSignIn();
+
+    for (const [method, path] of [['GET', '/api/auth/sessions'], ['GET', '/api/auth/2fa/status'], ['POST', '/api/auth/logout']]) {
+      const { status } = await server.request(method, path, { token: mfaToken });
+      assert.equal(status, 401, `${method} ${path}`);
+    }
+  });
+});